@@ -1,11 +1,33 @@
 import path from 'node:path';
-import { buildAuditInput, executeAudit } from '../../services/audit/auditService.js';
+import {
+  auditStreamState,
+  buildAuditInput,
+  cancelAudit,
+  executeAudit,
+  listActiveAudits
+} from '../../services/audit/auditService.js';
 import { collectVideoFiles } from '../../services/audit/auditCore.js';
+import { getProbeCacheInfo, invalidateProbeCache } from '../../services/audit/probeCache.js';
+import {
+  RULE_OPERATORS,
+  compileRule,
+  createRuleSet,
+  deleteRuleSet,
+  getRuleSet,
+  listRuleSets,
+  updateRuleSet
+} from '../../services/audit/auditRules.js';
+import {
+  deleteAuditRootSettings,
+  listAuditRootSettings,
+  resolveAuditPerformance,
+  saveAuditRootSettings
+} from '../../services/audit/auditRootSettings.js';
+import { applyPresetToRequest } from '../../services/presets/presetService.js';
 
 export async function runAuditHandler(req, res) {
-  const input = buildAuditInput(req.body);
-
   try {
+    const input = buildAuditInput(await applyPresetToRequest(req.body, { forAudit: true }));
     const payload = await executeAudit(input);
     res.json(payload);
   } catch (error) {
@@ -16,11 +38,47 @@ export async function runAuditHandler(req, res) {
   }
 }
 
+export function auditStreamHandler(req, res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  auditStreamState.addClient(res);
+  auditStreamState.writeSseEvent(res, 'state', JSON.stringify({ audits: listActiveAudits() }));
+  auditStreamState.replaySnapshots(res);
+
+  req.on('close', () => {
+    auditStreamState.removeClient(res);
+  });
+}
+
+// Terminates the audit worker and answers with the rows checked so far.
+export async function cancelAuditHandler(req, res) {
+  const auditId = String(req.body?.auditId || '').trim();
+
+  try {
+    const payload = await cancelAudit(auditId);
+    if (!payload) {
+      return res.status(400).json({
+        ok: false,
+        error: auditId ? `No audit ${auditId} in progress.` : 'No audit in progress.'
+      });
+    }
+    res.json(payload);
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      error: error.message
+    });
+  }
+}
+
 export async function runAuditFilesHandler(req, res) {
-  const input = buildAuditInput(req.body);
   const files = Array.isArray(req.body?.files) ? req.body.files : [];
 
   try {
+    const input = buildAuditInput(await applyPresetToRequest(req.body, { forAudit: true }));
     const payload = await executeAudit(input, files);
     res.json(payload);
   } catch (error) {
@@ -51,3 +109,160 @@ export async function listAuditFilesHandler(req, res) {
     });
   }
 }
+
+export async function probeCacheInfoHandler(req, res) {
+  try {
+    res.json({
+      ok: true,
+      ...(await getProbeCacheInfo())
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      error: error.message
+    });
+  }
+}
+
+// Clears cached probes for body/query files or root, or the whole cache when
+// neither is given.
+export async function invalidateProbeCacheHandler(req, res) {
+  const root = req.body?.root ?? req.query?.root ?? '';
+  const files = Array.isArray(req.body?.files)
+    ? req.body.files
+    : [].concat(req.query?.files ?? []);
+
+  try {
+    const removed = await invalidateProbeCache({ root, files });
+    res.json({
+      ok: true,
+      removed,
+      ...(await getProbeCacheInfo())
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      error: error.message
+    });
+  }
+}
+
+// Per-root probe limits. The effective settings for any folder are available
+// with ?root=, after the request, root, environment and default fallbacks.
+export async function listAuditRootsHandler(req, res) {
+  const root = String(req.query?.root || '').trim();
+
+  try {
+    res.json({
+      ok: true,
+      roots: await listAuditRootSettings(),
+      ...(root ? { effective: await resolveAuditPerformance(path.resolve(root)) } : {})
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      error: error.message
+    });
+  }
+}
+
+export async function saveAuditRootHandler(req, res) {
+  try {
+    const entry = await saveAuditRootSettings(req.body || {});
+    res.json({
+      ok: true,
+      entry
+    });
+  } catch (error) {
+    res.status(400).json({
+      ok: false,
+      error: error.message
+    });
+  }
+}
+
+export async function deleteAuditRootHandler(req, res) {
+  const root = req.body?.root ?? req.query?.root ?? '';
+
+  try {
+    const entry = await deleteAuditRootSettings(root);
+    if (!entry) {
+      return res.status(404).json({
+        ok: false,
+        error: `No audit settings for ${root || '.'}.`
+      });
+    }
+    res.json({
+      ok: true,
+      entry
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      error: error.message
+    });
+  }
+}
+
+export async function listRuleSetsHandler(_req, res) {
+  try {
+    res.json({ ok: true, ruleSets: await listRuleSets(), operators: RULE_OPERATORS });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+}
+
+export async function getRuleSetHandler(req, res) {
+  try {
+    const ruleSet = await getRuleSet(req.params.id);
+    if (!ruleSet) {
+      return res.status(404).json({ ok: false, error: 'Rule set not found.' });
+    }
+    return res.json({ ok: true, ruleSet });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: error.message });
+  }
+}
+
+export async function createRuleSetHandler(req, res) {
+  try {
+    const ruleSet = await createRuleSet(req.body || {});
+    res.status(201).json({ ok: true, ruleSet });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+}
+
+export async function updateRuleSetHandler(req, res) {
+  try {
+    const ruleSet = await updateRuleSet(req.params.id, req.body || {});
+    if (!ruleSet) {
+      return res.status(404).json({ ok: false, error: 'Rule set not found.' });
+    }
+    return res.json({ ok: true, ruleSet });
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
+}
+
+export async function deleteRuleSetHandler(req, res) {
+  try {
+    const deleted = await deleteRuleSet(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ ok: false, error: 'Rule set not found.' });
+    }
+    return res.json({ ok: true });
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
+}
+
+// Checks a rule without saving it and returns the compiled form.
+export async function validateRuleHandler(req, res) {
+  try {
+    const rule = compileRule(req.body?.rule, { ruleSets: await listRuleSets() });
+    res.json({ ok: true, rule });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+}
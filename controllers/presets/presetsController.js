@@ -0,0 +1,82 @@
+import {
+  createPreset,
+  deletePreset,
+  exportPresets,
+  getPreset,
+  importPresets,
+  listPresets,
+  updatePreset
+} from '../../services/presets/presetService.js';
+
+export async function listPresetsHandler(_req, res) {
+  try {
+    res.json({ ok: true, presets: await listPresets() });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+}
+
+export async function getPresetHandler(req, res) {
+  try {
+    const preset = await getPreset(req.params.id);
+    if (!preset) {
+      return res.status(404).json({ ok: false, error: 'Preset not found.' });
+    }
+    return res.json({ ok: true, preset });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: error.message });
+  }
+}
+
+export async function createPresetHandler(req, res) {
+  try {
+    const preset = await createPreset(req.body || {});
+    res.status(201).json({ ok: true, preset });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+}
+
+export async function updatePresetHandler(req, res) {
+  try {
+    const preset = await updatePreset(req.params.id, req.body || {});
+    if (!preset) {
+      return res.status(404).json({ ok: false, error: 'Preset not found.' });
+    }
+    return res.json({ ok: true, preset });
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
+}
+
+export async function deletePresetHandler(req, res) {
+  try {
+    const deleted = await deletePreset(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ ok: false, error: 'Preset not found.' });
+    }
+    return res.json({ ok: true });
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
+}
+
+export async function exportPresetsHandler(_req, res) {
+  try {
+    const payload = await exportPresets();
+    res.setHeader('Content-Disposition', 'attachment; filename="transcoder-presets.json"');
+    res.json(payload);
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+}
+
+export async function importPresetsHandler(req, res) {
+  const replace = req.query.replace === 'true';
+  try {
+    const summary = await importPresets(req.body, { replace });
+    res.json({ ok: true, ...summary, presets: await listPresets() });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+}
@@ -1,8 +1,6 @@
 import os from 'node:os';
-import { promisify } from 'node:util';
-import { execFile } from 'node:child_process';
-
-const execFileAsync = promisify(execFile);
+import { readBatteryInfo } from '../services/system/batteryInfo.js';
+import { readCpuTempC, readLoadPerCore } from '../services/system/systemLoad.js';
 
 let lastCpuSnapshot = null;
 
@@ -39,43 +37,6 @@ function readCpuUsagePercent() {
   return Math.max(0, Math.min(100, Number(usage.toFixed(1))));
 }
 
-async function readBatteryInfo() {
-  if (process.platform !== 'darwin') {
-    return { available: false };
-  }
-
-  try {
-    const { stdout } = await execFileAsync('pmset', ['-g', 'batt']);
-    const percentMatch = stdout.match(/(\d+)%/);
-    const chargingMatch = stdout.match(/;\s*(charging|discharging|charged);/i);
-
-    return {
-      available: true,
-      percent: percentMatch ? Number.parseInt(percentMatch[1], 10) : null,
-      state: chargingMatch ? chargingMatch[1].toLowerCase() : 'unknown'
-    };
-  } catch {
-    return { available: false };
-  }
-}
-
-async function readCpuTempC() {
-  if (process.platform !== 'darwin') {
-    return null;
-  }
-
-  try {
-    const { stdout } = await execFileAsync('osx-cpu-temp', []);
-    const match = stdout.match(/(-?\d+(?:\.\d+)?)\s*°?C/i);
-    if (!match) {
-      return null;
-    }
-    return Number.parseFloat(match[1]);
-  } catch {
-    return null;
-  }
-}
-
 export async function getServerStatsHandler(_req, res) {
   try {
     const [battery, cpuTempC] = await Promise.all([
@@ -88,6 +49,7 @@ export async function getServerStatsHandler(_req, res) {
       stats: {
         cpuUsagePercent: readCpuUsagePercent(),
         cpuTempC,
+        loadPerCore: readLoadPerCore(),
         battery,
         memory: {
           totalBytes: os.totalmem(),
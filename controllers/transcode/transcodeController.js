@@ -1,721 +1,357 @@
-import path from "path";
-import fs from "fs/promises";
-import { getFfmpegCommand } from "../../services/options/optionsService.js";
 import {
-  normalizePauseBatteryPct,
-  normalizeStartBatteryPct,
-  readBatteryInfo,
-} from "../../services/transcode/transcodeBattery.js";
-import { createTranscodeStreamState } from "../../services/transcode/transcodeStreamState.js";
+  getProcessNiceness,
+  setProcessNiceness,
+} from "../../services/system/processPriority.js";
 import {
-  makeRunLogPath,
-  writePerFileTranscodeLog,
-  writeTranscodeRunLog,
-} from "../../services/transcode/transcodeLogging.js";
+  normalizeOutputContainer,
+  normalizeTranscodeConcurrency,
+  normalizeVideoFilterOptions,
+  normalizeVideoQualityOptions,
+} from "../../services/transcode/transcodePolicy.js";
+import { normalizeHdrOptions } from "../../services/transcode/transcodeHdr.js";
+import { normalizeStreamCopyOptions } from "../../services/transcode/transcodeStreamCopy.js";
+import { normalizeSubtitleOptions } from "../../services/transcode/transcodeSubtitles.js";
+import { prepareTranscodeJob } from "../../services/transcode/transcodeRequest.js";
 import {
-  runFfprobeAudioBitrateKbps,
-  buildFailLogPathFromOutput,
-  buildLogPathFromOutput,
-  buildOutputPath,
-  runFfprobeVideoBitrateKbps,
-  runFfprobeDuration,
-} from "../../services/transcode/transcodeUtils.js";
+  getTranscodeHistoryRecords,
+  groupTranscodeHistory,
+  listTranscodeHistory,
+  summarizeTranscodeHistory,
+} from "../../services/transcode/transcodeHistory.js";
+import { estimateTranscode } from "../../services/transcode/transcodeEstimate.js";
+import { applyPresetToRequest } from "../../services/presets/presetService.js";
+import { tagEventPayload } from "../../services/transcode/transcodeStreamState.js";
 import {
-  buildFfmpegArgs,
-  resolveEffectiveBitrateKbps,
-  resolveTranscodeLocation,
-} from "../../services/transcode/transcodePolicy.js";
+  getQuarantineSettings,
+  listQuarantine,
+  purgeExpiredQuarantine,
+  purgeQuarantined,
+  restoreQuarantined,
+  updateQuarantineSettings,
+} from "../../services/transcode/transcodeQuarantine.js";
 import {
-  accumulateTranscodeSavings,
-  attachSizeStats,
-  getTranscodeSavingsSummary,
-} from "../../services/transcode/transcodeResults.js";
-import { createTranscodeProcessState } from "../../services/transcode/transcodeProcessState.js";
-import { buildOverallProgressSnapshot } from "../../services/transcode/transcodeProgress.js";
-import { verifyTranscodeOutput } from "../../services/transcode/transcodeVerification.js";
-import { runFfmpegTranscodeProcess } from "../../services/transcode/transcodeRunner.js";
-const transcodeStreamState = createTranscodeStreamState();
-const transcodeProcessState = createTranscodeProcessState();
+  getTranscodeScheduleState,
+  updateTranscodeSchedule,
+} from "../../services/transcode/transcodeSchedule.js";
+import {
+  cancelQueuedTranscodeJobs,
+  cancelTranscodeFile,
+  cancelTranscodeJob,
+  enqueueTranscodeJob,
+  getActiveTranscodeJobId,
+  getScheduleHoldState,
+  getTranscodeJob,
+  hasQueuedTranscodeJobs,
+  listTranscodeJobs,
+  transcodeProcessState,
+  transcodeStreamState,
+  waitForTranscodeJob,
+} from "../../services/transcode/transcodeQueue.js";
 
 function getTranscodeLiveState() {
   return {
     ...transcodeStreamState.getLiveState(transcodeProcessState.isInProgress()),
     paused:
       transcodeProcessState.isInProgress() && transcodeProcessState.isPaused(),
+    activeJobId: getActiveTranscodeJobId(),
+    processes: transcodeProcessState.listProcesses().map((child) => ({
+      ...child,
+      niceness: child.pid ? getProcessNiceness(child.pid) : null,
+    })),
   };
 }
 
-function resetTranscodeLiveSnapshots() {
-  transcodeStreamState.resetAllSnapshots();
-}
-
 function broadcastTranscodeEvent(event, payload) {
-  transcodeStreamState.broadcastEvent(event, payload);
-}
-
-function emitTranscodeFileEvent(event, payload) {
-  transcodeStreamState.emitFileEvent(event, payload);
+  transcodeStreamState.broadcastEvent(
+    event,
+    tagEventPayload(event, payload, getActiveTranscodeJobId()),
+  );
 }
 
 const transcode = async (req, res) => {
-  const {
-    files,
-    videoCodec,
-    audioCodec,
-    audioBitrate,
-    videoBitrate,
-    audioChannels,
-    deleteOriginal,
-    transcodeLocation,
-    pauseBatteryPct,
-    startBatteryPct,
-    saveTranscodeLog,
-    capBitrateToSource,
-  } = req.body;
-  if (!Array.isArray(files) || !files.length) {
-    return res.status(400).json({ ok: false, error: "No files provided." });
+  let request;
+  try {
+    request = await prepareTranscodeJob(await applyPresetToRequest(req.body));
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
   }
 
-  const shouldCapBitrateToSource =
-    capBitrateToSource !== false && capBitrateToSource !== "false";
-
-  let pauseBatteryThreshold = null;
-  let startBatteryThreshold = null;
+  let job;
   try {
-    pauseBatteryThreshold = normalizePauseBatteryPct(pauseBatteryPct);
-    startBatteryThreshold = normalizeStartBatteryPct(startBatteryPct);
+    job = await enqueueTranscodeJob(request);
   } catch (error) {
-    return res.status(400).json({ ok: false, error: error.message });
+    return res.status(500).json({ ok: false, error: error.message });
   }
 
-  if (
-    Number.isFinite(startBatteryThreshold) &&
-    Number.isFinite(pauseBatteryThreshold) &&
-    startBatteryThreshold <= pauseBatteryThreshold
-  ) {
-    return res.status(400).json({
-      ok: false,
-      error:
-        "Start battery percent must be greater than pause battery percent.",
-    });
+  // Legacy callers can still hold the request open until the job finishes.
+  const { wait } = req.body || {};
+  if (wait === true || wait === "true") {
+    const outcome = await waitForTranscodeJob(job.id);
+    return res
+      .status(outcome.statusCode)
+      .json({ ...outcome.body, jobId: job.id });
   }
 
-  let safeTranscodeLocation = null;
+  return res.status(202).json({
+    ok: true,
+    jobId: job.id,
+    status: job.status,
+    message: `Queued ${request.files.length} file(s) for transcode.`,
+  });
+};
+
+// Takes the same body as a transcode request and projects its outcome
+// without queueing anything.
+const transcodeEstimate = async (req, res) => {
+  let body;
+  let options;
   try {
-    safeTranscodeLocation = resolveTranscodeLocation(transcodeLocation);
-    if (safeTranscodeLocation) {
-      await fs.mkdir(safeTranscodeLocation, { recursive: true });
-    }
+    body = await applyPresetToRequest(req.body);
+    options = {
+      videoCodec: body.videoCodec,
+      videoBitrate: body.videoBitrate,
+      audioCodec: body.audioCodec,
+      audioBitrate: body.audioBitrate,
+      audioChannels: body.audioChannels,
+      capBitrateToSource:
+        body.capBitrateToSource !== false &&
+        body.capBitrateToSource !== "false",
+      concurrency: normalizeTranscodeConcurrency(body.concurrency),
+      ...normalizeVideoQualityOptions(body),
+      ...normalizeVideoFilterOptions(body),
+      ...normalizeSubtitleOptions(body),
+      ...normalizeHdrOptions(body),
+      ...normalizeStreamCopyOptions(body),
+      ...normalizeOutputContainer(body),
+    };
   } catch (error) {
     return res.status(400).json({ ok: false, error: error.message });
   }
+  if (!Array.isArray(body.files) || !body.files.length) {
+    return res.status(400).json({ ok: false, error: "No files provided." });
+  }
 
-  transcodeProcessState.startRun();
-  resetTranscodeLiveSnapshots();
-  broadcastTranscodeEvent(
-    "status",
-    `Transcode started for ${files.length} file(s).`,
-  );
+  try {
+    const estimate = await estimateTranscode(
+      body.files,
+      options,
+      await getTranscodeHistoryRecords(),
+    );
+    return res.json({ ok: true, ...estimate });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: error.message });
+  }
+};
 
-  const runStartedAtMs = Date.now();
-  const runLogPath = makeRunLogPath(runStartedAtMs);
-
-  const fileDiagnostics = await Promise.all(
-    files.map(async (filePath) => {
-      const resolved = path.resolve(String(filePath || ""));
-      try {
-        const stat = await fs.stat(resolved);
-        return {
-          file: resolved,
-          exists: stat.isFile(),
-          sizeBytes: stat.size,
-          mtime: stat.mtime?.toISOString?.() || null,
-        };
-      } catch (error) {
-        return {
-          file: resolved,
-          exists: false,
-          error: error.message,
-        };
-      }
-    }),
-  );
+const transcodeJobs = async (req, res) => {
+  const limit = Number.parseInt(req.query.limit, 10);
+  try {
+    const jobs = await listTranscodeJobs({
+      status: req.query.status ? String(req.query.status) : null,
+      limit: Number.isFinite(limit) ? limit : null,
+    });
+    res.json({ ok: true, jobs });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+};
 
-  const queuedDurations = await Promise.all(
-    files.map(async (filePath) => {
-      const duration = await runFfprobeDuration(filePath).catch(() => null);
-      return Number.isFinite(duration) && duration > 0 ? duration : null;
-    }),
-  );
+const transcodeJob = async (req, res) => {
+  let job;
+  try {
+    job = await getTranscodeJob(req.params.id);
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: error.message });
+  }
+  if (!job) {
+    return res
+      .status(404)
+      .json({ ok: false, error: "Transcode job not found." });
+  }
+  return res.json({ ok: true, job });
+};
 
-  broadcastTranscodeEvent(
-    "queue",
-    JSON.stringify({
-      totalFiles: files.length,
-      files: files.map((filePath, index) => ({
-        file: filePath,
-        durationSeconds: queuedDurations[index],
-      })),
-    }),
-  );
+const transcodeJobCancel = async (req, res) => {
+  let cancellation;
+  try {
+    cancellation = await cancelTranscodeJob(req.params.id);
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: error.message });
+  }
+  if (!cancellation) {
+    return res
+      .status(404)
+      .json({ ok: false, error: "Transcode job not found." });
+  }
+  if (!cancellation.cancelled) {
+    return res.status(409).json({
+      ok: false,
+      error: `Transcode job already ${cancellation.job.status}.`,
+      job: cancellation.job,
+    });
+  }
+  return res.json({
+    ok: true,
+    message: "Transcode job cancellation requested.",
+    job: cancellation.job,
+  });
+};
 
-  const results = [];
-  const fileAttempts = [];
-  let completedFiles = 0;
-  const transcodeStartedAtMs = Date.now();
-
-  const emitOverallProgress = ({
-    currentFileIndex = null,
-    currentProcessedSeconds = 0,
-    currentDurationSeconds = null,
-  } = {}) => {
-    const snapshot = buildOverallProgressSnapshot({
-      queuedDurations,
-      completedFiles,
-      totalFiles: files.length,
-      transcodeStartedAtMs,
-      currentFileIndex,
-      currentProcessedSeconds,
-      currentDurationSeconds,
+const quarantineList = async (_req, res) => {
+  try {
+    res.json({
+      ok: true,
+      settings: await getQuarantineSettings(),
+      entries: await listQuarantine(),
     });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+};
 
-    broadcastTranscodeEvent(
-      "overall",
-      JSON.stringify(snapshot),
-    );
-  };
+const quarantineSettingsUpdate = async (req, res) => {
+  try {
+    const settings = await updateQuarantineSettings(req.body || {});
+    return res.json({ ok: true, settings });
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
+};
 
-  emitOverallProgress();
-
-  for (let fileIndex = 0; fileIndex < files.length; fileIndex += 1) {
-    const file = files[fileIndex];
-    let workingInput = file;
-    let workingOutput;
-    let verificationInput = file;
-    let verificationOutput;
-    let tempInput = null;
-    let tempOutput = null;
-    let ffmpegStdout = "";
-    let ffmpegStderr = "";
-    let ffmpegCommand = "";
-    let finalOutputPath = null;
-    let perFileLogPath = null;
-    let sourceDurationSeconds = null;
-    try {
-      if (transcodeProcessState.isCancelRequested()) {
-        broadcastTranscodeEvent(
-          "status",
-          "Cancellation requested. Stopping remaining transcode queue.",
-        );
-        break;
-      }
-
-      if (Number.isFinite(startBatteryThreshold)) {
-        const battery = await readBatteryInfo();
-        if (!battery.available || !Number.isFinite(battery.percent)) {
-          const errorText = `Cannot verify battery for start threshold ${startBatteryThreshold}%.`;
-          results.push({
-            file,
-            output: null,
-            ok: false,
-            error: errorText,
-            logPath: null,
-          });
-          broadcastTranscodeEvent(
-            "status",
-            `Skipped: ${path.basename(file)} (${errorText})`,
-          );
-          completedFiles += 1;
-          emitOverallProgress({ currentFileIndex: fileIndex });
-          continue;
-        }
-        if (battery.percent <= startBatteryThreshold) {
-          const errorText = `Battery ${battery.percent}% is not above start threshold ${startBatteryThreshold}%.`;
-          results.push({
-            file,
-            output: null,
-            ok: false,
-            error: errorText,
-            logPath: null,
-          });
-          broadcastTranscodeEvent(
-            "status",
-            `Skipped: ${path.basename(file)} (${errorText})`,
-          );
-          completedFiles += 1;
-          emitOverallProgress({ currentFileIndex: fileIndex });
-          continue;
-        }
-      }
-
-      // If transcodeLocation is set, copy file there and transcode in that folder
-      if (safeTranscodeLocation) {
-        const fileName = path.basename(file);
-        tempInput = path.join(safeTranscodeLocation, fileName);
-        await fs.copyFile(file, tempInput);
-        workingInput = tempInput;
-        tempOutput = buildOutputPath(tempInput, { videoCodec, audioCodec });
-        workingOutput = tempOutput;
-        verificationOutput = buildOutputPath(file, { videoCodec, audioCodec });
-      } else {
-        workingOutput = buildOutputPath(file, { videoCodec, audioCodec });
-        verificationOutput = workingOutput;
-      }
-      const requestedVideoBitrateKbps = Number.parseInt(
-        String(videoBitrate || "").trim(),
-        10,
-      );
-      const requestedAudioBitrateKbps = Number.parseInt(
-        String(audioBitrate || "").trim(),
-        10,
-      );
-      const sourceVideoBitrateKbps =
-        shouldCapBitrateToSource &&
-        Number.isFinite(requestedVideoBitrateKbps) &&
-        requestedVideoBitrateKbps > 0
-          ? await runFfprobeVideoBitrateKbps(workingInput).catch(() => null)
-          : null;
-      const sourceAudioBitrateKbps = shouldCapBitrateToSource
-        ? await runFfprobeAudioBitrateKbps(workingInput).catch(() => null)
-        : null;
-      const effectiveVideoBitrate = shouldCapBitrateToSource
-        ? resolveEffectiveBitrateKbps(videoBitrate, sourceVideoBitrateKbps)
-        : videoBitrate;
-      const effectiveAudioBitrate = shouldCapBitrateToSource
-        ? Number.isFinite(requestedAudioBitrateKbps) &&
-          requestedAudioBitrateKbps > 0
-          ? resolveEffectiveBitrateKbps(audioBitrate, sourceAudioBitrateKbps)
-          : Number.isFinite(sourceAudioBitrateKbps) &&
-              sourceAudioBitrateKbps > 0
-            ? String(Math.round(sourceAudioBitrateKbps))
-            : audioBitrate
-        : audioBitrate;
-      if (
-        shouldCapBitrateToSource &&
-        Number.isFinite(sourceVideoBitrateKbps) &&
-        requestedVideoBitrateKbps > sourceVideoBitrateKbps
-      ) {
-        broadcastTranscodeEvent(
-          "status",
-          `Capping bitrate for ${path.basename(file)} to source rate ${Math.round(sourceVideoBitrateKbps)}k (requested ${videoBitrate}k).`,
-        );
-      }
-      if (
-        shouldCapBitrateToSource &&
-        Number.isFinite(sourceAudioBitrateKbps) &&
-        requestedAudioBitrateKbps > sourceAudioBitrateKbps
-      ) {
-        broadcastTranscodeEvent(
-          "status",
-          `Capping audio bitrate for ${path.basename(file)} to source rate ${Math.round(sourceAudioBitrateKbps)}k (requested ${audioBitrate}k).`,
-        );
-      }
-      if (
-        shouldCapBitrateToSource &&
-        (!Number.isFinite(requestedAudioBitrateKbps) ||
-          requestedAudioBitrateKbps <= 0) &&
-        Number.isFinite(sourceAudioBitrateKbps) &&
-        sourceAudioBitrateKbps > 0
-      ) {
-        broadcastTranscodeEvent(
-          "status",
-          `Using source audio bitrate ${Math.round(sourceAudioBitrateKbps)}k for ${path.basename(file)} to avoid upscaling.`,
-        );
-      }
-      const args = buildFfmpegArgs(workingInput, workingOutput, {
-        videoCodec,
-        audioCodec,
-        videoBitrate: effectiveVideoBitrate,
-        audioBitrate: effectiveAudioBitrate,
-        audioChannels,
-      });
-      sourceDurationSeconds = await runFfprobeDuration(workingInput).catch(
-        () => null,
-      );
-      const ffmpegCommandPath = getFfmpegCommand();
-      const commandText = `${ffmpegCommandPath} ${args.map((a) => (typeof a === "string" ? a : JSON.stringify(a))).join(" ")}`;
-      ffmpegCommand = commandText;
-      broadcastTranscodeEvent("status", `Processing: ${file}`);
-      emitTranscodeFileEvent("file-start", {
-        file,
-        fileIndex,
-        totalFiles: files.length,
-      });
-      broadcastTranscodeEvent("log", commandText);
-      broadcastTranscodeEvent(
-        "progress",
-        JSON.stringify({
-          file,
-          totalDurationSeconds: sourceDurationSeconds,
-          processedSeconds: 0,
-          percent: 0,
-          etaSeconds: null,
-          elapsedSeconds: 0,
-          speed: null,
-        }),
-      );
-      emitOverallProgress({
-        currentFileIndex: fileIndex,
-        currentProcessedSeconds: 0,
-        currentDurationSeconds: sourceDurationSeconds,
-      });
-      const runResult = await runFfmpegTranscodeProcess({
-        args,
-        file,
-        fileIndex,
-        sourceDurationSeconds,
-        pauseBatteryThreshold,
-        transcodeProcessState,
-        broadcastTranscodeEvent,
-        emitOverallProgress,
-      });
-      ffmpegStdout = runResult.ffmpegStdout;
-      ffmpegStderr = runResult.ffmpegStderr;
-      // If transcodeLocation, copy result back to original folder
-      if (safeTranscodeLocation && tempOutput) {
-        const origOutput = buildOutputPath(file, { videoCodec, audioCodec });
-        await fs.copyFile(tempOutput, origOutput);
-        finalOutputPath = origOutput;
-        await verifyTranscodeOutput(verificationInput, origOutput);
-        // Clean up temp files
-        await fs.unlink(tempInput);
-        await fs.unlink(tempOutput);
-        if (deleteOriginal) {
-          try {
-            // console.log(`Deleting original file: ${file}`);
-            await fs.unlink(file);
-          } catch (delErr) {
-            results.push({
-              file,
-              output: origOutput,
-              ok: true,
-              warning: `Transcoded, but failed to delete original: ${delErr.message}`,
-              logPath: perFileLogPath,
-            });
-            emitTranscodeFileEvent("file-complete", {
-              file,
-              output: origOutput,
-              ok: true,
-              deletedOriginal: false,
-              warning: `Transcoded, but failed to delete original: ${delErr.message}`,
-              logPath: perFileLogPath,
-            });
-            continue;
-          }
-        }
-        results.push({
-          file,
-          output: origOutput,
-          ok: true,
-          logPath: perFileLogPath,
-        });
-        emitTranscodeFileEvent("file-complete", {
-          file,
-          output: origOutput,
-          ok: true,
-          deletedOriginal: deleteOriginal === true,
-          logPath: perFileLogPath,
-        });
-      } else {
-        finalOutputPath = verificationOutput;
-        await verifyTranscodeOutput(verificationInput, verificationOutput);
-        // No transcodeLocation, just handle output in place
-        if (deleteOriginal) {
-          try {
-            //   console.log(`Deleting original file: ${file}`);
-            await fs.unlink(file);
-          } catch (delErr) {
-            results.push({
-              file,
-              output: workingOutput,
-              ok: true,
-              warning: `Transcoded, but failed to delete original: ${delErr.message}`,
-              logPath: perFileLogPath,
-            });
-            emitTranscodeFileEvent("file-complete", {
-              file,
-              output: workingOutput,
-              ok: true,
-              deletedOriginal: false,
-              warning: `Transcoded, but failed to delete original: ${delErr.message}`,
-              logPath: perFileLogPath,
-            });
-            continue;
-          }
-        }
-        results.push({
-          file,
-          output: workingOutput,
-          ok: true,
-          logPath: perFileLogPath,
-        });
-        emitTranscodeFileEvent("file-complete", {
-          file,
-          output: workingOutput,
-          ok: true,
-          deletedOriginal: deleteOriginal === true,
-          logPath: perFileLogPath,
-        });
-      }
-
-      if (saveTranscodeLog === true || saveTranscodeLog === "true") {
-        const targetLogPath = buildLogPathFromOutput(
-          finalOutputPath || buildOutputPath(file, { videoCodec, audioCodec }),
-        );
-        perFileLogPath = targetLogPath;
-        await writePerFileTranscodeLog({
-          logPath: targetLogPath,
-          sourcePath: file,
-          outputPath: finalOutputPath,
-          ffmpegCommand,
-          ffmpegStdout,
-          ffmpegStderr,
-          status: "success",
-        });
-        for (let i = results.length - 1; i >= 0; i -= 1) {
-          if (results[i].file === file && !results[i].logPath) {
-            results[i].logPath = perFileLogPath;
-            break;
-          }
-        }
-      }
-
-      if (Number.isFinite(sourceDurationSeconds) && sourceDurationSeconds > 0) {
-        broadcastTranscodeEvent(
-          "progress",
-          JSON.stringify({
-            file,
-            totalDurationSeconds: sourceDurationSeconds,
-            processedSeconds: sourceDurationSeconds,
-            percent: 100,
-            etaSeconds: 0,
-            elapsedSeconds: null,
-            speed: null,
-          }),
-        );
-      }
-      completedFiles += 1;
-      emitOverallProgress({ currentFileIndex: fileIndex });
-
-      fileAttempts.push({
-        file,
-        status: "success",
-        ffmpegCommand,
-        ffmpegStdout,
-        ffmpegStderr,
-        outputPath: finalOutputPath || workingOutput || null,
-        perFileLogPath,
-      });
-    } catch (err) {
-      if (err?.isCancelled || transcodeProcessState.isCancelRequested()) {
-        const cancelMessage = "Transcode cancelled by user.";
-        results.push({
-          file,
-          output: workingOutput,
-          ok: false,
-          error: cancelMessage,
-          logPath: perFileLogPath,
-        });
-        emitTranscodeFileEvent("file-failed", {
-          file,
-          output: workingOutput || null,
-          ok: false,
-          error: cancelMessage,
-          logPath: perFileLogPath,
-        });
-        broadcastTranscodeEvent(
-          "status",
-          "Cancellation requested. Stopping remaining transcode queue.",
-        );
-
-        completedFiles += 1;
-        emitOverallProgress({ currentFileIndex: fileIndex });
-
-        fileAttempts.push({
-          file,
-          status: "cancelled",
-          error: cancelMessage,
-          ffmpegCommand,
-          ffmpegStdout,
-          ffmpegStderr,
-          outputPath: finalOutputPath || workingOutput || null,
-          perFileLogPath,
-        });
-        break;
-      }
-
-      results.push({
-        file,
-        output: workingOutput,
-        ok: false,
-        error: err.message,
-        logPath: perFileLogPath,
-      });
-      emitTranscodeFileEvent("file-failed", {
-        file,
-        output: workingOutput || null,
-        ok: false,
-        error: err.message,
-        logPath: perFileLogPath,
-      });
-      broadcastTranscodeEvent("log", `ERROR ${file}: ${err.message}`);
-
-      const fallbackOutput =
-        finalOutputPath ||
-        workingOutput ||
-        buildOutputPath(file, { videoCodec, audioCodec });
-      const targetFailLogPath = buildFailLogPathFromOutput(fallbackOutput);
-      perFileLogPath = targetFailLogPath;
-      try {
-        await writePerFileTranscodeLog({
-          logPath: targetFailLogPath,
-          sourcePath: file,
-          outputPath: finalOutputPath,
-          ffmpegCommand,
-          ffmpegStdout,
-          ffmpegStderr,
-          status: "failed",
-          errorMessage: err.message,
-        });
-        for (let i = results.length - 1; i >= 0; i -= 1) {
-          if (results[i].file === file) {
-            results[i].logPath = perFileLogPath;
-            break;
-          }
-        }
-      } catch (logError) {
-        broadcastTranscodeEvent(
-          "log",
-          `ERROR writing fail log for ${file}: ${logError.message || "unknown error"}`,
-        );
-      }
-
-      // Clean up temp files if error
-      if (tempInput) {
-        try {
-          await fs.unlink(tempInput);
-        } catch {}
-      }
-      if (tempOutput) {
-        try {
-          await fs.unlink(tempOutput);
-        } catch {}
-      }
-      completedFiles += 1;
-      emitOverallProgress({ currentFileIndex: fileIndex });
-
-      fileAttempts.push({
-        file,
-        status: "failed",
-        error: err.message,
-        ffmpegCommand,
-        ffmpegStdout,
-        ffmpegStderr,
-        outputPath: finalOutputPath || workingOutput || null,
-        perFileLogPath,
-      });
+const quarantineRestore = async (req, res) => {
+  const overwrite =
+    req.body?.overwrite === true || req.body?.overwrite === "true";
+  try {
+    const entry = await restoreQuarantined(req.params.id, { overwrite });
+    if (!entry) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Quarantined file not found." });
     }
+    return res.json({ ok: true, entry });
+  } catch (error) {
+    return res
+      .status(error.code === "EEXIST" ? 409 : 500)
+      .json({ ok: false, error: error.message });
   }
+};
 
-  emitOverallProgress({
-    currentFileIndex: null,
-    currentProcessedSeconds: 0,
-    currentDurationSeconds: null,
-  });
+const quarantinePurge = async (req, res) => {
+  try {
+    const entry = await purgeQuarantined(req.params.id);
+    if (!entry) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Quarantined file not found." });
+    }
+    return res.json({ ok: true, entry });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: error.message });
+  }
+};
 
-  const enrichedResults = await attachSizeStats(results);
-  accumulateTranscodeSavings(enrichedResults);
-  const savingsSummary = getTranscodeSavingsSummary();
-
-  await writeTranscodeRunLog({
-    logPath: runLogPath,
-    startedAtMs: runStartedAtMs,
-    requestPayload: {
-      files,
-      videoCodec,
-      audioCodec,
-      audioBitrate,
-      videoBitrate,
-      audioChannels,
-      deleteOriginal,
-      transcodeLocation: safeTranscodeLocation,
-      pauseBatteryPct,
-      startBatteryPct,
-      saveTranscodeLog,
-      capBitrateToSource: shouldCapBitrateToSource,
-    },
-    queuedDurations,
-    fileDiagnostics,
-    fileAttempts,
-    results: enrichedResults,
-    savingsSummary,
-  }).catch((error) => {
-    broadcastTranscodeEvent(
-      "log",
-      `ERROR writing transcode run log: ${error.message}`,
-    );
-  });
+// Purges expired entries, or everything with { all: true }.
+const quarantinePurgeExpired = async (req, res) => {
+  const all = req.body?.all === true || req.body?.all === "true";
+  try {
+    const purged = await purgeExpiredQuarantine({ all });
+    return res.json({ ok: true, purged: purged.length });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: error.message });
+  }
+};
 
-  transcodeProcessState.finishRun();
-  transcodeStreamState.clearProgressSnapshots();
+function readHistoryFilters(query = {}) {
+  return {
+    from: query.from ? String(query.from) : "",
+    to: query.to ? String(query.to) : "",
+    folder: query.folder ? String(query.folder) : "",
+  };
+}
 
-  if (fileAttempts.some((attempt) => attempt.status === "cancelled")) {
-    broadcastTranscodeEvent("done", "Transcode cancelled.");
-    return res.json({
-      ok: true,
-      cancelled: true,
-      message: `Transcode cancelled. Completed ${completedFiles} of ${files.length} file(s).`,
-      results: enrichedResults,
-      summary: savingsSummary,
-      runLogPath,
-    });
+// Totals over the whole savings history, or the from/to/folder slice of it.
+const transcodeSummary = async (req, res) => {
+  try {
+    const summary = await summarizeTranscodeHistory(
+      readHistoryFilters(req.query),
+    );
+    return res.json({ ok: true, summary });
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
   }
+};
 
-  const failed = enrichedResults.filter((r) => !r.ok);
-  if (failed.length) {
-    broadcastTranscodeEvent("done", "Transcode finished with errors.");
-    const failedFiles = failed.map((item) => item.file);
-    const uniqueReasons = Array.from(
-      new Set(
-        failed
-          .map((item) =>
-            typeof item.error === "string" ? item.error.trim() : "",
-          )
-          .filter(Boolean),
-      ),
-    );
+const transcodeHistory = async (req, res) => {
+  const limit = Number.parseInt(req.query.limit, 10);
+  const offset = Number.parseInt(req.query.offset, 10);
+  try {
+    const history = await listTranscodeHistory({
+      ...readHistoryFilters(req.query),
+      limit: Number.isFinite(limit) ? limit : 100,
+      offset: Number.isFinite(offset) ? offset : 0,
+    });
+    return res.json({ ok: true, ...history });
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
+};
 
-    const reasonPreview = uniqueReasons.slice(0, 3).join(" | ");
-    const errorMessage = uniqueReasons.length
-      ? `Transcode failed: ${reasonPreview}${uniqueReasons.length > 3 ? " | ..." : ""}`
-      : `Some files failed: ${failedFiles.join(", ")}`;
+const transcodeHistoryTotals = async (req, res) => {
+  const groupBy = String(req.query.groupBy || "day");
+  try {
+    const filters = readHistoryFilters(req.query);
+    const [groups, summary] = await Promise.all([
+      groupTranscodeHistory(groupBy, filters),
+      summarizeTranscodeHistory(filters),
+    ]);
+    return res.json({ ok: true, groupBy, groups, summary });
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
+};
 
-    return res.status(500).json({
-      ok: false,
-      error: errorMessage,
-      failedFiles,
-      failedReasons: uniqueReasons,
-      results: enrichedResults,
-      summary: savingsSummary,
-      runLogPath,
+const transcodeState = async (_req, res) => {
+  try {
+    res.json({
+      ok: true,
+      state: {
+        ...getTranscodeLiveState(),
+        schedule: {
+          ...(await getTranscodeScheduleState()),
+          ...getScheduleHoldState(),
+        },
+      },
     });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
   }
-  broadcastTranscodeEvent("done", "Transcode finished successfully.");
-  res.json({
-    ok: true,
-    message: `Transcoded ${enrichedResults.length} file(s).`,
-    results: enrichedResults,
-    summary: savingsSummary,
-    runLogPath,
-  });
 };
 
-const transcodeSummary = (_req, res) => {
-  res.json({ ok: true, summary: getTranscodeSavingsSummary() });
+const transcodeSchedule = async (_req, res) => {
+  try {
+    res.json({
+      ok: true,
+      schedule: {
+        ...(await getTranscodeScheduleState()),
+        ...getScheduleHoldState(),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
 };
 
-const transcodeState = (_req, res) => {
-  res.json({ ok: true, state: getTranscodeLiveState() });
+// A running job picks up the new schedule within a few seconds.
+const transcodeScheduleUpdate = async (req, res) => {
+  try {
+    const schedule = await updateTranscodeSchedule(req.body || {});
+    return res.json({
+      ok: true,
+      schedule: { ...schedule, ...getScheduleHoldState() },
+    });
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
 };
 
 // SSE endpoint for streaming ffmpeg output
@@ -740,38 +376,84 @@ const transcodeStream = (req, res) => {
   });
 };
 
-// Cancel endpoint: kill ffmpeg process
-export const transcodeCancel = (req, res) => {
-  if (!transcodeProcessState.isInProgress()) {
+function readFileParam(req) {
+  const file = req.body?.file;
+  return typeof file === "string" && file.trim() ? file.trim() : null;
+}
+
+// Cancel endpoint: kill ffmpeg process(es), or a single file when body.file is set
+export const transcodeCancel = async (req, res) => {
+  const file = readFileParam(req);
+  if (file) {
+    let cancellation;
+    try {
+      cancellation = await cancelTranscodeFile(file);
+    } catch (error) {
+      return res.status(500).json({ ok: false, error: error.message });
+    }
+    if (!cancellation.cancelled) {
+      return res.status(400).json({
+        ok: false,
+        error: `No pending or running transcode for ${file}.`,
+      });
+    }
+    if (cancellation.running) {
+      console.log(`Transcode of ${file} cancelled by user.`);
+    }
+    return res.json({
+      ok: true,
+      message: cancellation.running
+        ? "File transcode cancellation requested."
+        : "File removed from the transcode queue.",
+    });
+  }
+
+  if (!transcodeProcessState.isInProgress() && !hasQueuedTranscodeJobs()) {
     return res
       .status(400)
       .json({ ok: false, error: "No transcode in progress." });
   }
 
+  try {
+    await cancelQueuedTranscodeJobs();
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: error.message });
+  }
+  if (!transcodeProcessState.isInProgress()) {
+    return res.json({ ok: true, message: "Queued transcodes cancelled." });
+  }
+
   transcodeProcessState.requestCancel();
   broadcastTranscodeEvent(
     "status",
     "Cancellation requested. Current and queued transcodes will stop.",
   );
 
-  if (transcodeProcessState.terminateCurrentProcess()) {
+  if (transcodeProcessState.terminateProcesses()) {
     console.log("Transcode cancelled by user.");
     return res.json({ ok: true, message: "Transcode cancellation requested." });
   }
   return res.json({ ok: true, message: "Transcode cancellation requested." });
 };
 
-export const transcodePause = (_req, res) => {
+export const transcodePause = (req, res) => {
+  const file = readFileParam(req);
   if (
     !transcodeProcessState.isInProgress() ||
-    !transcodeProcessState.hasControllableProcess()
+    !transcodeProcessState.hasControllableProcess(file)
   ) {
     return res
       .status(400)
       .json({ ok: false, error: "No transcode in progress." });
   }
 
-  if (transcodeProcessState.isPaused()) {
+  // A file stopped by the battery, throttle or schedule still gets the
+  // user's hold, so it stays paused when that reason clears.
+  const alreadyPausedByUser = transcodeProcessState
+    .listProcesses()
+    .filter((child) => !file || child.file === file)
+    .every((child) => child.pausedBy.includes("user"));
+  if (alreadyPausedByUser) {
     return res.json({
       ok: true,
       paused: true,
@@ -780,9 +462,18 @@ export const transcodePause = (_req, res) => {
   }
 
   try {
-    transcodeProcessState.pauseCurrentProcess();
-    broadcastTranscodeEvent("status", "Paused: manually paused by user.");
-    return res.json({ ok: true, paused: true, message: "Transcode paused." });
+    transcodeProcessState.pauseProcesses(file);
+    broadcastTranscodeEvent(
+      "status",
+      file
+        ? `Paused: ${file} manually paused by user.`
+        : "Paused: manually paused by user.",
+    );
+    return res.json({
+      ok: true,
+      paused: transcodeProcessState.isPaused(),
+      message: file ? "File transcode paused." : "Transcode paused.",
+    });
   } catch (error) {
     return res.status(500).json({
       ok: false,
@@ -791,17 +482,21 @@ export const transcodePause = (_req, res) => {
   }
 };
 
-export const transcodeResume = (_req, res) => {
+export const transcodeResume = (req, res) => {
+  const file = readFileParam(req);
   if (
     !transcodeProcessState.isInProgress() ||
-    !transcodeProcessState.hasControllableProcess()
+    !transcodeProcessState.hasControllableProcess(file)
   ) {
     return res
       .status(400)
       .json({ ok: false, error: "No transcode in progress." });
   }
 
-  if (!transcodeProcessState.isPaused()) {
+  const anyPaused = file
+    ? transcodeProcessState.isPaused(file)
+    : transcodeProcessState.listProcesses().some((child) => child.paused);
+  if (!anyPaused) {
     return res.json({
       ok: true,
       paused: false,
@@ -810,9 +505,18 @@ export const transcodeResume = (_req, res) => {
   }
 
   try {
-    transcodeProcessState.resumeCurrentProcess();
-    broadcastTranscodeEvent("status", "Resumed: manually resumed by user.");
-    return res.json({ ok: true, paused: false, message: "Transcode resumed." });
+    transcodeProcessState.resumeProcesses(file);
+    broadcastTranscodeEvent(
+      "status",
+      file
+        ? `Resumed: ${file} manually resumed by user.`
+        : "Resumed: manually resumed by user.",
+    );
+    return res.json({
+      ok: true,
+      paused: false,
+      message: file ? "File transcode resumed." : "Transcode resumed.",
+    });
   } catch (error) {
     return res.status(500).json({
       ok: false,
@@ -821,12 +525,83 @@ export const transcodeResume = (_req, res) => {
   }
 };
 
+// Changes the niceness of running ffmpeg processes, or of one file's process
+// when body.file is set. Lowering priority always works; raising it back
+// below the current level usually needs root.
+export const transcodePriority = (req, res) => {
+  const file = readFileParam(req);
+  const niceLevel = Number.parseInt(String(req.body?.niceLevel ?? ""), 10);
+  if (!Number.isInteger(niceLevel) || niceLevel < -20 || niceLevel > 19) {
+    return res
+      .status(400)
+      .json({ ok: false, error: "Nice level must be between -20 and 19." });
+  }
+
+  const targets = transcodeProcessState
+    .listProcesses()
+    .filter((child) => child.pid && (!file || child.file === file));
+  if (!transcodeProcessState.isInProgress() || !targets.length) {
+    return res.status(400).json({
+      ok: false,
+      error: file
+        ? `No running transcode for ${file}.`
+        : "No transcode in progress.",
+    });
+  }
+
+  try {
+    for (const child of targets) {
+      setProcessNiceness(child.pid, niceLevel);
+    }
+  } catch (error) {
+    // os.setPriority reports the errno under error.info.
+    const code = error?.info?.code || error?.code;
+    const denied = code === "EACCES" || code === "EPERM";
+    return res.status(denied ? 400 : 500).json({
+      ok: false,
+      error: denied
+        ? `Not allowed to set niceness ${niceLevel}; raising ffmpeg priority needs root.`
+        : error?.message || "Failed to change transcode priority.",
+    });
+  }
+
+  broadcastTranscodeEvent(
+    "status",
+    file
+      ? `Priority: ${file} set to niceness ${niceLevel}.`
+      : `Priority: ffmpeg set to niceness ${niceLevel}.`,
+  );
+  return res.json({
+    ok: true,
+    processes: targets.map((child) => ({
+      file: child.file,
+      pid: child.pid,
+      niceness: getProcessNiceness(child.pid),
+    })),
+    message: `Transcode priority set to niceness ${niceLevel}.`,
+  });
+};
+
 export default {
   transcode,
+  transcodeEstimate,
   transcodeStream,
   transcodeCancel,
   transcodePause,
   transcodeResume,
+  transcodePriority,
   transcodeSummary,
+  transcodeHistory,
+  transcodeHistoryTotals,
   transcodeState,
+  transcodeSchedule,
+  transcodeScheduleUpdate,
+  transcodeJobs,
+  transcodeJob,
+  transcodeJobCancel,
+  quarantineList,
+  quarantineSettingsUpdate,
+  quarantineRestore,
+  quarantinePurge,
+  quarantinePurgeExpired,
 };
@@ -0,0 +1,60 @@
+import {
+  createWatchFolder,
+  deleteWatchFolder,
+  getWatchFolder,
+  listWatchFolders,
+  updateWatchFolder
+} from '../../services/watch/watchFolderService.js';
+
+export async function listWatchFoldersHandler(_req, res) {
+  try {
+    res.json({ ok: true, watches: await listWatchFolders() });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+}
+
+export async function getWatchFolderHandler(req, res) {
+  try {
+    const watch = await getWatchFolder(req.params.id);
+    if (!watch) {
+      return res.status(404).json({ ok: false, error: 'Watch folder not found.' });
+    }
+    return res.json({ ok: true, watch });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: error.message });
+  }
+}
+
+export async function createWatchFolderHandler(req, res) {
+  try {
+    const watch = await createWatchFolder(req.body || {});
+    res.status(201).json({ ok: true, watch });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+}
+
+export async function updateWatchFolderHandler(req, res) {
+  try {
+    const watch = await updateWatchFolder(req.params.id, req.body || {});
+    if (!watch) {
+      return res.status(404).json({ ok: false, error: 'Watch folder not found.' });
+    }
+    return res.json({ ok: true, watch });
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
+}
+
+export async function deleteWatchFolderHandler(req, res) {
+  try {
+    const deleted = await deleteWatchFolder(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ ok: false, error: 'Watch folder not found.' });
+    }
+    return res.json({ ok: true });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: error.message });
+  }
+}
@@ -1,4 +1,4 @@
-import { createLogViewerHref } from './utils.js';
+import { createLogViewerHref, escapeHtml, formatDurationClock } from './utils.js';
 import { renderResults, setSelectOptions, getRowState, getStatusLabel } from './ui.js';
 import { loadCodecs, loadDirectories, runAudit } from './audit.js';
 import { fetchJson, fetchJsonOrThrow } from './api.js';
@@ -51,7 +51,11 @@ function saveAuditSettings() {
   const transcodeSettingsCollapse = document.getElementById('transcode-settings-collapse');
   const payload = {
     root: data.get('root') || '',
+    presetId: data.get('presetId') || '',
+    ruleSetId: data.get('ruleSetId') || '',
     transcodeLocation: typeof existing.transcodeLocation === 'string' ? existing.transcodeLocation : '',
+    outputTemplate: typeof existing.outputTemplate === 'string' ? existing.outputTemplate : '',
+    outputRoot: typeof existing.outputRoot === 'string' ? existing.outputRoot : '',
     scanExtensions: typeof existing.scanExtensions === 'string' ? existing.scanExtensions : '',
     videoCodec: data.get('videoCodec') || '',
     videoBitrateOp: data.get('videoBitrateOp') || '=',
@@ -60,11 +64,19 @@ function saveAuditSettings() {
     audioCodec: data.get('audioCodec') || '',
     audioChannelsOp: data.get('audioChannelsOp') || '=',
     audioChannels: data.get('audioChannels') || '',
+    ...Object.fromEntries([...CRITERIA_FORM_FIELDS, ...ENCODER_FORM_FIELDS].map((field) => [field, data.get(field) || ''])),
+    ...Object.fromEntries(CHECKBOX_FORM_FIELDS.map((field) => [field, data.get(field) === 'on'])),
     pauseBatteryPct: typeof existing.pauseBatteryPct === 'string' ? existing.pauseBatteryPct : '',
     startBatteryPct: typeof existing.startBatteryPct === 'string' ? existing.startBatteryPct : '',
+    pauseOnBattery: existing.pauseOnBattery === true,
+    throttleTempC: typeof existing.throttleTempC === 'string' ? existing.throttleTempC : '',
+    throttleLoad: typeof existing.throttleLoad === 'string' ? existing.throttleLoad : '',
+    throttleAction: existing.throttleAction === 'nice' ? 'nice' : 'pause',
     saveTranscodeLog: existing.saveTranscodeLog === true,
     capBitrateToSource: existing.capBitrateToSource !== false,
+    transcodeConcurrency: typeof existing.transcodeConcurrency === 'string' ? existing.transcodeConcurrency : '',
     deleteOriginal: document.getElementById('delete-original')?.checked === true,
+    replaceOriginal: document.getElementById('replace-original')?.checked === true,
     transcodeSettingsExpanded: transcodeSettingsCollapse ? transcodeSettingsCollapse.classList.contains('show') : true
   };
   writeJsonStorage(AUDIT_SETTINGS_KEY, payload);
@@ -86,6 +98,21 @@ function applySavedAuditSettings(settings) {
     videoBitrateInput.value = settings.videoBitrate;
   }
 
+  for (const field of [...CRITERIA_FORM_FIELDS, ...ENCODER_FORM_FIELDS]) {
+    const input = document.getElementById(field);
+    if (input && typeof settings[field] === 'string' && settings[field]) {
+      input.value = settings[field];
+    }
+  }
+  syncVideoQualityInputs();
+
+  for (const field of CHECKBOX_FORM_FIELDS) {
+    const input = document.getElementById(field);
+    if (input) {
+      input.checked = settings[field] === true;
+    }
+  }
+
   const pauseBatteryPctInput = document.getElementById('pause-battery-pct');
   if (pauseBatteryPctInput && typeof settings.pauseBatteryPct === 'string') {
     pauseBatteryPctInput.value = settings.pauseBatteryPct;
@@ -106,6 +133,11 @@ function applySavedAuditSettings(settings) {
     deleteOriginalInput.checked = settings.deleteOriginal !== false;
   }
 
+  const replaceOriginalInput = document.getElementById('replace-original');
+  if (replaceOriginalInput) {
+    replaceOriginalInput.checked = settings.replaceOriginal === true;
+  }
+
   const transcodeSettingsCollapse = document.getElementById('transcode-settings-collapse');
   const transcodeSettingsToggle = document.getElementById('transcode-settings-toggle');
   if (transcodeSettingsCollapse) {
@@ -128,6 +160,8 @@ const rootInput = document.getElementById('root');
 const rootPicker = document.getElementById('root-picker');
 const videoCodecSelect = document.getElementById('videoCodec');
 const audioCodecSelect = document.getElementById('audioCodec');
+const presetSelect = document.getElementById('presetId');
+const ruleSetSelect = document.getElementById('ruleSetId');
 const transcodeBtn = document.getElementById('transcode-btn');
 const selectAllCheckbox = document.getElementById('select-all-checkbox');
 const transcodeSettingsToggle = document.getElementById('transcode-settings-toggle');
@@ -139,7 +173,8 @@ const savedFiles = document.getElementById('saved-files');
 
 let transcodeEventSource = null;
 let transcodeOutputTimeout = null;
-let activeTranscodingFilePath = null;
+const activeTranscodingFilePaths = new Set();
+let activeTranscodeJobId = null;
 let latestScanSourceTotalBytes = null;
 
 const transcodeOutputWrap = document.createElement('div');
@@ -150,6 +185,12 @@ transcodeOutputWrap.innerHTML = `
       <span>Activity Console</span>
       <div class="d-flex align-items-center gap-2">
         <button id="transcode-output-collapse" class="btn btn-sm btn-outline-secondary" type="button" aria-expanded="true">Collapse</button>
+        <select id="transcode-priority-inline" class="form-select form-select-sm w-auto d-none" aria-label="ffmpeg priority" title="Change the niceness of the running ffmpeg processes">
+          <option value="" selected>Priority...</option>
+          <option value="0">Normal (0)</option>
+          <option value="10">Low (10)</option>
+          <option value="19">Lowest (19)</option>
+        </select>
         <button id="transcode-pause-inline" class="btn btn-sm btn-outline-warning d-none" type="button" data-paused="false">Pause</button>
         <button id="transcode-cancel-inline" class="btn btn-sm btn-danger d-none" type="button">Cancel</button>
       </div>
@@ -179,6 +220,7 @@ if (outputPanelAnchor) {
 const transcodeOutput = transcodeOutputWrap.querySelector('#transcode-output');
 const transcodeOutputCollapseButton = transcodeOutputWrap.querySelector('#transcode-output-collapse');
 const inlinePauseBtn = transcodeOutputWrap.querySelector('#transcode-pause-inline');
+const inlinePrioritySelect = transcodeOutputWrap.querySelector('#transcode-priority-inline');
 const transcodeOutputTitle = transcodeOutputWrap.querySelector('.card-header span');
 const inlineCancelBtn = transcodeOutputWrap.querySelector('#transcode-cancel-inline');
 const transcodeOverallWrap = transcodeOutputWrap.querySelector('#transcode-overall-wrap');
@@ -295,6 +337,10 @@ function setIdleOutputPanelState() {
     inlinePauseBtn.dataset.paused = 'false';
     inlinePauseBtn.textContent = 'Pause';
   }
+  if (inlinePrioritySelect) {
+    inlinePrioritySelect.classList.add('d-none');
+    inlinePrioritySelect.value = '';
+  }
   if (inlineCancelBtn) {
     inlineCancelBtn.classList.add('d-none');
     inlineCancelBtn.disabled = false;
@@ -327,20 +373,6 @@ if (transcodeOutputCollapseButton) {
 setTranscodeOutputCollapsed(readOutputCollapsedPreference(), { persist: false });
 setIdleOutputPanelState();
 
-function formatDurationClock(totalSeconds) {
-  if (!Number.isFinite(totalSeconds) || totalSeconds < 0) {
-    return '--:--';
-  }
-  const rounded = Math.floor(totalSeconds);
-  const hours = Math.floor(rounded / 3600);
-  const minutes = Math.floor((rounded % 3600) / 60);
-  const seconds = rounded % 60;
-  if (hours > 0) {
-    return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
-  }
-  return `${minutes}:${String(seconds).padStart(2, '0')}`;
-}
-
 function updateTranscodeProgress(progressPayload) {
   if (!transcodeProgressWrap || !transcodeProgressBar || !transcodeProgressMeta) {
     return;
@@ -389,7 +421,9 @@ function updateTranscodeOverallProgress(overallPayload) {
   const confidenceLabel = confidenceRaw === 'high'
     ? 'Estimate: high confidence'
     : (confidenceRaw === 'medium' ? 'Estimate: medium confidence' : 'Estimate: low confidence');
-  transcodeOverallMeta.textContent = `${completedFiles}/${totalFiles} files • ETA ${etaText} • Average speed ${speedText} • ${confidenceLabel}`;
+  const runningCount = Array.isArray(overallPayload?.activeFileIndexes) ? overallPayload.activeFileIndexes.length : 0;
+  const runningText = runningCount > 1 ? ` • ${runningCount} running` : '';
+  transcodeOverallMeta.textContent = `${completedFiles}/${totalFiles} files${runningText} • ETA ${etaText} • Average speed ${speedText} • ${confidenceLabel}`;
 }
 
 function appendTranscodeOutput(text) {
@@ -561,6 +595,35 @@ async function refreshAppSavingsSummary() {
   }
 }
 
+function formatVerificationSummary(verification) {
+  if (!verification || verification.level === 'basic') {
+    return '';
+  }
+  const parts = [];
+  if (verification.streams) {
+    const counts = Object.entries(verification.streams).map(([type, count]) => `${count.actual}/${count.expected} ${type}`);
+    parts.push(`streams ${counts.join(', ')}`);
+  }
+  if (verification.decode) {
+    parts.push(verification.decode.ok ? 'decoded cleanly' : `${verification.decode.errors} decode error(s)`);
+  }
+  const quality = verification.quality;
+  if (quality?.skipped) {
+    parts.push(`${quality.metric.toUpperCase()} skipped (${quality.skipped})`);
+  } else if (quality) {
+    const minimum = quality.minimum !== null ? ` (min ${quality.minimum})` : '';
+    parts.push(`${quality.metric.toUpperCase()} ${quality.score}${minimum}`);
+  }
+  return parts.join('; ');
+}
+
+function appendVerificationSummary(payload) {
+  const summary = formatVerificationSummary(payload?.verification);
+  if (summary && typeof payload.file === 'string') {
+    appendTranscodeOutput(`[verify] ${payload.file.split(/[\\/]/).pop()}: ${summary}\n`);
+  }
+}
+
 function updateTranscodeSavingsSummary(results) {
   if (!transcodeSavingsMeta) {
     return;
@@ -619,6 +682,8 @@ async function refreshRowsAfterTranscode(transcodeResults) {
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
       root: rootInput?.value || '.',
+      presetId: formData.get('presetId') || '',
+      ruleSetId: formData.get('ruleSetId') || '',
       videoCodec: formData.get('videoCodec') || '',
       videoBitrateOp: formData.get('videoBitrateOp') || '=',
       videoBitrate: formData.get('videoBitrate') ? `${formData.get('videoBitrate')}k` : '',
@@ -626,6 +691,7 @@ async function refreshRowsAfterTranscode(transcodeResults) {
       audioCodec: formData.get('audioCodec') || '',
       audioChannelsOp: formData.get('audioChannelsOp') || '>=',
       audioChannels: formData.get('audioChannels') || '',
+      ...Object.fromEntries(CRITERIA_FORM_FIELDS.map((field) => [field, formData.get(field) || ''])),
       files: Array.from(touched)
     })
   });
@@ -736,6 +802,10 @@ function showTranscodeOutput() {
     inlinePauseBtn.disabled = false;
     setInlinePauseButtonState(false);
   }
+  if (inlinePrioritySelect) {
+    inlinePrioritySelect.classList.remove('d-none');
+    inlinePrioritySelect.value = '';
+  }
 }
 
 function showScanOutput() {
@@ -765,6 +835,9 @@ function showScanOutput() {
     inlinePauseBtn.disabled = false;
     setInlinePauseButtonState(false);
   }
+  if (inlinePrioritySelect) {
+    inlinePrioritySelect.classList.add('d-none');
+  }
 }
 
 function hideScanOutputLater() {
@@ -812,16 +885,32 @@ function clearActiveTranscodingRowHighlight() {
   rows.forEach((row) => row.classList.remove('transcode-active-row'));
 }
 
-function setActiveTranscodingRow(filePath) {
-  activeTranscodingFilePath = filePath || null;
+// Parallel transcodes can have several rows highlighted at once.
+function renderActiveTranscodingRows() {
   clearActiveTranscodingRowHighlight();
-  if (!activeTranscodingFilePath) {
-    return;
+  for (const filePath of activeTranscodingFilePaths) {
+    const row = findResultRowByPath(filePath);
+    if (row) {
+      row.classList.add('transcode-active-row');
+    }
   }
-  const row = findResultRowByPath(activeTranscodingFilePath);
-  if (row) {
-    row.classList.add('transcode-active-row');
+}
+
+function addActiveTranscodingRow(filePath) {
+  if (filePath) {
+    activeTranscodingFilePaths.add(filePath);
   }
+  renderActiveTranscodingRows();
+}
+
+function removeActiveTranscodingRow(filePath) {
+  activeTranscodingFilePaths.delete(filePath);
+  renderActiveTranscodingRows();
+}
+
+function clearActiveTranscodingRows() {
+  activeTranscodingFilePaths.clear();
+  clearActiveTranscodingRowHighlight();
 }
 
 function clearTranscodeOutcomeHighlights() {
@@ -865,6 +954,10 @@ function isPowerManagementCondition(text) {
     || value.includes('threshold')
     || value.includes('paused:')
     || value.includes('resumed:')
+    || value.includes('throttle')
+    || value.includes('restored:')
+    || value.includes('recovered:')
+    || value.includes('schedule')
     || value.includes('cannot verify battery');
 }
 
@@ -872,7 +965,8 @@ function notifyTranscodeCondition(text) {
   if (!text || !isPowerManagementCondition(text)) {
     return;
   }
-  const level = String(text).toLowerCase().includes('resumed:') ? 'info' : 'warning';
+  const lower = String(text).toLowerCase();
+  const level = lower.includes('resumed:') || lower.includes('restored:') || lower.includes('window open') ? 'info' : 'warning';
   writeUiMessage(level, text);
 }
 
@@ -880,14 +974,44 @@ function renderMessageWithLogLink(type, text, logPath) {
   writeUiMessage(type, text, logPath);
 }
 
+const TRANSCODE_JOB_POLL_MS = 2000;
+const FINISHED_TRANSCODE_JOB_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+
+// Job-scoped events arrive as { jobId, message }; older plain-text payloads still work.
+function readTranscodeStreamMessage(event) {
+  const text = String(event.data || '');
+  try {
+    const payload = JSON.parse(text);
+    if (payload && typeof payload.message === 'string') {
+      return { jobId: payload.jobId || null, message: payload.message };
+    }
+  } catch {
+  }
+  return { jobId: null, message: text };
+}
+
+function isOtherTranscodeJob(jobId) {
+  return Boolean(jobId && activeTranscodeJobId && jobId !== activeTranscodeJobId);
+}
+
+async function waitForTranscodeJobToFinish(jobId) {
+  while (true) {
+    const data = await fetchJsonOrThrow(`/api/transcode/jobs/${encodeURIComponent(jobId)}`, undefined, 'Unable to fetch transcode job.');
+    if (FINISHED_TRANSCODE_JOB_STATUSES.has(data.job?.status)) {
+      return data.job;
+    }
+    await new Promise((resolve) => setTimeout(resolve, TRANSCODE_JOB_POLL_MS));
+  }
+}
+
 function startTranscodeEventStream() {
   closeTranscodeEventStream();
   transcodeEventSource = new EventSource('/api/transcode/stream');
 
   transcodeEventSource.addEventListener('status', (event) => {
-    const statusText = String(event.data || '');
+    const { message: statusText } = readTranscodeStreamMessage(event);
     const normalizedStatus = statusText.toLowerCase();
-    if (typeof event.data === 'string' && event.data.toLowerCase().includes('transcode in progress')) {
+    if (normalizedStatus.includes('transcode in progress')) {
       if (transcodeBtn) {
         transcodeBtn.disabled = true;
       }
@@ -898,8 +1022,8 @@ function startTranscodeEventStream() {
     } else if (normalizedStatus.includes('resumed:')) {
       setInlinePauseButtonState(false);
     }
-    appendTranscodeOutput(`[status] ${event.data}\n`);
-    notifyTranscodeCondition(event.data);
+    appendTranscodeOutput(`[status] ${statusText}\n`);
+    notifyTranscodeCondition(statusText);
   });
 
   transcodeEventSource.addEventListener('file-start', (event) => {
@@ -907,7 +1031,7 @@ function startTranscodeEventStream() {
       const payload = JSON.parse(event.data);
       const file = typeof payload?.file === 'string' ? payload.file : null;
       if (file) {
-        setActiveTranscodingRow(file);
+        addActiveTranscodingRow(file);
       }
     } catch {
     }
@@ -916,9 +1040,10 @@ function startTranscodeEventStream() {
   transcodeEventSource.addEventListener('file-complete', (event) => {
     try {
       const payload = JSON.parse(event.data);
-      if (payload?.file && activeTranscodingFilePath === payload.file) {
-        setActiveTranscodingRow(null);
+      if (payload?.file) {
+        removeActiveTranscodingRow(payload.file);
       }
+      appendVerificationSummary(payload);
       refreshRowsAfterTranscode([payload])
         .then(() => {
           const preferredPath = typeof payload?.output === 'string' && payload.output.trim()
@@ -936,15 +1061,16 @@ function startTranscodeEventStream() {
   transcodeEventSource.addEventListener('file-failed', (event) => {
     try {
       const payload = JSON.parse(event.data);
-      if (payload?.file && activeTranscodingFilePath === payload.file) {
-        setActiveTranscodingRow(null);
+      if (payload?.file) {
+        removeActiveTranscodingRow(payload.file);
       }
+      appendVerificationSummary(payload);
     } catch {
     }
   });
 
   transcodeEventSource.addEventListener('log', (event) => {
-    appendTranscodeOutput(`${event.data}\n`);
+    appendTranscodeOutput(`${readTranscodeStreamMessage(event).message}\n`);
   });
 
   transcodeEventSource.addEventListener('progress', (event) => {
@@ -964,8 +1090,12 @@ function startTranscodeEventStream() {
   });
 
   transcodeEventSource.addEventListener('done', (event) => {
-    appendTranscodeOutput(`[done] ${event.data}\n`);
-    setActiveTranscodingRow(null);
+    const { jobId, message } = readTranscodeStreamMessage(event);
+    appendTranscodeOutput(`[done] ${message}\n`);
+    if (isOtherTranscodeJob(jobId)) {
+      return;
+    }
+    clearActiveTranscodingRows();
     if (transcodeBtn) {
       transcodeBtn.disabled = false;
     }
@@ -974,7 +1104,7 @@ function startTranscodeEventStream() {
   });
 
   transcodeEventSource.addEventListener('error', () => {
-    setActiveTranscodingRow(null);
+    clearActiveTranscodingRows();
     if (transcodeBtn) {
       transcodeBtn.disabled = false;
     }
@@ -991,6 +1121,7 @@ async function recoverTranscodeSessionIfRunning() {
     if (state.inProgress !== true) {
       return;
     }
+    activeTranscodeJobId = state.activeJobId || null;
 
     showTranscodeOutput();
     if (transcodeBtn) {
@@ -1002,8 +1133,11 @@ async function recoverTranscodeSessionIfRunning() {
     if (state.progress) {
       updateTranscodeProgress(state.progress);
     }
-    if (state.activeFile && typeof state.activeFile.file === 'string') {
-      setActiveTranscodingRow(state.activeFile.file);
+    const activeFiles = Array.isArray(state.activeFiles) ? state.activeFiles : [];
+    for (const activeFile of activeFiles) {
+      if (typeof activeFile?.file === 'string') {
+        addActiveTranscodingRow(activeFile.file);
+      }
     }
     setInlinePauseButtonState(state.paused === true);
 
@@ -1049,6 +1183,30 @@ if (inlinePauseBtn) {
   });
 }
 
+if (inlinePrioritySelect) {
+  inlinePrioritySelect.addEventListener('change', async () => {
+    const niceLevel = inlinePrioritySelect.value;
+    if (!niceLevel) {
+      return;
+    }
+    inlinePrioritySelect.disabled = true;
+    try {
+      const { response: res, data } = await fetchJson('/api/transcode/priority', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ niceLevel })
+      });
+      if (!res.ok || !data.ok) throw new Error(data.error || 'Priority change failed.');
+      writeUiMessage('success', data.message || 'Transcode priority changed.');
+    } catch (err) {
+      writeUiMessage('danger', err.message);
+    } finally {
+      inlinePrioritySelect.value = '';
+      inlinePrioritySelect.disabled = false;
+    }
+  });
+}
+
 // Helper to sync codec dropdowns
 async function syncCodecDropdowns() {
   const savedSettings = loadSavedAuditSettings();
@@ -1072,6 +1230,126 @@ async function syncCodecDropdowns() {
   setSelectOptions(audioCodecSelect, filteredAudioCodecs, savedSettings.audioCodec || 'aac');
 }
 
+const CRITERIA_FORM_FIELDS = ['resolutionOp', 'resolution', 'frameRateOp', 'frameRate', 'bitsPerPixelOp', 'bitsPerPixel', 'container', 'hdr'];
+const ENCODER_FORM_FIELDS = [
+  'videoQualityMode',
+  'videoQuality',
+  'encoderPreset',
+  'encoderTune',
+  'videoMaxrate',
+  'videoBufsize',
+  'maxWidth',
+  'maxHeight',
+  'maxFps',
+  'audioTracks',
+  'audioLanguages',
+  'subtitleMode',
+  'hdrPolicy',
+  'verifyLevel',
+  'qualityMetric',
+  'minQuality',
+  'niceLevel',
+  'ioClass',
+  'ioLevel',
+  'threads',
+  'cpuAffinity'
+];
+const CHECKBOX_FORM_FIELDS = ['deinterlace', 'keepOriginalAudio', 'addStereoAacTrack', 'burnForcedSubtitles', 'smartCopy'];
+const PRESET_FORM_FIELDS = [
+  'videoCodec',
+  'videoBitrateOp',
+  'videoBitrate',
+  'audioCodec',
+  'audioChannelsOp',
+  'audioChannels',
+  ...CRITERIA_FORM_FIELDS,
+  ...ENCODER_FORM_FIELDS,
+  ...CHECKBOX_FORM_FIELDS
+];
+let loadedPresets = [];
+
+function ensureSelectOption(select, value) {
+  if (!select || !value || Array.from(select.options).some((option) => option.value === value)) {
+    return;
+  }
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = value;
+  select.appendChild(option);
+}
+
+function applyPresetToForm(preset) {
+  for (const field of PRESET_FORM_FIELDS) {
+    const input = document.getElementById(field);
+    if (input?.type === 'checkbox') {
+      input.checked = preset?.[field] === true;
+      continue;
+    }
+    if (!input || typeof preset?.[field] !== 'string') {
+      continue;
+    }
+    if (input.tagName === 'SELECT') {
+      ensureSelectOption(input, preset[field]);
+    }
+    input.value = preset[field];
+  }
+  syncVideoQualityInputs();
+}
+
+function syncVideoQualityInputs() {
+  const mode = document.getElementById('videoQualityMode')?.value || 'bitrate';
+  const qualityInput = document.getElementById('videoQuality');
+  if (qualityInput) {
+    qualityInput.disabled = mode !== 'crf';
+  }
+}
+
+document.getElementById('videoQualityMode')?.addEventListener('change', syncVideoQualityInputs);
+
+async function loadPresetOptions(selectedPresetId = '') {
+  if (!presetSelect) {
+    return;
+  }
+  const data = await fetchJsonOrThrow('/api/presets', undefined, 'Unable to load presets.');
+  loadedPresets = Array.isArray(data.presets) ? data.presets : [];
+  const options = ['<option value="">Custom</option>'];
+  for (const preset of loadedPresets) {
+    const selected = preset.id === selectedPresetId ? ' selected' : '';
+    options.push(`<option value="${escapeHtml(preset.id)}"${selected}>${escapeHtml(preset.name)}</option>`);
+  }
+  presetSelect.innerHTML = options.join('');
+}
+
+async function loadRuleSetOptions(selectedRuleSetId = '') {
+  if (!ruleSetSelect) {
+    return;
+  }
+  const data = await fetchJsonOrThrow('/api/audit/rulesets', undefined, 'Unable to load rule sets.');
+  const options = ['<option value="">None</option>'];
+  for (const ruleSet of Array.isArray(data.ruleSets) ? data.ruleSets : []) {
+    const selected = ruleSet.id === selectedRuleSetId ? ' selected' : '';
+    options.push(`<option value="${escapeHtml(ruleSet.id)}"${selected}>${escapeHtml(ruleSet.name)}</option>`);
+  }
+  ruleSetSelect.innerHTML = options.join('');
+}
+
+if (presetSelect) {
+  presetSelect.addEventListener('change', () => {
+    const preset = loadedPresets.find((item) => item.id === presetSelect.value);
+    if (preset) {
+      applyPresetToForm(preset);
+      writeUiMessage('info', `Preset "${preset.name}" applied.`);
+    }
+  });
+}
+
+// Editing a target by hand means the form no longer matches the preset.
+function clearPresetOnManualEdit(event) {
+  if (presetSelect && PRESET_FORM_FIELDS.includes(event.target?.id)) {
+    presetSelect.value = '';
+  }
+}
+
 // Initial load
 (async () => {
   try {
@@ -1082,6 +1360,12 @@ async function syncCodecDropdowns() {
       rootInput.value = './smoke-fixtures';
     }
     await syncCodecDropdowns();
+    await loadPresetOptions(savedSettings.presetId).catch((error) => {
+      writeUiMessage('warning', error.message);
+    });
+    await loadRuleSetOptions(savedSettings.ruleSetId).catch((error) => {
+      writeUiMessage('warning', error.message);
+    });
     if (rootInput && rootPicker) {
       await loadDirectories(rootInput, rootPicker);
       if (savedSettings.root) {
@@ -1101,6 +1385,8 @@ async function syncCodecDropdowns() {
 refreshAppSavingsSummary();
 setInterval(refreshAppSavingsSummary, 5000);
 
+form.addEventListener('change', clearPresetOnManualEdit);
+form.addEventListener('input', clearPresetOnManualEdit);
 form.addEventListener('change', saveAuditSettings);
 form.addEventListener('input', saveAuditSettings);
 
@@ -1188,41 +1474,38 @@ function renderResultsWithStore(rows, ...args) {
   window._lastAuditRows = rows;
   origRenderResults(rows, resultsBody, setupEnhancements);
   updateNetSavedFromRows(rows);
-  if (activeTranscodingFilePath) {
-    setActiveTranscodingRow(activeTranscodingFilePath);
+  if (activeTranscodingFilePaths.size) {
+    renderActiveTranscodingRows();
   }
 }
 
-function confirmDeleteOriginalWarning() {
+function confirmWithModal(modalId, confirmButtonId) {
   return new Promise((resolve) => {
-    const modalElement = document.getElementById('deleteOriginalWarningModal');
-    const confirmButton = document.getElementById('confirm-delete-original-btn');
+    const modalElement = document.getElementById(modalId);
+    const confirmButton = document.getElementById(confirmButtonId);
 
     if (!modalElement || !confirmButton || !globalThis.bootstrap) {
       resolve(false);
       return;
     }
 
-    const modal = new globalThis.bootstrap.Modal(modalElement);
-    let resolved = false;
+    const modal = globalThis.bootstrap.Modal.getOrCreateInstance(modalElement);
+    let confirmed = false;
 
     const cleanup = () => {
       confirmButton.removeEventListener('click', onConfirm);
       modalElement.removeEventListener('hidden.bs.modal', onHidden);
     };
 
+    // Settled once the modal has fully closed, so the next one can open.
     const onConfirm = () => {
-      resolved = true;
-      cleanup();
+      confirmed = true;
       modal.hide();
-      resolve(true);
     };
 
     const onHidden = () => {
       cleanup();
-      if (!resolved) {
-        resolve(false);
-      }
+      resolve(confirmed);
     };
 
     confirmButton.addEventListener('click', onConfirm);
@@ -1231,6 +1514,78 @@ function confirmDeleteOriginalWarning() {
   });
 }
 
+function confirmDeleteOriginalWarning() {
+  return confirmWithModal('deleteOriginalWarningModal', 'confirm-delete-original-btn');
+}
+
+function formatEstimateBytes(bytes) {
+  if (!Number.isFinite(bytes)) {
+    return '--';
+  }
+  return bytes < 0 ? `-${formatMB(Math.abs(bytes))}` : formatMB(bytes);
+}
+
+function renderTranscodeEstimate(estimate) {
+  const summary = estimate.summary || {};
+  const history = estimate.history || {};
+  const summaryBody = document.getElementById('transcode-estimate-summary');
+  const filesBody = document.getElementById('transcode-estimate-files');
+  const notes = [];
+  if (summary.unsizedCount) {
+    notes.push(`${summary.unsizedCount} file(s) have no size estimate: constant-quality output depends on the content until a few files have been transcoded with this encoder.`);
+  }
+  if (summary.untimedCount) {
+    notes.push(`${summary.untimedCount} file(s) have no time estimate: there is no transcode history yet.`);
+  }
+  if (summary.copiedCount) {
+    notes.push(`${summary.copiedCount} file(s) keep their video stream (smart copy) and are only remuxed, so they stay about the same size and aren't counted in the time.`);
+  }
+  if (history.sampleCount) {
+    notes.push(`Based on ${history.sampleCount} earlier file(s) (${history.basis}).`);
+  }
+  if (summaryBody) {
+    summaryBody.innerHTML = `
+      <dl class="row mb-0">
+        <dt class="col-sm-5">Files</dt><dd class="col-sm-7">${escapeHtml(String(summary.fileCount ?? 0))}</dd>
+        <dt class="col-sm-5">Source size</dt><dd class="col-sm-7">${escapeHtml(formatEstimateBytes(summary.sourceBytes))}</dd>
+        <dt class="col-sm-5">Projected output</dt><dd class="col-sm-7">${escapeHtml(formatEstimateBytes(summary.outputBytes))}</dd>
+        <dt class="col-sm-5">Projected savings</dt><dd class="col-sm-7">${escapeHtml(formatEstimateBytes(summary.savedBytes))}</dd>
+        <dt class="col-sm-5">Estimated time</dt><dd class="col-sm-7">${escapeHtml(Number.isFinite(summary.seconds) ? formatDurationClock(summary.seconds) : '--')}${summary.concurrency > 1 ? ` (${escapeHtml(String(summary.concurrency))} at a time)` : ''}</dd>
+      </dl>
+      ${notes.map((note) => `<div class="form-text">${escapeHtml(note)}</div>`).join('')}
+    `;
+  }
+  if (filesBody) {
+    filesBody.innerHTML = (estimate.files || []).map((file) => `
+      <tr>
+        <td class="text-break">${escapeHtml(String(file.file || '').split(/[\\/]/).pop())}${file.error ? `<div class="text-danger small">${escapeHtml(file.error)}</div>` : ''}</td>
+        <td>${escapeHtml(formatEstimateBytes(file.sourceBytes))}</td>
+        <td>${escapeHtml(formatEstimateBytes(file.outputBytes))}</td>
+        <td>${escapeHtml(formatEstimateBytes(file.savedBytes))}</td>
+        <td>${escapeHtml(Number.isFinite(file.seconds) ? formatDurationClock(file.seconds) : '--')}</td>
+      </tr>
+    `).join('');
+  }
+}
+
+// Without an estimate (the request failed) the dialog still asks to start,
+// with the reason in place of the figures.
+function confirmTranscodeEstimate(estimate, estimateError = '') {
+  if (estimateError) {
+    const summaryBody = document.getElementById('transcode-estimate-summary');
+    const filesBody = document.getElementById('transcode-estimate-files');
+    if (summaryBody) {
+      summaryBody.innerHTML = `<div class="alert alert-warning mb-0">No estimate available: ${escapeHtml(estimateError)}</div>`;
+    }
+    if (filesBody) {
+      filesBody.innerHTML = '';
+    }
+  } else {
+    renderTranscodeEstimate(estimate);
+  }
+  return confirmWithModal('transcodeEstimateModal', 'confirm-transcode-estimate-btn');
+}
+
 // Use this patched version for audit
 form.addEventListener('submit', async (event) => {
   event.preventDefault();
@@ -1302,20 +1657,83 @@ transcodeBtn.addEventListener('click', async (event) => {
   }
   // Get audit settings
   const formData = new FormData(form);
+  const presetId = formData.get('presetId') || '';
   const videoCodec = formData.get('videoCodec') || '';
   const audioCodec = formData.get('audioCodec') || '';
   const videoBitrate = formData.get('videoBitrate') || '';
   const audioChannels = formData.get('audioChannels') || '';
+  const encoderOptions = Object.fromEntries(ENCODER_FORM_FIELDS.map((field) => [field, formData.get(field) || '']));
+  for (const field of CHECKBOX_FORM_FIELDS) {
+    encoderOptions[field] = formData.get(field) === 'on';
+  }
   const deleteOriginal = document.getElementById('delete-original')?.checked === true;
+  const replaceOriginal = document.getElementById('replace-original')?.checked === true;
   const savedSettings = loadSavedAuditSettings();
   const transcodeLocation = (savedSettings.transcodeLocation || '').trim();
+  const outputTemplate = (savedSettings.outputTemplate || '').trim();
+  const outputRoot = (savedSettings.outputRoot || '').trim();
   const pauseBatteryPct = savedSettings.pauseBatteryPct || '';
   const startBatteryPct = savedSettings.startBatteryPct || '';
+  const pauseOnBattery = savedSettings.pauseOnBattery === true;
+  const throttleTempC = savedSettings.throttleTempC || '';
+  const throttleLoad = savedSettings.throttleLoad || '';
+  const throttleAction = savedSettings.throttleAction || 'pause';
   const saveTranscodeLog = savedSettings.saveTranscodeLog === true;
   const capBitrateToSource = savedSettings.capBitrateToSource !== false;
+  const concurrency = savedSettings.transcodeConcurrency || '';
   saveAuditSettings();
+  const requestBody = {
+    files: transcodeRows.map(r => r.fullPath || r.filePath),
+    presetId,
+    videoCodec,
+    audioCodec,
+    videoBitrate,
+    audioChannels,
+    container: formData.get('container') || '',
+    bitsPerPixel: formData.get('bitsPerPixel') || '',
+    ...encoderOptions,
+    deleteOriginal,
+    replaceOriginal,
+    transcodeLocation,
+    outputTemplate,
+    outputRoot,
+    sourceRoot: formData.get('root') || '',
+    pauseBatteryPct,
+    startBatteryPct,
+    pauseOnBattery,
+    throttleTempC,
+    throttleLoad,
+    throttleAction,
+    saveTranscodeLog,
+    capBitrateToSource,
+    concurrency
+  };
 
-  if (deleteOriginal) {
+  transcodeBtn.disabled = true;
+  let estimateConfirmed = false;
+  try {
+    let estimate = null;
+    let estimateError = '';
+    try {
+      estimate = await fetchJsonOrThrow('/api/transcode/estimate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(requestBody)
+      }, 'Unable to estimate the transcode.');
+    } catch (error) {
+      estimateError = error.message;
+    }
+    estimateConfirmed = await confirmTranscodeEstimate(estimate, estimateError);
+  } catch (error) {
+    writeUiMessage('danger', error.message);
+  } finally {
+    transcodeBtn.disabled = false;
+  }
+  if (!estimateConfirmed) {
+    return;
+  }
+
+  if (deleteOriginal || replaceOriginal) {
     const confirmed = await confirmDeleteOriginalWarning();
     if (!confirmed) {
       writeUiMessage('warning', 'Transcode cancelled. Original files were not deleted.');
@@ -1331,50 +1749,46 @@ transcodeBtn.addEventListener('click', async (event) => {
     const { response: res, data } = await fetchJson('/api/transcode', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        files: transcodeRows.map(r => r.fullPath || r.filePath),
-        videoCodec,
-        audioCodec,
-        videoBitrate,
-        audioChannels,
-        deleteOriginal,
-        transcodeLocation,
-        pauseBatteryPct,
-        startBatteryPct,
-        saveTranscodeLog,
-        capBitrateToSource
-      })
+      body: JSON.stringify(requestBody)
     });
-    if (Array.isArray(data.results)) {
-      updateTranscodeSavingsSummary(data.results);
+    if (!res.ok || !data.ok || !data.jobId) {
+      throw new Error(data.error || 'Unable to queue transcode.');
+    }
+    activeTranscodeJobId = data.jobId;
+    appendTranscodeOutput(`[status] Transcode job ${data.jobId} queued.\n`);
+    const job = await waitForTranscodeJobToFinish(data.jobId);
+    const outcome = { ...(job.outcome || {}), results: job.results };
+    if (Array.isArray(outcome.results)) {
+      updateTranscodeSavingsSummary(outcome.results);
     }
-    if (data?.summary) {
-      renderAppSavingsSummary(data.summary);
+    if (outcome?.summary) {
+      renderAppSavingsSummary(outcome.summary);
     }
-    if (typeof data?.runLogPath === 'string' && data.runLogPath) {
-      appendTranscodeOutput(`[status] Transcode run log: ${data.runLogPath}\n`);
+    if (typeof outcome?.runLogPath === 'string' && outcome.runLogPath) {
+      appendTranscodeOutput(`[status] Transcode run log: ${outcome.runLogPath}\n`);
     }
-    if (!res.ok || !data.ok) {
-      const failedReasons = Array.isArray(data?.failedReasons) ? data.failedReasons : [];
+    if (!outcome.ok) {
+      const failedReasons = Array.isArray(outcome?.failedReasons) ? outcome.failedReasons : [];
       const powerReasons = failedReasons.filter((reason) => isPowerManagementCondition(reason));
       if (powerReasons.length > 0) {
-        renderMessageWithLogLink('warning', `Power management blocked transcode: ${powerReasons.join(' | ')}`, data?.runLogPath);
+        renderMessageWithLogLink('warning', `Power management blocked transcode: ${powerReasons.join(' | ')}`, outcome?.runLogPath);
       } else {
-        renderMessageWithLogLink('danger', data.error || 'Transcode failed.', data?.runLogPath);
+        renderMessageWithLogLink('danger', outcome.error || 'Transcode failed.', outcome?.runLogPath);
       }
       return;
     }
-    if (Array.isArray(data.results) && data.results.length > 0) {
-      await refreshRowsAfterTranscode(data.results).catch((error) => {
+    if (Array.isArray(outcome.results) && outcome.results.length > 0) {
+      await refreshRowsAfterTranscode(outcome.results).catch((error) => {
         appendTranscodeOutput(`[status] Incremental table refresh failed: ${error.message}\n`);
       });
     }
     const skippedNote = skippedMatchCount > 0 ? ` Skipped ${skippedMatchCount} MATCH file(s).` : '';
-    renderMessageWithLogLink('success', `${data.message || 'Transcode started.'}${skippedNote}`, data?.runLogPath);
+    renderMessageWithLogLink('success', `${outcome.message || 'Transcode started.'}${skippedNote}`, outcome?.runLogPath);
   } catch (err) {
     renderMessageWithLogLink('danger', err.message, null);
   } finally {
-    setActiveTranscodingRow(null);
+    activeTranscodeJobId = null;
+    clearActiveTranscodingRows();
     hideTranscodeOutputLater();
     closeTranscodeEventStream();
     transcodeBtn.disabled = false;
@@ -1,10 +1,11 @@
 import { setSelectOptions, renderResults } from './ui.js';
 import { fetchJson, fetchJsonOrThrow } from './api.js';
 import { readJsonStorage } from './storage.js';
+import { formatDurationClock } from './utils.js';
 
 const AUDIT_SETTINGS_KEY = 'auditFormSettings';
 const DEFAULT_SCAN_EXTENSIONS = '.mp4,.mkv,.mov,.avi,.wmv,.flv,.webm,.m4v,.mpg,.mpeg,.ts';
-let activeAuditAbortController = null;
+let activeAuditId = null;
 
 function readSavedBitrateTolerancePct() {
   const parsed = readJsonStorage(AUDIT_SETTINGS_KEY, null);
@@ -74,13 +75,23 @@ export async function runAudit(form, runButton, cancelScanButton, resultsBody, r
   const formData = new FormData(form);
   const payload = {
     root: formData.get('root') || '.',
+    presetId: formData.get('presetId') || '',
+    ruleSetId: formData.get('ruleSetId') || '',
     videoCodec: formData.get('videoCodec') || '',
     videoBitrateOp: formData.get('videoBitrateOp') || '=',
     videoBitrate: formData.get('videoBitrate') ? `${formData.get('videoBitrate')}k` : '',
     videoBitrateTolerancePct: readSavedBitrateTolerancePct(),
     audioCodec: formData.get('audioCodec') || '',
     audioChannelsOp: formData.get('audioChannelsOp') || '=',
-    audioChannels: formData.get('audioChannels') || ''
+    audioChannels: formData.get('audioChannels') || '',
+    resolutionOp: formData.get('resolutionOp') || '<=',
+    resolution: formData.get('resolution') || '',
+    frameRateOp: formData.get('frameRateOp') || '<=',
+    frameRate: formData.get('frameRate') || '',
+    bitsPerPixelOp: formData.get('bitsPerPixelOp') || '<=',
+    bitsPerPixel: formData.get('bitsPerPixel') || '',
+    container: formData.get('container') || '',
+    hdr: formData.get('hdr') || ''
   };
   setScanButtonState(runButton, cancelScanButton, true);
   resultsBody.innerHTML = '<tr><td colspan="11" class="text-muted">Scanning files...</td></tr>';
@@ -91,95 +102,125 @@ export async function runAudit(form, runButton, cancelScanButton, resultsBody, r
     return;
   }
 
-  const abortController = new AbortController();
-  activeAuditAbortController = abortController;
+  const auditId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  const rootText = String(payload.root).trim();
+  const rows = [];
+  let mismatchedCount = 0;
+  let total = null;
+  let rootPath = rootText;
+  activeAuditId = auditId;
 
   if (cancelScanButton) {
-    cancelScanButton.onclick = () => {
-      if (activeAuditAbortController) {
-        activeAuditAbortController.abort();
-        notify('onProgress', 'Cancelling scan...');
+    cancelScanButton.onclick = async () => {
+      if (!activeAuditId) {
+        return;
+      }
+      cancelScanButton.disabled = true;
+      notify('onProgress', 'Cancelling scan...');
+      try {
+        await fetchJson('/api/audit/cancel', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ auditId: activeAuditId })
+        });
+      } catch {
       }
     };
   }
 
-  try {
-    const listQuery = new URLSearchParams({ root: String(payload.root).trim() });
-    if (typeof scanHooks.onStart === 'function') {
-      scanHooks.onStart(String(payload.root).trim());
-    }
-    const scanExtensions = readSavedScanExtensions();
-    if (scanExtensions) {
-      listQuery.set('scanExtensions', scanExtensions);
-    }
-    const { response: listResponse, data: listData } = await fetchJson(`/api/audit/files?${listQuery.toString()}`, {
-      signal: abortController.signal
-    });
-    if (!listResponse.ok || !listData.ok) {
-      throw new Error(listData.error || 'Unable to list files for scan.');
+  // Progress arrives over SSE while the audit request itself only answers
+  // once the scan finishes or is cancelled.
+  const eventSource = new EventSource('/api/audit/stream');
+  const readAuditEvent = (event) => {
+    try {
+      const data = JSON.parse(event.data);
+      return data?.auditId === auditId ? data : null;
+    } catch {
+      return null;
     }
+  };
 
-    const files = Array.isArray(listData.files) ? listData.files : [];
-    if (!files.length) {
-      resultsBody.innerHTML = '<tr><td colspan="11" class="text-muted">No video files found.</td></tr>';
-      notify('onDone', `No video files found in ${listData.rootPath || payload.root}.`);
+  eventSource.addEventListener('discovered', (event) => {
+    const data = readAuditEvent(event);
+    if (!data) {
       return;
     }
+    total = data.total;
+    rootPath = data.rootPath || rootPath;
+    notify('onProgress', `Found ${total} video files in ${rootPath}.`);
+  });
+
+  eventSource.addEventListener('file', (event) => {
+    const data = readAuditEvent(event);
+    if (!data?.row) {
+      return;
+    }
+    data.row.index = rows.length + 1;
+    rows.push(data.row);
+    if (!data.row.matches) {
+      mismatchedCount += 1;
+    }
 
-    const rows = [];
-    let mismatchedCount = 0;
-    const rootPath = listData.rootPath || String(payload.root).trim();
-
-    for (let idx = 0; idx < files.length; idx += 1) {
-      const filePath = files[idx];
-      const { response, data } = await fetchJson('/api/audit/files', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ ...payload, files: [filePath] }),
-        signal: abortController.signal
-      });
-      if (!response.ok || !data.ok) {
-        throw new Error(data.error || `Scan failed for ${filePath}.`);
-      }
+    renderResultsFn([...rows], {
+      rootPath,
+      checkedCount: rows.length,
+      mismatchedCount
+    });
 
-      const row = data.rows?.[0];
-      if (!row) {
-        continue;
-      }
+    if (typeof scanHooks.onFileScanned === 'function') {
+      scanHooks.onFileScanned(data.file, rows.length, data.total);
+    }
 
-      row.index = rows.length + 1;
-      rows.push(row);
-      if (!row.matches) {
-        mismatchedCount += 1;
-      }
+    const etaText = Number.isFinite(data.etaSeconds) ? ` ETA ${formatDurationClock(data.etaSeconds)}.` : '';
+    notify('onProgress', `Scanning ${rows.length}/${data.total} files in ${rootPath}... Mismatches: ${mismatchedCount}.${etaText}`);
+  });
 
-      renderResultsFn([...rows], {
-        rootPath,
-        checkedCount: rows.length,
-        mismatchedCount
-      });
+  try {
+    await new Promise((resolve) => {
+      eventSource.addEventListener('state', resolve, { once: true });
+      eventSource.addEventListener('error', resolve, { once: true });
+    });
+    if (typeof scanHooks.onStart === 'function') {
+      scanHooks.onStart(rootText);
+    }
 
-      if (typeof scanHooks.onFileScanned === 'function') {
-        scanHooks.onFileScanned(filePath, rows.length, files.length);
-      }
+    const { response, data } = await fetchJson('/api/audit', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ...payload,
+        root: rootText,
+        scanExtensions: readSavedScanExtensions(),
+        auditId
+      })
+    });
+    if (!response.ok || !data.ok) {
+      throw new Error(data.error || 'Scan failed.');
+    }
 
-      const progressText = `Scanning ${rows.length}/${files.length} files in ${rootPath}... Mismatches: ${mismatchedCount}.`;
-      notify('onProgress', progressText);
+    const finalRows = Array.isArray(data.rows) ? data.rows : [];
+    const summary = data.summary || {};
+    const cacheText = summary.cache ? ` Probe cache: ${summary.cache.hits} hits, ${summary.cache.misses} misses.` : '';
+    if (data.cancelled) {
+      renderResultsFn(finalRows, summary);
+      notify('onCancelled', `Scan cancelled. ${finalRows.length}${Number.isFinite(total) ? ` of ${total}` : ''} files were scanned.`);
+      return;
+    }
+    if (!finalRows.length) {
+      resultsBody.innerHTML = '<tr><td colspan="11" class="text-muted">No video files found.</td></tr>';
+      notify('onDone', `No video files found in ${summary.rootPath || rootText}.`);
+      return;
     }
 
-    const doneText = `Checked ${rows.length} files in ${rootPath}. Mismatches: ${mismatchedCount}.`;
+    renderResultsFn(finalRows, summary);
+    const doneText = `Checked ${finalRows.length} files in ${summary.rootPath || rootPath}. Mismatches: ${summary.mismatchedCount}.${cacheText}`;
     notify('onDone', doneText);
   } catch (error) {
-    if (error?.name === 'AbortError') {
-      const scannedRows = Array.isArray(globalThis.window?._lastAuditRows) ? globalThis.window._lastAuditRows.length : 0;
-      const cancelledText = `Scan cancelled. ${scannedRows} files were scanned.`;
-      notify('onCancelled', cancelledText);
-    } else {
-      resultsBody.innerHTML = '<tr><td colspan="11" class="text-muted">Scan files to see results.</td></tr>';
-      notify('onError', error.message);
-    }
+    resultsBody.innerHTML = '<tr><td colspan="11" class="text-muted">Scan files to see results.</td></tr>';
+    notify('onError', error.message);
   } finally {
-    activeAuditAbortController = null;
+    eventSource.close();
+    activeAuditId = null;
     if (cancelScanButton) {
       cancelScanButton.onclick = null;
     }
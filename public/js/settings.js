@@ -16,6 +16,9 @@ const showCommonCodecsCheckbox = document.getElementById('show-common-codecs');
 const codecSettingStatus = document.getElementById('codec-setting-status');
 const transcodeLocationSetting = document.getElementById('transcode-location-setting');
 const transcodeLocationPicker = document.getElementById('transcode-location-picker');
+const outputTemplateSetting = document.getElementById('output-template-setting');
+const outputRootSetting = document.getElementById('output-root-setting');
+const outputRootPicker = document.getElementById('output-root-picker');
 const ffmpegDirSetting = document.getElementById('ffmpeg-dir-setting');
 const ffmpegDirPicker = document.getElementById('ffmpeg-dir-picker');
 const ffprobeDirSetting = document.getElementById('ffprobe-dir-setting');
@@ -24,8 +27,59 @@ const videoBitrateToleranceSetting = document.getElementById('video-bitrate-tole
 const scanExtensionsSetting = document.getElementById('scan-extensions-setting');
 const pauseBatteryPctSetting = document.getElementById('pause-battery-pct-setting');
 const startBatteryPctSetting = document.getElementById('start-battery-pct-setting');
+const pauseOnBatterySetting = document.getElementById('pause-on-battery-setting');
+const throttleTempCSetting = document.getElementById('throttle-temp-c-setting');
+const throttleLoadSetting = document.getElementById('throttle-load-setting');
+const throttleActionSetting = document.getElementById('throttle-action-setting');
 const saveTranscodeLogSetting = document.getElementById('save-transcode-log-setting');
 const capBitrateToSourceSetting = document.getElementById('cap-bitrate-to-source-setting');
+const transcodeConcurrencySetting = document.getElementById('transcode-concurrency-setting');
+const presetListBody = document.getElementById('preset-list-body');
+const quarantineDirSetting = document.getElementById('quarantine-dir-setting');
+const quarantineDirPicker = document.getElementById('quarantine-dir-picker');
+const quarantineRetentionSetting = document.getElementById('quarantine-retention-setting');
+const quarantineListBody = document.getElementById('quarantine-list-body');
+const quarantinePurgeExpiredBtn = document.getElementById('quarantine-purge-expired-btn');
+const quarantinePurgeAllBtn = document.getElementById('quarantine-purge-all-btn');
+const quarantineStatus = document.getElementById('quarantine-status');
+const ruleSetListBody = document.getElementById('rule-set-list-body');
+const ruleSetForm = document.getElementById('rule-set-form');
+const ruleSetIdInput = document.getElementById('rule-set-id');
+const ruleSetNameInput = document.getElementById('rule-set-name');
+const ruleSetDescriptionInput = document.getElementById('rule-set-description');
+const ruleSetRuleInput = document.getElementById('rule-set-rule');
+const ruleSetValidateBtn = document.getElementById('rule-set-validate-btn');
+const ruleSetNewBtn = document.getElementById('rule-set-new-btn');
+const ruleSetStatus = document.getElementById('rule-set-status');
+const auditRootForm = document.getElementById('audit-root-form');
+const auditRootSetting = document.getElementById('audit-root-setting');
+const auditRootPicker = document.getElementById('audit-root-picker');
+const auditProbeConcurrencySetting = document.getElementById('audit-probe-concurrency-setting');
+const auditProbeTimeoutSetting = document.getElementById('audit-probe-timeout-setting');
+const auditWorkersSetting = document.getElementById('audit-workers-setting');
+const auditRootListBody = document.getElementById('audit-root-list-body');
+const auditRootStatus = document.getElementById('audit-root-status');
+const scheduleEnabledSetting = document.getElementById('schedule-enabled-setting');
+const scheduleOutsideSetting = document.getElementById('schedule-outside-setting');
+const scheduleWindowBody = document.getElementById('schedule-window-body');
+const scheduleAddWindowBtn = document.getElementById('schedule-add-window-btn');
+const scheduleSaveBtn = document.getElementById('schedule-save-btn');
+const scheduleStatus = document.getElementById('schedule-status');
+const watchListBody = document.getElementById('watch-list-body');
+const watchForm = document.getElementById('watch-form');
+const watchRootSetting = document.getElementById('watch-root-setting');
+const watchPresetSetting = document.getElementById('watch-preset-setting');
+const watchModeSetting = document.getElementById('watch-mode-setting');
+const watchPollSetting = document.getElementById('watch-poll-setting');
+const watchStableSetting = document.getElementById('watch-stable-setting');
+const watchStatus = document.getElementById('watch-status');
+const presetSaveForm = document.getElementById('preset-save-form');
+const presetNameInput = document.getElementById('preset-name');
+const presetDescriptionInput = document.getElementById('preset-description');
+const presetImportFile = document.getElementById('preset-import-file');
+const presetImportReplace = document.getElementById('preset-import-replace');
+const presetImportBtn = document.getElementById('preset-import-btn');
+const presetStatus = document.getElementById('preset-status');
 const resetDefaultsBtn = document.getElementById('reset-defaults-btn');
 const advancedSettingStatus = document.getElementById('advanced-setting-status');
 let toolPathSaveTimeout = null;
@@ -166,6 +220,749 @@ if (resetDefaultsBtn) {
   });
 }
 
+function renderPresetStatus(text) {
+  if (presetStatus) {
+    presetStatus.textContent = text;
+  }
+}
+
+function describePresetVideo(preset) {
+  const bitrate = preset.videoBitrate ? ` ${preset.videoBitrateOp || '='} ${preset.videoBitrate}k` : '';
+  const bitsPerPixel = preset.bitsPerPixel ? `, ${preset.bitsPerPixelOp || '<='} ${preset.bitsPerPixel} bpp` : '';
+  let rateControl = '';
+  if (preset.videoQualityMode === 'crf') {
+    rateControl = `, CRF ${preset.videoQuality}`;
+  } else if (preset.videoQualityMode === 'twopass') {
+    rateControl = ', two-pass';
+  }
+  const encoderPreset = preset.encoderPreset ? `, ${preset.encoderPreset}` : '';
+  return `${preset.videoCodec || 'any'}${bitrate}${bitsPerPixel}${rateControl}${encoderPreset}`;
+}
+
+function describePresetAudio(preset) {
+  const bitrate = preset.audioBitrate ? ` ${preset.audioBitrate}k` : '';
+  const channels = preset.audioChannels ? `, ${preset.audioChannelsOp || '='} ${preset.audioChannels}ch` : '';
+  return `${preset.audioCodec || 'any'}${bitrate}${channels}`;
+}
+
+function renderPresetList(presets) {
+  if (!presetListBody) {
+    return;
+  }
+  if (!presets.length) {
+    presetListBody.innerHTML = '<tr><td colspan="4" class="text-muted">No presets yet.</td></tr>';
+    return;
+  }
+  presetListBody.innerHTML = presets.map((preset) => `
+    <tr>
+      <td>
+        <div class="fw-semibold">${escapeHtml(preset.name)}</div>
+        ${preset.description ? `<div class="form-text m-0">${escapeHtml(preset.description)}</div>` : ''}
+      </td>
+      <td>${escapeHtml(describePresetVideo(preset))}</td>
+      <td>${escapeHtml(describePresetAudio(preset))}</td>
+      <td class="text-end">
+        <button class="btn btn-sm btn-outline-danger" type="button" data-delete-preset-id="${escapeHtml(preset.id)}">Delete</button>
+      </td>
+    </tr>
+  `).join('');
+}
+
+async function refreshPresetList() {
+  const data = await fetchJsonOrThrow('/api/presets', undefined, 'Unable to load presets.');
+  renderPresetList(Array.isArray(data.presets) ? data.presets : []);
+}
+
+if (presetListBody) {
+  refreshPresetList().catch((error) => {
+    renderPresetStatus(error.message);
+  });
+
+  presetListBody.addEventListener('click', async (event) => {
+    const button = event.target.closest('button[data-delete-preset-id]');
+    if (!button) {
+      return;
+    }
+    button.disabled = true;
+    try {
+      await fetchJsonOrThrow(`/api/presets/${encodeURIComponent(button.dataset.deletePresetId)}`, { method: 'DELETE' }, 'Unable to delete preset.');
+      renderPresetStatus('Preset deleted.');
+      await refreshPresetList();
+    } catch (error) {
+      renderPresetStatus(error.message);
+      button.disabled = false;
+    }
+  });
+}
+
+if (presetSaveForm) {
+  presetSaveForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const saved = loadAuditSettings();
+    try {
+      const data = await fetchJsonOrThrow('/api/presets', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: presetNameInput?.value || '',
+          description: presetDescriptionInput?.value || '',
+          videoCodec: saved.videoCodec || '',
+          videoBitrate: saved.videoBitrate || '',
+          videoBitrateOp: saved.videoBitrateOp || '=',
+          videoBitrateTolerancePct: saved.videoBitrateTolerancePct || '',
+          audioCodec: saved.audioCodec || '',
+          audioChannels: saved.audioChannels || '',
+          audioChannelsOp: saved.audioChannelsOp || '>=',
+          videoQualityMode: saved.videoQualityMode || 'bitrate',
+          videoQuality: saved.videoQuality || '',
+          encoderPreset: saved.encoderPreset || '',
+          encoderTune: saved.encoderTune || '',
+          videoMaxrate: saved.videoMaxrate || '',
+          videoBufsize: saved.videoBufsize || '',
+          resolution: saved.resolution || '',
+          resolutionOp: saved.resolutionOp || '<=',
+          frameRate: saved.frameRate || '',
+          frameRateOp: saved.frameRateOp || '<=',
+          bitsPerPixel: saved.bitsPerPixel || '',
+          bitsPerPixelOp: saved.bitsPerPixelOp || '<=',
+          maxWidth: saved.maxWidth || '',
+          maxHeight: saved.maxHeight || '',
+          maxFps: saved.maxFps || '',
+          deinterlace: saved.deinterlace === true,
+          audioTracks: saved.audioTracks || 'default',
+          audioLanguages: saved.audioLanguages || '',
+          keepOriginalAudio: saved.keepOriginalAudio === true,
+          addStereoAacTrack: saved.addStereoAacTrack === true,
+          subtitleMode: saved.subtitleMode || 'default',
+          burnForcedSubtitles: saved.burnForcedSubtitles === true,
+          smartCopy: saved.smartCopy === true,
+          hdrPolicy: saved.hdrPolicy || 'preserve',
+          hdr: saved.hdr || '',
+          container: saved.container || '',
+          verifyLevel: saved.verifyLevel || 'basic',
+          qualityMetric: saved.qualityMetric || 'ssim',
+          minQuality: saved.minQuality || '',
+          niceLevel: saved.niceLevel || '',
+          ioClass: saved.ioClass || '',
+          ioLevel: saved.ioLevel || '',
+          threads: saved.threads || '',
+          cpuAffinity: saved.cpuAffinity || ''
+        })
+      }, 'Unable to save preset.');
+      presetSaveForm.reset();
+      renderPresetStatus(`Saved preset "${data.preset.name}" from the current Home targets.`);
+      await refreshPresetList();
+    } catch (error) {
+      renderPresetStatus(error.message);
+    }
+  });
+}
+
+function renderRuleSetStatus(text) {
+  if (ruleSetStatus) {
+    ruleSetStatus.textContent = text;
+  }
+}
+
+let loadedRuleSets = [];
+
+async function refreshRuleSetList() {
+  const data = await fetchJsonOrThrow('/api/audit/rulesets', undefined, 'Unable to load rule sets.');
+  loadedRuleSets = Array.isArray(data.ruleSets) ? data.ruleSets : [];
+  if (!loadedRuleSets.length) {
+    ruleSetListBody.innerHTML = '<tr><td colspan="3" class="text-muted">No rule sets yet.</td></tr>';
+    return;
+  }
+  ruleSetListBody.innerHTML = loadedRuleSets.map((ruleSet) => `
+    <tr>
+      <td>${escapeHtml(ruleSet.name)}</td>
+      <td class="text-muted">${escapeHtml(ruleSet.description || '')}</td>
+      <td class="text-end text-nowrap">
+        <button class="btn btn-sm btn-outline-primary" type="button" data-edit-rule-set-id="${escapeHtml(ruleSet.id)}">Edit</button>
+        <button class="btn btn-sm btn-outline-danger" type="button" data-delete-rule-set-id="${escapeHtml(ruleSet.id)}">Delete</button>
+      </td>
+    </tr>
+  `).join('');
+}
+
+function readRuleSetRule() {
+  try {
+    return JSON.parse(ruleSetRuleInput.value);
+  } catch (error) {
+    throw new Error(`Rule is not valid JSON: ${error.message}`);
+  }
+}
+
+function resetRuleSetForm() {
+  ruleSetForm.reset();
+  ruleSetIdInput.value = '';
+}
+
+if (ruleSetListBody && ruleSetForm) {
+  refreshRuleSetList().catch((error) => {
+    renderRuleSetStatus(error.message);
+  });
+
+  ruleSetListBody.addEventListener('click', async (event) => {
+    const editButton = event.target.closest('button[data-edit-rule-set-id]');
+    const deleteButton = event.target.closest('button[data-delete-rule-set-id]');
+    if (editButton) {
+      const ruleSet = loadedRuleSets.find((item) => item.id === editButton.dataset.editRuleSetId);
+      if (ruleSet) {
+        ruleSetIdInput.value = ruleSet.id;
+        ruleSetNameInput.value = ruleSet.name;
+        ruleSetDescriptionInput.value = ruleSet.description || '';
+        ruleSetRuleInput.value = JSON.stringify(ruleSet.rule, null, 2);
+        renderRuleSetStatus(`Editing "${ruleSet.name}".`);
+      }
+      return;
+    }
+    if (!deleteButton) {
+      return;
+    }
+    deleteButton.disabled = true;
+    try {
+      await fetchJsonOrThrow(`/api/audit/rulesets/${encodeURIComponent(deleteButton.dataset.deleteRuleSetId)}`, { method: 'DELETE' }, 'Unable to delete rule set.');
+      if (ruleSetIdInput.value === deleteButton.dataset.deleteRuleSetId) {
+        resetRuleSetForm();
+      }
+      renderRuleSetStatus('Rule set deleted.');
+      await refreshRuleSetList();
+    } catch (error) {
+      renderRuleSetStatus(error.message);
+      deleteButton.disabled = false;
+    }
+  });
+
+  ruleSetForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    try {
+      const id = ruleSetIdInput.value;
+      const data = await fetchJsonOrThrow(id ? `/api/audit/rulesets/${encodeURIComponent(id)}` : '/api/audit/rulesets', {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: ruleSetNameInput.value.trim(),
+          description: ruleSetDescriptionInput.value.trim(),
+          rule: readRuleSetRule()
+        })
+      }, 'Unable to save rule set.');
+      ruleSetIdInput.value = data.ruleSet.id;
+      renderRuleSetStatus(`Saved rule set "${data.ruleSet.name}".`);
+      await refreshRuleSetList();
+    } catch (error) {
+      renderRuleSetStatus(error.message);
+    }
+  });
+
+  ruleSetValidateBtn?.addEventListener('click', async () => {
+    try {
+      await fetchJsonOrThrow('/api/audit/rulesets/validate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rule: readRuleSetRule() })
+      }, 'Rule is not valid.');
+      renderRuleSetStatus('Rule is valid.');
+    } catch (error) {
+      renderRuleSetStatus(error.message);
+    }
+  });
+
+  ruleSetNewBtn?.addEventListener('click', () => {
+    resetRuleSetForm();
+    renderRuleSetStatus('');
+  });
+}
+
+function renderQuarantineStatus(text) {
+  if (quarantineStatus) {
+    quarantineStatus.textContent = text;
+  }
+}
+
+function formatQuarantineDate(value) {
+  return value ? new Date(value).toLocaleString() : 'Never';
+}
+
+function renderQuarantineList(entries) {
+  if (!quarantineListBody) {
+    return;
+  }
+  if (!entries.length) {
+    quarantineListBody.innerHTML = '<tr><td colspan="5" class="text-muted">No quarantined originals.</td></tr>';
+    return;
+  }
+  quarantineListBody.innerHTML = entries.map((entry) => `
+    <tr>
+      <td class="text-break">
+        <div>${escapeHtml(entry.originalPath)}</div>
+        ${entry.outputPath && entry.outputPath !== entry.originalPath ? `<div class="form-text m-0">Output: ${escapeHtml(entry.outputPath)}</div>` : ''}
+      </td>
+      <td>${(entry.sizeBytes / (1024 * 1024)).toFixed(1)}</td>
+      <td>${escapeHtml(formatQuarantineDate(entry.quarantinedAt))}</td>
+      <td>${escapeHtml(formatQuarantineDate(entry.expiresAt))}</td>
+      <td class="text-end text-nowrap">
+        <button class="btn btn-sm btn-outline-primary" type="button" data-restore-quarantine-id="${escapeHtml(entry.id)}">Restore</button>
+        <button class="btn btn-sm btn-outline-danger" type="button" data-purge-quarantine-id="${escapeHtml(entry.id)}">Purge</button>
+      </td>
+    </tr>
+  `).join('');
+}
+
+async function refreshQuarantine() {
+  const data = await fetchJsonOrThrow('/api/transcode/quarantine', undefined, 'Unable to load quarantine.');
+  renderQuarantineList(Array.isArray(data.entries) ? data.entries : []);
+  return data.settings || {};
+}
+
+async function saveQuarantineSettings(patch) {
+  await fetchJsonOrThrow('/api/transcode/quarantine/settings', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(patch)
+  }, 'Unable to save quarantine settings.');
+  renderQuarantineStatus('Saved. New quarantined originals use these settings.');
+}
+
+async function purgeQuarantine(all) {
+  const data = await fetchJsonOrThrow('/api/transcode/quarantine/purge', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ all })
+  }, 'Unable to purge quarantine.');
+  renderQuarantineStatus(`Purged ${data.purged} quarantined original(s).`);
+  await refreshQuarantine();
+}
+
+if (quarantineListBody) {
+  refreshQuarantine()
+    .then((settings) => {
+      if (quarantineRetentionSetting) {
+        quarantineRetentionSetting.value = String(settings.retentionDays ?? '');
+      }
+      if (quarantineDirSetting && quarantineDirPicker) {
+        quarantineDirSetting.value = settings.dir || '';
+        return loadDirectoryPicker(quarantineDirSetting, quarantineDirPicker, { emptyLabel: 'Default (transcode-data/quarantine)', maxDepth: 1 });
+      }
+      return undefined;
+    })
+    .catch((error) => {
+      renderQuarantineStatus(error.message);
+    });
+
+  // A restore that would overwrite the transcoded output is refused until the
+  // button is clicked again to confirm.
+  quarantineListBody.addEventListener('click', async (event) => {
+    const restoreButton = event.target.closest('button[data-restore-quarantine-id]');
+    const purgeButton = event.target.closest('button[data-purge-quarantine-id]');
+    if (!restoreButton && !purgeButton) {
+      return;
+    }
+    const button = restoreButton || purgeButton;
+    button.disabled = true;
+    try {
+      if (purgeButton) {
+        await fetchJsonOrThrow(`/api/transcode/quarantine/${encodeURIComponent(purgeButton.dataset.purgeQuarantineId)}`, { method: 'DELETE' }, 'Unable to purge file.');
+        renderQuarantineStatus('Quarantined original purged.');
+      } else {
+        const overwrite = restoreButton.dataset.overwrite === 'true';
+        const { response, data } = await fetchJson(`/api/transcode/quarantine/${encodeURIComponent(restoreButton.dataset.restoreQuarantineId)}/restore`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ overwrite })
+        });
+        if (response.status === 409) {
+          restoreButton.dataset.overwrite = 'true';
+          restoreButton.textContent = 'Overwrite';
+          restoreButton.classList.replace('btn-outline-primary', 'btn-danger');
+          restoreButton.disabled = false;
+          renderQuarantineStatus(`${data.error} Click Overwrite to replace it.`);
+          return;
+        }
+        if (!response.ok || !data?.ok) {
+          throw new Error(data?.error || 'Unable to restore file.');
+        }
+        renderQuarantineStatus(`Restored ${data.entry.originalPath}.`);
+      }
+      await refreshQuarantine();
+    } catch (error) {
+      renderQuarantineStatus(error.message);
+      button.disabled = false;
+    }
+  });
+}
+
+if (quarantineDirPicker && quarantineDirSetting) {
+  quarantineDirPicker.addEventListener('change', async () => {
+    quarantineDirSetting.value = quarantineDirPicker.value || '';
+    try {
+      await saveQuarantineSettings({ dir: quarantineDirSetting.value.trim() });
+      await loadDirectoryPicker(quarantineDirSetting, quarantineDirPicker, { emptyLabel: 'Default (transcode-data/quarantine)', maxDepth: 1 });
+    } catch (error) {
+      renderQuarantineStatus(error.message);
+    }
+  });
+}
+
+if (quarantineRetentionSetting) {
+  quarantineRetentionSetting.addEventListener('change', () => {
+    saveQuarantineSettings({ retentionDays: quarantineRetentionSetting.value.trim() }).catch((error) => {
+      renderQuarantineStatus(error.message);
+    });
+  });
+}
+
+function renderAuditRootStatus(text) {
+  if (auditRootStatus) {
+    auditRootStatus.textContent = text;
+  }
+}
+
+function formatAuditRootValue(value) {
+  return value === '' || value === undefined ? 'Default' : String(value);
+}
+
+async function refreshAuditRoots() {
+  const data = await fetchJsonOrThrow('/api/audit/roots', undefined, 'Unable to load scan folders.');
+  const roots = Array.isArray(data.roots) ? data.roots : [];
+  if (!roots.length) {
+    auditRootListBody.innerHTML = '<tr><td colspan="5" class="text-muted">No folders configured; scans use the defaults.</td></tr>';
+    return;
+  }
+  auditRootListBody.innerHTML = roots.map((entry) => `
+    <tr>
+      <td class="text-break">${escapeHtml(entry.root)}</td>
+      <td>${escapeHtml(formatAuditRootValue(entry.probeConcurrency))}</td>
+      <td>${escapeHtml(formatAuditRootValue(entry.probeTimeoutSeconds))}</td>
+      <td>${escapeHtml(formatAuditRootValue(entry.auditWorkers))}</td>
+      <td class="text-end"><button class="btn btn-sm btn-outline-danger" type="button" data-remove-audit-root="${escapeHtml(entry.root)}">Remove</button></td>
+    </tr>
+  `).join('');
+}
+
+if (auditRootListBody) {
+  refreshAuditRoots().catch((error) => {
+    renderAuditRootStatus(error.message);
+  });
+  loadDirectoryPicker(auditRootSetting, auditRootPicker, { emptyLabel: 'Select a folder', maxDepth: 1 }).catch((error) => {
+    renderAuditRootStatus(error.message);
+  });
+
+  auditRootListBody.addEventListener('click', async (event) => {
+    const button = event.target.closest('button[data-remove-audit-root]');
+    if (!button) {
+      return;
+    }
+    button.disabled = true;
+    try {
+      await fetchJsonOrThrow('/api/audit/roots', {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ root: button.dataset.removeAuditRoot })
+      }, 'Unable to remove folder.');
+      renderAuditRootStatus(`Removed ${button.dataset.removeAuditRoot}.`);
+      await refreshAuditRoots();
+    } catch (error) {
+      renderAuditRootStatus(error.message);
+      button.disabled = false;
+    }
+  });
+}
+
+if (auditRootPicker && auditRootSetting) {
+  auditRootPicker.addEventListener('change', async () => {
+    auditRootSetting.value = auditRootPicker.value || '';
+    try {
+      await loadDirectoryPicker(auditRootSetting, auditRootPicker, { emptyLabel: 'Select a folder', maxDepth: 1 });
+    } catch (error) {
+      renderAuditRootStatus(error.message);
+    }
+  });
+}
+
+if (auditRootForm) {
+  auditRootForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    try {
+      const data = await fetchJsonOrThrow('/api/audit/roots', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          root: auditRootSetting.value.trim(),
+          probeConcurrency: auditProbeConcurrencySetting.value.trim(),
+          probeTimeoutSeconds: auditProbeTimeoutSetting.value.trim(),
+          auditWorkers: auditWorkersSetting.value.trim()
+        })
+      }, 'Unable to save folder.');
+      renderAuditRootStatus(`Saved scan settings for ${data.entry.root}.`);
+      await refreshAuditRoots();
+    } catch (error) {
+      renderAuditRootStatus(error.message);
+    }
+  });
+}
+
+function renderScheduleStatus(text) {
+  if (scheduleStatus) {
+    scheduleStatus.textContent = text;
+  }
+}
+
+function describeSchedule(schedule) {
+  if (!schedule.enabled) {
+    return 'Schedule off: transcodes run whenever they are queued.';
+  }
+  const next = schedule.nextChangeAt ? new Date(schedule.nextChangeAt).toLocaleString() : null;
+  if (schedule.open) {
+    return next ? `Window open until ${next}.` : 'Window open.';
+  }
+  return next ? `Outside the schedule; next window opens ${next}.` : 'Outside the schedule.';
+}
+
+function buildScheduleWindowRow(window = {}) {
+  return `
+    <tr data-schedule-window>
+      <td><input class="form-control form-control-sm" data-schedule-days type="text" placeholder="mon-fri" value="${escapeHtml(Array.isArray(window.days) ? window.days.join(',') : window.days || '')}" /></td>
+      <td><input class="form-control form-control-sm" data-schedule-start type="text" placeholder="01:00" value="${escapeHtml(window.start || '01:00')}" /></td>
+      <td><input class="form-control form-control-sm" data-schedule-end type="text" placeholder="07:00" value="${escapeHtml(window.end || '07:00')}" /></td>
+      <td class="text-end"><button class="btn btn-sm btn-outline-danger" type="button" data-remove-schedule-window>Remove</button></td>
+    </tr>
+  `;
+}
+
+function renderScheduleWindows(windows) {
+  scheduleWindowBody.innerHTML = windows.length
+    ? windows.map(buildScheduleWindowRow).join('')
+    : '<tr data-schedule-empty><td colspan="4" class="text-muted">No windows yet.</td></tr>';
+}
+
+function readScheduleWindows() {
+  return Array.from(scheduleWindowBody.querySelectorAll('tr[data-schedule-window]')).map((row) => ({
+    days: row.querySelector('[data-schedule-days]').value.trim(),
+    start: row.querySelector('[data-schedule-start]').value.trim(),
+    end: row.querySelector('[data-schedule-end]').value.trim()
+  }));
+}
+
+async function refreshSchedule() {
+  const data = await fetchJsonOrThrow('/api/transcode/schedule', undefined, 'Unable to load the transcode schedule.');
+  scheduleEnabledSetting.checked = data.schedule.enabled === true;
+  scheduleOutsideSetting.value = data.schedule.outsideWindow === 'stop' ? 'stop' : 'pause';
+  renderScheduleWindows(data.schedule.windows || []);
+  renderScheduleStatus(describeSchedule(data.schedule));
+}
+
+if (scheduleWindowBody) {
+  refreshSchedule().catch((error) => {
+    renderScheduleStatus(error.message);
+  });
+
+  scheduleWindowBody.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-remove-schedule-window]');
+    if (!button) {
+      return;
+    }
+    button.closest('tr').remove();
+    if (!scheduleWindowBody.querySelector('tr[data-schedule-window]')) {
+      renderScheduleWindows([]);
+    }
+  });
+}
+
+if (scheduleAddWindowBtn && scheduleWindowBody) {
+  scheduleAddWindowBtn.addEventListener('click', () => {
+    scheduleWindowBody.querySelector('tr[data-schedule-empty]')?.remove();
+    scheduleWindowBody.insertAdjacentHTML('beforeend', buildScheduleWindowRow({ days: 'mon-fri' }));
+  });
+}
+
+if (scheduleSaveBtn) {
+  scheduleSaveBtn.addEventListener('click', async () => {
+    scheduleSaveBtn.disabled = true;
+    try {
+      const data = await fetchJsonOrThrow('/api/transcode/schedule', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          enabled: scheduleEnabledSetting.checked,
+          outsideWindow: scheduleOutsideSetting.value,
+          windows: readScheduleWindows()
+        })
+      }, 'Unable to save the transcode schedule.');
+      renderScheduleWindows(data.schedule.windows || []);
+      renderScheduleStatus(`Saved. ${describeSchedule(data.schedule)}`);
+    } catch (error) {
+      renderScheduleStatus(error.message);
+    } finally {
+      scheduleSaveBtn.disabled = false;
+    }
+  });
+}
+
+function renderWatchStatus(text) {
+  if (watchStatus) {
+    watchStatus.textContent = text;
+  }
+}
+
+function describeWatchStatus(watch) {
+  if (!watch.enabled) {
+    return 'Disabled';
+  }
+  const status = watch.status || {};
+  if (!status.active) {
+    return 'Not running (folder missing at startup?)';
+  }
+  const parts = [
+    status.activeMode === 'poll' ? `Polling every ${watch.pollIntervalSeconds}s` : 'Watching',
+    `${status.checkedCount || 0} checked, ${status.queuedCount || 0} queued`
+  ];
+  if (status.pendingFiles?.length) {
+    parts.push(`${status.pendingFiles.length} settling`);
+  }
+  if (status.lastError) {
+    parts.push(`last error: ${status.lastError}`);
+  }
+  return parts.join('; ');
+}
+
+function renderWatchList(watches, presetNames) {
+  if (!watches.length) {
+    watchListBody.innerHTML = '<tr><td colspan="5" class="text-muted">No watch folders yet.</td></tr>';
+    return;
+  }
+  watchListBody.innerHTML = watches.map((watch) => `
+    <tr>
+      <td><code>${escapeHtml(watch.root)}</code></td>
+      <td>${escapeHtml(presetNames.get(watch.presetId) || 'Missing preset')}</td>
+      <td>${watch.mode === 'poll' ? 'Polling' : 'File events'}</td>
+      <td class="small">${escapeHtml(describeWatchStatus(watch))}</td>
+      <td class="text-end text-nowrap">
+        <button class="btn btn-sm btn-outline-secondary" type="button" data-toggle-watch-id="${escapeHtml(watch.id)}" data-enabled="${watch.enabled ? 'true' : 'false'}">${watch.enabled ? 'Disable' : 'Enable'}</button>
+        <button class="btn btn-sm btn-outline-danger" type="button" data-delete-watch-id="${escapeHtml(watch.id)}">Remove</button>
+      </td>
+    </tr>
+  `).join('');
+}
+
+async function refreshWatchFolders() {
+  const [watchData, presetData] = await Promise.all([
+    fetchJsonOrThrow('/api/watch', undefined, 'Unable to load watch folders.'),
+    fetchJsonOrThrow('/api/presets', undefined, 'Unable to load presets.')
+  ]);
+  const presets = Array.isArray(presetData.presets) ? presetData.presets : [];
+  const selected = watchPresetSetting.value;
+  watchPresetSetting.innerHTML = presets
+    .map((preset) => `<option value="${escapeHtml(preset.id)}">${escapeHtml(preset.name)}</option>`)
+    .join('');
+  if (presets.some((preset) => preset.id === selected)) {
+    watchPresetSetting.value = selected;
+  }
+  renderWatchList(
+    Array.isArray(watchData.watches) ? watchData.watches : [],
+    new Map(presets.map((preset) => [preset.id, preset.name]))
+  );
+}
+
+if (watchListBody) {
+  refreshWatchFolders().catch((error) => {
+    renderWatchStatus(error.message);
+  });
+
+  watchListBody.addEventListener('click', async (event) => {
+    const toggleButton = event.target.closest('button[data-toggle-watch-id]');
+    const deleteButton = event.target.closest('button[data-delete-watch-id]');
+    const button = toggleButton || deleteButton;
+    if (!button) {
+      return;
+    }
+    button.disabled = true;
+    try {
+      if (toggleButton) {
+        await fetchJsonOrThrow(`/api/watch/${encodeURIComponent(toggleButton.dataset.toggleWatchId)}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ enabled: toggleButton.dataset.enabled !== 'true' })
+        }, 'Unable to update the watch folder.');
+        renderWatchStatus(toggleButton.dataset.enabled === 'true' ? 'Watch folder disabled.' : 'Watch folder enabled.');
+      } else {
+        await fetchJsonOrThrow(`/api/watch/${encodeURIComponent(deleteButton.dataset.deleteWatchId)}`, { method: 'DELETE' }, 'Unable to remove the watch folder.');
+        renderWatchStatus('Watch folder removed.');
+      }
+      await refreshWatchFolders();
+    } catch (error) {
+      renderWatchStatus(error.message);
+      button.disabled = false;
+    }
+  });
+}
+
+if (watchForm) {
+  watchForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    try {
+      const data = await fetchJsonOrThrow('/api/watch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          root: watchRootSetting.value,
+          presetId: watchPresetSetting.value,
+          mode: watchModeSetting.value,
+          pollIntervalSeconds: watchPollSetting.value,
+          stableSeconds: watchStableSetting.value
+        })
+      }, 'Unable to add the watch folder.');
+      watchRootSetting.value = '';
+      renderWatchStatus(`Watching ${data.watch.root}.`);
+      await refreshWatchFolders();
+    } catch (error) {
+      renderWatchStatus(error.message);
+    }
+  });
+}
+
+if (quarantinePurgeExpiredBtn) {
+  quarantinePurgeExpiredBtn.addEventListener('click', () => {
+    purgeQuarantine(false).catch((error) => {
+      renderQuarantineStatus(error.message);
+    });
+  });
+}
+
+if (quarantinePurgeAllBtn) {
+  quarantinePurgeAllBtn.addEventListener('click', () => {
+    purgeQuarantine(true).catch((error) => {
+      renderQuarantineStatus(error.message);
+    });
+  });
+}
+
+if (presetImportBtn) {
+  presetImportBtn.addEventListener('click', async () => {
+    const file = presetImportFile?.files?.[0];
+    if (!file) {
+      renderPresetStatus('Choose a preset JSON file to import.');
+      return;
+    }
+    presetImportBtn.disabled = true;
+    try {
+      const payload = JSON.parse(await file.text());
+      const query = presetImportReplace?.checked ? '?replace=true' : '';
+      const data = await fetchJsonOrThrow(`/api/presets/import${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      }, 'Unable to import presets.');
+      renderPresetStatus(`Imported presets: ${data.created} added, ${data.updated} updated.`);
+      renderPresetList(Array.isArray(data.presets) ? data.presets : []);
+    } catch (error) {
+      renderPresetStatus(error.message);
+    } finally {
+      presetImportBtn.disabled = false;
+    }
+  });
+}
+
 function getCodecVisibilityMode() {
   return readStringStorage(CODEC_VISIBILITY_KEY, 'all') || 'all';
 }
@@ -219,6 +1016,33 @@ if (showCommonCodecsCheckbox) {
     }
   }
 
+  if (outputTemplateSetting) {
+    outputTemplateSetting.value = typeof saved.outputTemplate === 'string' ? saved.outputTemplate : '';
+    outputTemplateSetting.addEventListener('change', () => {
+      saveAuditSettingsPatch({ outputTemplate: outputTemplateSetting.value.trim() });
+      renderAdvancedSettingStatus();
+    });
+  }
+
+  if (outputRootSetting && outputRootPicker) {
+    outputRootSetting.value = typeof saved.outputRoot === 'string' ? saved.outputRoot : '';
+    loadDirectoryPicker(outputRootSetting, outputRootPicker, { emptyLabel: 'Next to the source (default)', maxDepth: 1 })
+      .catch((error) => {
+        renderAdvancedSettingStatus(`Failed to load output folders: ${error.message}`);
+      });
+
+    outputRootPicker.addEventListener('change', async () => {
+      outputRootSetting.value = outputRootPicker.value || '';
+      saveAuditSettingsPatch({ outputRoot: outputRootSetting.value.trim() });
+      renderAdvancedSettingStatus();
+      try {
+        await loadDirectoryPicker(outputRootSetting, outputRootPicker, { emptyLabel: 'Next to the source (default)', maxDepth: 1 });
+      } catch (error) {
+        renderAdvancedSettingStatus(`Failed to load output folders: ${error.message}`);
+      }
+    });
+  }
+
   if (videoBitrateToleranceSetting) {
     videoBitrateToleranceSetting.value = typeof saved.videoBitrateTolerancePct === 'string'
       ? saved.videoBitrateTolerancePct
@@ -282,6 +1106,52 @@ if (showCommonCodecsCheckbox) {
     });
   }
 
+  if (pauseOnBatterySetting) {
+    pauseOnBatterySetting.checked = saved.pauseOnBattery === true;
+    pauseOnBatterySetting.addEventListener('change', () => {
+      saveAuditSettingsPatch({ pauseOnBattery: pauseOnBatterySetting.checked });
+    });
+  }
+
+  if (throttleTempCSetting) {
+    throttleTempCSetting.value = typeof saved.throttleTempC === 'string' ? saved.throttleTempC : '';
+    throttleTempCSetting.addEventListener('change', () => {
+      const raw = throttleTempCSetting.value.trim();
+      if (raw === '') {
+        saveAuditSettingsPatch({ throttleTempC: '' });
+        return;
+      }
+
+      const value = Number.parseInt(raw, 10);
+      const safe = Number.isFinite(value) ? Math.max(30, Math.min(110, value)) : 85;
+      throttleTempCSetting.value = String(safe);
+      saveAuditSettingsPatch({ throttleTempC: String(safe) });
+    });
+  }
+
+  if (throttleLoadSetting) {
+    throttleLoadSetting.value = typeof saved.throttleLoad === 'string' ? saved.throttleLoad : '';
+    throttleLoadSetting.addEventListener('change', () => {
+      const raw = throttleLoadSetting.value.trim();
+      if (raw === '') {
+        saveAuditSettingsPatch({ throttleLoad: '' });
+        return;
+      }
+
+      const value = Number.parseFloat(raw);
+      const safe = Number.isFinite(value) ? Math.max(0.1, Math.min(16, value)) : 1;
+      throttleLoadSetting.value = String(safe);
+      saveAuditSettingsPatch({ throttleLoad: String(safe) });
+    });
+  }
+
+  if (throttleActionSetting) {
+    throttleActionSetting.value = saved.throttleAction === 'nice' ? 'nice' : 'pause';
+    throttleActionSetting.addEventListener('change', () => {
+      saveAuditSettingsPatch({ throttleAction: throttleActionSetting.value });
+    });
+  }
+
   if (saveTranscodeLogSetting) {
     saveTranscodeLogSetting.checked = saved.saveTranscodeLog === true;
     saveTranscodeLogSetting.addEventListener('change', () => {
@@ -298,6 +1168,24 @@ if (showCommonCodecsCheckbox) {
     });
   }
 
+  if (transcodeConcurrencySetting) {
+    transcodeConcurrencySetting.value = typeof saved.transcodeConcurrency === 'string' ? saved.transcodeConcurrency : '';
+    transcodeConcurrencySetting.addEventListener('input', () => {
+      const raw = transcodeConcurrencySetting.value.trim();
+      if (raw === '') {
+        saveAuditSettingsPatch({ transcodeConcurrency: '' });
+        renderAdvancedSettingStatus();
+        return;
+      }
+
+      const value = Number.parseInt(raw, 10);
+      const safe = Number.isFinite(value) ? Math.max(1, Math.min(64, value)) : 1;
+      transcodeConcurrencySetting.value = String(safe);
+      saveAuditSettingsPatch({ transcodeConcurrency: String(safe) });
+      renderAdvancedSettingStatus();
+    });
+  }
+
   if (ffmpegDirSetting || ffprobeDirSetting) {
     loadToolPathsFromServer()
       .then((toolPaths) => {
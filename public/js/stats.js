@@ -0,0 +1,199 @@
+import { fetchJsonOrThrow } from './api.js';
+import { escapeHtml, formatDurationClock } from './utils.js';
+
+const RECENT_FILE_LIMIT = 50;
+
+const filterForm = document.getElementById('stats-filter-form');
+const fromInput = document.getElementById('stats-from');
+const toInput = document.getElementById('stats-to');
+const periodSelect = document.getElementById('stats-period');
+const statusEl = document.getElementById('stats-status');
+const summaryEl = document.getElementById('stats-summary');
+const folderBody = document.getElementById('stats-folder-body');
+const recentBody = document.getElementById('stats-recent-body');
+
+const charts = {};
+
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) {
+    return '--';
+  }
+  const abs = Math.abs(bytes);
+  const sign = bytes < 0 ? '-' : '';
+  if (abs >= 1024 ** 4) {
+    return `${sign}${(abs / 1024 ** 4).toFixed(2)} TB`;
+  }
+  if (abs >= 1024 ** 3) {
+    return `${sign}${(abs / 1024 ** 3).toFixed(2)} GB`;
+  }
+  return `${sign}${(abs / 1024 ** 2).toFixed(2)} MB`;
+}
+
+function formatSpeed(speed) {
+  return Number.isFinite(speed) ? `${speed.toFixed(2)}x` : '--';
+}
+
+function toGB(bytes) {
+  return Math.round((bytes / 1024 ** 3) * 1000) / 1000;
+}
+
+function buildQuery(extra = {}) {
+  const params = new URLSearchParams(extra);
+  if (fromInput.value) {
+    params.set('from', fromInput.value);
+  }
+  if (toInput.value) {
+    params.set('to', toInput.value);
+  }
+  return params.toString();
+}
+
+function renderSummary(summary) {
+  const tiles = [
+    ['Space saved', formatBytes(summary.savedBytes)],
+    ['Files transcoded', `${summary.filesTranscoded} of ${summary.attemptedFiles}`],
+    ['Success rate', `${summary.successRatePct.toFixed(1)}%`],
+    ['Average reduction', `${summary.avgReductionPct.toFixed(1)}%`],
+    ['Average speed', formatSpeed(summary.avgSpeed)],
+    ['Video encoded', formatDurationClock(summary.durationSeconds)]
+  ];
+  summaryEl.innerHTML = tiles.map(([label, value]) => `
+    <div class="col-6 col-md-4 col-xl-2">
+      <div class="border rounded p-2 h-100">
+        <div class="small text-muted">${escapeHtml(label)}</div>
+        <div class="fs-5 fw-bold">${escapeHtml(value)}</div>
+      </div>
+    </div>`).join('');
+}
+
+// Chart.js comes from the CDN; without it the tables and tiles still work.
+function renderChart(id, config) {
+  if (charts[id]) {
+    charts[id].destroy();
+    delete charts[id];
+  }
+  const canvas = document.getElementById(id);
+  if (!canvas || !globalThis.Chart) {
+    return;
+  }
+  charts[id] = new globalThis.Chart(canvas, config);
+}
+
+function renderSavedChart(periods) {
+  let cumulative = 0;
+  const cumulativeGB = periods.map((period) => {
+    cumulative += period.savedBytes;
+    return toGB(cumulative);
+  });
+  renderChart('stats-saved-chart', {
+    data: {
+      labels: periods.map((period) => period.key),
+      datasets: [
+        {
+          type: 'bar',
+          label: 'Saved per period (GB)',
+          data: periods.map((period) => toGB(period.savedBytes))
+        },
+        {
+          type: 'line',
+          label: 'Total saved (GB)',
+          data: cumulativeGB,
+          tension: 0.2
+        }
+      ]
+    },
+    options: { responsive: true, scales: { y: { beginAtZero: true } } }
+  });
+}
+
+function renderCodecChart(codecs) {
+  renderChart('stats-codec-chart', {
+    type: 'doughnut',
+    data: {
+      labels: codecs.map((codec) => codec.key),
+      datasets: [{
+        label: 'Saved (GB)',
+        data: codecs.map((codec) => toGB(Math.max(0, codec.savedBytes)))
+      }]
+    },
+    options: { responsive: true }
+  });
+}
+
+function renderFolders(folders) {
+  if (!folders.length) {
+    folderBody.innerHTML = '<tr><td colspan="7" class="text-muted">No transcodes recorded yet.</td></tr>';
+    return;
+  }
+  folderBody.innerHTML = folders.map((folder) => `
+    <tr>
+      <td class="text-break">${escapeHtml(folder.key)}</td>
+      <td>${folder.filesTranscoded}</td>
+      <td>${folder.failedFiles}</td>
+      <td>${formatBytes(folder.sourceBytes)}</td>
+      <td>${formatBytes(folder.outputBytes)}</td>
+      <td>${formatBytes(folder.savedBytes)}</td>
+      <td>${formatSpeed(folder.avgSpeed)}</td>
+    </tr>`).join('');
+}
+
+function renderRecent(records) {
+  if (!records.length) {
+    recentBody.innerHTML = '<tr><td colspan="8" class="text-muted">No transcodes recorded yet.</td></tr>';
+    return;
+  }
+  recentBody.innerHTML = records.map((record) => {
+    const codec = record.sourceVideoCodec && record.videoCodec
+      ? `${record.sourceVideoCodec} → ${record.videoCodec}`
+      : record.videoCodec || record.encoder || '--';
+    const saved = record.ok
+      ? formatBytes(record.savedBytes)
+      : `<span class="${record.skipped || record.cancelled ? 'text-muted' : 'text-danger'}" title="${escapeHtml(record.error || '')}">${record.skipped ? 'Skipped' : record.cancelled ? 'Cancelled' : 'Failed'}</span>`;
+    return `
+    <tr>
+      <td class="text-nowrap">${escapeHtml(new Date(record.recordedAt).toLocaleString())}</td>
+      <td class="text-break">${escapeHtml(record.file)}</td>
+      <td>${escapeHtml(codec)}</td>
+      <td>${formatBytes(record.sourceBytes)}</td>
+      <td>${formatBytes(record.outputBytes)}</td>
+      <td>${saved}</td>
+      <td>${formatDurationClock(record.encodeSeconds)}</td>
+      <td>${formatSpeed(record.speed)}</td>
+    </tr>`;
+  }).join('');
+}
+
+async function loadStats() {
+  statusEl.textContent = 'Loading history...';
+  statusEl.classList.remove('text-danger');
+  statusEl.classList.add('text-muted');
+  try {
+    const [periods, codecs, folders, recent] = await Promise.all([
+      fetchJsonOrThrow(`/api/transcode/history/totals?${buildQuery({ groupBy: periodSelect.value })}`, undefined, 'Failed to load history.'),
+      fetchJsonOrThrow(`/api/transcode/history/totals?${buildQuery({ groupBy: 'codec' })}`, undefined, 'Failed to load history.'),
+      fetchJsonOrThrow(`/api/transcode/history/totals?${buildQuery({ groupBy: 'folder' })}`, undefined, 'Failed to load history.'),
+      fetchJsonOrThrow(`/api/transcode/history?${buildQuery({ limit: RECENT_FILE_LIMIT })}`, undefined, 'Failed to load history.')
+    ]);
+    const summary = periods.summary;
+    const recordedFiles = summary.attemptedFiles + summary.skippedFiles + summary.cancelledFiles;
+    statusEl.textContent = recordedFiles
+      ? `${recordedFiles} file(s) recorded since ${new Date(summary.startedAt).toLocaleDateString()}.`
+      : 'No transcodes recorded for this range.';
+    renderSummary(summary);
+    renderSavedChart(periods.groups);
+    renderCodecChart(codecs.groups);
+    renderFolders(folders.groups);
+    renderRecent(recent.records);
+  } catch (error) {
+    statusEl.textContent = `Unable to load statistics: ${error.message || 'unknown error'}`;
+    statusEl.classList.remove('text-muted');
+    statusEl.classList.add('text-danger');
+  }
+}
+
+filterForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  loadStats();
+});
+
+loadStats();
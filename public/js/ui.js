@@ -64,6 +64,17 @@ export function renderResults(rows, resultsBody, setupEnhancements) {
     const safeVideoBitrate = row.videoBitrate || 'unknown';
     const safeAudioCodec = row.audioCodec || 'unknown';
     const safeAudioChannels = row.audioChannels ?? 'unknown';
+    const extraAudioStreams = Array.isArray(row.audioStreams) ? row.audioStreams.slice(1) : [];
+    const extraAudioBadge = extraAudioStreams.length
+      ? ` <span class="badge text-bg-secondary" title="${escapeHtml(extraAudioStreams.map((stream) => [stream.codec, stream.language, stream.title].filter(Boolean).join(' ')).join(', '))}">+${extraAudioStreams.length}</span>`
+      : '';
+    const hdrBadge = row.hdr
+      ? ` <span class="badge text-bg-info">${escapeHtml(row.hdr)}</span>`
+      : '';
+    const warnings = Array.isArray(row.warnings) ? row.warnings : [];
+    const warningBadge = warnings.length
+      ? ` <span class="badge text-bg-warning" title="${escapeHtml(warnings.join('\n'))}">subs</span>`
+      : '';
     const logHref = row.logPath ? createLogViewerHref(row.logPath) : '';
     const logAction = row.logPath
       ? `<a class="btn btn-sm details-icon-btn" href="${escapeHtml(logHref)}" target="_blank" rel="noopener noreferrer" title="Open log file" aria-label="Open log file">
@@ -79,11 +90,11 @@ export function renderResults(rows, resultsBody, setupEnhancements) {
         <td data-sort="${row.index}">${row.index}</td>
         <td>${statusLabel}</td>
         <td data-sort="${row.rawSize || row.size || 0}">${escapeHtml(sizeMB)}</td>
-        <td class="${getCriteriaCellClass(rowState, row.checks?.videoCodec)}">${escapeHtml(String(safeVideoCodec))}</td>
+        <td class="${getCriteriaCellClass(rowState, row.checks?.videoCodec)}">${escapeHtml(String(safeVideoCodec))}${hdrBadge}</td>
         <td class="${getCriteriaCellClass(rowState, row.checks?.videoBitrate)}">${escapeHtml(String(safeVideoBitrate))}</td>
-        <td class="${getCriteriaCellClass(rowState, row.checks?.audioCodec)}">${escapeHtml(String(safeAudioCodec))}</td>
+        <td class="${getCriteriaCellClass(rowState, row.checks?.audioCodec)}">${escapeHtml(String(safeAudioCodec))}${extraAudioBadge}</td>
         <td data-sort="${Number.isFinite(row.audioChannels) ? row.audioChannels : 0}" class="${getCriteriaCellClass(rowState, row.checks?.audioChannels)}">${escapeHtml(String(safeAudioChannels))}</td>
-        <td data-sort="${row.issues}">${row.issues}</td>
+        <td data-sort="${row.issues}">${row.issues}${warningBadge}</td>
         <td>
           <span>${escapeHtml(truncateText(fileName))}</span>
         </td>
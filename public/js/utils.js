@@ -27,3 +27,17 @@ export function renderMessage(container, type, text) {
   const withBreaks = escapeHtml(text).replace(/\n/g, '<br />');
   container.innerHTML = `<div class="alert alert-${type}" role="alert">${withBreaks}</div>`;
 }
+
+export function formatDurationClock(totalSeconds) {
+  if (!Number.isFinite(totalSeconds) || totalSeconds < 0) {
+    return '--:--';
+  }
+  const rounded = Math.floor(totalSeconds);
+  const hours = Math.floor(rounded / 3600);
+  const minutes = Math.floor((rounded % 3600) / 60);
+  const seconds = rounded % 60;
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+  }
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
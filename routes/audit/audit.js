@@ -1,10 +1,40 @@
 import express from 'express';
-import { listAuditFilesHandler, runAuditFilesHandler, runAuditHandler } from '../../controllers/audit/auditController.js';
+import {
+  auditStreamHandler,
+  cancelAuditHandler,
+  createRuleSetHandler,
+  deleteAuditRootHandler,
+  deleteRuleSetHandler,
+  getRuleSetHandler,
+  invalidateProbeCacheHandler,
+  listAuditFilesHandler,
+  listAuditRootsHandler,
+  listRuleSetsHandler,
+  probeCacheInfoHandler,
+  runAuditFilesHandler,
+  runAuditHandler,
+  saveAuditRootHandler,
+  updateRuleSetHandler,
+  validateRuleHandler
+} from '../../controllers/audit/auditController.js';
 
 const router = express.Router();
 
 router.post('/audit', runAuditHandler);
+router.get('/audit/stream', auditStreamHandler);
+router.post('/audit/cancel', cancelAuditHandler);
 router.get('/audit/files', listAuditFilesHandler);
 router.post('/audit/files', runAuditFilesHandler);
+router.get('/audit/cache', probeCacheInfoHandler);
+router.delete('/audit/cache', invalidateProbeCacheHandler);
+router.get('/audit/roots', listAuditRootsHandler);
+router.put('/audit/roots', saveAuditRootHandler);
+router.delete('/audit/roots', deleteAuditRootHandler);
+router.get('/audit/rulesets', listRuleSetsHandler);
+router.post('/audit/rulesets', createRuleSetHandler);
+router.post('/audit/rulesets/validate', validateRuleHandler);
+router.get('/audit/rulesets/:id', getRuleSetHandler);
+router.put('/audit/rulesets/:id', updateRuleSetHandler);
+router.delete('/audit/rulesets/:id', deleteRuleSetHandler);
 
 export default router;
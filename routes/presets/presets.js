@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  createPresetHandler,
+  deletePresetHandler,
+  exportPresetsHandler,
+  getPresetHandler,
+  importPresetsHandler,
+  listPresetsHandler,
+  updatePresetHandler
+} from '../../controllers/presets/presetsController.js';
+
+const router = express.Router();
+
+router.get('/', listPresetsHandler);
+router.get('/export', exportPresetsHandler);
+router.post('/import', importPresetsHandler);
+router.post('/', createPresetHandler);
+router.get('/:id', getPresetHandler);
+router.put('/:id', updatePresetHandler);
+router.delete('/:id', deletePresetHandler);
+
+export default router;
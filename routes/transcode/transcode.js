@@ -3,11 +3,25 @@ import transcodeController from '../../controllers/transcode/transcodeController
 
 const router = express.Router();
 router.get('/summary', transcodeController.transcodeSummary);
+router.get('/history', transcodeController.transcodeHistory);
+router.get('/history/totals', transcodeController.transcodeHistoryTotals);
 router.get('/state', transcodeController.transcodeState);
+router.get('/schedule', transcodeController.transcodeSchedule);
+router.put('/schedule', transcodeController.transcodeScheduleUpdate);
 router.post('/', transcodeController.transcode);
+router.post('/estimate', transcodeController.transcodeEstimate);
 router.get('/stream', transcodeController.transcodeStream);
 router.post('/cancel', transcodeController.transcodeCancel);
 router.post('/pause', transcodeController.transcodePause);
 router.post('/resume', transcodeController.transcodeResume);
+router.post('/priority', transcodeController.transcodePriority);
+router.get('/jobs', transcodeController.transcodeJobs);
+router.get('/jobs/:id', transcodeController.transcodeJob);
+router.delete('/jobs/:id', transcodeController.transcodeJobCancel);
+router.get('/quarantine', transcodeController.quarantineList);
+router.put('/quarantine/settings', transcodeController.quarantineSettingsUpdate);
+router.post('/quarantine/purge', transcodeController.quarantinePurgeExpired);
+router.post('/quarantine/:id/restore', transcodeController.quarantineRestore);
+router.delete('/quarantine/:id', transcodeController.quarantinePurge);
 
 export default router;
@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  createWatchFolderHandler,
+  deleteWatchFolderHandler,
+  getWatchFolderHandler,
+  listWatchFoldersHandler,
+  updateWatchFolderHandler
+} from '../../controllers/watch/watchController.js';
+
+const router = express.Router();
+
+router.get('/', listWatchFoldersHandler);
+router.post('/', createWatchFolderHandler);
+router.get('/:id', getWatchFolderHandler);
+router.put('/:id', updateWatchFolderHandler);
+router.delete('/:id', deleteWatchFolderHandler);
+
+export default router;
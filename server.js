@@ -5,9 +5,14 @@ import fs from 'node:fs/promises';
 import { fileURLToPath } from 'node:url';
 import auditRoutes from './routes/audit/audit.js';
 import optionsRoutes from './routes/options/options.js';
+import presetRoutes from './routes/presets/presets.js';
 import smokeTestRoutes from './routes/smokeTest.js';
 import transcodeRoutes from './routes/transcode/transcode.js';
 import statsRoutes from './routes/stats.js';
+import watchRoutes from './routes/watch/watch.js';
+import { resumeTranscodeQueue } from './services/transcode/transcodeQueue.js';
+import { scheduleQuarantinePurge } from './services/transcode/transcodeQuarantine.js';
+import { startWatchFolders } from './services/watch/watchFolderService.js';
 
 const app = express();
 const port = Number.parseInt(process.env.PORT || '3000', 10);
@@ -32,9 +37,11 @@ app.use(express.urlencoded({ extended: false }));
 app.use(express.static(publicDir));
 app.use('/api', auditRoutes);
 app.use('/api/options', optionsRoutes);
+app.use('/api/presets', presetRoutes);
 app.use('/api', smokeTestRoutes);
 app.use('/api/transcode', transcodeRoutes);
 app.use('/api/stats', statsRoutes);
+app.use('/api/watch', watchRoutes);
 
 app.get('/', (_req, res) => {
   res.render('index', {
@@ -50,6 +57,13 @@ app.get('/settings', (_req, res) => {
   });
 });
 
+app.get('/stats', (_req, res) => {
+  res.render('stats', {
+    title: 'Stats - HarryHax Transcoder',
+    activeStats: true
+  });
+});
+
 app.get('/about', (_req, res) => {
   res.render('about', {
     title: 'About - HarryHax Transcoder',
@@ -76,4 +90,11 @@ app.get('/api/readme', async (_req, res) => {
 
 app.listen(port, () => {
   console.log(`Web UI running at http://localhost:${port}`);
+  resumeTranscodeQueue().catch((error) => {
+    console.error(`Unable to resume transcode queue: ${error.message}`);
+  });
+  scheduleQuarantinePurge();
+  startWatchFolders().catch((error) => {
+    console.error(`Unable to start watch folders: ${error.message}`);
+  });
 });
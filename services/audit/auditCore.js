@@ -1,11 +1,23 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { spawn } from 'node:child_process';
+import {
+  listSubtitleStreams,
+  resolveContainer,
+  resolveEmbeddedSubtitleCodec
+} from '../transcode/transcodeSubtitles.js';
+import { detectHdr, formatHdrLabel } from '../transcode/transcodeHdr.js';
+import { createProbeCache } from './probeCache.js';
+import { evaluateRule } from './auditRules.js';
 
 export const VIDEO_EXTENSIONS = new Set([
   '.mp4', '.mkv', '.mov', '.avi', '.wmv', '.flv', '.webm', '.m4v', '.mpg', '.mpeg', '.ts'
 ]);
 
+// How far a file may be from a bits per pixel target compared with `=`. It
+// is fixed rather than the video bitrate tolerance, which is set for bitrates.
+const BITS_PER_PIXEL_TOLERANCE_PCT = 5;
+
 function normalizeScanExtensions(input) {
   if (!input) {
     return new Set(VIDEO_EXTENSIONS);
@@ -101,13 +113,22 @@ export async function collectVideoFiles(rootDir, scanExtensions = null) {
   return files;
 }
 
-function runFfprobe(filePath, ffprobeCommand = 'ffprobe') {
+// A file on a stalled network share can leave ffprobe hanging forever, so it
+// is killed after timeoutSeconds (0 waits indefinitely).
+function runFfprobe(filePath, ffprobeCommand = 'ffprobe', timeoutSeconds = 0) {
   return new Promise((resolve, reject) => {
     const args = ['-v', 'error', '-print_format', 'json', '-show_streams', '-show_format', filePath];
     const child = spawn(ffprobeCommand, args, { stdio: ['ignore', 'pipe', 'pipe'] });
 
     let out = '';
     let err = '';
+    let timedOut = false;
+    const timer = timeoutSeconds > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGKILL');
+      }, timeoutSeconds * 1000)
+      : null;
 
     child.stdout.on('data', (chunk) => {
       out += chunk.toString();
@@ -118,10 +139,16 @@ function runFfprobe(filePath, ffprobeCommand = 'ffprobe') {
     });
 
     child.on('error', (error) => {
+      clearTimeout(timer);
       reject(new Error(`Failed to start ffprobe: ${error.message}`));
     });
 
     child.on('close', (code) => {
+      clearTimeout(timer);
+      if (timedOut) {
+        reject(new Error(`ffprobe timed out after ${timeoutSeconds}s`));
+        return;
+      }
       if (code !== 0) {
         reject(new Error(`ffprobe exit code ${code}: ${err.trim() || 'unknown error'}`));
         return;
@@ -147,6 +174,43 @@ function pickBitrate(stream, format) {
   return undefined;
 }
 
+// ffprobe reports rates as fractions such as "24000/1001"; "0/0" means unknown.
+export function parseFrameRate(value) {
+  const matched = String(value || '').trim().match(/^(\d+(?:\.\d+)?)(?:\/(\d+(?:\.\d+)?))?$/);
+  if (!matched) {
+    return undefined;
+  }
+  const numerator = Number.parseFloat(matched[1]);
+  const denominator = matched[2] === undefined ? 1 : Number.parseFloat(matched[2]);
+  if (!Number.isFinite(numerator) || numerator <= 0 || !Number.isFinite(denominator) || denominator <= 0) {
+    return undefined;
+  }
+  return Math.round((numerator / denominator) * 1000) / 1000;
+}
+
+function pickFrameRate(stream) {
+  return parseFrameRate(stream?.avg_frame_rate) ?? parseFrameRate(stream?.r_frame_rate);
+}
+
+// Bits per pixel per frame: the video bitrate spread over every pixel shown,
+// so a 480p file and a 4K file can be held to the same quality bar.
+export function computeBitsPerPixel(bitrateBps, width, height, frameRate) {
+  const pixelsPerSecond = width * height * frameRate;
+  if (!Number.isFinite(bitrateBps) || bitrateBps <= 0 || !Number.isFinite(pixelsPerSecond) || pixelsPerSecond <= 0) {
+    return undefined;
+  }
+  return Math.round((bitrateBps / pixelsPerSecond) * 10000) / 10000;
+}
+
+// Resolution class as the "p" number people use: a 1920x800 scope film is
+// still 1080p, so the height is derived from the width for wide frames.
+export function resolveResolutionClass(width, height) {
+  if (!Number.isFinite(width) || !Number.isFinite(height) || width <= 0 || height <= 0) {
+    return undefined;
+  }
+  return Math.max(height, Math.round((width * 9) / 16));
+}
+
 function normalizeOperator(operator) {
   return operator === '>=' || operator === '<=' || operator === '=' ? operator : '=';
 }
@@ -184,13 +248,50 @@ function normalizeVideoCodecForMatch(codec) {
   return value;
 }
 
-function evaluateMatch(target, actual) {
+function describeSubtitle(subtitle) {
+  const tags = [subtitle.language, subtitle.forced ? 'forced' : null].filter(Boolean);
+  return tags.length ? `${subtitle.codec} (${tags.join(', ')})` : subtitle.codec;
+}
+
+// What audit rules can refer to: the raw ffprobe output, streams grouped by
+// type, and the values worked out for the fixed checks.
+function buildRuleContext(file, probe, actual) {
+  const streams = Array.isArray(probe.streams) ? probe.streams : [];
+  const extension = path.extname(file.path).toLowerCase();
+  return {
+    file: {
+      path: file.path,
+      name: path.basename(file.path),
+      extension: extension.replace(/^\./, ''),
+      size: file.size,
+      mtimeMs: file.mtimeMs
+    },
+    format: probe.format || {},
+    streams,
+    video: streams.filter((stream) => stream.codec_type === 'video' && !stream.disposition?.attached_pic),
+    audio: streams.filter((stream) => stream.codec_type === 'audio'),
+    subtitle: streams.filter((stream) => stream.codec_type === 'subtitle'),
+    actual: {
+      ...actual,
+      resolution: resolveResolutionClass(actual.width, actual.height)
+    }
+  };
+}
+
+function evaluateMatch(target, actual, ruleContext = null) {
   const mismatches = [];
+  const warnings = [];
   const checks = {
     videoCodec: null,
     videoBitrate: null,
+    bitsPerPixel: null,
     audioCodec: null,
-    audioChannels: null
+    audioChannels: null,
+    resolution: null,
+    frameRate: null,
+    hdr: null,
+    subtitles: null,
+    rules: null
   };
 
   const normalizedTargetVideoCodec = normalizeVideoCodecForMatch(target.videoCodec);
@@ -227,6 +328,27 @@ function evaluateMatch(target, actual) {
     }
   }
 
+  if (Number.isFinite(target.bitsPerPixel)) {
+    const bppOperator = normalizeOperator(target.bitsPerPixelOp);
+    if (!Number.isFinite(actual.bitsPerPixel)) {
+      checks.bitsPerPixel = false;
+      mismatches.push(`bits per pixel rule ${bppOperator} ${target.bitsPerPixel} but bitrate, size or frame rate is unknown`);
+    } else {
+      const tolerance = target.bitsPerPixel * (BITS_PER_PIXEL_TOLERANCE_PCT / 100);
+      const passed = compareNumber(actual.bitsPerPixel, target.bitsPerPixel, bppOperator, tolerance);
+      checks.bitsPerPixel = passed;
+      if (!passed) {
+        if (bppOperator === '>=') {
+          mismatches.push(`bits per pixel ${actual.bitsPerPixel} is below minimum ${target.bitsPerPixel}`);
+        } else if (bppOperator === '<=') {
+          mismatches.push(`bits per pixel ${actual.bitsPerPixel} is above maximum ${target.bitsPerPixel}`);
+        } else {
+          mismatches.push(`bits per pixel expected≈${target.bitsPerPixel} (±${BITS_PER_PIXEL_TOLERANCE_PCT}%) actual=${actual.bitsPerPixel}`);
+        }
+      }
+    }
+  }
+
   if (target.audioCodec && actual.audioCodec !== target.audioCodec) {
     checks.audioCodec = false;
     mismatches.push(`audio codec expected=${target.audioCodec} actual=${actual.audioCodec || 'unknown'}`);
@@ -254,39 +376,142 @@ function evaluateMatch(target, actual) {
     }
   }
 
+  if (Number.isFinite(target.resolution)) {
+    const resolutionOperator = normalizeOperator(target.resolutionOp);
+    const resolutionClass = resolveResolutionClass(actual.width, actual.height);
+    if (!Number.isFinite(resolutionClass)) {
+      checks.resolution = false;
+      mismatches.push(`resolution rule ${resolutionOperator} ${target.resolution}p but actual resolution is unknown`);
+    } else {
+      const passed = compareNumber(resolutionClass, target.resolution, resolutionOperator);
+      checks.resolution = passed;
+      if (!passed) {
+        const actualText = `${actual.width}x${actual.height} (${resolutionClass}p)`;
+        if (resolutionOperator === '>=') {
+          mismatches.push(`resolution ${actualText} is below minimum ${target.resolution}p`);
+        } else if (resolutionOperator === '<=') {
+          mismatches.push(`resolution ${actualText} is above maximum ${target.resolution}p`);
+        } else {
+          mismatches.push(`resolution expected=${target.resolution}p actual=${actualText}`);
+        }
+      }
+    }
+  }
+
+  if (Number.isFinite(target.frameRate)) {
+    const frameRateOperator = normalizeOperator(target.frameRateOp);
+    if (!Number.isFinite(actual.frameRate)) {
+      checks.frameRate = false;
+      mismatches.push(`frame rate rule ${frameRateOperator} ${target.frameRate}fps but actual frame rate is unknown`);
+    } else {
+      // NTSC rates (23.976, 29.97) count as their nominal rate.
+      const tolerance = target.frameRate * 0.002;
+      const passed = frameRateOperator === '>='
+        ? actual.frameRate >= target.frameRate - tolerance
+        : frameRateOperator === '<='
+          ? actual.frameRate <= target.frameRate + tolerance
+          : compareNumber(actual.frameRate, target.frameRate, '=', tolerance);
+      checks.frameRate = passed;
+      if (!passed) {
+        if (frameRateOperator === '>=') {
+          mismatches.push(`frame rate ${actual.frameRate}fps is below minimum ${target.frameRate}fps`);
+        } else if (frameRateOperator === '<=') {
+          mismatches.push(`frame rate ${actual.frameRate}fps is above maximum ${target.frameRate}fps`);
+        } else {
+          mismatches.push(`frame rate expected=${target.frameRate}fps actual=${actual.frameRate}fps`);
+        }
+      }
+    }
+  }
+
+  if (target.hdr === 'sdr' || target.hdr === 'hdr') {
+    const isHdr = actual.hdr?.isHdr === true;
+    const passed = target.hdr === 'hdr' ? isHdr : !isHdr;
+    checks.hdr = passed;
+    if (!passed) {
+      mismatches.push(`dynamic range expected=${target.hdr.toUpperCase()} actual=${formatHdrLabel(actual.hdr)}`);
+    }
+  }
+
+  if (target.rules && ruleContext) {
+    const outcome = evaluateRule(target.rules, ruleContext);
+    checks.rules = outcome.passed;
+    mismatches.push(...outcome.failures);
+  }
+
+  // Subtitle loss doesn't make a file a transcode candidate; it is reported
+  // so the user can pick a container or sidecar mode that keeps them.
+  const subtitleStreams = Array.isArray(actual.subtitleStreams) ? actual.subtitleStreams : [];
+  if (subtitleStreams.length) {
+    const container = target.container || actual.container;
+    const lost = subtitleStreams.filter((subtitle) => !resolveEmbeddedSubtitleCodec(subtitle.codec, container));
+    checks.subtitles = lost.length === 0;
+    if (lost.length) {
+      warnings.push(`${lost.length} subtitle stream(s) can't be stored in ${container || 'this container'} and would be lost unless extracted to sidecars: ${lost.map(describeSubtitle).join(', ')}`);
+    }
+  }
+
   return {
     matches: mismatches.length === 0,
     mismatches,
+    warnings,
     checks
   };
 }
 
-export async function inspectOne(file, target) {
+// With a probe cache, files whose size and mtime haven't changed since they
+// were last probed skip ffprobe entirely.
+export async function inspectOne(file, target, { probeCache = null } = {}) {
   const ffprobeCommand = typeof target?.ffprobeCommand === 'string' && target.ffprobeCommand.trim()
     ? target.ffprobeCommand
     : 'ffprobe';
-  const probe = await runFfprobe(file.path, ffprobeCommand);
+  let probe = probeCache?.get(file) || null;
+  const cacheHit = !!probe;
+  if (!probe) {
+    probe = await runFfprobe(file.path, ffprobeCommand, target?.probeTimeoutSeconds || 0);
+    probeCache?.set(file, probe);
+  }
 
   const videoStream = (probe.streams || []).find((stream) => stream.codec_type === 'video');
-  const audioStream = (probe.streams || []).find((stream) => stream.codec_type === 'audio');
+  const audioStreams = (probe.streams || []).filter((stream) => stream.codec_type === 'audio');
+  const audioStream = audioStreams[0];
 
   const actual = {
     videoCodec: videoStream?.codec_name?.toLowerCase(),
     videoBitrate: pickBitrate(videoStream, probe.format),
     audioCodec: audioStream?.codec_name?.toLowerCase(),
-    audioChannels: Number.parseInt(audioStream?.channels, 10)
+    audioChannels: Number.parseInt(audioStream?.channels, 10),
+    width: Number.parseInt(videoStream?.width, 10),
+    height: Number.parseInt(videoStream?.height, 10),
+    frameRate: pickFrameRate(videoStream),
+    fieldOrder: videoStream?.field_order || undefined,
+    durationSeconds: Number.parseFloat(probe.format?.duration) || undefined,
+    hdr: detectHdr(videoStream),
+    audioStreams: audioStreams.map((stream) => ({
+      index: stream.index,
+      codec: stream.codec_name?.toLowerCase(),
+      channels: Number.parseInt(stream.channels, 10),
+      bitrate: pickBitrate(stream, null),
+      language: stream.tags?.language || undefined,
+      title: stream.tags?.title || undefined,
+      isDefault: stream.disposition?.default === 1
+    })),
+    subtitleStreams: listSubtitleStreams(probe.streams),
+    container: resolveContainer(file.path)
   };
+  actual.bitsPerPixel = computeBitsPerPixel(actual.videoBitrate, actual.width, actual.height, actual.frameRate);
 
   return {
     file,
     actual,
-    ...evaluateMatch(target, actual)
+    cacheHit,
+    ...evaluateMatch(target, actual, buildRuleContext(file, probe, actual))
   };
 }
 
-export async function inspectWithFallback(file, target) {
+export async function inspectWithFallback(file, target, options = {}) {
   try {
-    return await inspectOne(file, target);
+    return await inspectOne(file, target, options);
   } catch (error) {
     return {
       file,
@@ -297,24 +522,49 @@ export async function inspectWithFallback(file, target) {
   }
 }
 
-export async function runAudit({ root, criteria }) {
+// Runs fn over items with at most limit calls in flight, keeping the order of
+// items in the results. A slow item only holds up its own slot.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function runSlot() {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  const slots = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: slots }, runSlot));
+  return results;
+}
+
+// probeCacheEntries is a plain snapshot of the probe cache, since this runs
+// in a worker; the probes it had to run come back as probeUpdates. When the
+// caller already listed the files (to split them across workers) it passes
+// them in and no discovered event is sent.
+// onProgress is called once the file list is known and after every file, so
+// the worker can report as it goes.
+export async function runAudit({ root, criteria, files = null, probeConcurrency = 10, probeCacheEntries = null, onProgress = null }) {
   const rootPath = path.resolve(root);
-  const files = await collectVideoFiles(rootPath, criteria?.scanExtensions);
-
-  const results = [];
-  const BATCH_SIZE = 10;
-  for (let i = 0; i < files.length; i += BATCH_SIZE) {
-    const batch = files.slice(i, i + BATCH_SIZE);
-    const batchResults = await Promise.all(
-      batch.map((file) => inspectWithFallback(file, criteria))
-    );
-    results.push(...batchResults);
+  const probeCache = createProbeCache(probeCacheEntries);
+  if (!files) {
+    files = await collectVideoFiles(rootPath, criteria?.scanExtensions);
+    onProgress?.({ type: 'discovered', rootPath, total: files.length });
   }
 
+  const results = await mapWithConcurrency(files, probeConcurrency, async (file) => {
+    const result = await inspectWithFallback(file, criteria, { probeCache });
+    onProgress?.({ type: 'file', result, probeEntry: probeCache.getUpdate(file.path) });
+    return result;
+  });
+
   return {
     rootPath,
     files,
     results,
-    mismatchedCount: results.filter((item) => !item.matches).length
+    mismatchedCount: results.filter((item) => !item.matches).length,
+    cache: probeCache.stats(),
+    probeUpdates: probeCache.updates()
   };
-}
\ No newline at end of file
+}
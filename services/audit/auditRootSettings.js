@@ -0,0 +1,111 @@
+import path from 'node:path';
+import {
+  createSerializedWriter,
+  readJsonFileSafe,
+  resolveDataPath
+} from '../storage/dataStore.js';
+
+const DEFAULT_PROBE_CONCURRENCY = 10;
+const DEFAULT_PROBE_TIMEOUT_SECONDS = 60;
+const DEFAULT_AUDIT_WORKERS = 1;
+const MAX_PROBE_CONCURRENCY = 64;
+const MAX_PROBE_TIMEOUT_SECONDS = 3600;
+const MAX_AUDIT_WORKERS = 16;
+
+const auditRootsPath = resolveDataPath('audit-roots.json');
+const writeAuditRoots = createSerializedWriter(auditRootsPath, 'audit root settings');
+let roots = null;
+let rootsLoaded = null;
+
+async function ensureRootsLoaded() {
+  if (!rootsLoaded) {
+    rootsLoaded = readJsonFileSafe(auditRootsPath, null).then((parsed) => {
+      roots = Array.isArray(parsed?.roots) ? parsed.roots : [];
+    });
+  }
+  await rootsLoaded;
+}
+
+function parseWholeNumber(value, label, min, max) {
+  const text = String(value ?? '').trim();
+  if (!text) {
+    return '';
+  }
+  const parsed = Number.parseInt(text, 10);
+  if (!/^\d+$/.test(text) || parsed < min || parsed > max) {
+    throw new Error(`${label} must be a whole number between ${min} and ${max}.`);
+  }
+  return parsed;
+}
+
+// Blank fields are left to the next level: request, then the closest root
+// setting, then the AUDIT_* environment variables, then the defaults.
+export function normalizeAuditPerformance(input = {}) {
+  return {
+    probeConcurrency: parseWholeNumber(input.probeConcurrency, 'Probe concurrency', 1, MAX_PROBE_CONCURRENCY),
+    probeTimeoutSeconds: parseWholeNumber(input.probeTimeoutSeconds, 'Probe timeout', 0, MAX_PROBE_TIMEOUT_SECONDS),
+    auditWorkers: parseWholeNumber(input.auditWorkers, 'Audit workers', 1, MAX_AUDIT_WORKERS)
+  };
+}
+
+function getEnvironmentPerformance() {
+  return normalizeAuditPerformance({
+    probeConcurrency: process.env.AUDIT_PROBE_CONCURRENCY,
+    probeTimeoutSeconds: process.env.AUDIT_PROBE_TIMEOUT_SECONDS,
+    auditWorkers: process.env.AUDIT_WORKERS
+  });
+}
+
+function isWithinRoot(filePath, rootPath) {
+  const relative = path.relative(rootPath, filePath);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+export async function listAuditRootSettings() {
+  await ensureRootsLoaded();
+  return [...roots].sort((a, b) => a.root.localeCompare(b.root));
+}
+
+export async function saveAuditRootSettings(input = {}) {
+  const rootText = String(input.root || '').trim();
+  if (!rootText) {
+    throw new Error('Root folder is required.');
+  }
+  const entry = { root: path.resolve(rootText), ...normalizeAuditPerformance(input) };
+  await ensureRootsLoaded();
+  roots = [...roots.filter((candidate) => candidate.root !== entry.root), entry];
+  await writeAuditRoots({ roots });
+  return entry;
+}
+
+export async function deleteAuditRootSettings(root) {
+  await ensureRootsLoaded();
+  const rootPath = path.resolve(String(root || '').trim() || '.');
+  const entry = roots.find((candidate) => candidate.root === rootPath);
+  if (!entry) {
+    return null;
+  }
+  roots = roots.filter((candidate) => candidate !== entry);
+  await writeAuditRoots({ roots });
+  return entry;
+}
+
+// Settings for the deepest configured root containing rootPath, so a
+// network mount below a local library can have its own, lower limits.
+export async function resolveAuditPerformance(rootPath, input = {}) {
+  await ensureRootsLoaded();
+  const rootEntry = roots
+    .filter((candidate) => isWithinRoot(rootPath, candidate.root))
+    .sort((a, b) => b.root.length - a.root.length)[0] || {};
+  const requested = normalizeAuditPerformance(input);
+  const environment = getEnvironmentPerformance();
+  const pick = (field, fallback) => [requested[field], rootEntry[field], environment[field]]
+    .find((value) => value !== '' && value !== undefined) ?? fallback;
+
+  return {
+    root: rootEntry.root || null,
+    probeConcurrency: pick('probeConcurrency', DEFAULT_PROBE_CONCURRENCY),
+    probeTimeoutSeconds: pick('probeTimeoutSeconds', DEFAULT_PROBE_TIMEOUT_SECONDS),
+    auditWorkers: pick('auditWorkers', DEFAULT_AUDIT_WORKERS)
+  };
+}
@@ -0,0 +1,427 @@
+import { randomUUID } from 'node:crypto';
+import {
+  createSerializedWriter,
+  readJsonFileSafe,
+  resolveDataPath
+} from '../storage/dataStore.js';
+
+// Audit rules are JSON trees. A leaf compares one field with a value:
+//   { "field": "video.pix_fmt", "op": "in", "value": ["yuv420p", "yuv420p10le"] }
+// and groups combine them: { "all": [...] }, { "any": [...] }, { "not": rule }.
+// { "ruleSet": "name" } pulls in a saved rule set. Any rule may carry a
+// "name" or "message" used when it fails.
+
+export const RULE_OPERATORS = ['=', '!=', '>', '>=', '<', '<=', 'in', 'not in', 'between', 'regex', 'exists'];
+const NUMERIC_OPERATORS = new Set(['>', '>=', '<', '<=', 'between']);
+const MAX_RULE_DEPTH = 16;
+
+// Field paths start at one of these. Stream lists take an index such as
+// audio[1] or [*] for "any stream"; without one the first stream is used.
+const FIELD_ROOTS = new Set(['file', 'format', 'streams', 'video', 'audio', 'subtitle', 'actual']);
+const LIST_ROOTS = new Set(['streams', 'video', 'audio', 'subtitle']);
+
+const FIELD_ALIASES = {
+  name: 'file.name',
+  extension: 'file.extension',
+  size: 'file.size',
+  container: 'actual.container',
+  duration: 'format.duration',
+  bitrate: 'format.bit_rate',
+  width: 'video.width',
+  height: 'video.height',
+  resolution: 'actual.resolution',
+  frameRate: 'actual.frameRate',
+  pixFmt: 'video.pix_fmt',
+  profile: 'video.profile',
+  videoCodec: 'video.codec_name',
+  videoBitrate: 'actual.videoBitrate',
+  bitsPerPixel: 'actual.bitsPerPixel',
+  hdr: 'actual.hdr.format',
+  audioCodec: 'audio.codec_name',
+  audioChannels: 'audio.channels',
+  language: 'audio[*].tags.language',
+  subtitleLanguage: 'subtitle[*].tags.language'
+};
+
+const SEGMENT_PATTERN = /^([A-Za-z_][\w:-]*)(?:\[(\d+|\*)\])?$/;
+
+function parseFieldPath(field) {
+  const resolved = FIELD_ALIASES[field] || field;
+  const segments = resolved.split('.').map((part) => part.match(SEGMENT_PATTERN));
+  if (segments.some((segment) => !segment)) {
+    throw new Error(`Invalid rule field "${field}".`);
+  }
+  if (!FIELD_ROOTS.has(segments[0][1])) {
+    throw new Error(`Unknown rule field "${field}"; fields start with ${Array.from(FIELD_ROOTS).join(', ')} or are one of ${Object.keys(FIELD_ALIASES).join(', ')}.`);
+  }
+  return resolved;
+}
+
+function compileLeaf(rule, field) {
+  const path = parseFieldPath(field);
+  const op = rule.op === undefined ? '=' : String(rule.op).trim().toLowerCase();
+  if (!RULE_OPERATORS.includes(op)) {
+    throw new Error(`Rule on ${field} has unknown operator "${rule.op}"; use one of ${RULE_OPERATORS.join(', ')}.`);
+  }
+
+  const compiled = { field, path, op };
+  const { value } = rule;
+  if (op === 'in' || op === 'not in') {
+    if (!Array.isArray(value) || !value.length) {
+      throw new Error(`Rule on ${field} needs a non-empty list for "${op}".`);
+    }
+    compiled.value = value;
+  } else if (op === 'between') {
+    const bounds = Array.isArray(value) ? value.map(Number) : [];
+    if (bounds.length !== 2 || !bounds.every(Number.isFinite) || bounds[0] > bounds[1]) {
+      throw new Error(`Rule on ${field} needs [min, max] numbers for "between".`);
+    }
+    compiled.value = bounds;
+  } else if (NUMERIC_OPERATORS.has(op)) {
+    if (!Number.isFinite(Number(value)) || value === '' || value === null) {
+      throw new Error(`Rule on ${field} needs a number for "${op}".`);
+    }
+    compiled.value = Number(value);
+  } else if (op === 'regex') {
+    const flags = rule.flags === undefined ? '' : String(rule.flags);
+    try {
+      new RegExp(String(value ?? ''), flags);
+    } catch (error) {
+      throw new Error(`Rule on ${field} has an invalid regex: ${error.message}`);
+    }
+    compiled.value = String(value ?? '');
+    compiled.flags = flags;
+  } else if (op === 'exists') {
+    compiled.value = value === undefined ? true : value === true || value === 'true';
+  } else {
+    if (value === undefined || typeof value === 'object') {
+      throw new Error(`Rule on ${field} needs a single value for "${op}".`);
+    }
+    compiled.value = value;
+  }
+  return compiled;
+}
+
+function findRuleSet(ruleSets, reference) {
+  const key = String(reference || '').trim();
+  return ruleSets.find((ruleSet) => ruleSet.id === key)
+    || ruleSets.find((ruleSet) => ruleSet.name.toLowerCase() === key.toLowerCase());
+}
+
+// Validates a rule tree and returns it in a plain, normalized form that can
+// be sent to an audit worker. Saved rule sets are inlined.
+export function compileRule(rule, { ruleSets = [], depth = 0, seen = [] } = {}) {
+  if (depth > MAX_RULE_DEPTH) {
+    throw new Error(`Rules can be nested at most ${MAX_RULE_DEPTH} levels deep.`);
+  }
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error('Each rule must be an object.');
+  }
+
+  const kinds = ['all', 'any', 'not', 'field', 'ruleSet'].filter((key) => rule[key] !== undefined);
+  if (kinds.length !== 1) {
+    throw new Error('Each rule needs exactly one of "all", "any", "not", "field" or "ruleSet".');
+  }
+  const context = { ruleSets, depth: depth + 1, seen };
+  const label = {
+    ...(rule.name ? { name: String(rule.name) } : {}),
+    ...(rule.message ? { message: String(rule.message) } : {})
+  };
+
+  const [kind] = kinds;
+  if (kind === 'all' || kind === 'any') {
+    if (!Array.isArray(rule[kind]) || !rule[kind].length) {
+      throw new Error(`"${kind}" needs a non-empty list of rules.`);
+    }
+    return { [kind]: rule[kind].map((child) => compileRule(child, context)), ...label };
+  }
+  if (kind === 'not') {
+    return { not: compileRule(rule.not, context), ...label };
+  }
+  if (kind === 'ruleSet') {
+    const ruleSet = findRuleSet(ruleSets, rule.ruleSet);
+    if (!ruleSet) {
+      throw new Error(`Unknown rule set "${rule.ruleSet}".`);
+    }
+    if (seen.includes(ruleSet.id)) {
+      throw new Error(`Rule set "${ruleSet.name}" includes itself.`);
+    }
+    const compiled = compileRule(ruleSet.rule, { ...context, seen: [...seen, ruleSet.id] });
+    return { ...compiled, name: label.name || compiled.name || ruleSet.name, ...(label.message ? { message: label.message } : {}) };
+  }
+  return { ...compileLeaf(rule, String(rule.field).trim()), ...label };
+}
+
+// Combines the rule set picked for an audit with any inline rules sent as
+// JSON (an object or its text). Returns null when there are none.
+export function compileAuditRules({ rules = '', ruleSetId = '' } = {}, ruleSets = []) {
+  const parts = [];
+  if (String(ruleSetId || '').trim()) {
+    parts.push(compileRule({ ruleSet: ruleSetId }, { ruleSets }));
+  }
+  let inline = rules;
+  if (typeof inline === 'string') {
+    if (!inline.trim()) {
+      inline = null;
+    } else {
+      try {
+        inline = JSON.parse(inline);
+      } catch (error) {
+        throw new Error(`Rules are not valid JSON: ${error.message}`);
+      }
+    }
+  }
+  if (inline) {
+    parts.push(compileRule(inline, { ruleSets }));
+  }
+  if (!parts.length) {
+    return null;
+  }
+  return parts.length === 1 ? parts[0] : { all: parts };
+}
+
+function resolveFieldValues(context, path) {
+  let values = [context];
+  path.split('.').forEach((part, index) => {
+    const [, key, selector] = part.match(SEGMENT_PATTERN);
+    const next = [];
+    for (const value of values) {
+      const child = value?.[key];
+      if (index === 0 && LIST_ROOTS.has(key) && selector === undefined) {
+        next.push(child?.[0]);
+      } else if (selector === '*') {
+        next.push(...(Array.isArray(child) ? child : []));
+      } else if (selector !== undefined) {
+        next.push(Array.isArray(child) ? child[Number(selector)] : undefined);
+      } else {
+        next.push(child);
+      }
+    }
+    values = next;
+  });
+  return values.filter((value) => value !== undefined && value !== null && value !== '');
+}
+
+function sameValue(actual, expected) {
+  const actualNumber = Number(actual);
+  const expectedNumber = Number(expected);
+  if (actual !== '' && expected !== '' && Number.isFinite(actualNumber) && Number.isFinite(expectedNumber)) {
+    return actualNumber === expectedNumber;
+  }
+  return String(actual).toLowerCase() === String(expected).toLowerCase();
+}
+
+function testValue(rule, actual) {
+  const number = Number(actual);
+  switch (rule.op) {
+    case '=':
+      return sameValue(actual, rule.value);
+    case '!=':
+      return !sameValue(actual, rule.value);
+    case 'in':
+      return rule.value.some((expected) => sameValue(actual, expected));
+    case 'not in':
+      return !rule.value.some((expected) => sameValue(actual, expected));
+    case '>':
+      return number > rule.value;
+    case '>=':
+      return number >= rule.value;
+    case '<':
+      return number < rule.value;
+    case '<=':
+      return number <= rule.value;
+    case 'between':
+      return number >= rule.value[0] && number <= rule.value[1];
+    case 'regex':
+      return new RegExp(rule.value, rule.flags).test(String(actual));
+    default:
+      return false;
+  }
+}
+
+function formatRuleValue(rule) {
+  if (rule.op === 'between') {
+    return `${rule.value[0]}..${rule.value[1]}`;
+  }
+  if (Array.isArray(rule.value)) {
+    return `[${rule.value.join(', ')}]`;
+  }
+  return rule.op === 'regex' ? `/${rule.value}/${rule.flags}` : String(rule.value);
+}
+
+export function describeRule(rule) {
+  if (rule.name) {
+    return rule.name;
+  }
+  if (rule.all || rule.any) {
+    const children = (rule.all || rule.any).map(describeRule);
+    return `(${children.join(rule.all ? ' and ' : ' or ')})`;
+  }
+  if (rule.not) {
+    return `not ${describeRule(rule.not)}`;
+  }
+  if (rule.op === 'exists') {
+    return `${rule.field} ${rule.value ? 'exists' : 'is missing'}`;
+  }
+  return `${rule.field} ${rule.op} ${formatRuleValue(rule)}`;
+}
+
+function describeLeafFailure(rule, values) {
+  if (rule.op === 'exists') {
+    return rule.value ? `${rule.field} is missing` : `${rule.field} is present (${values.join(', ')})`;
+  }
+  if (!values.length) {
+    return `${rule.field} rule ${rule.op} ${formatRuleValue(rule)} but actual ${rule.field} is unknown`;
+  }
+  return `${rule.field} expected ${rule.op} ${formatRuleValue(rule)} actual=${values.join(', ')}`;
+}
+
+// Returns { passed, failures } where failures are mismatch messages built
+// from the rules that failed. Paths with [*] pass when any stream does.
+export function evaluateRule(rule, context) {
+  let passed;
+  let failures = [];
+
+  if (rule.all) {
+    const outcomes = rule.all.map((child) => evaluateRule(child, context));
+    passed = outcomes.every((outcome) => outcome.passed);
+    failures = outcomes.flatMap((outcome) => outcome.failures);
+  } else if (rule.any) {
+    const outcomes = rule.any.map((child) => evaluateRule(child, context));
+    passed = outcomes.some((outcome) => outcome.passed);
+    if (!passed) {
+      failures = [`none of ${describeRule({ any: rule.any })} matched: ${outcomes.flatMap((outcome) => outcome.failures).join('; ')}`];
+    }
+  } else if (rule.not) {
+    passed = !evaluateRule(rule.not, context).passed;
+    if (!passed) {
+      failures = [`${describeRule(rule.not)} should not match`];
+    }
+  } else {
+    const values = resolveFieldValues(context, rule.path);
+    passed = rule.op === 'exists'
+      ? (values.length > 0) === rule.value
+      : values.some((value) => testValue(rule, value));
+    if (!passed) {
+      failures = [describeLeafFailure(rule, values)];
+    }
+  }
+
+  if (!passed && rule.message) {
+    failures = [rule.message];
+  } else if (!passed && rule.name) {
+    failures = [`rule "${rule.name}" failed: ${failures.join('; ')}`];
+  }
+  return { passed, failures };
+}
+
+const ruleSetsPath = resolveDataPath('audit-rule-sets.json');
+const writeRuleSets = createSerializedWriter(ruleSetsPath, 'audit rule sets');
+let ruleSets = null;
+let ruleSetsLoaded = null;
+
+async function ensureRuleSetsLoaded() {
+  if (!ruleSetsLoaded) {
+    ruleSetsLoaded = readJsonFileSafe(ruleSetsPath, null).then((parsed) => {
+      ruleSets = Array.isArray(parsed?.ruleSets) ? parsed.ruleSets : [];
+    });
+  }
+  await ruleSetsLoaded;
+}
+
+export async function listRuleSets() {
+  await ensureRuleSetsLoaded();
+  return [...ruleSets].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function getRuleSet(id) {
+  await ensureRuleSetsLoaded();
+  return ruleSets.find((ruleSet) => ruleSet.id === id) || null;
+}
+
+function normalizeRuleSetInput(input, existing = null) {
+  const name = String(input.name ?? existing?.name ?? '').trim();
+  if (!name) {
+    throw new Error('Rule set name is required.');
+  }
+  if (name.length > 80) {
+    throw new Error('Rule set name must be 80 characters or fewer.');
+  }
+  let rule = input.rule ?? existing?.rule;
+  if (typeof rule === 'string') {
+    try {
+      rule = JSON.parse(rule);
+    } catch (error) {
+      throw new Error(`Rule is not valid JSON: ${error.message}`);
+    }
+  }
+  return {
+    name,
+    description: String(input.description ?? existing?.description ?? '').trim().slice(0, 200),
+    rule
+  };
+}
+
+// Saves a rule set after checking it compiles against the other saved sets.
+async function storeRuleSet(next) {
+  if (ruleSets.some((ruleSet) => ruleSet.id !== next.id && ruleSet.name.toLowerCase() === next.name.toLowerCase())) {
+    throw new Error(`A rule set named "${next.name}" already exists.`);
+  }
+  const candidates = [...ruleSets.filter((ruleSet) => ruleSet.id !== next.id), next];
+  compileRule(next.rule, { ruleSets: candidates, seen: [next.id] });
+  ruleSets = candidates;
+  await writeRuleSets({ ruleSets });
+  return next;
+}
+
+export async function createRuleSet(input = {}) {
+  await ensureRuleSetsLoaded();
+  const now = new Date().toISOString();
+  return storeRuleSet({
+    id: randomUUID(),
+    ...normalizeRuleSetInput(input),
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+export async function updateRuleSet(id, input = {}) {
+  await ensureRuleSetsLoaded();
+  const existing = ruleSets.find((ruleSet) => ruleSet.id === id);
+  if (!existing) {
+    return null;
+  }
+  return storeRuleSet({
+    ...existing,
+    ...normalizeRuleSetInput(input, existing),
+    updatedAt: new Date().toISOString()
+  });
+}
+
+// True when the rule tree includes target through a { ruleSet } reference,
+// by id or by name.
+function referencesRuleSet(rule, target) {
+  if (!rule || typeof rule !== 'object') {
+    return false;
+  }
+  if (rule.ruleSet !== undefined) {
+    return findRuleSet(ruleSets, rule.ruleSet) === target;
+  }
+  return [...(Array.isArray(rule.all) ? rule.all : []), ...(Array.isArray(rule.any) ? rule.any : []), rule.not]
+    .some((child) => referencesRuleSet(child, target));
+}
+
+export async function deleteRuleSet(id) {
+  await ensureRuleSetsLoaded();
+  const existing = ruleSets.find((ruleSet) => ruleSet.id === id);
+  if (!existing) {
+    return null;
+  }
+  const referencing = ruleSets.filter((ruleSet) => ruleSet.id !== id && referencesRuleSet(ruleSet.rule, existing));
+  if (referencing.length) {
+    throw new Error(`Rule set "${existing.name}" is included by ${referencing.map((ruleSet) => `"${ruleSet.name}"`).join(', ')}.`);
+  }
+  ruleSets = ruleSets.filter((ruleSet) => ruleSet.id !== id);
+  await writeRuleSets({ ruleSets });
+  return existing;
+}
@@ -1,22 +1,93 @@
 import path from 'node:path';
 import fs from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
 import { Worker } from 'node:worker_threads';
-import { inspectWithFallback, normalizeBitrateToBps } from './auditCore.js';
+import { collectVideoFiles, inspectWithFallback, mapWithConcurrency, normalizeBitrateToBps } from './auditCore.js';
 import { getFfprobeCommand } from '../options/optionsService.js';
+import { formatHdrLabel } from '../transcode/transcodeHdr.js';
+import { createProbeCache, loadProbeCacheEntries, saveProbeCacheUpdates } from './probeCache.js';
+import { createAuditStreamState } from './auditStreamState.js';
+import { resolveAuditPerformance } from './auditRootSettings.js';
+import { compileAuditRules, listRuleSets } from './auditRules.js';
 
 const VALID_OPERATORS = new Set(['>=', '<=', '=']);
+const INTERLACED_FIELD_ORDERS = new Set(['tt', 'bb', 'tb', 'bt']);
 
 function normalizeOperator(value, fallback = '=') {
   return VALID_OPERATORS.has(value) ? value : fallback;
 }
 
-function runAuditInWorker(root, criteria) {
+export const auditStreamState = createAuditStreamState();
+
+// Full audits in progress, keyed by audit id. Each keeps the results its
+// workers have reported so far, so a cancelled audit can still return them.
+const activeAudits = new Map();
+
+function formatEtaSeconds(audit) {
+  const checked = audit.results.length;
+  if (!checked || !audit.total) {
+    return null;
+  }
+  const elapsedMs = Date.now() - audit.discoveredAt;
+  return Math.round((elapsedMs / checked) * (audit.total - checked) / 1000);
+}
+
+async function reportAuditFile(audit, result) {
+  audit.results.push(result);
+  if (!result.matches) {
+    audit.mismatchedCount += 1;
+  }
+  const checkedCount = audit.results.length;
+  const row = await mapAuditResultToRow(result, checkedCount - 1, audit.rootPath);
+  if (audit.cancelled) {
+    return;
+  }
+  auditStreamState.broadcastEvent('file', {
+    auditId: audit.id,
+    file: result.file.path,
+    checkedCount,
+    total: audit.total,
+    mismatchedCount: audit.mismatchedCount,
+    etaSeconds: formatEtaSeconds(audit),
+    row
+  });
+}
+
+function markAuditDiscovered(audit, rootPath, total) {
+  audit.total = total;
+  audit.discoveredAt = Date.now();
+  auditStreamState.broadcastEvent('discovered', {
+    auditId: audit.id,
+    rootPath,
+    total
+  });
+}
+
+// Resolves with the worker's payload, or null when the audit was cancelled.
+function runAuditInWorker(audit, workerData) {
   return new Promise((resolve, reject) => {
     const worker = new Worker(new URL('../../workers/auditWorker.js', import.meta.url), {
-      workerData: { root, criteria }
+      workerData
     });
+    audit.workers.push(worker);
 
-    worker.once('message', (message) => {
+    worker.on('message', (message) => {
+      if (message?.type === 'discovered') {
+        markAuditDiscovered(audit, message.rootPath, message.total);
+        return;
+      }
+      if (message?.type === 'file') {
+        if (message.probeEntry) {
+          audit.probeUpdates[message.result.file.path] = message.probeEntry;
+        }
+        // Chained so file events go out in order and before the done event.
+        audit.reporting = audit.reporting
+          .then(() => reportAuditFile(audit, message.result))
+          .catch((error) => {
+            console.error(`Unable to report audit progress: ${error.message}`);
+          });
+        return;
+      }
       if (!message?.ok) {
         reject(new Error(message?.error || 'Audit worker failed.'));
         return;
@@ -29,13 +100,123 @@ function runAuditInWorker(root, criteria) {
     });
 
     worker.once('exit', (code) => {
-      if (code !== 0) {
+      if (audit.cancelled) {
+        resolve(null);
+      } else if (code !== 0) {
         reject(new Error(`Audit worker exited with code ${code}`));
       }
     });
   });
 }
 
+// With one worker the worker lists the files itself. With more, the list is
+// built here and dealt out in turn; it is sorted largest first, so each
+// worker gets a similar share. The probe concurrency is the total across
+// workers, so a network share sees the same load either way.
+async function runAuditWorkers(audit, criteria, performance) {
+  const probeCacheEntries = await loadProbeCacheEntries();
+  const { probeConcurrency, auditWorkers } = performance;
+  if (auditWorkers <= 1) {
+    // The file list isn't known yet, so the worker gets the entries under
+    // the audited root rather than the whole cache.
+    const rootPrefix = audit.rootPath.endsWith(path.sep) ? audit.rootPath : audit.rootPath + path.sep;
+    return runAuditInWorker(audit, {
+      root: audit.rootPath,
+      criteria,
+      probeConcurrency,
+      probeCacheEntries: Object.fromEntries(Object.entries(probeCacheEntries)
+        .filter(([filePath]) => filePath.startsWith(rootPrefix)))
+    });
+  }
+
+  const files = await collectVideoFiles(audit.rootPath, criteria.scanExtensions);
+  markAuditDiscovered(audit, audit.rootPath, files.length);
+  const workerCount = Math.max(1, Math.min(auditWorkers, probeConcurrency, files.length));
+  const slices = Array.from({ length: workerCount }, () => []);
+  files.forEach((file, index) => slices[index % workerCount].push(file));
+
+  let payloads;
+  try {
+    payloads = await Promise.all(slices.map((slice, index) => runAuditInWorker(audit, {
+      root: audit.rootPath,
+      criteria,
+      files: slice,
+      probeConcurrency: Math.floor(probeConcurrency / workerCount) + (index < probeConcurrency % workerCount ? 1 : 0),
+      probeCacheEntries: Object.fromEntries(slice
+        .filter((file) => probeCacheEntries[file.path])
+        .map((file) => [file.path, probeCacheEntries[file.path]]))
+    })));
+  } catch (error) {
+    await Promise.all(audit.workers.map((worker) => worker.terminate()));
+    throw error;
+  }
+  if (payloads.some((payload) => !payload)) {
+    return null;
+  }
+
+  const results = payloads
+    .flatMap((payload) => payload.results)
+    .sort((a, b) => b.file.size - a.file.size);
+  return {
+    rootPath: audit.rootPath,
+    files,
+    results,
+    mismatchedCount: results.filter((item) => !item.matches).length,
+    cache: {
+      hits: payloads.reduce((total, payload) => total + payload.cache.hits, 0),
+      misses: payloads.reduce((total, payload) => total + payload.cache.misses, 0)
+    },
+    probeUpdates: Object.assign({}, ...payloads.map((payload) => payload.probeUpdates))
+  };
+}
+
+async function buildPartialAuditPayload(audit, criteria) {
+  const rows = await Promise.all(audit.results.map((result, idx) => mapAuditResultToRow(result, idx, audit.rootPath)));
+  const hits = audit.results.filter((result) => result.cacheHit).length;
+
+  return {
+    ok: true,
+    cancelled: true,
+    auditId: audit.id,
+    summary: {
+      rootPath: audit.rootPath,
+      checkedCount: rows.length,
+      mismatchedCount: audit.mismatchedCount,
+      totalCount: audit.total,
+      cache: { hits, misses: rows.length - hits },
+      criteriaText: JSON.stringify(criteria)
+    },
+    rows,
+    missingFiles: []
+  };
+}
+
+// Stops a running full audit (the most recent one without an id) and returns
+// what it had checked so far. Returns null when nothing matches.
+export async function cancelAudit(auditId = '') {
+  const audit = auditId
+    ? activeAudits.get(auditId)
+    : Array.from(activeAudits.values()).pop();
+  if (!audit) {
+    return null;
+  }
+  audit.cancelled = true;
+  await Promise.all(audit.workers.map((worker) => worker.terminate()));
+  await audit.reporting;
+  return buildPartialAuditPayload(audit, audit.criteria);
+}
+
+export function listActiveAudits() {
+  return Array.from(activeAudits.values(), (audit) => ({
+    auditId: audit.id,
+    rootPath: audit.rootPath,
+    total: audit.total,
+    checkedCount: audit.results.length,
+    mismatchedCount: audit.mismatchedCount,
+    startedAt: new Date(audit.startedAt).toISOString()
+  }));
+}
+
 export function buildAuditInput(body = {}) {
   return {
     root: body.root || '.',
@@ -46,13 +227,32 @@ export function buildAuditInput(body = {}) {
     videoBitrateTolerancePct: body.videoBitrateTolerancePct ?? '10',
     audioCodec: body.audioCodec || '',
     audioChannels: body.audioChannels || '',
-    audioChannelsOp: body.audioChannelsOp || '>='
+    audioChannelsOp: body.audioChannelsOp || '>=',
+    resolution: body.resolution || '',
+    resolutionOp: body.resolutionOp || '<=',
+    frameRate: body.frameRate || '',
+    frameRateOp: body.frameRateOp || '<=',
+    bitsPerPixel: body.bitsPerPixel || '',
+    bitsPerPixelOp: body.bitsPerPixelOp || '<=',
+    hdr: body.hdr || '',
+    container: body.container || '',
+    probeConcurrency: body.probeConcurrency ?? '',
+    probeTimeoutSeconds: body.probeTimeoutSeconds ?? '',
+    auditWorkers: body.auditWorkers ?? '',
+    rules: body.rules ?? '',
+    ruleSetId: body.ruleSetId || '',
+    auditId: body.auditId || ''
   };
 }
 
-export function buildCriteria(input) {
+// ruleSets are the saved rule sets that input.ruleSetId and { ruleSet }
+// references in input.rules can name.
+export function buildCriteria(input, { ruleSets = [] } = {}) {
   const videoBitrateOp = normalizeOperator(input.videoBitrateOp, '=');
   const audioChannelsOp = normalizeOperator(input.audioChannelsOp, '>=');
+  const resolutionOp = normalizeOperator(input.resolutionOp, '<=');
+  const frameRateOp = normalizeOperator(input.frameRateOp, '<=');
+  const bitsPerPixelOp = normalizeOperator(input.bitsPerPixelOp, '<=');
 
   const criteria = {
     scanExtensions: input.scanExtensions || '',
@@ -63,6 +263,15 @@ export function buildCriteria(input) {
     audioCodec: input.audioCodec ? String(input.audioCodec).trim().toLowerCase() : undefined,
     audioChannels: input.audioChannels ? Number.parseInt(input.audioChannels, 10) : undefined,
     audioChannelsOp,
+    resolution: input.resolution ? Number.parseInt(String(input.resolution).replace(/p$/i, ''), 10) : undefined,
+    resolutionOp,
+    frameRate: input.frameRate ? Number.parseFloat(input.frameRate) : undefined,
+    frameRateOp,
+    bitsPerPixel: input.bitsPerPixel ? Number.parseFloat(input.bitsPerPixel) : undefined,
+    bitsPerPixelOp,
+    hdr: input.hdr ? String(input.hdr).trim().toLowerCase() : undefined,
+    container: input.container ? String(input.container).trim().replace(/^\./, '').toLowerCase() : undefined,
+    rules: compileAuditRules(input, ruleSets) || undefined,
     ffprobeCommand: getFfprobeCommand()
   };
 
@@ -74,6 +283,22 @@ export function buildCriteria(input) {
     throw new Error('Audio channels must be a positive integer.');
   }
 
+  if (input.resolution && (!Number.isFinite(criteria.resolution) || criteria.resolution < 1)) {
+    throw new Error('Resolution must be a positive height such as 1080.');
+  }
+
+  if (input.frameRate && (!Number.isFinite(criteria.frameRate) || criteria.frameRate <= 0)) {
+    throw new Error('Frame rate must be a positive number.');
+  }
+
+  if (input.bitsPerPixel && (!Number.isFinite(criteria.bitsPerPixel) || criteria.bitsPerPixel <= 0)) {
+    throw new Error('Bits per pixel must be a positive number such as 0.1.');
+  }
+
+  if (criteria.hdr && criteria.hdr !== 'sdr' && criteria.hdr !== 'hdr') {
+    throw new Error('HDR criterion must be sdr or hdr.');
+  }
+
   return criteria;
 }
 
@@ -97,10 +322,42 @@ async function resolveExistingLogPath(sourcePath) {
   return null;
 }
 
+function describeAudioStream(stream, position) {
+  const parts = [
+    stream.codec || 'unknown',
+    Number.isFinite(stream.channels) ? `${stream.channels}ch` : null,
+    Number.isFinite(stream.bitrate) ? `${Math.round(stream.bitrate / 1000)}k` : null,
+    stream.language || null,
+    stream.title ? `"${stream.title}"` : null,
+    stream.isDefault ? 'default' : null
+  ];
+  return `audio #${position + 1}: ${parts.filter(Boolean).join(' ')}`;
+}
+
+function describeSubtitleStream(stream, position) {
+  const parts = [
+    stream.codec || 'unknown',
+    stream.isImage ? 'image' : stream.isText ? 'text' : null,
+    stream.language || null,
+    stream.title ? `"${stream.title}"` : null,
+    stream.forced ? 'forced' : null
+  ];
+  return `subtitle #${position + 1}: ${parts.filter(Boolean).join(' ')}`;
+}
+
 async function mapAuditResultToRow(result, idx, rootPath) {
   const videoBitrateK = Number.isFinite(result.actual?.videoBitrate)
     ? `${Math.round(result.actual.videoBitrate / 1000)}K`
     : 'unknown';
+  const resolution = Number.isFinite(result.actual?.width) && Number.isFinite(result.actual?.height)
+    ? `${result.actual.width}x${result.actual.height}`
+    : 'unknown';
+  const frameRate = Number.isFinite(result.actual?.frameRate) ? result.actual.frameRate : 'unknown';
+  const bitsPerPixel = Number.isFinite(result.actual?.bitsPerPixel) ? result.actual.bitsPerPixel : null;
+  const audioStreams = Array.isArray(result.actual?.audioStreams) ? result.actual.audioStreams : [];
+  const subtitleStreams = Array.isArray(result.actual?.subtitleStreams) ? result.actual.subtitleStreams : [];
+  const warnings = result.warnings || [];
+  const hdr = result.actual?.hdr?.isHdr ? formatHdrLabel(result.actual.hdr) : null;
 
   return {
     sourceStats: {
@@ -120,18 +377,32 @@ async function mapAuditResultToRow(result, idx, rootPath) {
     issues: result.mismatches.length,
     details: [
       `source file stats: size=${result.file.size} bytes, mtime=${Number.isFinite(result.file.mtimeMs) ? new Date(result.file.mtimeMs).toISOString() : 'unknown'}`,
-      ...(result.mismatches || [])
+      `video: ${resolution} @ ${frameRate}fps${INTERLACED_FIELD_ORDERS.has(result.actual?.fieldOrder) ? ' (interlaced)' : ''}${bitsPerPixel !== null ? `, ${bitsPerPixel} bits per pixel` : ''}`,
+      ...(hdr ? [`HDR: ${hdr} (${[result.actual.hdr.colorTransfer, result.actual.hdr.colorPrimaries, result.actual.hdr.pixFmt].filter(Boolean).join(', ')})`] : []),
+      ...audioStreams.map(describeAudioStream),
+      ...subtitleStreams.map(describeSubtitleStream),
+      ...(result.mismatches || []),
+      ...warnings.map((warning) => `warning: ${warning}`)
     ],
     videoCodec: result.actual?.videoCodec || 'unknown',
     videoBitrate: videoBitrateK,
     audioCodec: result.actual?.audioCodec || 'unknown',
-    audioChannels: Number.isFinite(result.actual?.audioChannels) ? result.actual.audioChannels : 'unknown'
+    audioChannels: Number.isFinite(result.actual?.audioChannels) ? result.actual.audioChannels : 'unknown',
+    resolution,
+    frameRate,
+    bitsPerPixel,
+    hdr,
+    audioStreams,
+    subtitleStreams,
+    warnings
   };
 }
 
 export async function executeAudit(input, files = null) {
-  const criteria = buildCriteria(input);
+  const criteria = buildCriteria(input, { ruleSets: await listRuleSets() });
   const rootPath = path.resolve(input.root || '.');
+  const performance = await resolveAuditPerformance(rootPath, input);
+  criteria.probeTimeoutSeconds = performance.probeTimeoutSeconds;
 
   if (Array.isArray(files)) {
     const requestedPaths = Array.from(new Set(
@@ -166,7 +437,13 @@ export async function executeAudit(input, files = null) {
       }
     }
 
-    const results = await Promise.all(existingFiles.map((file) => inspectWithFallback(file, criteria)));
+    const probeCache = createProbeCache(await loadProbeCacheEntries());
+    const results = await mapWithConcurrency(
+      existingFiles,
+      performance.probeConcurrency,
+      (file) => inspectWithFallback(file, criteria, { probeCache })
+    );
+    await saveProbeCacheUpdates(probeCache.updates());
     const rows = await Promise.all(results.map((result, idx) => mapAuditResultToRow(result, idx, rootPath)));
     const mismatchedCount = results.filter((item) => !item.matches).length;
 
@@ -178,6 +455,7 @@ export async function executeAudit(input, files = null) {
         mismatchedCount,
         requestedCount: requestedPaths.length,
         missingCount: missingFiles.length,
+        cache: probeCache.stats(),
         criteriaText: JSON.stringify(criteria)
       },
       rows,
@@ -185,18 +463,66 @@ export async function executeAudit(input, files = null) {
     };
   }
 
-  const fullAudit = await runAuditInWorker(input.root, criteria);
-  const rows = await Promise.all(fullAudit.results.map((result, idx) => mapAuditResultToRow(result, idx, fullAudit.rootPath)));
-
-  return {
-    ok: true,
-    summary: {
-      rootPath: fullAudit.rootPath,
-      checkedCount: fullAudit.results.length,
-      mismatchedCount: fullAudit.mismatchedCount,
-      criteriaText: JSON.stringify(criteria)
-    },
-    rows,
-    missingFiles: []
+  const auditId = String(input.auditId || '').trim() || randomUUID();
+  if (activeAudits.has(auditId)) {
+    throw new Error(`Audit ${auditId} is already running.`);
+  }
+  const audit = {
+    id: auditId,
+    rootPath,
+    criteria,
+    workers: [],
+    cancelled: false,
+    total: null,
+    startedAt: Date.now(),
+    discoveredAt: Date.now(),
+    results: [],
+    mismatchedCount: 0,
+    probeUpdates: {},
+    reporting: Promise.resolve()
   };
+  activeAudits.set(auditId, audit);
+
+  let payload;
+  try {
+    const fullAudit = await runAuditWorkers(audit, criteria, performance);
+    if (!fullAudit) {
+      await audit.reporting;
+      await saveProbeCacheUpdates(audit.probeUpdates);
+      payload = await buildPartialAuditPayload(audit, criteria);
+    } else {
+      await saveProbeCacheUpdates(fullAudit.probeUpdates, {
+        rootPath: fullAudit.rootPath,
+        scannedPaths: fullAudit.files.map((file) => file.path)
+      });
+      const rows = await Promise.all(fullAudit.results.map((result, idx) => mapAuditResultToRow(result, idx, fullAudit.rootPath)));
+      payload = {
+        ok: true,
+        auditId,
+        summary: {
+          rootPath: fullAudit.rootPath,
+          checkedCount: fullAudit.results.length,
+          mismatchedCount: fullAudit.mismatchedCount,
+          cache: fullAudit.cache,
+          performance,
+          criteriaText: JSON.stringify(criteria)
+        },
+        rows,
+        missingFiles: []
+      };
+    }
+  } catch (error) {
+    auditStreamState.broadcastEvent('done', { auditId, cancelled: false, error: error.message });
+    throw error;
+  } finally {
+    activeAudits.delete(auditId);
+  }
+
+  await audit.reporting;
+  auditStreamState.broadcastEvent('done', {
+    auditId,
+    cancelled: !!payload.cancelled,
+    summary: payload.summary
+  });
+  return payload;
 }
@@ -0,0 +1,63 @@
+function writeSseEvent(res, event, payload) {
+  res.write(`event: ${event}\n`);
+  const text = String(payload ?? '');
+  for (const line of text.split(/\r?\n/)) {
+    res.write(`data: ${line}\n`);
+  }
+  res.write('\n');
+}
+
+// Clients connecting mid-scan get the latest discovered and progress events
+// of each running audit, without the rows already sent.
+export function createAuditStreamState() {
+  const clients = new Set();
+  const snapshots = new Map();
+
+  function broadcastEvent(event, payload) {
+    const text = JSON.stringify(payload);
+    const auditId = payload?.auditId;
+    if (auditId && (event === 'discovered' || event === 'file')) {
+      const snapshot = snapshots.get(auditId) || {};
+      if (event === 'discovered') {
+        snapshot.discovered = text;
+      } else {
+        const { row, ...progress } = payload;
+        snapshot.progress = JSON.stringify(progress);
+      }
+      snapshots.set(auditId, snapshot);
+    } else if (auditId && event === 'done') {
+      snapshots.delete(auditId);
+    }
+
+    for (const client of clients) {
+      writeSseEvent(client, event, text);
+    }
+  }
+
+  function replaySnapshots(res) {
+    for (const snapshot of snapshots.values()) {
+      if (snapshot.discovered) {
+        writeSseEvent(res, 'discovered', snapshot.discovered);
+      }
+      if (snapshot.progress) {
+        writeSseEvent(res, 'file', snapshot.progress);
+      }
+    }
+  }
+
+  function addClient(res) {
+    clients.add(res);
+  }
+
+  function removeClient(res) {
+    clients.delete(res);
+  }
+
+  return {
+    addClient,
+    removeClient,
+    writeSseEvent,
+    broadcastEvent,
+    replaySnapshots
+  };
+}
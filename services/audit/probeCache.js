@@ -0,0 +1,142 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {
+  createSerializedWriter,
+  readJsonFileSafe,
+  resolveDataPath
+} from '../storage/dataStore.js';
+
+const PROBE_CACHE_VERSION = 1;
+
+const probeCachePath = resolveDataPath('probe-cache.json');
+const writeProbeCache = createSerializedWriter(probeCachePath, 'probe cache');
+let storedEntries = null;
+let storedEntriesLoaded = null;
+
+// In-memory view of the cache for one audit. Entries are keyed by path and
+// only count as hits while the file's size and mtime are unchanged. Plain
+// data in and out, so an audit worker can take a copy and hand back what it
+// probed.
+export function createProbeCache(entries = {}) {
+  const cache = new Map(Object.entries(entries || {}));
+  const updates = new Map();
+  let hits = 0;
+  let misses = 0;
+
+  return {
+    get(file) {
+      const entry = cache.get(file?.path);
+      if (entry && entry.size === file.size && entry.mtimeMs === file.mtimeMs) {
+        hits += 1;
+        return entry.probe;
+      }
+      misses += 1;
+      return null;
+    },
+    set(file, probe) {
+      if (!Number.isFinite(file?.size) || !Number.isFinite(file?.mtimeMs)) {
+        return;
+      }
+      const entry = {
+        size: file.size,
+        mtimeMs: file.mtimeMs,
+        probedAt: new Date().toISOString(),
+        probe
+      };
+      cache.set(file.path, entry);
+      updates.set(file.path, entry);
+    },
+    stats() {
+      return { hits, misses };
+    },
+    updates() {
+      return Object.fromEntries(updates);
+    },
+    getUpdate(filePath) {
+      return updates.get(filePath) || null;
+    }
+  };
+}
+
+export async function loadProbeCacheEntries() {
+  if (!storedEntriesLoaded) {
+    storedEntriesLoaded = readJsonFileSafe(probeCachePath, null).then((parsed) => {
+      storedEntries = parsed?.version === PROBE_CACHE_VERSION && parsed.entries && typeof parsed.entries === 'object'
+        ? parsed.entries
+        : {};
+    });
+  }
+  await storedEntriesLoaded;
+  return storedEntries;
+}
+
+// The cache only saves work, so an audit doesn't fail when it can't be
+// written; the writer has already logged why.
+function persistProbeCache() {
+  return writeProbeCache({ version: PROBE_CACHE_VERSION, entries: storedEntries }).catch(() => {});
+}
+
+function isWithinRoot(filePath, rootPath) {
+  const relative = path.relative(rootPath, filePath);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Stores what an audit probed. A full scan of a root also passes the paths it
+// found, so entries for files that are gone from under that root are dropped
+// too. Files the scan skipped only because of its extension filter stay.
+export async function saveProbeCacheUpdates(updates, { rootPath = null, scannedPaths = null } = {}) {
+  await loadProbeCacheEntries();
+  let changed = false;
+  for (const [filePath, entry] of Object.entries(updates || {})) {
+    storedEntries[filePath] = entry;
+    changed = true;
+  }
+  if (rootPath && Array.isArray(scannedPaths)) {
+    const scanned = new Set(scannedPaths);
+    for (const filePath of Object.keys(storedEntries)) {
+      if (!isWithinRoot(filePath, rootPath) || scanned.has(filePath)) {
+        continue;
+      }
+      const exists = await fs.stat(filePath).then(() => true, () => false);
+      if (!exists) {
+        delete storedEntries[filePath];
+        changed = true;
+      }
+    }
+  }
+  if (changed) {
+    await persistProbeCache();
+  }
+}
+
+// Drops cached probes for the given files, everything under root, or the
+// whole cache when neither is given. Returns how many entries went.
+export async function invalidateProbeCache({ root = '', files = [] } = {}) {
+  await loadProbeCacheEntries();
+  const rootPath = String(root || '').trim() ? path.resolve(String(root).trim()) : null;
+  const paths = new Set((Array.isArray(files) ? files : [])
+    .map((filePath) => String(filePath || '').trim())
+    .filter(Boolean)
+    .map((filePath) => path.resolve(filePath)));
+  const clearAll = !rootPath && !paths.size;
+
+  let removed = 0;
+  for (const filePath of Object.keys(storedEntries)) {
+    if (clearAll || paths.has(filePath) || (rootPath && isWithinRoot(filePath, rootPath))) {
+      delete storedEntries[filePath];
+      removed += 1;
+    }
+  }
+  if (removed) {
+    await persistProbeCache();
+  }
+  return removed;
+}
+
+export async function getProbeCacheInfo() {
+  const entries = await loadProbeCacheEntries();
+  return {
+    path: probeCachePath,
+    entryCount: Object.keys(entries).length
+  };
+}
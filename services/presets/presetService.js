@@ -0,0 +1,363 @@
+import { randomUUID } from 'node:crypto';
+import {
+  createSerializedWriter,
+  readJsonFileSafe,
+  resolveDataPath
+} from '../storage/dataStore.js';
+import {
+  normalizeAudioTrackOptions,
+  normalizeOutputContainer,
+  normalizeProcessPriorityOptions,
+  normalizeVideoFilterOptions,
+  normalizeVideoQualityOptions
+} from '../transcode/transcodePolicy.js';
+import { normalizeSubtitleOptions } from '../transcode/transcodeSubtitles.js';
+import { normalizeHdrOptions } from '../transcode/transcodeHdr.js';
+import { normalizeStreamCopyOptions } from '../transcode/transcodeStreamCopy.js';
+import { normalizeVerificationOptions } from '../transcode/transcodeVerification.js';
+import { listWatchRootsUsingPreset } from '../watch/watchFolderService.js';
+
+const PRESET_EXPORT_VERSION = 1;
+const VALID_OPERATORS = new Set(['>=', '<=', '=']);
+const VALID_HDR_CRITERIA = new Set(['', 'sdr', 'hdr']);
+
+// Target fields a preset can carry. Anything else in a request body is ignored.
+export const PRESET_FIELDS = [
+  'videoCodec',
+  'videoBitrate',
+  'videoBitrateOp',
+  'videoBitrateTolerancePct',
+  'audioCodec',
+  'audioBitrate',
+  'audioChannels',
+  'audioChannelsOp',
+  'videoQualityMode',
+  'videoQuality',
+  'encoderPreset',
+  'encoderTune',
+  'videoMaxrate',
+  'videoBufsize',
+  'resolution',
+  'resolutionOp',
+  'frameRate',
+  'frameRateOp',
+  'bitsPerPixel',
+  'bitsPerPixelOp',
+  'maxWidth',
+  'maxHeight',
+  'maxFps',
+  'deinterlace',
+  'audioTracks',
+  'audioLanguages',
+  'keepOriginalAudio',
+  'addStereoAacTrack',
+  'subtitleMode',
+  'burnForcedSubtitles',
+  'hdrPolicy',
+  'hdr',
+  'smartCopy',
+  'container',
+  'verifyLevel',
+  'qualityMetric',
+  'minQuality',
+  'niceLevel',
+  'ioClass',
+  'ioLevel',
+  'threads',
+  'cpuAffinity'
+];
+
+// Seeded on first run so a fresh install has something to pick from. The ids
+// are fixed so references to them (watch folders) survive a restart before
+// the list has ever been saved.
+const DEFAULT_PRESETS = [
+  {
+    id: 'default-plex-1080p-hevc',
+    name: 'Plex 1080p HEVC',
+    description: 'Constant-quality HEVC, capped at a bitrate that direct-plays on most Plex clients.',
+    videoCodec: 'libx265',
+    videoBitrate: '4000',
+    videoBitrateOp: '<=',
+    videoQualityMode: 'crf',
+    videoQuality: '22',
+    encoderPreset: 'medium',
+    videoMaxrate: '4000',
+    resolution: '1080',
+    resolutionOp: '<=',
+    maxWidth: '1920',
+    maxHeight: '1080',
+    audioCodec: 'aac',
+    audioBitrate: '192',
+    audioChannels: '6',
+    audioChannelsOp: '<=',
+    smartCopy: true
+  },
+  {
+    id: 'default-archive-av1',
+    name: 'Archive AV1',
+    description: 'Small AV1 files for long-term storage.',
+    videoCodec: 'libsvtav1',
+    videoBitrate: '2500',
+    videoBitrateOp: '<=',
+    audioCodec: 'libopus',
+    audioBitrate: '160',
+    audioChannels: '',
+    audioChannelsOp: '>='
+  },
+  {
+    id: 'default-phone-h264',
+    name: 'Phone H.264',
+    description: 'Stereo H.264 that plays on any phone.',
+    videoCodec: 'libx264',
+    videoBitrate: '2000',
+    videoBitrateOp: '<=',
+    audioCodec: 'aac',
+    audioBitrate: '128',
+    audioChannels: '2',
+    audioChannelsOp: '=',
+    hdr: 'sdr',
+    hdrPolicy: 'tonemap'
+  }
+];
+
+const presetsPath = resolveDataPath('presets.json');
+const writePresets = createSerializedWriter(presetsPath, 'presets');
+let presets = null;
+let presetsLoaded = null;
+
+function normalizeOptionalText(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return String(value).trim();
+}
+
+function normalizePositiveNumberText(value, label) {
+  const text = normalizeOptionalText(value).replace(/k$/i, '');
+  if (!text) {
+    return '';
+  }
+  const number = Number.parseFloat(text);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`${label} must be a positive number.`);
+  }
+  return text;
+}
+
+function normalizePresetFields(input = {}) {
+  const fields = {
+    videoCodec: normalizeOptionalText(input.videoCodec),
+    videoBitrate: normalizePositiveNumberText(input.videoBitrate, 'Video bitrate'),
+    videoBitrateOp: normalizeOptionalText(input.videoBitrateOp) || '=',
+    videoBitrateTolerancePct: normalizeOptionalText(input.videoBitrateTolerancePct),
+    audioCodec: normalizeOptionalText(input.audioCodec),
+    audioBitrate: normalizePositiveNumberText(input.audioBitrate, 'Audio bitrate'),
+    audioChannels: normalizeOptionalText(input.audioChannels),
+    audioChannelsOp: normalizeOptionalText(input.audioChannelsOp) || '>=',
+    resolution: normalizePositiveNumberText(input.resolution, 'Resolution').replace(/p$/i, ''),
+    resolutionOp: normalizeOptionalText(input.resolutionOp) || '<=',
+    frameRate: normalizePositiveNumberText(input.frameRate, 'Frame rate'),
+    frameRateOp: normalizeOptionalText(input.frameRateOp) || '<=',
+    bitsPerPixelOp: normalizeOptionalText(input.bitsPerPixelOp) || '<=',
+    ...normalizeVideoQualityOptions(input),
+    ...normalizeVideoFilterOptions(input),
+    ...normalizeAudioTrackOptions(input),
+    ...normalizeSubtitleOptions(input),
+    ...normalizeHdrOptions(input),
+    hdr: normalizeOptionalText(input.hdr).toLowerCase(),
+    ...normalizeStreamCopyOptions(input),
+    ...normalizeOutputContainer(input),
+    ...normalizeVerificationOptions(input),
+    ...normalizeProcessPriorityOptions(input)
+  };
+
+  const operators = [fields.videoBitrateOp, fields.audioChannelsOp, fields.resolutionOp, fields.frameRateOp, fields.bitsPerPixelOp];
+  if (!operators.every((operator) => VALID_OPERATORS.has(operator))) {
+    throw new Error('Preset operators must be one of >=, <= or =.');
+  }
+
+  if (!VALID_HDR_CRITERIA.has(fields.hdr)) {
+    throw new Error('HDR criterion must be sdr, hdr or empty.');
+  }
+
+  if (fields.videoBitrateTolerancePct) {
+    const tolerance = Number.parseFloat(fields.videoBitrateTolerancePct);
+    if (!Number.isFinite(tolerance) || tolerance < 0 || tolerance > 100) {
+      throw new Error('Video bitrate tolerance must be between 0 and 100 percent.');
+    }
+  }
+
+  if (fields.audioChannels) {
+    const channels = Number.parseInt(fields.audioChannels, 10);
+    if (!Number.isFinite(channels) || channels < 1) {
+      throw new Error('Audio channels must be a positive integer.');
+    }
+  }
+
+  return fields;
+}
+
+function buildPreset(input, existing = null) {
+  const name = normalizeOptionalText(input.name ?? existing?.name);
+  if (!name) {
+    throw new Error('Preset name is required.');
+  }
+
+  const nowIso = new Date().toISOString();
+  return {
+    id: existing?.id || normalizeOptionalText(input.id) || randomUUID(),
+    name,
+    description: normalizeOptionalText(input.description ?? existing?.description),
+    ...normalizePresetFields({ ...existing, ...input }),
+    createdAt: existing?.createdAt || nowIso,
+    updatedAt: nowIso
+  };
+}
+
+function assertUniqueName(name, ignoreId = null) {
+  const lowered = name.toLowerCase();
+  const clash = presets.find((preset) => preset.id !== ignoreId && preset.name.toLowerCase() === lowered);
+  if (clash) {
+    throw new Error(`A preset named "${name}" already exists.`);
+  }
+}
+
+async function ensurePresetsLoaded() {
+  if (!presetsLoaded) {
+    presetsLoaded = readJsonFileSafe(presetsPath, null).then((parsed) => {
+      presets = Array.isArray(parsed?.presets)
+        ? parsed.presets
+        : DEFAULT_PRESETS.map((preset) => buildPreset(preset));
+    });
+  }
+  await presetsLoaded;
+}
+
+function persistPresets() {
+  return writePresets({ presets });
+}
+
+export async function listPresets() {
+  await ensurePresetsLoaded();
+  return [...presets];
+}
+
+export async function getPreset(id) {
+  await ensurePresetsLoaded();
+  return presets.find((preset) => preset.id === id) || null;
+}
+
+export async function createPreset(input = {}) {
+  await ensurePresetsLoaded();
+  const preset = buildPreset({ ...input, id: undefined });
+  assertUniqueName(preset.name);
+  presets.push(preset);
+  await persistPresets();
+  return preset;
+}
+
+export async function updatePreset(id, input = {}) {
+  await ensurePresetsLoaded();
+  const index = presets.findIndex((preset) => preset.id === id);
+  if (index === -1) {
+    return null;
+  }
+  const preset = buildPreset({ ...input, id: undefined }, presets[index]);
+  assertUniqueName(preset.name, id);
+  presets[index] = preset;
+  await persistPresets();
+  return preset;
+}
+
+async function assertPresetUnused(preset) {
+  const roots = await listWatchRootsUsingPreset(preset.id);
+  if (roots.length) {
+    throw new Error(`Preset "${preset.name}" is used by watch folder(s): ${roots.join(', ')}. Change or remove those watches first.`);
+  }
+}
+
+export async function deletePreset(id) {
+  await ensurePresetsLoaded();
+  const index = presets.findIndex((preset) => preset.id === id);
+  if (index === -1) {
+    return false;
+  }
+  await assertPresetUnused(presets[index]);
+  presets.splice(index, 1);
+  await persistPresets();
+  return true;
+}
+
+export async function exportPresets() {
+  await ensurePresetsLoaded();
+  return {
+    version: PRESET_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    presets: [...presets]
+  };
+}
+
+// Imported presets update existing ones with the same id or name and are added
+// otherwise. With replace=true the current list is dropped first.
+export async function importPresets(payload, { replace = false } = {}) {
+  await ensurePresetsLoaded();
+  const incoming = Array.isArray(payload) ? payload : payload?.presets;
+  if (!Array.isArray(incoming)) {
+    throw new Error('Import must be a JSON array of presets or an object with a "presets" array.');
+  }
+
+  const next = replace ? [] : [...presets];
+  let created = 0;
+  let updated = 0;
+  for (const [index, item] of incoming.entries()) {
+    if (!item || typeof item !== 'object') {
+      throw new Error(`Preset #${index + 1} is not an object.`);
+    }
+    try {
+      const name = normalizeOptionalText(item.name).toLowerCase();
+      const existingIndex = next.findIndex((candidate) => candidate.id === item.id || candidate.name.toLowerCase() === name);
+      if (existingIndex === -1) {
+        next.push(buildPreset(item));
+        created += 1;
+      } else {
+        next[existingIndex] = buildPreset({ ...item, id: undefined }, next[existingIndex]);
+        updated += 1;
+      }
+    } catch (error) {
+      throw new Error(`Preset #${index + 1}: ${error.message}`);
+    }
+  }
+
+  for (const preset of presets.filter((current) => !next.some((candidate) => candidate.id === current.id))) {
+    await assertPresetUnused(preset);
+  }
+
+  presets = next;
+  await persistPresets();
+  return { created, updated, total: presets.length };
+}
+
+// Fills blank target fields in a request body from body.presetId. Values sent
+// explicitly in the request win over the preset. Presets store bitrates in
+// kbps; audit criteria take a unit suffix, so { forAudit: true } adds the "k".
+export async function applyPresetToRequest(body = {}, { forAudit = false } = {}) {
+  const presetId = normalizeOptionalText(body.presetId);
+  if (!presetId) {
+    return body;
+  }
+
+  const preset = await getPreset(presetId);
+  if (!preset) {
+    throw new Error(`Preset not found: ${presetId}`);
+  }
+
+  const merged = { ...body };
+  for (const field of PRESET_FIELDS) {
+    const current = merged[field];
+    const value = preset[field];
+    if ((current === undefined || current === null || current === '') && value !== undefined && value !== '') {
+      merged[field] = forAudit && field === 'videoBitrate' ? `${value}k` : value;
+    }
+  }
+  return merged;
+}
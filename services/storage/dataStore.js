@@ -0,0 +1,68 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const dataDir = path.resolve(process.env.TRANSCODER_DATA_DIR || path.join(process.cwd(), 'transcode-data'));
+
+export function getDataDir() {
+  return dataDir;
+}
+
+export function resolveDataPath(fileName) {
+  return path.join(dataDir, fileName);
+}
+
+// Returns fallback when the file doesn't exist yet. A file that can't be
+// parsed is renamed aside (name.corrupt-<time>) before the fallback is used,
+// so the next write doesn't destroy what it held; other read errors throw.
+export async function readJsonFileSafe(filePath, fallback) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    const asidePath = await moveFileAside(filePath, 'corrupt');
+    console.error(`${filePath} is not valid JSON (${error.message}); moved it to ${asidePath} and starting empty.`);
+    return fallback;
+  }
+}
+
+// Renames a data file out of the way and returns the new path.
+export async function moveFileAside(filePath, reason) {
+  const asidePath = `${filePath}.${reason}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  await fs.rename(filePath, asidePath);
+  return asidePath;
+}
+
+export async function writeFileAtomic(filePath, text) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, text, 'utf8');
+  await fs.rename(tempPath, filePath);
+}
+
+export async function writeJsonFileAtomic(filePath, value) {
+  await writeFileAtomic(filePath, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+export function createSerializedWriter(filePath, label = 'data') {
+  let writeChain = Promise.resolve();
+
+  // Writes run one after another. A failed write rejects for its caller but
+  // doesn't stop the ones queued behind it.
+  return function write(value) {
+    const result = writeChain.then(() => writeJsonFileAtomic(filePath, value));
+    writeChain = result.catch((error) => {
+      console.error(`Failed to persist ${label}: ${error.message}`);
+    });
+    return result.catch((error) => {
+      throw new Error(`Failed to save ${label}: ${error.message}`);
+    });
+  };
+}
@@ -0,0 +1,159 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { execFile } from 'node:child_process';
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_SYSFS_ROOT = '/sys/class/power_supply';
+const UNAVAILABLE = { available: false, percent: null, state: 'unknown', onAC: null, source: null };
+
+async function readSysfsValue(dir, name) {
+  try {
+    return (await fs.readFile(path.join(dir, name), 'utf8')).trim();
+  } catch {
+    return null;
+  }
+}
+
+function normalizeBatteryState(status) {
+  const value = String(status || '').trim().toLowerCase();
+  if (value === 'full') {
+    return 'charged';
+  }
+  return value || 'unknown';
+}
+
+// Reads every supply under a power_supply class directory. Batteries with
+// scope "Device" belong to peripherals (mice, headsets) and are ignored.
+export function createSysfsBatteryProvider({ root = DEFAULT_SYSFS_ROOT } = {}) {
+  return {
+    name: 'sysfs',
+    async read() {
+      let entries;
+      try {
+        entries = await fs.readdir(root);
+      } catch {
+        return null;
+      }
+
+      const batteries = [];
+      const adapters = [];
+      for (const entry of entries.sort()) {
+        const dir = path.join(root, entry);
+        const type = await readSysfsValue(dir, 'type');
+        if (type === 'Battery') {
+          if ((await readSysfsValue(dir, 'scope')) === 'Device') {
+            continue;
+          }
+          const capacity = Number.parseInt(await readSysfsValue(dir, 'capacity'), 10);
+          const energyFull = Number.parseInt(
+            (await readSysfsValue(dir, 'energy_full')) ?? (await readSysfsValue(dir, 'charge_full')),
+            10
+          );
+          batteries.push({
+            capacity: Number.isFinite(capacity) ? Math.max(0, Math.min(100, capacity)) : null,
+            weight: energyFull > 0 ? energyFull : 1,
+            state: normalizeBatteryState(await readSysfsValue(dir, 'status'))
+          });
+        } else if (type) {
+          const online = await readSysfsValue(dir, 'online');
+          if (online === '0' || online === '1') {
+            adapters.push(online === '1');
+          }
+        }
+      }
+
+      if (!batteries.length && !adapters.length) {
+        return null;
+      }
+
+      // Several batteries report as one pack, weighted by their capacity.
+      const sized = batteries.filter((battery) => battery.capacity !== null);
+      const totalWeight = sized.reduce((sum, battery) => sum + battery.weight, 0);
+      const percent = sized.length
+        ? Math.round(sized.reduce((sum, battery) => sum + battery.capacity * battery.weight, 0) / totalWeight)
+        : null;
+      const states = batteries.map((battery) => battery.state);
+      const state = ['discharging', 'charging', 'charged', 'not charging'].find((value) => states.includes(value)) || 'unknown';
+
+      let onAC = null;
+      if (adapters.length) {
+        onAC = adapters.includes(true);
+      } else if (state === 'discharging') {
+        onAC = false;
+      } else if (state === 'charging' || state === 'charged') {
+        onAC = true;
+      }
+
+      return {
+        available: batteries.length > 0,
+        percent,
+        state,
+        onAC,
+        source: 'sysfs'
+      };
+    }
+  };
+}
+
+export function createPmsetBatteryProvider() {
+  return {
+    name: 'pmset',
+    async read() {
+      try {
+        const { stdout } = await execFileAsync('pmset', ['-g', 'batt']);
+        const percentMatch = stdout.match(/(\d+)%/);
+        const chargingMatch = stdout.match(/;\s*(charging|discharging|charged);/i);
+        const sourceMatch = stdout.match(/drawing from '([^']+)'/i);
+
+        return {
+          available: !!percentMatch,
+          percent: percentMatch ? Number.parseInt(percentMatch[1], 10) : null,
+          state: chargingMatch ? chargingMatch[1].toLowerCase() : 'unknown',
+          onAC: sourceMatch ? /ac power/i.test(sourceMatch[1]) : null,
+          source: 'pmset'
+        };
+      } catch {
+        return null;
+      }
+    }
+  };
+}
+
+// POWER_SUPPLY_ROOT points the sysfs provider at a fake tree on any platform.
+export function createDefaultBatteryProviders(env = process.env) {
+  if (env.POWER_SUPPLY_ROOT) {
+    return [createSysfsBatteryProvider({ root: env.POWER_SUPPLY_ROOT })];
+  }
+  if (process.platform === 'linux') {
+    return [createSysfsBatteryProvider()];
+  }
+  if (process.platform === 'darwin') {
+    return [createPmsetBatteryProvider()];
+  }
+  return [];
+}
+
+// The first provider with an answer wins; a machine without any reports
+// available: false rather than throwing.
+export function createBatteryReader(providers = createDefaultBatteryProviders()) {
+  return async () => {
+    for (const provider of providers) {
+      const info = await provider.read();
+      if (info) {
+        return info;
+      }
+    }
+    return { ...UNAVAILABLE };
+  };
+}
+
+let defaultReader = null;
+
+export function readBatteryInfo() {
+  if (!defaultReader) {
+    defaultReader = createBatteryReader();
+  }
+  return defaultReader();
+}
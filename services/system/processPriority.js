@@ -0,0 +1,123 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+export const IO_CLASSES = ['best-effort', 'idle'];
+const IONICE_CLASS_NUMBERS = { 'best-effort': 2, idle: 3 };
+const commandAvailability = new Map();
+
+// Looks for an executable on PATH without running it, so nothing blocks the
+// event loop while a file is being started. Cached for the process lifetime.
+function hasCommand(command) {
+  if (!commandAvailability.has(command)) {
+    const candidates = String(process.env.PATH || '')
+      .split(path.delimiter)
+      .filter(Boolean)
+      .map((dir) => path.join(dir, command));
+    commandAvailability.set(command, Promise.any(
+      candidates.map((candidate) => fs.promises.access(candidate, fs.constants.X_OK))
+    ).then(() => true, () => false));
+  }
+  return commandAvailability.get(command);
+}
+
+// Linux niceness is per thread, and a running ffmpeg already has its encoder
+// threads, so each one is changed.
+function listProcessThreads(pid) {
+  if (process.platform !== 'linux') {
+    return [pid];
+  }
+  try {
+    const tids = fs
+      .readdirSync(path.join('/proc', String(pid), 'task'))
+      .map((entry) => Number.parseInt(entry, 10))
+      .filter(Number.isInteger);
+    return tids.length ? tids : [pid];
+  } catch {
+    return [pid];
+  }
+}
+
+export function setProcessNiceness(pid, niceness) {
+  for (const tid of listProcessThreads(pid)) {
+    os.setPriority(tid, niceness);
+  }
+}
+
+export function getProcessNiceness(pid) {
+  try {
+    return os.getPriority(pid);
+  } catch {
+    return null;
+  }
+}
+
+// Expands "0-3,6" into [0, 1, 2, 3, 6].
+export function parseCpuList(text) {
+  const cpus = new Set();
+  for (const part of String(text || '').split(',')) {
+    const trimmed = part.trim();
+    if (!trimmed) {
+      continue;
+    }
+    const match = trimmed.match(/^(\d+)(?:-(\d+))?$/);
+    const first = match ? Number.parseInt(match[1], 10) : NaN;
+    const last = match?.[2] !== undefined ? Number.parseInt(match[2], 10) : first;
+    if (!match || last < first) {
+      throw new Error('CPU affinity must be a list of cores such as 0-3 or 0,2,4.');
+    }
+    for (let cpu = first; cpu <= last; cpu += 1) {
+      cpus.add(cpu);
+    }
+  }
+  return [...cpus].sort((a, b) => a - b);
+}
+
+// Wraps a command in nice, ionice and taskset so the limits hold from the
+// first instruction and every thread inherits them. Each tool execs the next,
+// so the child's pid is still the real process. Limits a platform can't
+// apply are left out and reported in warnings.
+export async function buildPriorityCommand(command, args, {
+  niceLevel = null,
+  ioClass = '',
+  ioLevel = null,
+  cpuAffinity = ''
+} = {}) {
+  const prefix = [];
+  const warnings = [];
+  const windows = process.platform === 'win32';
+
+  if (Number.isInteger(niceLevel) && niceLevel !== 0 && !windows) {
+    prefix.push(['nice', '-n', String(niceLevel)]);
+  }
+
+  if (ioClass) {
+    if (process.platform === 'linux' && (await hasCommand('ionice'))) {
+      const classArgs = ['-c', String(IONICE_CLASS_NUMBERS[ioClass])];
+      if (ioClass === 'best-effort' && Number.isInteger(ioLevel)) {
+        classArgs.push('-n', String(ioLevel));
+      }
+      prefix.push(['ionice', ...classArgs]);
+    } else {
+      warnings.push('IO priority needs ionice on Linux; ignored.');
+    }
+  }
+
+  if (cpuAffinity) {
+    if (process.platform === 'linux' && (await hasCommand('taskset'))) {
+      prefix.push(['taskset', '-c', cpuAffinity]);
+    } else {
+      warnings.push('CPU affinity needs taskset on Linux; ignored.');
+    }
+  }
+
+  if (!prefix.length) {
+    return { command, args, warnings };
+  }
+  const [first, ...rest] = prefix;
+  return {
+    command: first[0],
+    args: [...first.slice(1), ...rest.flat(), command, ...args],
+    warnings
+  };
+}
@@ -0,0 +1,100 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { execFile } from 'node:child_process';
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_THERMAL_ROOT = '/sys/class/thermal';
+// Zones that aren't wired up report 0 or nonsense; nothing real runs this hot.
+const MAX_PLAUSIBLE_TEMP_C = 150;
+
+// The hottest thermal zone, in °C. Zone temperatures are millidegrees.
+export function createSysfsThermalProvider({ root = DEFAULT_THERMAL_ROOT } = {}) {
+  return {
+    name: 'sysfs',
+    async read() {
+      let entries;
+      try {
+        entries = await fs.readdir(root);
+      } catch {
+        return null;
+      }
+
+      const temps = [];
+      for (const entry of entries.filter((name) => name.startsWith('thermal_zone'))) {
+        try {
+          const raw = await fs.readFile(path.join(root, entry, 'temp'), 'utf8');
+          const tempC = Number.parseInt(raw.trim(), 10) / 1000;
+          if (tempC > 0 && tempC < MAX_PLAUSIBLE_TEMP_C) {
+            temps.push(tempC);
+          }
+        } catch {
+        }
+      }
+      return temps.length ? Math.round(Math.max(...temps) * 10) / 10 : null;
+    }
+  };
+}
+
+export function createOsxCpuTempProvider() {
+  return {
+    name: 'osx-cpu-temp',
+    async read() {
+      try {
+        const { stdout } = await execFileAsync('osx-cpu-temp', []);
+        const match = stdout.match(/(-?\d+(?:\.\d+)?)\s*°?C/i);
+        return match ? Number.parseFloat(match[1]) : null;
+      } catch {
+        return null;
+      }
+    }
+  };
+}
+
+// THERMAL_ROOT points the sysfs provider at a fake tree on any platform.
+export function createDefaultThermalProviders(env = process.env) {
+  if (env.THERMAL_ROOT) {
+    return [createSysfsThermalProvider({ root: env.THERMAL_ROOT })];
+  }
+  if (process.platform === 'linux') {
+    return [createSysfsThermalProvider()];
+  }
+  if (process.platform === 'darwin') {
+    return [createOsxCpuTempProvider()];
+  }
+  return [];
+}
+
+export function createTemperatureReader(providers = createDefaultThermalProviders()) {
+  return async () => {
+    for (const provider of providers) {
+      const tempC = await provider.read();
+      if (Number.isFinite(tempC)) {
+        return tempC;
+      }
+    }
+    return null;
+  };
+}
+
+let defaultTemperatureReader = null;
+
+export function readCpuTempC() {
+  if (!defaultTemperatureReader) {
+    defaultTemperatureReader = createTemperatureReader();
+  }
+  return defaultTemperatureReader();
+}
+
+// One-minute load average divided by the number of cores, so 1 means every
+// core busy whatever the machine. Windows has no load average and gets null.
+export function readLoadPerCore() {
+  const [oneMinute] = os.loadavg();
+  const cores = os.cpus()?.length || 1;
+  if (process.platform === 'win32' || !Number.isFinite(oneMinute)) {
+    return null;
+  }
+  return Math.round((oneMinute / cores) * 100) / 100;
+}
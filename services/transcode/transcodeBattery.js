@@ -1,27 +1,4 @@
-import { promisify } from 'node:util';
-import { execFile } from 'node:child_process';
-
-const execFileAsync = promisify(execFile);
-
-export async function readBatteryInfo() {
-  if (process.platform !== 'darwin') {
-    return { available: false };
-  }
-
-  try {
-    const { stdout } = await execFileAsync('pmset', ['-g', 'batt']);
-    const percentMatch = stdout.match(/(\d+)%/);
-    const chargingMatch = stdout.match(/;\s*(charging|discharging|charged);/i);
-
-    return {
-      available: true,
-      percent: percentMatch ? Number.parseInt(percentMatch[1], 10) : null,
-      state: chargingMatch ? chargingMatch[1].toLowerCase() : 'unknown'
-    };
-  } catch {
-    return { available: false };
-  }
-}
+import { readBatteryInfo } from '../system/batteryInfo.js';
 
 export function normalizePauseBatteryPct(input) {
   if (input === undefined || input === null || input === '') {
@@ -47,48 +24,88 @@ export function normalizeStartBatteryPct(input) {
   return value;
 }
 
+export function normalizePauseOnBattery(input) {
+  return input === true || input === 'true';
+}
+
+// Why the file should be (or stay) paused, or null. Once paused for a low
+// battery it only resumes two points above the threshold, so it doesn't
+// flap around it.
+function resolveBatteryPauseReason(battery, { pauseBatteryThreshold, pauseOnBattery, paused }) {
+  if (pauseOnBattery && battery.onAC === false) {
+    return Number.isFinite(battery.percent)
+      ? `Paused: running on battery power (${battery.percent}%).`
+      : 'Paused: running on battery power.';
+  }
+  if (!Number.isFinite(pauseBatteryThreshold) || !Number.isFinite(battery.percent)) {
+    return null;
+  }
+  const low = paused
+    ? battery.percent < Math.min(100, pauseBatteryThreshold + 2)
+    : battery.percent <= pauseBatteryThreshold;
+  return low ? `Paused: battery at ${battery.percent}% (threshold ${pauseBatteryThreshold}%).` : null;
+}
+
 export function createBatteryPauseMonitor({
-  ffmpegProcess,
   pauseBatteryThreshold,
+  pauseOnBattery = false,
   isCurrentProcess,
-  getPaused,
-  setPaused,
+  isHeld,
+  hold,
+  release,
   onStatus,
+  readBattery = readBatteryInfo,
   intervalMs = 15000
 }) {
-  if (!Number.isFinite(pauseBatteryThreshold)) {
+  if (!Number.isFinite(pauseBatteryThreshold) && !pauseOnBattery) {
     return null;
   }
 
   let batteryCheckInFlight = false;
-  const timer = setInterval(async () => {
+  const checkBattery = async () => {
     if (batteryCheckInFlight || !isCurrentProcess()) {
       return;
     }
 
     batteryCheckInFlight = true;
     try {
-      const battery = await readBatteryInfo();
-      if (!battery.available || !Number.isFinite(battery.percent)) {
+      const battery = await readBattery();
+      if (!Number.isFinite(battery.percent) && typeof battery.onAC !== 'boolean') {
         return;
       }
 
-      if (!getPaused() && battery.percent <= pauseBatteryThreshold) {
-        ffmpegProcess.kill('SIGSTOP');
-        setPaused(true);
-        onStatus?.(`Paused: battery at ${battery.percent}% (threshold ${pauseBatteryThreshold}%).`);
-      } else if (getPaused() && battery.percent >= Math.min(100, pauseBatteryThreshold + 2)) {
-        ffmpegProcess.kill('SIGCONT');
-        setPaused(false);
-        onStatus?.(`Resumed: battery recovered to ${battery.percent}%.`);
+      // The battery hold is one of several; releasing it only resumes the
+      // file when nobody else (user, schedule, throttle) still holds it.
+      const held = isHeld();
+      const reason = resolveBatteryPauseReason(battery, {
+        pauseBatteryThreshold,
+        pauseOnBattery,
+        paused: held
+      });
+      if (reason && !held) {
+        hold();
+        onStatus?.(reason);
+      } else if (!reason && held) {
+        const recovered = pauseOnBattery && battery.onAC === true
+          ? 'back on AC power'
+          : `battery recovered to ${battery.percent}%`;
+        const remaining = release();
+        onStatus?.(remaining.length
+          ? `Recovered: ${recovered}, but the file stays paused (${remaining.join(', ')}).`
+          : `Resumed: ${recovered}.`);
       }
     } catch {
     } finally {
       batteryCheckInFlight = false;
     }
-  }, intervalMs);
+  };
+
+  // Check straight away so a file started on battery doesn't run for a
+  // whole interval first.
+  checkBattery();
+  const timer = setInterval(checkBattery, intervalMs);
 
   return () => {
     clearInterval(timer);
   };
-}
\ No newline at end of file
+}
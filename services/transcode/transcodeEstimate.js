@@ -0,0 +1,286 @@
+import fs from "fs/promises";
+import path from "path";
+import { inspectWithFallback, mapWithConcurrency } from "../audit/auditCore.js";
+import { createProbeCache, loadProbeCacheEntries } from "../audit/probeCache.js";
+import { getFfprobeCommand } from "../options/optionsService.js";
+import {
+  planBitsPerPixelRate,
+  resolveEffectiveBitrateKbps,
+  resolvePixelRates,
+} from "./transcodePolicy.js";
+import { planStreamCopy } from "./transcodeStreamCopy.js";
+import { resolveContainer } from "./transcodeSubtitles.js";
+
+// History needs this many comparable files before a narrower match (same
+// encoder and rate control) is preferred over a broader one.
+const MIN_HISTORY_SAMPLES = 3;
+const MAX_HISTORY_SAMPLES = 50;
+const ESTIMATE_PROBE_CONCURRENCY = 4;
+
+function median(values) {
+  if (!values.length) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// One sample per successfully encoded file in the savings history. Remuxed
+// files say nothing about encoder speed or size, so they are left out.
+export function collectThroughputSamples(records) {
+  return records
+    .filter((record) => record.ok && !record.copiedVideo)
+    .map((record) => ({
+      videoCodec: record.encoder || "",
+      videoQualityMode: record.videoQualityMode || "bitrate",
+      speed: record.speed > 0 ? record.speed : null,
+      bytesPerSecond:
+        record.sourceBytes > 0 && record.encodeSeconds > 0
+          ? record.sourceBytes / record.encodeSeconds
+          : null,
+      sizeRatio:
+        record.sourceBytes > 0 && record.outputBytes > 0
+          ? record.outputBytes / record.sourceBytes
+          : null,
+    }));
+}
+
+// Medians over the most specific history that has enough samples: the same
+// encoder and rate control, then the same encoder, then everything.
+export function summarizeThroughput(samples, options = {}) {
+  const videoCodec = options.videoCodec || "";
+  const videoQualityMode = options.videoQualityMode || "bitrate";
+  const tiers = [
+    {
+      basis: "encoder and rate control",
+      samples: samples.filter(
+        (sample) =>
+          sample.videoCodec === videoCodec &&
+          sample.videoQualityMode === videoQualityMode,
+      ),
+    },
+    {
+      basis: "encoder",
+      samples: samples.filter((sample) => sample.videoCodec === videoCodec),
+    },
+    { basis: "all transcodes", samples },
+  ];
+  const tier =
+    tiers.find((candidate) => candidate.samples.length >= MIN_HISTORY_SAMPLES) ||
+    tiers.find((candidate) => candidate.samples.length > 0);
+  if (!tier) {
+    return {
+      basis: null,
+      sampleCount: 0,
+      speed: null,
+      bytesPerSecond: null,
+      sizeRatio: null,
+    };
+  }
+  const recent = tier.samples.slice(-MAX_HISTORY_SAMPLES);
+  const pick = (field) =>
+    median(
+      recent.map((sample) => sample[field]).filter((value) => value > 0),
+    );
+  return {
+    basis: tier.basis,
+    sampleCount: recent.length,
+    speed: pick("speed"),
+    bytesPerSecond: pick("bytesPerSecond"),
+    sizeRatio: pick("sizeRatio"),
+  };
+}
+
+function sumAudioBitrateKbps(actual) {
+  const streams = Array.isArray(actual.audioStreams) ? actual.audioStreams : [];
+  const total = streams.reduce(
+    (sum, stream) => sum + (stream.bitrate > 0 ? stream.bitrate : 0),
+    0,
+  );
+  return total > 0 ? total / 1000 : null;
+}
+
+// Target audio rate the way the queue picks it: the requested bitrate,
+// capped at the source's, or the source's own rate when none is requested.
+function resolveAudioKbps(actual, options) {
+  const sourceKbps = sumAudioBitrateKbps(actual);
+  const requested = Number.parseInt(String(options.audioBitrate || ""), 10);
+  if (!(requested > 0)) {
+    return sourceKbps;
+  }
+  const firstSourceKbps = actual.audioStreams?.[0]?.bitrate / 1000;
+  return options.capBitrateToSource && firstSourceKbps > 0
+    ? Math.min(requested, firstSourceKbps)
+    : requested;
+}
+
+// Output video rate for one file, or null when it depends on the encoder
+// (constant quality, or no bitrate given).
+function resolveVideoKbps(actual, options) {
+  if (options.videoQualityMode === "crf") {
+    return null;
+  }
+  const pixelRates = resolvePixelRates(
+    {
+      width: actual.width,
+      height: actual.height,
+      avg_frame_rate: actual.frameRate ? String(actual.frameRate) : "",
+    },
+    options,
+  );
+  const planned = planBitsPerPixelRate(options, pixelRates.output).videoBitrate;
+  const effective = options.capBitrateToSource
+    ? resolveEffectiveBitrateKbps(planned, actual.videoBitrate / 1000, {
+        sourcePixelRate: pixelRates.source,
+        outputPixelRate: pixelRates.output,
+      })
+    : planned;
+  const kbps = Number.parseInt(String(effective || ""), 10);
+  return kbps > 0 ? kbps : null;
+}
+
+export function estimateFile(inspection, options, throughput) {
+  const { file, actual } = inspection;
+  const sourceBytes = Number.isFinite(file.size) ? file.size : null;
+  const durationSeconds = actual.durationSeconds > 0 ? actual.durationSeconds : null;
+  const estimate = {
+    file: file.path,
+    sourceBytes,
+    durationSeconds,
+    outputBytes: null,
+    savedBytes: null,
+    seconds: null,
+    sizeBasis: null,
+    copiedVideo: false,
+    error: inspection.error || null,
+  };
+
+  // Smart copy keeps a video stream that already matches the target, so the
+  // file is remuxed: about the source's size, and no encoder time applies.
+  const streamCopy =
+    options.smartCopy && !inspection.error
+      ? planStreamCopy(actual, {
+          ...options,
+          container: options.container || resolveContainer(file.path),
+        })
+      : null;
+  if (streamCopy?.video) {
+    estimate.copiedVideo = true;
+    const sourceVideoKbps =
+      actual.videoBitrate > 0 ? actual.videoBitrate / 1000 : null;
+    const audioKbps = streamCopy.allAudio
+      ? sumAudioBitrateKbps(actual)
+      : resolveAudioKbps(actual, options);
+    if (sourceVideoKbps !== null && durationSeconds) {
+      estimate.outputBytes = Math.round(
+        ((sourceVideoKbps + (audioKbps || 0)) * 1000 * durationSeconds) / 8,
+      );
+      estimate.sizeBasis = "copy";
+    } else if (sourceBytes !== null) {
+      estimate.outputBytes = sourceBytes;
+      estimate.sizeBasis = "copy";
+    }
+    if (estimate.outputBytes !== null && sourceBytes !== null) {
+      estimate.savedBytes = sourceBytes - estimate.outputBytes;
+    }
+    return estimate;
+  }
+
+  const videoKbps = resolveVideoKbps(actual, options);
+  if (videoKbps !== null && durationSeconds) {
+    const audioKbps = resolveAudioKbps(actual, options) || 0;
+    estimate.outputBytes = Math.round(
+      ((videoKbps + audioKbps) * 1000 * durationSeconds) / 8,
+    );
+    estimate.sizeBasis = "bitrate";
+  } else if (throughput.sizeRatio && sourceBytes !== null) {
+    estimate.outputBytes = Math.round(sourceBytes * throughput.sizeRatio);
+    estimate.sizeBasis = "history";
+  }
+  if (estimate.outputBytes !== null && sourceBytes !== null) {
+    estimate.savedBytes = sourceBytes - estimate.outputBytes;
+  }
+
+  if (throughput.speed && durationSeconds) {
+    estimate.seconds = Math.round(durationSeconds / throughput.speed);
+  } else if (throughput.bytesPerSecond && sourceBytes !== null) {
+    estimate.seconds = Math.round(sourceBytes / throughput.bytesPerSecond);
+  }
+  return estimate;
+}
+
+async function inspectForEstimate(filePath, probeCache) {
+  const resolved = path.resolve(String(filePath || ""));
+  let stat;
+  try {
+    stat = await fs.stat(resolved);
+  } catch (error) {
+    return { file: { path: resolved }, actual: {}, error: error.message };
+  }
+  const file = { path: resolved, size: stat.size, mtimeMs: stat.mtimeMs };
+  const inspection = await inspectWithFallback(
+    file,
+    { ffprobeCommand: getFfprobeCommand() },
+    { probeCache },
+  );
+  return inspection.mismatches?.[0]?.startsWith("ffprobe failed")
+    ? { ...inspection, error: inspection.mismatches[0] }
+    : inspection;
+}
+
+// Projects output size, savings and wall-clock time for a transcode request
+// before it is queued. Files already probed by an audit come from the probe
+// cache. history is the savings history, oldest first.
+export async function estimateTranscode(files, options, history) {
+  const probeCache = createProbeCache(await loadProbeCacheEntries());
+  const inspections = await mapWithConcurrency(
+    files,
+    ESTIMATE_PROBE_CONCURRENCY,
+    (filePath) => inspectForEstimate(filePath, probeCache),
+  );
+
+  const throughput = summarizeThroughput(
+    collectThroughputSamples(history),
+    options,
+  );
+  const estimates = inspections.map((inspection) =>
+    estimateFile(inspection, options, throughput),
+  );
+
+  // Totals cover the files that could be estimated; the counts say how many
+  // couldn't.
+  const known = (field) =>
+    estimates
+      .map((estimate) => estimate[field])
+      .filter((value) => value !== null);
+  const sum = (field) =>
+    known(field).reduce((total, value) => total + value, 0);
+  const fileSeconds = known("seconds");
+  const concurrency = Math.max(1, Number.parseInt(options.concurrency, 10) || 1);
+  // Parallel files share the machine, so the total is the summed work
+  // spread over the slots, but never less than the longest single file.
+  const totalSeconds = fileSeconds.length
+    ? Math.round(Math.max(sum("seconds") / concurrency, ...fileSeconds))
+    : null;
+
+  return {
+    files: estimates,
+    summary: {
+      fileCount: estimates.length,
+      sourceBytes: sum("sourceBytes"),
+      outputBytes: known("outputBytes").length ? sum("outputBytes") : null,
+      savedBytes: known("savedBytes").length ? sum("savedBytes") : null,
+      seconds: totalSeconds,
+      concurrency,
+      unsizedCount: estimates.length - known("outputBytes").length,
+      copiedCount: estimates.filter((estimate) => estimate.copiedVideo).length,
+      untimedCount: estimates.filter(
+        (estimate) => !estimate.copiedVideo && estimate.seconds === null,
+      ).length,
+    },
+    history: throughput,
+  };
+}
@@ -0,0 +1,290 @@
+export const HDR_POLICIES = ["preserve", "skip", "tonemap", "ignore"];
+
+// Encoders that can write 10-bit BT.2020 video, with the pixel format to
+// feed them. Anything else would squash an HDR source into 8-bit SDR.
+const HDR_ENCODER_PIX_FMTS = {
+  libx265: "yuv420p10le",
+  libsvtav1: "yuv420p10le",
+  "libaom-av1": "yuv420p10le",
+  librav1e: "yuv420p10le",
+  "libvpx-vp9": "yuv420p10le",
+  hevc_nvenc: "p010le",
+  av1_nvenc: "p010le",
+  hevc_qsv: "p010le",
+  av1_qsv: "p010le",
+  hevc_amf: "p010le",
+  av1_amf: "p010le",
+  hevc_videotoolbox: "p010le",
+};
+
+const HDR_FORMAT_LABELS = {
+  hdr10: "HDR10",
+  hdr10plus: "HDR10+",
+  hlg: "HLG",
+  dolby_vision: "Dolby Vision",
+};
+
+// Scale to linear light, tone-map in float RGB, then back to BT.709 limited
+// range. Needs an ffmpeg built with zimg (zscale).
+const TONEMAP_FILTER = [
+  "zscale=t=linear:npl=100",
+  "format=gbrpf32le",
+  "zscale=p=bt709",
+  "tonemap=tonemap=hable:desat=0",
+  "zscale=t=bt709:m=bt709:r=tv",
+  "format=yuv420p",
+].join(",");
+
+function readSideData(stream, type) {
+  const list = Array.isArray(stream?.side_data_list)
+    ? stream.side_data_list
+    : [];
+  return (
+    list.find((entry) =>
+      String(entry?.side_data_type || "")
+        .toLowerCase()
+        .includes(type),
+    ) || null
+  );
+}
+
+function parseRational(value) {
+  const [numerator, denominator] = String(value ?? "").split("/");
+  const top = Number.parseFloat(numerator);
+  const bottom = denominator === undefined ? 1 : Number.parseFloat(denominator);
+  return Number.isFinite(top) && Number.isFinite(bottom) && bottom !== 0
+    ? top / bottom
+    : null;
+}
+
+// Classifies the video stream's dynamic range from its transfer function and
+// side data. Dolby Vision is reported even when it carries an HDR10 or HLG
+// base layer (dvBaseCompatible), since re-encoding drops the DV layer.
+export function detectHdr(videoStream) {
+  const colorTransfer = String(videoStream?.color_transfer || "").toLowerCase();
+  const dovi = readSideData(videoStream, "dovi");
+  const codecTag = String(videoStream?.codec_tag_string || "").toLowerCase();
+  const isDolbyVision =
+    !!dovi || ["dvh1", "dvhe", "dav1", "dva1"].includes(codecTag);
+  let format = "sdr";
+  if (isDolbyVision) {
+    format = "dolby_vision";
+  } else if (colorTransfer === "smpte2084") {
+    format = readSideData(videoStream, "2094-40") ? "hdr10plus" : "hdr10";
+  } else if (colorTransfer === "arib-std-b67") {
+    format = "hlg";
+  }
+
+  const mastering = readSideData(videoStream, "mastering display");
+  const contentLight = readSideData(videoStream, "content light");
+  return {
+    format,
+    isHdr: format !== "sdr",
+    colorTransfer: colorTransfer || undefined,
+    colorPrimaries: videoStream?.color_primaries || undefined,
+    colorSpace: videoStream?.color_space || undefined,
+    pixFmt: videoStream?.pix_fmt || undefined,
+    dvProfile: dovi ? Number.parseInt(dovi.dv_profile, 10) : undefined,
+    dvBaseCompatible: isDolbyVision
+      ? colorTransfer === "smpte2084" || colorTransfer === "arib-std-b67"
+      : undefined,
+    masteringDisplay: mastering
+      ? {
+          green: [
+            parseRational(mastering.green_x),
+            parseRational(mastering.green_y),
+          ],
+          blue: [
+            parseRational(mastering.blue_x),
+            parseRational(mastering.blue_y),
+          ],
+          red: [parseRational(mastering.red_x), parseRational(mastering.red_y)],
+          whitePoint: [
+            parseRational(mastering.white_point_x),
+            parseRational(mastering.white_point_y),
+          ],
+          luminance: [
+            parseRational(mastering.max_luminance),
+            parseRational(mastering.min_luminance),
+          ],
+        }
+      : undefined,
+    contentLight: contentLight
+      ? {
+          maxContent: Number.parseInt(contentLight.max_content, 10),
+          maxAverage: Number.parseInt(contentLight.max_average, 10),
+        }
+      : undefined,
+  };
+}
+
+export function formatHdrLabel(hdr) {
+  if (!hdr?.isHdr) {
+    return "SDR";
+  }
+  const label = HDR_FORMAT_LABELS[hdr.format] || hdr.format;
+  return Number.isFinite(hdr.dvProfile) ? `${label} ${hdr.dvProfile}` : label;
+}
+
+export function normalizeHdrOptions(input = {}) {
+  const hdrPolicy = String(input.hdrPolicy || "").trim() || "preserve";
+  if (!HDR_POLICIES.includes(hdrPolicy)) {
+    throw new Error(`HDR policy must be one of ${HDR_POLICIES.join(", ")}.`);
+  }
+  return { hdrPolicy };
+}
+
+// Decides what to do with an HDR source: skip it, re-encode it with its HDR
+// signalling intact, or tone-map it to SDR. Returns null for SDR sources and
+// the "ignore" policy; throws when the source can't be handled as asked.
+export function planHdrHandling(hdr, { hdrPolicy, videoCodec }) {
+  if (!hdr?.isHdr || hdrPolicy === "ignore") {
+    return null;
+  }
+  const label = formatHdrLabel(hdr);
+  if (hdrPolicy === "skip") {
+    return { action: "skip", format: hdr.format, label, warnings: [] };
+  }
+  // A copied video stream keeps its HDR signalling as it is.
+  if (videoCodec === "copy") {
+    return null;
+  }
+
+  // Profile 5 has no HDR10/HLG base layer, so without the DV reshaping the
+  // picture comes out with the wrong colours either way.
+  if (hdr.format === "dolby_vision" && !hdr.dvBaseCompatible) {
+    throw new Error(
+      `${label} has no HDR10 or HLG base layer and can't be re-encoded; use the skip HDR policy for these files.`,
+    );
+  }
+
+  if (hdrPolicy === "tonemap") {
+    return { action: "tonemap", format: hdr.format, label, warnings: [] };
+  }
+
+  const warnings = [];
+  if (hdr.format === "dolby_vision") {
+    warnings.push(
+      "Dolby Vision metadata is dropped; the HDR base layer is kept.",
+    );
+  } else if (hdr.format === "hdr10plus") {
+    warnings.push(
+      "HDR10+ dynamic metadata is dropped; static HDR10 metadata is kept.",
+    );
+  }
+
+  const pixFmt = HDR_ENCODER_PIX_FMTS[videoCodec];
+  if (!pixFmt) {
+    throw new Error(
+      `${videoCodec || "The selected encoder"} can't keep ${label}; pick a 10-bit HEVC/AV1/VP9 encoder, or the skip or tone-map HDR policy.`,
+    );
+  }
+  return {
+    action: "preserve",
+    format: hdr.format,
+    label,
+    warnings,
+    pixFmt,
+    colorTransfer:
+      hdr.colorTransfer === "arib-std-b67" ? "arib-std-b67" : "smpte2084",
+    masteringDisplay: hdr.masteringDisplay,
+    contentLight: hdr.contentLight,
+  };
+}
+
+export function buildToneMapFilter() {
+  return TONEMAP_FILTER;
+}
+
+function hasValues(pairs) {
+  return pairs.every((pair) => pair.every((value) => Number.isFinite(value)));
+}
+
+// x265 takes chromaticity in 0.00002 steps and luminance in 0.0001 cd/m2.
+function formatX265MasterDisplay(display) {
+  const chroma = ([x, y]) =>
+    `${Math.round(x * 50000)},${Math.round(y * 50000)}`;
+  const [maxLum, minLum] = display.luminance;
+  return `G(${chroma(display.green)})B(${chroma(display.blue)})R(${chroma(display.red)})WP(${chroma(display.whitePoint)})L(${Math.round(maxLum * 10000)},${Math.round(minLum * 10000)})`;
+}
+
+function formatSvtAv1MasterDisplay(display) {
+  const chroma = ([x, y]) => `${x.toFixed(4)},${y.toFixed(4)}`;
+  const [maxLum, minLum] = display.luminance;
+  return `G(${chroma(display.green)})B(${chroma(display.blue)})R(${chroma(display.red)})WP(${chroma(display.whitePoint)})L(${maxLum.toFixed(4)},${minLum.toFixed(4)})`;
+}
+
+// Output flags for an HDR plan. x265 and SVT-AV1 take the mastering display
+// and content light levels as private params, which the caller merges with
+// any other params for the same encoder.
+export function buildHdrEncoderArgs(plan, videoCodec) {
+  if (plan?.action === "tonemap") {
+    return {
+      args: [
+        "-color_primaries",
+        "bt709",
+        "-color_trc",
+        "bt709",
+        "-colorspace",
+        "bt709",
+      ],
+      x265Params: [],
+      svtav1Params: [],
+    };
+  }
+  if (plan?.action !== "preserve") {
+    return { args: [], x265Params: [], svtav1Params: [] };
+  }
+
+  const args = [
+    "-pix_fmt",
+    plan.pixFmt,
+    "-color_primaries",
+    "bt2020",
+    "-color_trc",
+    plan.colorTransfer,
+    "-colorspace",
+    "bt2020nc",
+  ];
+  const x265Params = [];
+  const svtav1Params = [];
+  const display = plan.masteringDisplay;
+  const displayKnown =
+    display &&
+    hasValues([
+      display.green,
+      display.blue,
+      display.red,
+      display.whitePoint,
+      display.luminance,
+    ]);
+  const light = plan.contentLight;
+  const lightKnown =
+    light &&
+    Number.isFinite(light.maxContent) &&
+    Number.isFinite(light.maxAverage);
+
+  if (videoCodec === "libx265") {
+    if (plan.colorTransfer === "smpte2084") {
+      x265Params.push("hdr10=1", "repeat-headers=1");
+      if (displayKnown) {
+        x265Params.push(`master-display=${formatX265MasterDisplay(display)}`);
+      }
+      if (lightKnown) {
+        x265Params.push(`max-cll=${light.maxContent},${light.maxAverage}`);
+      }
+    }
+  } else if (videoCodec === "libsvtav1") {
+    if (displayKnown) {
+      svtav1Params.push(
+        `mastering-display=${formatSvtAv1MasterDisplay(display)}`,
+      );
+    }
+    if (lightKnown) {
+      svtav1Params.push(
+        `content-light=${light.maxContent},${light.maxAverage}`,
+      );
+    }
+  }
+  return { args, x265Params, svtav1Params };
+}
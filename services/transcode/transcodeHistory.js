@@ -0,0 +1,399 @@
+import fs from "fs/promises";
+import path from "path";
+import {
+  moveFileAside,
+  readJsonFileSafe,
+  resolveDataPath,
+  writeFileAtomic,
+} from "../storage/dataStore.js";
+
+const HISTORY_VERSION = 1;
+// Oldest records are dropped past this; at a few hundred bytes each the file
+// stays in the tens of megabytes.
+const MAX_HISTORY_RECORDS = 100000;
+// Appended records may run this far past the cap before the file is
+// rewritten with only the newest ones.
+const COMPACT_SLACK_RECORDS = 10000;
+export const HISTORY_GROUPS = ["day", "week", "month", "codec", "folder"];
+
+// A { version } header line, then one record per line, so a finished job
+// appends its records instead of rewriting the whole history.
+const historyPath = resolveDataPath("transcode-history.jsonl");
+// The earlier single-document format, converted on first load.
+const legacyHistoryPath = resolveDataPath("transcode-history.json");
+let records = null;
+let recordsLoaded = null;
+// Records in the file, which can be more than are kept in memory.
+let fileRecordCount = 0;
+// Set when the file is missing or no longer matches memory, so the next
+// save rewrites it instead of appending.
+let rewriteNeeded = false;
+let writeChain = Promise.resolve();
+
+function formatHistoryFile(list) {
+  return [{ version: HISTORY_VERSION }, ...list]
+    .map((entry) => `${JSON.stringify(entry)}\n`)
+    .join("");
+}
+
+async function loadLegacyHistory() {
+  const parsed = await readJsonFileSafe(legacyHistoryPath, null);
+  if (!parsed) {
+    rewriteNeeded = true;
+    return [];
+  }
+  if (parsed.version !== HISTORY_VERSION || !Array.isArray(parsed.records)) {
+    const asidePath = await moveFileAside(
+      legacyHistoryPath,
+      `version-${parsed.version ?? "unknown"}`,
+    );
+    console.error(
+      `${legacyHistoryPath} is not a version ${HISTORY_VERSION} history; moved it to ${asidePath} and starting empty.`,
+    );
+    rewriteNeeded = true;
+    return [];
+  }
+  await writeFileAtomic(historyPath, formatHistoryFile(parsed.records));
+  await moveFileAside(legacyHistoryPath, "converted");
+  fileRecordCount = parsed.records.length;
+  return parsed.records;
+}
+
+async function loadHistory() {
+  let raw;
+  try {
+    raw = await fs.readFile(historyPath, "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+    return loadLegacyHistory();
+  }
+  const lines = raw.split("\n").filter((line) => line.trim());
+  let header = null;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch {
+    header = null;
+  }
+  if (header?.version !== HISTORY_VERSION) {
+    const asidePath = await moveFileAside(
+      historyPath,
+      header ? `version-${header.version ?? "unknown"}` : "corrupt",
+    );
+    console.error(
+      `${historyPath} is not a version ${HISTORY_VERSION} history; moved it to ${asidePath} and starting empty.`,
+    );
+    rewriteNeeded = true;
+    return [];
+  }
+  const loaded = [];
+  let unreadable = 0;
+  for (const line of lines.slice(1)) {
+    try {
+      loaded.push(JSON.parse(line));
+    } catch {
+      unreadable += 1;
+    }
+  }
+  // A line cut short by a crash mid-append is skipped; the next save
+  // rewrites the file without it.
+  if (unreadable) {
+    console.error(`Skipped ${unreadable} unreadable line(s) in ${historyPath}.`);
+    rewriteNeeded = true;
+  }
+  fileRecordCount = lines.length - 1;
+  return loaded.slice(-MAX_HISTORY_RECORDS);
+}
+
+async function ensureHistoryLoaded() {
+  if (!recordsLoaded) {
+    recordsLoaded = loadHistory().then(
+      (loaded) => {
+        records = loaded;
+      },
+      (error) => {
+        recordsLoaded = null;
+        throw error;
+      },
+    );
+  }
+  await recordsLoaded;
+}
+
+// Appends the new records, or rewrites the file from memory when it has to
+// be created, repaired or compacted. Saves run one after another.
+function saveHistory(added) {
+  const result = writeChain.then(async () => {
+    const fileLimit = MAX_HISTORY_RECORDS + COMPACT_SLACK_RECORDS;
+    if (rewriteNeeded || fileRecordCount + added.length > fileLimit) {
+      const snapshot = [...records];
+      await writeFileAtomic(historyPath, formatHistoryFile(snapshot));
+      fileRecordCount = snapshot.length;
+      rewriteNeeded = false;
+      return;
+    }
+    await fs.appendFile(
+      historyPath,
+      added.map((record) => `${JSON.stringify(record)}\n`).join(""),
+      "utf8",
+    );
+    fileRecordCount += added.length;
+  });
+  writeChain = result.catch((error) => {
+    // A partial append would leave the file out of step with memory.
+    rewriteNeeded = true;
+    console.error(`Failed to persist transcode history: ${error.message}`);
+  });
+  return result.catch((error) => {
+    throw new Error(`Failed to save transcode history: ${error.message}`);
+  });
+}
+
+function finiteOrNull(value) {
+  return Number.isFinite(value) ? value : null;
+}
+
+// One record per file result of a finished job run, successful or not.
+function buildHistoryRecord(result, { jobId, options, recordedAt }) {
+  const sourceBytes = finiteOrNull(result.sourceSizeBytes);
+  const outputBytes = result.ok ? finiteOrNull(result.outputSizeBytes) : null;
+  const durationSeconds = finiteOrNull(result.sourceDurationSeconds);
+  const encodeSeconds = finiteOrNull(result.encodeSeconds);
+  return {
+    recordedAt,
+    jobId,
+    file: result.file,
+    folder: path.dirname(String(result.file || "")),
+    output: result.output || null,
+    ok: result.ok === true,
+    skipped: result.skipped === true,
+    cancelled: result.cancelled === true,
+    error: result.ok ? null : result.error || null,
+    sourceBytes,
+    outputBytes,
+    savedBytes:
+      sourceBytes !== null && outputBytes !== null
+        ? sourceBytes - outputBytes
+        : null,
+    sourceVideoCodec: result.sourceVideoCodec || null,
+    videoCodec: result.videoCodec || null,
+    encoder: options.videoCodec || null,
+    audioCodec: options.audioCodec || null,
+    videoQualityMode: options.videoQualityMode || "bitrate",
+    presetId: options.presetId || null,
+    copiedVideo: result.copiedStreams?.video === true,
+    durationSeconds,
+    encodeSeconds,
+    speed:
+      durationSeconds > 0 && encodeSeconds > 0
+        ? Math.round((durationSeconds / encodeSeconds) * 1000) / 1000
+        : null,
+  };
+}
+
+export async function recordTranscodeHistory(results, { jobId, options = {} }) {
+  if (!Array.isArray(results) || !results.length) {
+    return;
+  }
+  await ensureHistoryLoaded();
+  const recordedAt = new Date().toISOString();
+  const added = results.map((result) =>
+    buildHistoryRecord(result, { jobId, options, recordedAt }),
+  );
+  records.push(...added);
+  if (records.length > MAX_HISTORY_RECORDS) {
+    records = records.slice(records.length - MAX_HISTORY_RECORDS);
+  }
+  await saveHistory(added);
+}
+
+function parseDateBound(value, label, endOfDay = false) {
+  const text = String(value || "").trim();
+  if (!text) {
+    return null;
+  }
+  // A bare date covers that whole day in server time.
+  const bare = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const time = Date.parse(
+    bare ? `${text}T${endOfDay ? "23:59:59.999" : "00:00:00"}` : text,
+  );
+  if (!Number.isFinite(time)) {
+    throw new Error(`${label} must be a date such as 2024-05-01.`);
+  }
+  return time;
+}
+
+function filterRecords({ from = "", to = "", folder = "" } = {}) {
+  const fromMs = parseDateBound(from, "from");
+  const toMs = parseDateBound(to, "to", true);
+  const folderPath = String(folder || "").trim()
+    ? path.resolve(String(folder).trim())
+    : null;
+  return records.filter((record) => {
+    const time = Date.parse(record.recordedAt);
+    if (fromMs !== null && time < fromMs) return false;
+    if (toMs !== null && time > toMs) return false;
+    if (folderPath) {
+      const relative = path.relative(folderPath, record.file || "");
+      if (relative.startsWith("..") || path.isAbsolute(relative)) return false;
+    }
+    return true;
+  });
+}
+
+export async function listTranscodeHistory({
+  limit = null,
+  offset = 0,
+  ...filters
+} = {}) {
+  await ensureHistoryLoaded();
+  const matched = filterRecords(filters).reverse();
+  const start = Number.isInteger(offset) && offset > 0 ? offset : 0;
+  return {
+    total: matched.length,
+    records:
+      Number.isInteger(limit) && limit > 0
+        ? matched.slice(start, start + limit)
+        : matched.slice(start),
+  };
+}
+
+// Records in the order they were written, for estimates.
+export async function getTranscodeHistoryRecords() {
+  await ensureHistoryLoaded();
+  return [...records];
+}
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+function formatLocalDate(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Weeks are keyed by the date of their Monday.
+function resolveGroupKey(record, groupBy) {
+  const date = new Date(record.recordedAt);
+  if (groupBy === "day") {
+    return formatLocalDate(date);
+  }
+  if (groupBy === "week") {
+    const monday = new Date(date);
+    monday.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return formatLocalDate(monday);
+  }
+  if (groupBy === "month") {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+  }
+  if (groupBy === "codec") {
+    return record.videoCodec || "unknown";
+  }
+  return record.folder || "unknown";
+}
+
+function createTotals() {
+  return {
+    attemptedFiles: 0,
+    filesTranscoded: 0,
+    failedFiles: 0,
+    skippedFiles: 0,
+    cancelledFiles: 0,
+    sourceBytes: 0,
+    outputBytes: 0,
+    savedBytes: 0,
+    durationSeconds: 0,
+    encodeSeconds: 0,
+    reductionPctSum: 0,
+    reductionPctCount: 0,
+  };
+}
+
+// Skipped and cancelled files were never really attempted, so they count
+// apart and stay out of the success rate, as in the job outcome.
+function addToTotals(totals, record) {
+  if (record.skipped) {
+    totals.skippedFiles += 1;
+    return;
+  }
+  if (record.cancelled) {
+    totals.cancelledFiles += 1;
+    return;
+  }
+  totals.attemptedFiles += 1;
+  if (!record.ok) {
+    totals.failedFiles += 1;
+    return;
+  }
+  totals.filesTranscoded += 1;
+  if (record.durationSeconds > 0 && record.encodeSeconds > 0) {
+    totals.durationSeconds += record.durationSeconds;
+    totals.encodeSeconds += record.encodeSeconds;
+  }
+  if (record.sourceBytes === null || record.outputBytes === null) {
+    return;
+  }
+  totals.sourceBytes += record.sourceBytes;
+  totals.outputBytes += record.outputBytes;
+  totals.savedBytes += record.savedBytes;
+  if (record.sourceBytes > 0) {
+    totals.reductionPctSum += (record.savedBytes / record.sourceBytes) * 100;
+    totals.reductionPctCount += 1;
+  }
+}
+
+function finishTotals(totals) {
+  const { reductionPctSum, reductionPctCount, ...rest } = totals;
+  return {
+    ...rest,
+    successRatePct:
+      totals.attemptedFiles > 0
+        ? (totals.filesTranscoded / totals.attemptedFiles) * 100
+        : 0,
+    avgReductionPct:
+      reductionPctCount > 0 ? reductionPctSum / reductionPctCount : 0,
+    // Seconds of video encoded per second of work, over files with both.
+    avgSpeed:
+      totals.encodeSeconds > 0
+        ? Math.round((totals.durationSeconds / totals.encodeSeconds) * 1000) /
+          1000
+        : null,
+  };
+}
+
+export async function summarizeTranscodeHistory(filters = {}) {
+  await ensureHistoryLoaded();
+  const matched = filterRecords(filters);
+  const totals = createTotals();
+  matched.forEach((record) => addToTotals(totals, record));
+  return {
+    ...finishTotals(totals),
+    startedAt: matched[0]?.recordedAt || null,
+    lastRecordedAt: matched[matched.length - 1]?.recordedAt || null,
+  };
+}
+
+// Totals per day, week, month, output codec or source folder. Time groups
+// come back oldest first; codecs and folders by space saved.
+export async function groupTranscodeHistory(groupBy, filters = {}) {
+  if (!HISTORY_GROUPS.includes(groupBy)) {
+    throw new Error(`Group by must be one of ${HISTORY_GROUPS.join(", ")}.`);
+  }
+  await ensureHistoryLoaded();
+  const groups = new Map();
+  for (const record of filterRecords(filters)) {
+    const key = resolveGroupKey(record, groupBy);
+    if (!groups.has(key)) {
+      groups.set(key, createTotals());
+    }
+    addToTotals(groups.get(key), record);
+  }
+  const rows = Array.from(groups, ([key, totals]) => ({
+    key,
+    ...finishTotals(totals),
+  }));
+  return ["codec", "folder"].includes(groupBy)
+    ? rows.sort((a, b) => b.savedBytes - a.savedBytes)
+    : rows.sort((a, b) => a.key.localeCompare(b.key));
+}
@@ -0,0 +1,121 @@
+import { randomUUID } from "crypto";
+import {
+  createSerializedWriter,
+  readJsonFileSafe,
+  resolveDataPath,
+} from "../storage/dataStore.js";
+
+const MAX_FINISHED_JOBS = 200;
+const FINISHED_JOB_STATUSES = new Set(["completed", "failed", "cancelled"]);
+
+export function isFinishedJobStatus(status) {
+  return FINISHED_JOB_STATUSES.has(status);
+}
+
+export function createTranscodeJobStore({
+  storePath = resolveDataPath("transcode-jobs.json"),
+} = {}) {
+  let jobs = [];
+  const writeSnapshot = createSerializedWriter(storePath, "transcode jobs");
+
+  async function load() {
+    const parsed = await readJsonFileSafe(storePath, null);
+    jobs = Array.isArray(parsed?.jobs) ? parsed.jobs : [];
+    return jobs;
+  }
+
+  function pruneFinishedJobs() {
+    const finished = jobs.filter((job) => isFinishedJobStatus(job.status));
+    if (finished.length <= MAX_FINISHED_JOBS) {
+      return;
+    }
+    const dropIds = new Set(
+      finished
+        .slice(0, finished.length - MAX_FINISHED_JOBS)
+        .map((job) => job.id),
+    );
+    jobs = jobs.filter((job) => !dropIds.has(job.id));
+  }
+
+  function removeJob(id) {
+    jobs = jobs.filter((job) => job.id !== id);
+  }
+
+  function persist() {
+    pruneFinishedJobs();
+    return writeSnapshot({ jobs });
+  }
+
+  function createJob({ files, options }) {
+    const nowIso = new Date().toISOString();
+    const job = {
+      id: randomUUID(),
+      status: "queued",
+      createdAt: nowIso,
+      updatedAt: nowIso,
+      startedAt: null,
+      finishedAt: null,
+      options,
+      runLogPath: null,
+      files: files.map((file) => ({
+        file,
+        status: "pending",
+        attempts: 0,
+        queuedAt: nowIso,
+        startedAt: null,
+        finishedAt: null,
+        error: null,
+        result: null,
+        tempInput: null,
+        tempOutput: null,
+        workingOutput: null,
+      })),
+    };
+    jobs.push(job);
+    return job;
+  }
+
+  function getJob(id) {
+    return jobs.find((job) => job.id === id) || null;
+  }
+
+  function listJobs() {
+    return [...jobs];
+  }
+
+  function findNextQueuedJob() {
+    return jobs.find((job) => job.status === "queued") || null;
+  }
+
+  function updateJob(id, patch) {
+    const job = getJob(id);
+    if (!job) {
+      return null;
+    }
+    Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+    return job;
+  }
+
+  function updateJobFile(id, fileIndex, patch) {
+    const job = getJob(id);
+    const entry = job?.files?.[fileIndex];
+    if (!entry) {
+      return null;
+    }
+    Object.assign(entry, patch);
+    job.updatedAt = new Date().toISOString();
+    return entry;
+  }
+
+  return {
+    load,
+    persist,
+    createJob,
+    getJob,
+    listJobs,
+    findNextQueuedJob,
+    updateJob,
+    updateJobFile,
+    removeJob,
+  };
+}
@@ -1,8 +1,19 @@
+import os from "os";
 import path from "path";
+import {
+  buildSubtitleBurnFilter,
+  buildSubtitleSidecarArgs,
+  buildSubtitleStreamArgs,
+  resolveContainer,
+} from "./transcodeSubtitles.js";
+import { buildHdrEncoderArgs, buildToneMapFilter } from "./transcodeHdr.js";
+import { parseFrameRate } from "../audit/auditCore.js";
+import { IO_CLASSES, parseCpuList } from "../system/processPriority.js";
 
 const transcodeLocationRoot = path.resolve(
   process.env.TRANSCODE_LOCATION_ROOT || process.cwd(),
 );
+const MAX_TRANSCODE_CONCURRENCY = 64;
 
 export function resolveTranscodeLocation(inputPath) {
   if (!inputPath) {
@@ -24,18 +35,660 @@ export function resolveTranscodeLocation(inputPath) {
   return resolved;
 }
 
+// Number of ffmpeg processes a job runs side by side. Falls back to
+// TRANSCODE_CONCURRENCY, then 1, when the request leaves it blank.
+export function normalizeTranscodeConcurrency(input) {
+  const raw =
+    input === undefined || input === null || input === ""
+      ? process.env.TRANSCODE_CONCURRENCY
+      : input;
+  if (raw === undefined || raw === null || raw === "") {
+    return 1;
+  }
+
+  const value = Number.parseInt(String(raw), 10);
+  if (
+    !Number.isFinite(value) ||
+    value < 1 ||
+    value > MAX_TRANSCODE_CONCURRENCY
+  ) {
+    throw new Error(
+      `Transcode concurrency must be between 1 and ${MAX_TRANSCODE_CONCURRENCY}.`,
+    );
+  }
+  return value;
+}
+
+export const VIDEO_QUALITY_MODES = ["bitrate", "crf", "twopass"];
+
+// Encoders that honour -pass/-passlogfile. libx265 takes its pass settings
+// through -x265-params instead.
+const TWO_PASS_CODECS = new Set([
+  "libx264",
+  "libx265",
+  "libvpx",
+  "libvpx-vp9",
+  "libaom-av1",
+]);
+
+// Constant-quality flag per encoder family; everything else gets -crf.
+function resolveQualityFlag(videoCodec) {
+  const codec = String(videoCodec || "");
+  if (codec.endsWith("_nvenc")) return "-cq";
+  if (codec.endsWith("_qsv")) return "-global_quality";
+  if (codec.endsWith("_videotoolbox")) return "-q:v";
+  if (codec.endsWith("_vaapi") || codec.endsWith("_amf")) return "-qp";
+  return "-crf";
+}
+
+function normalizeOptionalKbps(value, label) {
+  const text = String(value ?? "").trim().replace(/k$/i, "");
+  if (!text) {
+    return "";
+  }
+  const number = Number.parseInt(text, 10);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`${label} must be a positive number of kbps.`);
+  }
+  return String(number);
+}
+
+function normalizeEncoderToken(value, label) {
+  const text = String(value ?? "").trim();
+  if (text && !/^[A-Za-z0-9_.-]+$/.test(text)) {
+    throw new Error(`${label} may only contain letters, digits, ".", "_" or "-".`);
+  }
+  return text;
+}
+
+// Validates the rate-control options of a transcode request. Returns the
+// cleaned values; throws with a user-facing message when they don't combine.
+export function normalizeVideoQualityOptions(input = {}) {
+  const mode = String(input.videoQualityMode || "").trim() || "bitrate";
+  if (!VIDEO_QUALITY_MODES.includes(mode)) {
+    throw new Error(
+      `Video quality mode must be one of ${VIDEO_QUALITY_MODES.join(", ")}.`,
+    );
+  }
+
+  let videoQuality = "";
+  if (mode === "crf") {
+    const quality = Number.parseFloat(String(input.videoQuality ?? "").trim());
+    if (!Number.isFinite(quality) || quality < 0 || quality > 63) {
+      throw new Error(
+        "Constant-quality mode needs a quality (CRF/CQ) value between 0 and 63.",
+      );
+    }
+    videoQuality = String(quality);
+  }
+
+  const bitsPerPixel = normalizeBitsPerPixel(input.bitsPerPixel);
+  if (mode === "twopass") {
+    if (!TWO_PASS_CODECS.has(input.videoCodec)) {
+      throw new Error(
+        `Two-pass encoding is supported for ${[...TWO_PASS_CODECS].join(", ")}.`,
+      );
+    }
+    if (
+      !normalizeOptionalKbps(input.videoBitrate, "Video bitrate") &&
+      !bitsPerPixel
+    ) {
+      throw new Error(
+        "Two-pass encoding needs a target video bitrate or bits per pixel.",
+      );
+    }
+  }
+
+  const videoMaxrate = normalizeOptionalKbps(input.videoMaxrate, "Max rate");
+  const videoBufsize = normalizeOptionalKbps(input.videoBufsize, "Buffer size");
+  if (videoBufsize && !videoMaxrate) {
+    throw new Error("Buffer size needs a max rate.");
+  }
+
+  return {
+    videoQualityMode: mode,
+    videoQuality,
+    encoderPreset: normalizeEncoderToken(input.encoderPreset, "Encoder preset"),
+    encoderTune: normalizeEncoderToken(input.encoderTune, "Encoder tune"),
+    videoMaxrate,
+    videoBufsize,
+    bitsPerPixel,
+  };
+}
+
+const MAX_BITS_PER_PIXEL = 10;
+
+function normalizeBitsPerPixel(value) {
+  const text = String(value ?? "").trim();
+  if (!text) {
+    return "";
+  }
+  const number = Number.parseFloat(text);
+  if (!Number.isFinite(number) || number <= 0 || number > MAX_BITS_PER_PIXEL) {
+    throw new Error(
+      `Bits per pixel must be a number above 0 and at most ${MAX_BITS_PER_PIXEL}, such as 0.1.`,
+    );
+  }
+  return String(number);
+}
+
+// Pixels shown per second; bits per pixel is a bitrate divided by this.
+export function computePixelRate(width, height, frameRate) {
+  const rate = width * height * frameRate;
+  return Number.isFinite(rate) && rate > 0 ? rate : null;
+}
+
+// The source and output pixel rates of one file, the output after the
+// scale and fps caps of buildVideoFilters.
+export function resolvePixelRates(sourceVideo, opts) {
+  const width = Number.parseInt(sourceVideo?.width, 10);
+  const height = Number.parseInt(sourceVideo?.height, 10);
+  const sourceFps =
+    parseFrameRate(sourceVideo?.avg_frame_rate) ??
+    parseFrameRate(sourceVideo?.r_frame_rate);
+  const maxFps = Number.parseFloat(opts.maxFps);
+  const outputFps = maxFps > 0 && !(sourceFps <= maxFps) ? maxFps : sourceFps;
+  const output = resolveOutputDimensions(width, height, opts);
+  return {
+    source: computePixelRate(width, height, sourceFps),
+    output: computePixelRate(output.width, output.height, outputFps),
+    width: output.width,
+    height: output.height,
+    frameRate: outputFps ?? null,
+  };
+}
+
+// Turns a bits-per-pixel target into kbps for one output. In the bitrate
+// modes it is the target, never above an explicit videoBitrate; in
+// constant-quality mode it caps the max rate instead.
+export function planBitsPerPixelRate(opts, outputPixelRate) {
+  const bitsPerPixel = Number.parseFloat(opts.bitsPerPixel);
+  const planned = {
+    videoBitrate: opts.videoBitrate,
+    videoMaxrate: opts.videoMaxrate,
+    bitsPerPixelKbps: null,
+  };
+  if (!(bitsPerPixel > 0) || !(outputPixelRate > 0)) {
+    return planned;
+  }
+  const kbps = Math.max(1, Math.round((bitsPerPixel * outputPixelRate) / 1000));
+  const capped = (value) => {
+    const limit = Number.parseInt(String(value || ""), 10);
+    return String(limit > 0 ? Math.min(limit, kbps) : kbps);
+  };
+  planned.bitsPerPixelKbps = kbps;
+  if (opts.videoQualityMode === "crf") {
+    planned.videoMaxrate = capped(opts.videoMaxrate);
+  } else {
+    planned.videoBitrate = capped(opts.videoBitrate);
+  }
+  return planned;
+}
+
+function normalizeOptionalPositiveInt(value, label) {
+  const text = String(value ?? "").trim();
+  if (!text) {
+    return "";
+  }
+  const number = Number.parseInt(text, 10);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`${label} must be a positive whole number.`);
+  }
+  return String(number);
+}
+
+export function normalizeVideoFilterOptions(input = {}) {
+  const maxFps = String(input.maxFps ?? "").trim();
+  if (maxFps) {
+    const value = Number.parseFloat(maxFps);
+    if (!Number.isFinite(value) || value <= 0 || value > 240) {
+      throw new Error("Max frame rate must be between 0 and 240 fps.");
+    }
+  }
+  return {
+    maxWidth: normalizeOptionalPositiveInt(input.maxWidth, "Max width"),
+    maxHeight: normalizeOptionalPositiveInt(input.maxHeight, "Max height"),
+    maxFps: maxFps ? String(Number.parseFloat(maxFps)) : "",
+    deinterlace: input.deinterlace === true || input.deinterlace === "true",
+  };
+}
+
+function normalizeOptionalIntInRange(value, label, min, max) {
+  const text = String(value ?? "").trim();
+  if (!text) {
+    return "";
+  }
+  const number = Number.parseInt(text, 10);
+  if (!/^-?\d+$/.test(text) || number < min || number > max) {
+    throw new Error(`${label} must be a whole number between ${min} and ${max}.`);
+  }
+  return String(number);
+}
+
+// How hard ffmpeg may lean on the host: niceness, IO class (ionice), encoder
+// threads and the cores it may run on. Blank fields leave the OS defaults.
+export function normalizeProcessPriorityOptions(input = {}) {
+  const ioClass = String(input.ioClass ?? "").trim().toLowerCase();
+  if (ioClass && !IO_CLASSES.includes(ioClass)) {
+    throw new Error(`IO priority must be one of ${IO_CLASSES.join(", ")} or empty.`);
+  }
+  const cpus = parseCpuList(input.cpuAffinity);
+  const coreCount = os.cpus()?.length || 1;
+  const missing = cpus.find((cpu) => cpu >= coreCount);
+  if (missing !== undefined) {
+    throw new Error(
+      `CPU affinity lists core ${missing}, but this machine has cores 0-${coreCount - 1}.`,
+    );
+  }
+  return {
+    niceLevel: normalizeOptionalIntInRange(input.niceLevel, "Nice level", -20, 19),
+    ioClass,
+    ioLevel:
+      ioClass === "best-effort"
+        ? normalizeOptionalIntInRange(input.ioLevel, "IO priority level", 0, 7)
+        : "",
+    threads: normalizeOptionalIntInRange(input.threads, "Threads", 1, 256),
+    cpuAffinity: cpus.join(","),
+  };
+}
+
+// Builds the -vf chain: deinterlace first, then a scale that keeps the
+// aspect ratio and never upscales (min() against the input size), then the
+// fps cap, which is skipped when the source is already at or below it.
+export function buildVideoFilters(opts) {
+  const filters = [];
+  if (opts.deinterlace) {
+    filters.push("yadif=deint=interlaced");
+  }
+
+  const maxWidth = Number.parseInt(opts.maxWidth, 10);
+  const maxHeight = Number.parseInt(opts.maxHeight, 10);
+  if (maxWidth > 0 && maxHeight > 0) {
+    filters.push(
+      `scale='min(iw,${maxWidth})':'min(ih,${maxHeight})':force_original_aspect_ratio=decrease:force_divisible_by=2`,
+    );
+  } else if (maxWidth > 0) {
+    filters.push(`scale='min(iw,${maxWidth})':-2`);
+  } else if (maxHeight > 0) {
+    filters.push(`scale=-2:'min(ih,${maxHeight})'`);
+  }
+
+  const maxFps = Number.parseFloat(opts.maxFps);
+  const sourceFps = Number.parseFloat(opts.sourceFrameRate);
+  if (maxFps > 0 && !(sourceFps > 0 && sourceFps <= maxFps)) {
+    filters.push(`fps=${maxFps}`);
+  }
+  return filters;
+}
+
+export const OUTPUT_CONTAINERS = ["mkv", "mp4", "mov", "webm"];
+
+// Blank keeps the source container.
+export function normalizeOutputContainer(input = {}) {
+  const container = String(input.container || "")
+    .trim()
+    .replace(/^\./, "")
+    .toLowerCase();
+  if (container && !OUTPUT_CONTAINERS.includes(container)) {
+    throw new Error(
+      `Container must be one of ${OUTPUT_CONTAINERS.join(", ")}.`,
+    );
+  }
+  return { container };
+}
+
+export const DEFAULT_OUTPUT_TEMPLATE = "{name}.transcoded";
+export const OUTPUT_TEMPLATE_TOKENS = [
+  "name",
+  "codec",
+  "audio",
+  "width",
+  "height",
+  "date",
+  "container",
+];
+
+// An output template names the file (without extension) and may add
+// subfolders; outputRoot moves outputs out of the source folders, mirroring
+// their layout below sourceRoot.
+export function normalizeOutputNamingOptions(input = {}) {
+  const outputTemplate = String(input.outputTemplate || "").trim();
+  if (outputTemplate) {
+    const tokens = [...outputTemplate.matchAll(/\{([^}]*)\}/g)].map(
+      (match) => match[1],
+    );
+    const unknown = tokens.find(
+      (token) => !OUTPUT_TEMPLATE_TOKENS.includes(token),
+    );
+    if (unknown !== undefined) {
+      throw new Error(
+        `Unknown output template token {${unknown}}; use ${OUTPUT_TEMPLATE_TOKENS.map((token) => `{${token}}`).join(", ")}.`,
+      );
+    }
+    if (!tokens.includes("name")) {
+      throw new Error("Output template must include {name}.");
+    }
+    const segments = outputTemplate.split(/[\\/]/);
+    if (
+      path.isAbsolute(outputTemplate) ||
+      segments.some((segment) => !segment || segment === "." || segment === "..")
+    ) {
+      throw new Error(
+        "Output template must be a relative file name, optionally with subfolders.",
+      );
+    }
+  }
+
+  const outputRoot = String(input.outputRoot || "").trim();
+  const sourceRoot = String(input.sourceRoot || "").trim();
+  const replaceOriginal =
+    input.replaceOriginal === true || input.replaceOriginal === "true";
+  if (replaceOriginal && (outputTemplate || outputRoot)) {
+    throw new Error(
+      "Replacing the original can't be combined with an output template or output root.",
+    );
+  }
+  return {
+    outputTemplate,
+    outputRoot: outputRoot ? path.resolve(outputRoot) : "",
+    sourceRoot: sourceRoot ? path.resolve(sourceRoot) : "",
+    replaceOriginal,
+  };
+}
+
+// Size the scale filter from buildVideoFilters produces for a source.
+export function resolveOutputDimensions(width, height, opts) {
+  if (!(width > 0 && height > 0)) {
+    return { width: null, height: null };
+  }
+  const maxWidth = Number.parseInt(opts.maxWidth, 10);
+  const maxHeight = Number.parseInt(opts.maxHeight, 10);
+  const factor = Math.min(
+    1,
+    maxWidth > 0 ? maxWidth / width : 1,
+    maxHeight > 0 ? maxHeight / height : 1,
+  );
+  if (factor === 1) {
+    return { width, height };
+  }
+  const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+  return { width: even(width * factor), height: even(height * factor) };
+}
+
+export const AUDIO_TRACK_MODES = ["default", "all", "languages"];
+
+export function normalizeAudioTrackOptions(input = {}) {
+  const audioTracks = String(input.audioTracks || "").trim() || "default";
+  if (!AUDIO_TRACK_MODES.includes(audioTracks)) {
+    throw new Error(
+      `Audio tracks must be one of ${AUDIO_TRACK_MODES.join(", ")}.`,
+    );
+  }
+
+  const languages = String(input.audioLanguages || "")
+    .split(",")
+    .map((value) => value.trim().toLowerCase())
+    .filter(Boolean);
+  if (languages.some((value) => !/^[a-z]{2,3}$/.test(value))) {
+    throw new Error(
+      "Audio languages must be comma-separated language codes such as eng,jpn.",
+    );
+  }
+  if (audioTracks === "languages" && !languages.length) {
+    throw new Error("Pick at least one audio language to keep.");
+  }
+
+  return {
+    audioTracks,
+    audioLanguages: languages.join(","),
+    keepOriginalAudio:
+      input.keepOriginalAudio === true || input.keepOriginalAudio === "true",
+    addStereoAacTrack:
+      input.addStereoAacTrack === true || input.addStereoAacTrack === "true",
+  };
+}
+
+function readStreamLanguage(stream) {
+  return String(stream?.tags?.language || "").trim().toLowerCase();
+}
+
+// Picks the source audio streams to keep. Falls back to every track when a
+// language filter matches nothing, so a file never comes out silent.
+export function selectAudioStreams(streams, opts) {
+  const audioStreams = (Array.isArray(streams) ? streams : [])
+    .filter((stream) => stream?.codec_type === "audio")
+    .map((stream, audioIndex) => ({ ...stream, audioIndex }));
+  if (opts.audioTracks !== "languages") {
+    return { streams: audioStreams, fellBack: false };
+  }
+
+  const wanted = new Set(String(opts.audioLanguages || "").split(","));
+  const matched = audioStreams.filter((stream) =>
+    wanted.has(readStreamLanguage(stream)),
+  );
+  return matched.length
+    ? { streams: matched, fellBack: false }
+    : { streams: audioStreams, fellBack: audioStreams.length > 0 };
+}
+
+// Turns the kept source streams into one output track each, plus an
+// optional AAC stereo track built from the first one. Transcoded tracks
+// never gain channels and, when capping is on, never gain bitrate.
+export function planAudioTracks(streams, opts) {
+  const requestedChannels = Number.parseInt(opts.audioChannels, 10);
+  const plan = streams.map((stream) => {
+    if (
+      opts.keepOriginalAudio ||
+      opts.copyAudioIndexes?.has(stream.audioIndex)
+    ) {
+      return { sourceIndex: stream.audioIndex, codec: "copy" };
+    }
+
+    const sourceChannels = Number.parseInt(stream.channels, 10);
+    const channels =
+      requestedChannels > 0 && sourceChannels > 0
+        ? Math.min(requestedChannels, sourceChannels)
+        : requestedChannels > 0
+          ? requestedChannels
+          : null;
+    const sourceKbps = Number.parseFloat(stream.bit_rate) / 1000;
+    let bitrateKbps = opts.audioBitrate || "";
+    if (opts.capBitrateToSource && sourceKbps > 0) {
+      bitrateKbps = bitrateKbps
+        ? resolveEffectiveBitrateKbps(bitrateKbps, sourceKbps)
+        : String(Math.round(sourceKbps));
+    }
+    return {
+      sourceIndex: stream.audioIndex,
+      codec: opts.audioCodec || "",
+      bitrateKbps,
+      channels,
+    };
+  });
+
+  if (opts.addStereoAacTrack && streams.length) {
+    plan.push({
+      sourceIndex: streams[0].audioIndex,
+      codec: "aac",
+      bitrateKbps: "192",
+      channels: 2,
+      title: "Stereo (AAC)",
+    });
+  }
+  return plan;
+}
+
+function buildAudioTrackArgs(audioPlan) {
+  const args = [];
+  for (const track of audioPlan) {
+    args.push("-map", `0:a:${track.sourceIndex}`);
+  }
+  audioPlan.forEach((track, outputIndex) => {
+    const spec = `a:${outputIndex}`;
+    if (track.codec) args.push(`-c:${spec}`, track.codec);
+    if (track.codec === "copy") return;
+    if (track.bitrateKbps) args.push(`-b:${spec}`, `${track.bitrateKbps}k`);
+    if (track.channels) args.push(`-ac:${spec}`, String(track.channels));
+    if (track.title) args.push(`-metadata:s:${spec}`, `title=${track.title}`);
+  });
+  return args;
+}
+
+// ffmpeg splits -x265-params on ":" and "=" and takes a backslash as an
+// escape, so a Windows path (C:\...) needs its colon and backslashes escaped.
+function escapeX265ParamValue(value) {
+  return String(value).replace(/[\\:='"]/g, "\\$&");
+}
+
+// opts.pass (1 or 2) and opts.passLogFile select one half of a two-pass
+// encode. Pass 1 only analyses video, so it writes to the null muxer.
 export function buildFfmpegArgs(input, output, opts) {
   const args = ["-y", "-i", input];
+  const mode = opts.videoQualityMode || "bitrate";
+  // An audio plan or subtitle plan means explicit mapping; without one
+  // ffmpeg picks a single stream of each type itself.
+  const audioPlan = Array.isArray(opts.audioPlan) ? opts.audioPlan : null;
+  const subtitlePlan = opts.subtitlePlan || null;
+  const explicitMapping = !!audioPlan || Array.isArray(subtitlePlan?.embed);
+  const burn = subtitlePlan?.burn || null;
+
+  const hdrPlan = opts.hdrPlan || null;
+  const copyVideo = opts.streamCopy?.video === true;
+  const scaleFilters = buildVideoFilters({ ...opts, deinterlace: false });
+  // Tone-mapping runs before subtitles are burned in so they keep their
+  // SDR colours.
+  const baseFilter =
+    [
+      opts.deinterlace ? "yadif=deint=interlaced" : null,
+      hdrPlan?.action === "tonemap" ? buildToneMapFilter() : null,
+    ]
+      .filter(Boolean)
+      .join(",") || null;
+  if (copyVideo) {
+    if (explicitMapping) args.push("-map", "0:v:0");
+  } else if (burn?.image) {
+    // Bitmap subtitles are overlaid before any scaling so they line up
+    // with the picture they were authored for.
+    const overlay = [`[base][0:s:${burn.subIndex}]overlay`, ...scaleFilters];
+    const graph = `[0:v:0]${baseFilter || "null"}[base];${overlay.join(",")}`;
+    args.push("-filter_complex", explicitMapping ? `${graph}[vout]` : graph);
+    if (explicitMapping) args.push("-map", "[vout]");
+  } else {
+    const filters = [
+      baseFilter,
+      burn ? buildSubtitleBurnFilter(input, burn) : null,
+      ...scaleFilters,
+    ].filter(Boolean);
+    if (explicitMapping) args.push("-map", "0:v:0");
+    if (filters.length) args.push("-vf", filters.join(","));
+  }
+
+  if (copyVideo) {
+    args.push("-c:v", "copy");
+    // Apple players only take HEVC in MP4/MOV with the hvc1 tag.
+    const container = resolveContainer(output);
+    if (
+      opts.streamCopy.videoCodec === "hevc" &&
+      (container === "mp4" || container === "mov")
+    ) {
+      args.push("-tag:v", "hvc1");
+    }
+    return finishFfmpegArgs(args, input, output, opts);
+  }
+
   if (opts.videoCodec) args.push("-c:v", opts.videoCodec);
-  if (opts.videoBitrate) args.push("-b:v", `${opts.videoBitrate}k`);
-  if (opts.audioCodec) args.push("-c:a", opts.audioCodec);
-  if (opts.audioBitrate) args.push("-b:a", `${opts.audioBitrate}k`);
-  if (opts.audioChannels) args.push("-ac", opts.audioChannels);
+  if (opts.encoderPreset) args.push("-preset", opts.encoderPreset);
+  if (opts.encoderTune) args.push("-tune", opts.encoderTune);
+  if (opts.threads) args.push("-threads", String(opts.threads));
+  const hdrArgs = buildHdrEncoderArgs(hdrPlan, opts.videoCodec);
+  args.push(...hdrArgs.args);
+  if (mode === "crf" && opts.videoQuality !== "") {
+    args.push(resolveQualityFlag(opts.videoCodec), String(opts.videoQuality));
+    // libvpx/libaom only run in constant-quality mode with a zero bitrate.
+    if (/^lib(vpx|aom)/.test(opts.videoCodec || "") && !opts.videoMaxrate) {
+      args.push("-b:v", "0");
+    }
+  } else if (opts.videoBitrate) {
+    args.push("-b:v", `${opts.videoBitrate}k`);
+  }
+  if (opts.videoMaxrate) {
+    args.push("-maxrate", `${opts.videoMaxrate}k`);
+    args.push("-bufsize", `${opts.videoBufsize || Number(opts.videoMaxrate) * 2}k`);
+  }
+
+  // x265 only honours the last -x265-params, so two-pass and HDR settings
+  // are joined into one.
+  const x265Params = [...hdrArgs.x265Params];
+  const twoPass = mode === "twopass" && opts.pass;
+  if (twoPass && opts.videoCodec === "libx265") {
+    x265Params.unshift(
+      `pass=${opts.pass}`,
+      `stats=${escapeX265ParamValue(`${opts.passLogFile}-0.log`)}`,
+    );
+  } else if (twoPass) {
+    args.push("-pass", String(opts.pass), "-passlogfile", opts.passLogFile);
+  }
+  if (x265Params.length) args.push("-x265-params", x265Params.join(":"));
+  if (hdrArgs.svtav1Params.length) {
+    args.push("-svtav1-params", hdrArgs.svtav1Params.join(":"));
+  }
+
+  if (twoPass && opts.pass === 1) {
+    args.push("-an", "-sn", "-f", "null", "-");
+    return args;
+  }
+  return finishFfmpegArgs(args, input, output, opts);
+}
+
+// Audio, subtitle and output arguments, shared by encoded and copied video.
+function finishFfmpegArgs(args, input, output, opts) {
+  const audioPlan = Array.isArray(opts.audioPlan) ? opts.audioPlan : null;
+  const subtitlePlan = opts.subtitlePlan || null;
+  const explicitMapping = !!audioPlan || Array.isArray(subtitlePlan?.embed);
+  if (audioPlan) {
+    args.push(...buildAudioTrackArgs(audioPlan));
+  } else if (opts.streamCopy?.allAudio) {
+    if (explicitMapping) args.push("-map", "0:a:0?");
+    args.push("-c:a", "copy");
+  } else {
+    if (explicitMapping) args.push("-map", "0:a:0?");
+    if (opts.audioCodec) args.push("-c:a", opts.audioCodec);
+    if (opts.audioBitrate) args.push("-b:a", `${opts.audioBitrate}k`);
+    if (opts.audioChannels) args.push("-ac", opts.audioChannels);
+  }
+
+  if (Array.isArray(subtitlePlan?.embed)) {
+    args.push(...buildSubtitleStreamArgs(subtitlePlan));
+  } else if (audioPlan && resolveContainer(output) === "mkv") {
+    // Explicit audio mapping drops subtitles; Matroska can carry them as-is.
+    args.push("-map", "0:s?", "-c:s", "copy");
+  }
   args.push(output);
+
+  if (subtitlePlan) {
+    args.push(...buildSubtitleSidecarArgs(subtitlePlan, output));
+  }
   return args;
 }
 
-export function resolveEffectiveBitrateKbps(requestedBitrate, sourceBitrateKbps) {
+// One ffmpeg argument list per pass: two for two-pass mode, otherwise one.
+export function buildFfmpegPasses(input, output, opts) {
+  if (opts.videoQualityMode !== "twopass" || opts.streamCopy?.video) {
+    return [buildFfmpegArgs(input, output, opts)];
+  }
+  return [1, 2].map((pass) =>
+    buildFfmpegArgs(input, output, { ...opts, pass }),
+  );
+}
+
+// With pixel rates, the source bitrate is compared per pixel: a 4K source
+// downscaled to 1080p is capped at a quarter of its bitrate, the same bits
+// per pixel it had, rather than at the full source rate.
+export function resolveEffectiveBitrateKbps(
+  requestedBitrate,
+  sourceBitrateKbps,
+  { sourcePixelRate = null, outputPixelRate = null } = {},
+) {
   const requested = Number.parseInt(String(requestedBitrate || "").trim(), 10);
   if (!Number.isFinite(requested) || requested <= 0) {
     return requestedBitrate;
@@ -43,5 +696,11 @@ export function resolveEffectiveBitrateKbps(requestedBitrate, sourceBitrateKbps)
   if (!Number.isFinite(sourceBitrateKbps) || sourceBitrateKbps <= 0) {
     return String(requested);
   }
-  return String(Math.min(requested, Math.round(sourceBitrateKbps)));
+  const scale =
+    sourcePixelRate > 0 && outputPixelRate > 0
+      ? Math.min(1, outputPixelRate / sourcePixelRate)
+      : 1;
+  return String(
+    Math.min(requested, Math.max(1, Math.round(sourceBitrateKbps * scale))),
+  );
 }
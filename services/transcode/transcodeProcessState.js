@@ -1,8 +1,10 @@
 export function createTranscodeProcessState() {
   let inProgress = false;
   let cancelRequested = false;
-  let currentProcess = null;
-  let paused = false;
+  // ffmpeg child process -> { file, pausedBy, cancelled }. pausedBy holds
+  // why it is stopped ("user", "battery", "throttle", "schedule"); it only
+  // runs again once every reason has been released.
+  const children = new Map();
 
   function startRun() {
     inProgress = true;
@@ -12,8 +14,7 @@ export function createTranscodeProcessState() {
   function finishRun() {
     inProgress = false;
     cancelRequested = false;
-    currentProcess = null;
-    paused = false;
+    children.clear();
   }
 
   function isInProgress() {
@@ -28,63 +29,154 @@ export function createTranscodeProcessState() {
     return cancelRequested === true;
   }
 
-  function setProcess(process) {
-    currentProcess = process;
-    paused = false;
+  function addProcess(process, file) {
+    children.set(process, { file, pausedBy: new Set(), cancelled: false });
   }
 
-  function clearProcess() {
-    currentProcess = null;
-    paused = false;
+  function removeProcess(process) {
+    const child = children.get(process) || null;
+    children.delete(process);
+    return child;
   }
 
-  function isCurrentProcess(process) {
-    return !!currentProcess && currentProcess === process;
+  function hasProcess(process) {
+    return children.has(process);
   }
 
-  function hasControllableProcess() {
-    return !!currentProcess && typeof currentProcess.kill === "function";
+  function findProcessByFile(file) {
+    for (const [process, child] of children) {
+      if (child.file === file) {
+        return process;
+      }
+    }
+    return null;
   }
 
-  function isPaused() {
-    return paused === true;
+  function isControllable(process) {
+    return !!process && typeof process.kill === "function";
   }
 
-  function setPaused(value) {
-    paused = value === true;
+  function hasControllableProcess(file = null) {
+    if (file) {
+      return isControllable(findProcessByFile(file));
+    }
+    for (const process of children.keys()) {
+      if (isControllable(process)) {
+        return true;
+      }
+    }
+    return false;
   }
 
-  function pauseCurrentProcess() {
-    if (!hasControllableProcess()) {
+  // The run counts as paused once every running child is stopped.
+  function isPaused(file = null) {
+    if (file) {
+      return isProcessPaused(findProcessByFile(file));
+    }
+    if (!children.size) {
       return false;
     }
-    currentProcess.kill("SIGSTOP");
-    paused = true;
+    for (const child of children.values()) {
+      if (!child.pausedBy.size) {
+        return false;
+      }
+    }
     return true;
   }
 
-  function resumeCurrentProcess() {
-    if (!hasControllableProcess()) {
+  function isProcessPaused(process) {
+    return children.get(process)?.pausedBy.size > 0;
+  }
+
+  function hasPauseReason(process, reason) {
+    return children.get(process)?.pausedBy.has(reason) === true;
+  }
+
+  // Stops the process the first time any party pauses it; later pauses just
+  // add their reason.
+  function holdProcess(process, reason) {
+    const child = children.get(process);
+    if (!child || !isControllable(process)) {
       return false;
     }
-    currentProcess.kill("SIGCONT");
-    paused = false;
+    if (!child.pausedBy.size) {
+      process.kill("SIGSTOP");
+    }
+    child.pausedBy.add(reason);
     return true;
   }
 
-  function terminateCurrentProcess() {
-    if (!hasControllableProcess()) {
-      return false;
+  // Drops one reason, or every reason when reason is null (a manual resume
+  // overrides the monitors). Returns the reasons still holding the process;
+  // it is resumed when none are left.
+  function releaseProcess(process, reason = null) {
+    const child = children.get(process);
+    if (!child || !child.pausedBy.size) {
+      return [];
+    }
+    if (reason === null) {
+      child.pausedBy.clear();
+    } else if (!child.pausedBy.delete(reason)) {
+      return [...child.pausedBy];
+    }
+    if (!child.pausedBy.size) {
+      process.kill("SIGCONT");
     }
-    if (paused) {
-      try {
-        currentProcess.kill("SIGCONT");
-      } catch {
+    return [...child.pausedBy];
+  }
+
+  function isProcessCancelled(process) {
+    return children.get(process)?.cancelled === true;
+  }
+
+  function listProcesses() {
+    return Array.from(children, ([process, child]) => ({
+      file: child.file,
+      pid: process.pid ?? null,
+      paused: child.pausedBy.size > 0,
+      pausedBy: [...child.pausedBy],
+    }));
+  }
+
+  function targetProcesses(file) {
+    if (!file) {
+      return Array.from(children.keys()).filter(isControllable);
+    }
+    const process = findProcessByFile(file);
+    return isControllable(process) ? [process] : [];
+  }
+
+  function pauseProcesses(file = null, reason = "user") {
+    const targets = targetProcesses(file);
+    for (const process of targets) {
+      holdProcess(process, reason);
+    }
+    return targets.length > 0;
+  }
+
+  function resumeProcesses(file = null, reason = null) {
+    const targets = targetProcesses(file);
+    for (const process of targets) {
+      releaseProcess(process, reason);
+    }
+    return targets.length > 0;
+  }
+
+  function terminateProcesses(file = null) {
+    const targets = targetProcesses(file);
+    for (const process of targets) {
+      const child = children.get(process);
+      if (child.pausedBy.size) {
+        try {
+          process.kill("SIGCONT");
+        } catch {
+        }
       }
+      child.cancelled = true;
+      child.pausedBy.clear();
+      process.kill("SIGTERM");
     }
-    currentProcess.kill("SIGTERM");
-    paused = false;
-    return true;
+    return targets.length > 0;
   }
 
   return {
@@ -93,14 +185,19 @@ export function createTranscodeProcessState() {
     isInProgress,
     requestCancel,
     isCancelRequested,
-    setProcess,
-    clearProcess,
-    isCurrentProcess,
+    addProcess,
+    removeProcess,
+    hasProcess,
     hasControllableProcess,
     isPaused,
-    setPaused,
-    pauseCurrentProcess,
-    resumeCurrentProcess,
-    terminateCurrentProcess,
+    isProcessPaused,
+    hasPauseReason,
+    holdProcess,
+    releaseProcess,
+    isProcessCancelled,
+    listProcesses,
+    pauseProcesses,
+    resumeProcesses,
+    terminateProcesses,
   };
 }
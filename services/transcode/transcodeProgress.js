@@ -1,20 +1,25 @@
+// activeFiles holds one { fileIndex, processedSeconds, durationSeconds } entry
+// per file currently encoding, so concurrent workers add up into one figure.
 export function buildOverallProgressSnapshot({
   queuedDurations,
-  completedFiles,
+  completedFileIndexes,
   totalFiles,
   transcodeStartedAtMs,
-  currentFileIndex = null,
-  currentProcessedSeconds = 0,
-  currentDurationSeconds = null,
+  activeFiles = [],
 }) {
+  const completedFiles = completedFileIndexes.length;
   const knownDurations = queuedDurations.filter(
     (duration) => Number.isFinite(duration) && duration > 0,
   );
+  const activeDurations = activeFiles
+    .map((active) => active.durationSeconds)
+    .filter((duration) => Number.isFinite(duration) && duration > 0);
   const fallbackAverage = knownDurations.length
     ? knownDurations.reduce((sum, value) => sum + value, 0) /
       knownDurations.length
-    : Number.isFinite(currentDurationSeconds) && currentDurationSeconds > 0
-      ? currentDurationSeconds
+    : activeDurations.length
+      ? activeDurations.reduce((sum, value) => sum + value, 0) /
+        activeDurations.length
       : null;
 
   const estimatedDurations = queuedDurations.map((duration) => {
@@ -30,14 +35,19 @@ export function buildOverallProgressSnapshot({
     (sum, value) => sum + value,
     0,
   );
-  const completedEstimatedSeconds = estimatedDurations
-    .slice(0, completedFiles)
-    .reduce((sum, value) => sum + value, 0);
+  const completedEstimatedSeconds = completedFileIndexes.reduce(
+    (sum, fileIndex) => sum + (estimatedDurations[fileIndex] || 0),
+    0,
+  );
 
-  const processedContribution =
-    Number.isFinite(currentProcessedSeconds) && currentProcessedSeconds > 0
-      ? currentProcessedSeconds
-      : 0;
+  const processedContribution = activeFiles.reduce((sum, active) => {
+    const processed =
+      Number.isFinite(active.processedSeconds) && active.processedSeconds > 0
+        ? active.processedSeconds
+        : 0;
+    const estimated = estimatedDurations[active.fileIndex];
+    return sum + (estimated > 0 ? Math.min(processed, estimated) : processed);
+  }, 0);
   const doneEstimatedSeconds = Math.max(
     0,
     completedEstimatedSeconds + processedContribution,
@@ -88,7 +98,8 @@ export function buildOverallProgressSnapshot({
     etaSeconds,
     completedFiles,
     totalFiles,
-    currentFileIndex,
+    currentFileIndex: activeFiles.length ? activeFiles[0].fileIndex : null,
+    activeFileIndexes: activeFiles.map((active) => active.fileIndex),
     remainingFiles: Math.max(0, totalFiles - completedFiles),
     totalEstimatedSeconds:
       Number.isFinite(totalEstimatedSeconds) && totalEstimatedSeconds > 0
@@ -0,0 +1,254 @@
+import path from "path";
+import fs from "fs/promises";
+import { randomUUID } from "crypto";
+import {
+  createSerializedWriter,
+  readJsonFileSafe,
+  resolveDataPath,
+} from "../storage/dataStore.js";
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const quarantinePath = resolveDataPath("quarantine.json");
+const writeQuarantine = createSerializedWriter(quarantinePath, "quarantine");
+let settings = null;
+let entries = null;
+let quarantineLoaded = null;
+let purgeTimer = null;
+
+function defaultQuarantineDir() {
+  return resolveDataPath("quarantine");
+}
+
+async function ensureQuarantineLoaded() {
+  if (!quarantineLoaded) {
+    quarantineLoaded = readJsonFileSafe(quarantinePath, null).then(
+      (parsed) => {
+        settings = {
+          dir: "",
+          retentionDays: DEFAULT_RETENTION_DAYS,
+          ...parsed?.settings,
+        };
+        entries = Array.isArray(parsed?.entries) ? parsed.entries : [];
+      },
+    );
+  }
+  await quarantineLoaded;
+}
+
+function persistQuarantine() {
+  return writeQuarantine({ settings, entries });
+}
+
+function toSettingsView() {
+  return {
+    dir: settings.dir,
+    resolvedDir: settings.dir || defaultQuarantineDir(),
+    retentionDays: settings.retentionDays,
+  };
+}
+
+export function normalizeQuarantineSettings(input = {}) {
+  const dir = String(input.dir ?? "").trim();
+  const retentionText = String(input.retentionDays ?? "").trim();
+  const retentionDays = retentionText
+    ? Number.parseInt(retentionText, 10)
+    : DEFAULT_RETENTION_DAYS;
+  if (!Number.isInteger(retentionDays) || retentionDays < 0) {
+    throw new Error(
+      "Quarantine retention must be a whole number of days (0 keeps files until purged).",
+    );
+  }
+  return { dir: dir ? path.resolve(dir) : "", retentionDays };
+}
+
+export async function getQuarantineSettings() {
+  await ensureQuarantineLoaded();
+  return toSettingsView();
+}
+
+// New settings apply to files quarantined from now on; existing entries keep
+// the folder and expiry they were given.
+export async function updateQuarantineSettings(input = {}) {
+  await ensureQuarantineLoaded();
+  const next = normalizeQuarantineSettings({ ...settings, ...input });
+  await fs.mkdir(next.dir || defaultQuarantineDir(), { recursive: true });
+  settings = next;
+  await persistQuarantine();
+  return toSettingsView();
+}
+
+// rename() only works within one filesystem, so a quarantine folder on
+// another disk falls back to copy and delete.
+async function moveFile(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== "EXDEV") {
+      throw error;
+    }
+    await fs.copyFile(from, to);
+    await fs.unlink(from);
+  }
+}
+
+// Gives a transcoded output the source's permissions, owner and timestamps,
+// so libraries that sort by date don't see it as new. Changing the owner
+// needs privileges the server often doesn't have, so that step is best effort.
+export async function copySourceAttributes(sourceStat, targetPath) {
+  await fs.chmod(targetPath, sourceStat.mode & 0o7777);
+  try {
+    await fs.chown(targetPath, sourceStat.uid, sourceStat.gid);
+  } catch (error) {
+    if (error.code !== "EPERM" && error.code !== "EINVAL") {
+      throw error;
+    }
+  }
+  await fs.utimes(targetPath, sourceStat.atime, sourceStat.mtime);
+}
+
+// Keeps a copy of the source in the quarantine folder before the caller
+// deletes or replaces it. A hard link costs nothing and leaves the source
+// path in place, so the caller can still swap the output in atomically;
+// across filesystems the source is copied instead.
+export async function quarantineOriginal(
+  file,
+  { sourceStat, outputPath = null, jobId = null } = {},
+) {
+  await ensureQuarantineLoaded();
+  const stat = sourceStat || (await fs.stat(file));
+  const id = randomUUID();
+  const entryDir = path.join(settings.dir || defaultQuarantineDir(), id);
+  const heldPath = path.join(entryDir, path.basename(file));
+  await fs.mkdir(entryDir, { recursive: true });
+  try {
+    await fs.link(file, heldPath);
+  } catch {
+    await fs.copyFile(file, heldPath);
+    await copySourceAttributes(stat, heldPath);
+  }
+
+  const now = Date.now();
+  const entry = {
+    id,
+    originalPath: file,
+    quarantinePath: heldPath,
+    outputPath,
+    jobId,
+    sizeBytes: stat.size,
+    mode: stat.mode & 0o7777,
+    uid: stat.uid,
+    gid: stat.gid,
+    mtimeMs: stat.mtimeMs,
+    quarantinedAt: new Date(now).toISOString(),
+    expiresAt:
+      settings.retentionDays > 0
+        ? new Date(now + settings.retentionDays * DAY_MS).toISOString()
+        : null,
+  };
+  entries.push(entry);
+  try {
+    await persistQuarantine();
+  } catch (error) {
+    // A copy the index doesn't know about could never be restored, so the
+    // caller keeps the original instead.
+    entries = entries.filter((candidate) => candidate !== entry);
+    await removeEntryFiles(entry);
+    throw error;
+  }
+  return entry;
+}
+
+export async function listQuarantine() {
+  await ensureQuarantineLoaded();
+  return [...entries].sort((a, b) =>
+    b.quarantinedAt.localeCompare(a.quarantinedAt),
+  );
+}
+
+async function removeEntryFiles(entry) {
+  await fs.rm(entry.quarantinePath, { force: true });
+  await fs.rmdir(path.dirname(entry.quarantinePath)).catch(() => {});
+}
+
+// Moves a quarantined original back to where it came from. The transcoded
+// output usually sits at that path by now, so it is only overwritten with
+// { overwrite: true }. Returns null for unknown ids.
+export async function restoreQuarantined(id, { overwrite = false } = {}) {
+  await ensureQuarantineLoaded();
+  const entry = entries.find((candidate) => candidate.id === id);
+  if (!entry) {
+    return null;
+  }
+  const occupied = await fs
+    .stat(entry.originalPath)
+    .then(() => true)
+    .catch(() => false);
+  if (occupied && !overwrite) {
+    const error = new Error(
+      `${entry.originalPath} already exists; restore with overwrite to replace it.`,
+    );
+    error.code = "EEXIST";
+    throw error;
+  }
+
+  await fs.mkdir(path.dirname(entry.originalPath), { recursive: true });
+  await moveFile(entry.quarantinePath, entry.originalPath);
+  await fs.utimes(entry.originalPath, new Date(), new Date(entry.mtimeMs));
+  await removeEntryFiles(entry);
+  entries = entries.filter((candidate) => candidate.id !== id);
+  await persistQuarantine();
+  return { ...entry, restoredAt: new Date().toISOString() };
+}
+
+export async function purgeQuarantined(id) {
+  await ensureQuarantineLoaded();
+  const entry = entries.find((candidate) => candidate.id === id);
+  if (!entry) {
+    return null;
+  }
+  await removeEntryFiles(entry);
+  entries = entries.filter((candidate) => candidate.id !== id);
+  await persistQuarantine();
+  return entry;
+}
+
+// Drops entries past their expiry, or every entry with { all: true }.
+export async function purgeExpiredQuarantine({ all = false } = {}) {
+  await ensureQuarantineLoaded();
+  const now = Date.now();
+  const expired = entries.filter(
+    (entry) =>
+      all || (entry.expiresAt && Date.parse(entry.expiresAt) <= now),
+  );
+  for (const entry of expired) {
+    await removeEntryFiles(entry);
+  }
+  if (expired.length) {
+    const purgedIds = new Set(expired.map((entry) => entry.id));
+    entries = entries.filter((entry) => !purgedIds.has(entry.id));
+    await persistQuarantine();
+  }
+  return expired;
+}
+
+export function scheduleQuarantinePurge() {
+  if (purgeTimer) {
+    return;
+  }
+  const purge = () =>
+    purgeExpiredQuarantine()
+      .then((purged) => {
+        if (purged.length) {
+          console.log(`Purged ${purged.length} expired quarantined file(s).`);
+        }
+      })
+      .catch((error) => {
+        console.error(`Unable to purge quarantine: ${error.message}`);
+      });
+  purge();
+  purgeTimer = setInterval(purge, PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+}
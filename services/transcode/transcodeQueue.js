@@ -0,0 +1,1837 @@
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import { inspectOne } from "../audit/auditCore.js";
+import {
+  getFfmpegCommand,
+  getFfprobeCommand,
+} from "../options/optionsService.js";
+import {
+  normalizePauseBatteryPct,
+  normalizePauseOnBattery,
+  normalizeStartBatteryPct,
+} from "./transcodeBattery.js";
+import { readBatteryInfo } from "../system/batteryInfo.js";
+import {
+  createTranscodeStreamState,
+  tagEventPayload,
+} from "./transcodeStreamState.js";
+import {
+  makeRunLogPath,
+  writePerFileTranscodeLog,
+  writeTranscodeRunLog,
+} from "./transcodeLogging.js";
+import {
+  runFfprobeAudioBitrateKbps,
+  buildFailLogPathFromOutput,
+  buildLogPathFromOutput,
+  buildOutputPath,
+  runFfprobeVideoBitrateKbps,
+  runFfprobeDuration,
+  runFfprobeStreams,
+  findVideoFrameRate,
+} from "./transcodeUtils.js";
+import {
+  buildFfmpegPasses,
+  normalizeTranscodeConcurrency,
+  planAudioTracks,
+  planBitsPerPixelRate,
+  selectAudioStreams,
+  resolveEffectiveBitrateKbps,
+  resolveOutputDimensions,
+  resolvePixelRates,
+} from "./transcodePolicy.js";
+import { attachSizeStats } from "./transcodeResults.js";
+import {
+  recordTranscodeHistory,
+  summarizeTranscodeHistory,
+} from "./transcodeHistory.js";
+import { createTranscodeProcessState } from "./transcodeProcessState.js";
+import { createScheduleGate } from "./transcodeSchedule.js";
+import { buildOverallProgressSnapshot } from "./transcodeProgress.js";
+import {
+  buildExpectedStreams,
+  verifyTranscodeOutput,
+} from "./transcodeVerification.js";
+import { runFfmpegTranscodeProcess } from "./transcodeRunner.js";
+import { detectHdr, planHdrHandling } from "./transcodeHdr.js";
+import {
+  copySourceAttributes,
+  quarantineOriginal,
+} from "./transcodeQuarantine.js";
+import {
+  planStreamCopy,
+  resolveEncoderCodec,
+} from "./transcodeStreamCopy.js";
+import {
+  buildSubtitleSidecarPath,
+  planSubtitleTracks,
+  resolveContainer,
+} from "./transcodeSubtitles.js";
+import {
+  createTranscodeJobStore,
+  isFinishedJobStatus,
+} from "./transcodeJobStore.js";
+
+// A file that was mid-transcode when the server went down this many times is
+// treated as the cause and failed instead of being retried forever.
+const MAX_FILE_ATTEMPTS = 3;
+
+export const transcodeStreamState = createTranscodeStreamState();
+export const transcodeProcessState = createTranscodeProcessState();
+const transcodeJobStore = createTranscodeJobStore();
+const jobWaiters = new Map();
+let jobStoreLoaded = null;
+let queueActive = false;
+let activeJobId = null;
+let scheduleGate = null;
+// Paths this process has written transcode output to, so watch folders don't
+// take the transcoder's own results for new files. Each holds the size and
+// mtime the file was left with, or null while it is still being written.
+const writtenOutputs = new Map();
+// Files a worker has taken, keyed by path, from the moment it picks them
+// until they finish. A cancel flags the entry, so a file that has no ffmpeg
+// process yet (still probing, copying or between passes) is dropped too.
+const activeFiles = new Map();
+
+function fileSignature(stat) {
+  return `${stat.size}:${stat.mtimeMs}`;
+}
+
+// Records what a finished file left at filePath, or forgets the path when
+// nothing is there any more.
+async function settleWrittenOutput(filePath) {
+  const key = path.resolve(filePath);
+  const stat = await fs.stat(key).catch(() => null);
+  if (stat) {
+    writtenOutputs.set(key, fileSignature(stat));
+  } else {
+    writtenOutputs.delete(key);
+  }
+}
+
+function ensureJobStoreLoaded() {
+  if (!jobStoreLoaded) {
+    jobStoreLoaded = transcodeJobStore.load();
+  }
+  return jobStoreLoaded;
+}
+
+// Saves job progress from inside a run. A failed write is logged by the store
+// and the run carries on; the next save writes the whole snapshot again.
+function persistJobProgress() {
+  return transcodeJobStore.persist().catch(() => {});
+}
+
+function createJobEvents(jobId) {
+  return {
+    broadcast(event, payload) {
+      transcodeStreamState.broadcastEvent(
+        event,
+        tagEventPayload(event, payload, jobId),
+      );
+    },
+    emitFile(event, payload) {
+      transcodeStreamState.emitFileEvent(event, { ...payload, jobId });
+    },
+  };
+}
+
+function normalizeThresholdSafe(normalize, value) {
+  try {
+    return normalize(value);
+  } catch {
+    return null;
+  }
+}
+
+function settleJobWaiters(jobId, outcome) {
+  const waiters = jobWaiters.get(jobId) || [];
+  jobWaiters.delete(jobId);
+  for (const resolve of waiters) {
+    resolve(outcome);
+  }
+}
+
+async function unlinkIfExists(filePath) {
+  if (!filePath) {
+    return false;
+  }
+  try {
+    await fs.unlink(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ffmpeg and x264/x265 add their own suffixes (-0.log, .mbtree, .cutree) to
+// the two-pass log prefix, so match on the prefix rather than exact names.
+async function removePassLogFiles(passLogFile) {
+  const dir = path.dirname(passLogFile);
+  const prefix = path.basename(passLogFile);
+  const names = await fs.readdir(dir).catch(() => []);
+  await Promise.all(
+    names
+      .filter((name) => name.startsWith(prefix))
+      .map((name) => unlinkIfExists(path.join(dir, name))),
+  );
+}
+
+async function fileExists(filePath) {
+  try {
+    const stat = await fs.stat(filePath);
+    return stat.isFile();
+  } catch {
+    return false;
+  }
+}
+
+// Retires the source once its output is verified. The output first takes the
+// source's permissions, owner and timestamps, and the source is kept in the
+// quarantine folder instead of being deleted. With replace the output then
+// moves over the source: rename() swaps the file in one step, so the source
+// path always holds a playable file. When the container changed, the output
+// takes the source's name with its own extension and the source is removed
+// afterwards. Without replace the output stays where it is and the source is
+// removed.
+async function retireSource(
+  file,
+  outputPath,
+  sidecarPaths,
+  { replace, jobId },
+) {
+  const outputExt = path.extname(outputPath);
+  const target = replace
+    ? path.join(
+        path.dirname(file),
+        `${path.basename(file, path.extname(file))}${outputExt}`,
+      )
+    : outputPath;
+  if (target !== file && target !== outputPath && (await fileExists(target))) {
+    throw new Error(
+      `Cannot replace ${path.basename(file)}: ${target} already exists.`,
+    );
+  }
+
+  const sourceStat = await fs.stat(file);
+  await copySourceAttributes(sourceStat, outputPath);
+  const quarantined = await quarantineOriginal(file, {
+    sourceStat,
+    outputPath: target,
+    jobId,
+  });
+  const outputBase = path.basename(outputPath, outputExt);
+  const targetBase = path.basename(target, outputExt);
+  const sidecars = [];
+  for (const sidecarPath of sidecarPaths) {
+    const sidecarTarget = path.join(
+      path.dirname(target),
+      `${targetBase}${path.basename(sidecarPath).slice(outputBase.length)}`,
+    );
+    if (sidecarTarget !== sidecarPath) {
+      await fs.rename(sidecarPath, sidecarTarget);
+    }
+    sidecars.push(sidecarTarget);
+  }
+  if (target !== outputPath) {
+    await fs.rename(outputPath, target);
+  }
+  if (target !== file) {
+    await fs.unlink(file);
+  }
+  return {
+    output: target,
+    sidecars,
+    replaced: replace,
+    sourceSizeBytes: sourceStat.size,
+    quarantineId: quarantined.id,
+  };
+}
+
+// Removes whatever a file left behind when the server stopped mid-transcode:
+// the copy in transcodeLocation, the partial temp output, and the partial
+// in-place output. The in-place output is only removed while the source still
+// exists, so a finished output whose original was already deleted survives.
+async function cleanupInterruptedFile(entry) {
+  const removed = [];
+  if (await unlinkIfExists(entry.tempInput)) {
+    removed.push(entry.tempInput);
+  }
+  if (await unlinkIfExists(entry.tempOutput)) {
+    removed.push(entry.tempOutput);
+  }
+  if (
+    entry.workingOutput &&
+    entry.workingOutput !== entry.tempOutput &&
+    (await fileExists(entry.file)) &&
+    (await unlinkIfExists(entry.workingOutput))
+  ) {
+    removed.push(entry.workingOutput);
+  }
+  for (const sidecarPath of entry.sidecarPaths || []) {
+    if (await unlinkIfExists(sidecarPath)) {
+      removed.push(sidecarPath);
+    }
+  }
+  return removed;
+}
+
+function buildJobOutcome({
+  results,
+  completedFiles,
+  totalFiles,
+  cancelled,
+  savingsSummary,
+  runLogPath,
+}) {
+  if (cancelled) {
+    return {
+      statusCode: 200,
+      body: {
+        ok: true,
+        cancelled: true,
+        message: `Transcode cancelled. Completed ${completedFiles} of ${totalFiles} file(s).`,
+        results,
+        summary: savingsSummary,
+        runLogPath,
+      },
+    };
+  }
+
+  const failed = results.filter(
+    (r) => !r.ok && !r.cancelled && !r.skipped,
+  );
+  const skippedCount = results.filter((r) => r.skipped).length;
+  if (failed.length) {
+    const failedFiles = failed.map((item) => item.file);
+    const uniqueReasons = Array.from(
+      new Set(
+        failed
+          .map((item) =>
+            typeof item.error === "string" ? item.error.trim() : "",
+          )
+          .filter(Boolean),
+      ),
+    );
+
+    const reasonPreview = uniqueReasons.slice(0, 3).join(" | ");
+    const errorMessage = uniqueReasons.length
+      ? `Transcode failed: ${reasonPreview}${uniqueReasons.length > 3 ? " | ..." : ""}`
+      : `Some files failed: ${failedFiles.join(", ")}`;
+
+    return {
+      statusCode: 500,
+      body: {
+        ok: false,
+        error: errorMessage,
+        failedFiles,
+        failedReasons: uniqueReasons,
+        results,
+        summary: savingsSummary,
+        runLogPath,
+      },
+    };
+  }
+
+  return {
+    statusCode: 200,
+    body: {
+      ok: true,
+      message: skippedCount
+        ? `Transcoded ${results.filter((r) => r.ok).length} file(s), skipped ${skippedCount}.`
+        : `Transcoded ${results.filter((r) => r.ok).length} file(s).`,
+      results,
+      summary: savingsSummary,
+      runLogPath,
+    },
+  };
+}
+
+async function runTranscodeJob(job) {
+  const jobEvents = createJobEvents(job.id);
+  const files = job.files.map((entry) => entry.file);
+  const {
+    videoCodec,
+    audioCodec,
+    audioBitrate,
+    videoBitrate,
+    audioChannels,
+    deleteOriginal,
+    transcodeLocation: safeTranscodeLocation,
+    pauseBatteryPct,
+    pauseOnBattery,
+    startBatteryPct,
+    throttleTempC,
+    throttleLoad,
+    throttleAction,
+    niceLevel,
+    ioClass,
+    ioLevel,
+    threads,
+    cpuAffinity,
+    saveTranscodeLog,
+    capBitrateToSource: shouldCapBitrateToSource,
+    videoQualityMode,
+    videoQuality,
+    encoderPreset,
+    encoderTune,
+    videoMaxrate,
+    videoBufsize,
+    bitsPerPixel,
+    maxWidth,
+    maxHeight,
+    maxFps,
+    deinterlace,
+    audioTracks,
+    audioLanguages,
+    keepOriginalAudio,
+    addStereoAacTrack,
+    subtitleMode,
+    burnForcedSubtitles,
+    hdrPolicy,
+    smartCopy,
+    container,
+    outputTemplate,
+    outputRoot,
+    sourceRoot,
+    replaceOriginal,
+    verifyLevel,
+    qualityMetric,
+    minQuality,
+  } = job.options;
+  // Deleting the original frees its name, so an output that would sit next to
+  // it under the default naming takes that name instead.
+  const replaceSource =
+    replaceOriginal === true ||
+    (!!deleteOriginal && !outputTemplate && !outputRoot);
+  const outputOptions = {
+    videoCodec,
+    audioCodec,
+    container,
+    outputTemplate,
+    outputRoot,
+    sourceRoot,
+  };
+  const concurrency =
+    normalizeThresholdSafe(
+      normalizeTranscodeConcurrency,
+      job.options.concurrency,
+    ) || 1;
+  const pauseBatteryThreshold = normalizeThresholdSafe(
+    normalizePauseBatteryPct,
+    pauseBatteryPct,
+  );
+  const startBatteryThreshold = normalizeThresholdSafe(
+    normalizeStartBatteryPct,
+    startBatteryPct,
+  );
+
+  const resuming = job.startedAt !== null;
+  const runStartedAtMs = Date.now();
+  const runLogPath = makeRunLogPath(runStartedAtMs);
+  transcodeJobStore.updateJob(job.id, {
+    status: "running",
+    startedAt: job.startedAt || new Date(runStartedAtMs).toISOString(),
+    runLogPath,
+  });
+  await persistJobProgress();
+
+  if (safeTranscodeLocation) {
+    await fs.mkdir(safeTranscodeLocation, { recursive: true });
+  }
+
+  transcodeProcessState.startRun();
+  transcodeStreamState.resetAllSnapshots();
+  scheduleGate = createScheduleGate({
+    processState: transcodeProcessState,
+    isCancelled: () => transcodeProcessState.isCancelRequested(),
+    onStatus: (message) => jobEvents.broadcast("status", message),
+  });
+  scheduleGate.start();
+  const pendingCount = job.files.filter(
+    (entry) => entry.status === "pending",
+  ).length;
+  const concurrencyNote =
+    concurrency > 1 ? `, ${concurrency} at a time` : "";
+  jobEvents.broadcast(
+    "status",
+    resuming
+      ? `Transcode resumed for ${pendingCount} of ${files.length} file(s)${concurrencyNote}.`
+      : `Transcode started for ${files.length} file(s)${concurrencyNote}.`,
+  );
+
+  const fileDiagnostics = await Promise.all(
+    files.map(async (filePath) => {
+      const resolved = path.resolve(String(filePath || ""));
+      try {
+        const stat = await fs.stat(resolved);
+        return {
+          file: resolved,
+          exists: stat.isFile(),
+          sizeBytes: stat.size,
+          mtime: stat.mtime?.toISOString?.() || null,
+        };
+      } catch (error) {
+        return {
+          file: resolved,
+          exists: false,
+          error: error.message,
+        };
+      }
+    }),
+  );
+
+  const queuedDurations = await Promise.all(
+    files.map(async (filePath) => {
+      const duration = await runFfprobeDuration(filePath).catch(() => null);
+      return Number.isFinite(duration) && duration > 0 ? duration : null;
+    }),
+  );
+
+  jobEvents.broadcast(
+    "queue",
+    JSON.stringify({
+      totalFiles: files.length,
+      files: files.map((filePath, index) => ({
+        file: filePath,
+        durationSeconds: queuedDurations[index],
+      })),
+    }),
+  );
+
+  // Files finished before a restart keep their results and count as done.
+  const results = job.files
+    .filter((entry) => entry.result)
+    .map((entry) => entry.result);
+  const fileAttempts = [];
+  const completedFileIndexes = new Set(
+    job.files
+      .map((entry, fileIndex) =>
+        entry.status !== "pending" ? fileIndex : null,
+      )
+      .filter((fileIndex) => fileIndex !== null),
+  );
+  const activeProgress = new Map();
+  const activeTempInputs = new Set();
+  let cancelled = false;
+  const transcodeStartedAtMs = Date.now();
+
+  const emitOverallProgress = ({
+    currentFileIndex = null,
+    currentProcessedSeconds = 0,
+    currentDurationSeconds = null,
+  } = {}) => {
+    if (
+      currentFileIndex !== null &&
+      !completedFileIndexes.has(currentFileIndex)
+    ) {
+      activeProgress.set(currentFileIndex, {
+        fileIndex: currentFileIndex,
+        processedSeconds: currentProcessedSeconds,
+        durationSeconds: currentDurationSeconds,
+      });
+    }
+    const snapshot = buildOverallProgressSnapshot({
+      queuedDurations,
+      completedFileIndexes: [...completedFileIndexes],
+      totalFiles: files.length,
+      transcodeStartedAtMs,
+      activeFiles: [...activeProgress.values()],
+    });
+
+    jobEvents.broadcast("overall", JSON.stringify(snapshot));
+  };
+
+  const markFileDone = (fileIndex) => {
+    completedFileIndexes.add(fileIndex);
+    activeProgress.delete(fileIndex);
+    emitOverallProgress();
+  };
+
+  const finishFile = async (fileIndex, status, result) => {
+    transcodeJobStore.updateJobFile(job.id, fileIndex, {
+      status,
+      finishedAt: new Date().toISOString(),
+      error: result?.error || null,
+      result: result || null,
+    });
+    await persistJobProgress();
+  };
+
+  emitOverallProgress();
+
+  const transcodeFile = async (fileIndex) => {
+    const entry = job.files[fileIndex];
+    const file = files[fileIndex];
+    let workingInput = file;
+    let workingOutput;
+    let verificationInput = file;
+    let verificationOutput;
+    let tempInput = null;
+    let tempOutput = null;
+    let ffmpegStdout = "";
+    let ffmpegStderr = "";
+    let ffmpegCommand = "";
+    let finalOutputPath = null;
+    let perFileLogPath = null;
+    let sourceDurationSeconds = null;
+    let subtitlePlan = null;
+    let workingSidecarPaths = [];
+    let fileOutputOptions = outputOptions;
+    let verification = null;
+    let rejectedOutput = null;
+    const passLogFile = path.join(
+      os.tmpdir(),
+      `transcode-passlog-${job.id}-${fileIndex}`,
+    );
+    try {
+      if (cancelled || transcodeProcessState.isCancelRequested()) {
+        if (!cancelled) {
+          jobEvents.broadcast(
+            "status",
+            "Cancellation requested. Stopping remaining transcode queue.",
+          );
+        }
+        cancelled = true;
+        return;
+      }
+
+      if (Number.isFinite(startBatteryThreshold)) {
+        const battery = await readBatteryInfo();
+        let errorText = null;
+        if (!battery.available || !Number.isFinite(battery.percent)) {
+          errorText = `Cannot verify battery for start threshold ${startBatteryThreshold}%.`;
+        } else if (battery.percent <= startBatteryThreshold) {
+          errorText = `Battery ${battery.percent}% is not above start threshold ${startBatteryThreshold}%.`;
+        }
+        if (errorText) {
+          const skippedResult = {
+            file,
+            output: null,
+            ok: false,
+            error: errorText,
+            logPath: null,
+          };
+          results.push(skippedResult);
+          await finishFile(fileIndex, "failed", skippedResult);
+          jobEvents.broadcast(
+            "status",
+            `Skipped: ${path.basename(file)} (${errorText})`,
+          );
+          markFileDone(fileIndex);
+          return;
+        }
+      }
+
+      // Probed from the original so HDR sources can be skipped before any
+      // copy is made.
+      const needsStreamMap =
+        (audioTracks && audioTracks !== "default") ||
+        (subtitleMode && subtitleMode !== "default") ||
+        burnForcedSubtitles ||
+        (hdrPolicy && hdrPolicy !== "ignore") ||
+        !!outputTemplate ||
+        !!bitsPerPixel ||
+        !!maxFps ||
+        (!!shouldCapBitrateToSource && !!(maxWidth || maxHeight)) ||
+        (!!verifyLevel && verifyLevel !== "basic");
+      const sourceStreams = needsStreamMap ? await runFfprobeStreams(file) : [];
+      // Smart copy compares the source with the target and copies the
+      // streams that already match instead of re-encoding them.
+      let streamCopy = null;
+      if (smartCopy) {
+        const inspection = await inspectOne(
+          { path: file },
+          { ffprobeCommand: getFfprobeCommand() },
+        );
+        streamCopy = planStreamCopy(inspection.actual, {
+          ...job.options,
+          container: resolveContainer(buildOutputPath(file, outputOptions)),
+        });
+      }
+      const sourceVideo = sourceStreams.find(
+        (stream) => stream.codec_type === "video",
+      );
+      const hdrPlan = planHdrHandling(detectHdr(sourceVideo), {
+        hdrPolicy,
+        videoCodec: streamCopy?.video ? "copy" : videoCodec,
+      });
+      if (hdrPlan?.action === "skip") {
+        const skippedResult = {
+          file,
+          output: null,
+          ok: false,
+          skipped: true,
+          error: `Skipped ${hdrPlan.label} source.`,
+          logPath: null,
+        };
+        results.push(skippedResult);
+        await finishFile(fileIndex, "skipped", skippedResult);
+        jobEvents.broadcast(
+          "status",
+          `Skipped: ${path.basename(file)} (${hdrPlan.label} source).`,
+        );
+        markFileDone(fileIndex);
+        return;
+      }
+      if (streamCopy) {
+        jobEvents.broadcast(
+          "status",
+          streamCopy.video
+            ? `Copying the ${streamCopy.videoCodec} video of ${path.basename(file)} without re-encoding (${streamCopy.audioIndexes.size} audio stream(s) copyable).`
+            : `Re-encoding video of ${path.basename(file)}: ${streamCopy.videoEncodeReason}.`,
+        );
+      }
+      if (hdrPlan) {
+        jobEvents.broadcast(
+          "status",
+          hdrPlan.action === "tonemap"
+            ? `Tone-mapping ${hdrPlan.label} to SDR: ${path.basename(file)}`
+            : `Keeping ${hdrPlan.label} in ${path.basename(file)}.`,
+        );
+        for (const warning of hdrPlan.warnings) {
+          jobEvents.broadcast("status", `${path.basename(file)}: ${warning}`);
+        }
+      }
+
+      const outputSize = resolveOutputDimensions(
+        Number.parseInt(sourceVideo?.width, 10),
+        Number.parseInt(sourceVideo?.height, 10),
+        { maxWidth, maxHeight },
+      );
+      fileOutputOptions = {
+        ...outputOptions,
+        templateValues: {
+          codec: streamCopy?.video
+            ? streamCopy.videoCodec
+            : resolveEncoderCodec(videoCodec) || sourceVideo?.codec_name,
+          audio:
+            resolveEncoderCodec(audioCodec) ||
+            sourceStreams.find((stream) => stream.codec_type === "audio")
+              ?.codec_name,
+          width: outputSize.width,
+          height: outputSize.height,
+          date: new Date().toISOString().slice(0, 10),
+        },
+      };
+
+      // If transcodeLocation is set, copy file there and transcode in that folder
+      if (safeTranscodeLocation) {
+        // Parallel workers can pick up files that share a name.
+        const fileName = path.basename(file);
+        tempInput = path.join(
+          safeTranscodeLocation,
+          activeTempInputs.has(fileName) ? `${fileIndex}-${fileName}` : fileName,
+        );
+        activeTempInputs.add(path.basename(tempInput));
+        // Temp outputs keep the default name; the template applies to the
+        // copy made back next to the source or under outputRoot.
+        tempOutput = buildOutputPath(tempInput, {
+          videoCodec,
+          audioCodec,
+          container,
+        });
+        workingOutput = tempOutput;
+        verificationOutput = buildOutputPath(file, fileOutputOptions);
+      } else {
+        workingOutput = buildOutputPath(file, fileOutputOptions);
+        verificationOutput = workingOutput;
+      }
+      if (path.resolve(verificationOutput) === path.resolve(file)) {
+        throw new Error(
+          "Output name matches the source file; use replaceOriginal to replace it.",
+        );
+      }
+      // Cancelled through the API while this worker was getting it ready.
+      if (entry.status !== "pending" || activeFiles.get(file)?.cancelled) {
+        markFileDone(fileIndex);
+        return;
+      }
+      writtenOutputs.set(path.resolve(verificationOutput), null);
+      await fs.mkdir(path.dirname(verificationOutput), { recursive: true });
+      transcodeJobStore.updateJobFile(job.id, fileIndex, {
+        status: "running",
+        attempts: (entry.attempts || 0) + 1,
+        startedAt: new Date().toISOString(),
+        tempInput,
+        tempOutput,
+        workingOutput,
+      });
+      await persistJobProgress();
+      if (tempInput) {
+        await fs.copyFile(file, tempInput);
+        workingInput = tempInput;
+      }
+      // A bits-per-pixel target becomes a bitrate for this file's output
+      // size and frame rate.
+      const pixelRates = resolvePixelRates(sourceVideo, {
+        maxWidth,
+        maxHeight,
+        maxFps,
+      });
+      const plannedRate = planBitsPerPixelRate(
+        { videoQualityMode, videoBitrate, videoMaxrate, bitsPerPixel },
+        pixelRates.output,
+      );
+      if (plannedRate.bitsPerPixelKbps !== null) {
+        jobEvents.broadcast(
+          "status",
+          `${bitsPerPixel} bits per pixel at ${pixelRates.width}x${pixelRates.height}@${pixelRates.frameRate}fps is ${plannedRate.bitsPerPixelKbps}k for ${path.basename(file)}; using ${videoQualityMode === "crf" ? `max rate ${plannedRate.videoMaxrate}k` : `${plannedRate.videoBitrate}k`}.`,
+        );
+      } else if (bitsPerPixel) {
+        jobEvents.broadcast(
+          "status",
+          `Size or frame rate of ${path.basename(file)} is unknown; ignoring ${bitsPerPixel} bits per pixel.`,
+        );
+      }
+      const plannedVideoBitrate = plannedRate.videoBitrate;
+      // Constant-quality encodes have no bitrate target to cap.
+      const requestedVideoBitrateKbps =
+        videoQualityMode === "crf"
+          ? NaN
+          : Number.parseInt(String(plannedVideoBitrate || "").trim(), 10);
+      const requestedAudioBitrateKbps = Number.parseInt(
+        String(audioBitrate || "").trim(),
+        10,
+      );
+      const sourceVideoBitrateKbps =
+        shouldCapBitrateToSource &&
+        Number.isFinite(requestedVideoBitrateKbps) &&
+        requestedVideoBitrateKbps > 0
+          ? await runFfprobeVideoBitrateKbps(workingInput).catch(() => null)
+          : null;
+      const sourceAudioBitrateKbps = shouldCapBitrateToSource
+        ? await runFfprobeAudioBitrateKbps(workingInput).catch(() => null)
+        : null;
+      const effectiveVideoBitrate = shouldCapBitrateToSource
+        ? resolveEffectiveBitrateKbps(
+            plannedVideoBitrate,
+            sourceVideoBitrateKbps,
+            {
+              sourcePixelRate: pixelRates.source,
+              outputPixelRate: pixelRates.output,
+            },
+          )
+        : plannedVideoBitrate;
+      const effectiveAudioBitrate = shouldCapBitrateToSource
+        ? Number.isFinite(requestedAudioBitrateKbps) &&
+          requestedAudioBitrateKbps > 0
+          ? resolveEffectiveBitrateKbps(audioBitrate, sourceAudioBitrateKbps)
+          : Number.isFinite(sourceAudioBitrateKbps) &&
+              sourceAudioBitrateKbps > 0
+            ? String(Math.round(sourceAudioBitrateKbps))
+            : audioBitrate
+        : audioBitrate;
+      if (
+        shouldCapBitrateToSource &&
+        Number.isFinite(sourceVideoBitrateKbps) &&
+        requestedVideoBitrateKbps > Number.parseInt(effectiveVideoBitrate, 10)
+      ) {
+        const scaledNote =
+          Math.round(sourceVideoBitrateKbps) >
+          Number.parseInt(effectiveVideoBitrate, 10)
+            ? ` of ${Math.round(sourceVideoBitrateKbps)}k, scaled to the output size`
+            : "";
+        jobEvents.broadcast(
+          "status",
+          `Capping bitrate for ${path.basename(file)} to source rate ${effectiveVideoBitrate}k${scaledNote} (requested ${plannedVideoBitrate}k).`,
+        );
+      }
+      if (
+        shouldCapBitrateToSource &&
+        Number.isFinite(sourceAudioBitrateKbps) &&
+        requestedAudioBitrateKbps > sourceAudioBitrateKbps
+      ) {
+        jobEvents.broadcast(
+          "status",
+          `Capping audio bitrate for ${path.basename(file)} to source rate ${Math.round(sourceAudioBitrateKbps)}k (requested ${audioBitrate}k).`,
+        );
+      }
+      if (
+        shouldCapBitrateToSource &&
+        (!Number.isFinite(requestedAudioBitrateKbps) ||
+          requestedAudioBitrateKbps <= 0) &&
+        Number.isFinite(sourceAudioBitrateKbps) &&
+        sourceAudioBitrateKbps > 0
+      ) {
+        jobEvents.broadcast(
+          "status",
+          `Using source audio bitrate ${Math.round(sourceAudioBitrateKbps)}k for ${path.basename(file)} to avoid upscaling.`,
+        );
+      }
+      const sourceFrameRate = maxFps ? findVideoFrameRate(sourceStreams) : null;
+      let audioPlan = null;
+      if (audioTracks && audioTracks !== "default") {
+        const selection = selectAudioStreams(sourceStreams, {
+          audioTracks,
+          audioLanguages,
+        });
+        if (selection.fellBack) {
+          jobEvents.broadcast(
+            "status",
+            `No ${audioLanguages} audio in ${path.basename(file)}; keeping all ${selection.streams.length} track(s).`,
+          );
+        }
+        audioPlan = planAudioTracks(selection.streams, {
+          audioCodec,
+          audioBitrate,
+          audioChannels,
+          keepOriginalAudio,
+          addStereoAacTrack,
+          capBitrateToSource: shouldCapBitrateToSource,
+          copyAudioIndexes: streamCopy?.audioIndexes,
+        });
+      }
+      subtitlePlan = planSubtitleTracks(sourceStreams, {
+        subtitleMode,
+        burnForcedSubtitles,
+        container: resolveContainer(workingOutput),
+      });
+      if (subtitlePlan) {
+        workingSidecarPaths = subtitlePlan.sidecars.map((sidecar) =>
+          buildSubtitleSidecarPath(workingOutput, sidecar),
+        );
+        if (workingSidecarPaths.length) {
+          // Recorded so a restart can clean them up with the partial output.
+          transcodeJobStore.updateJobFile(job.id, fileIndex, {
+            sidecarPaths: workingSidecarPaths,
+          });
+          await persistJobProgress();
+        }
+        if (subtitlePlan.burn) {
+          jobEvents.broadcast(
+            "status",
+            `Burning forced subtitle stream ${subtitlePlan.burn.subIndex + 1} into ${path.basename(file)}.`,
+          );
+        }
+        if (subtitlePlan.dropped.length && subtitleMode !== "none") {
+          jobEvents.broadcast(
+            "status",
+            `Dropping ${subtitlePlan.dropped.length} subtitle stream(s) from ${path.basename(file)} that can't be kept: ${subtitlePlan.dropped.map((subtitle) => subtitle.codec).join(", ")}.`,
+          );
+        }
+      }
+      const passes = buildFfmpegPasses(workingInput, workingOutput, {
+        videoCodec,
+        audioCodec,
+        videoBitrate: effectiveVideoBitrate,
+        audioBitrate: effectiveAudioBitrate,
+        audioChannels,
+        videoQualityMode,
+        videoQuality,
+        encoderPreset,
+        encoderTune,
+        videoMaxrate: plannedRate.videoMaxrate,
+        videoBufsize,
+        maxWidth,
+        maxHeight,
+        maxFps,
+        sourceFrameRate,
+        deinterlace,
+        audioPlan,
+        subtitlePlan,
+        hdrPlan,
+        streamCopy,
+        passLogFile,
+        threads,
+      });
+      const verifyOptions = {
+        verifyLevel,
+        qualityMetric,
+        minQuality,
+        expectedStreams: buildExpectedStreams(sourceStreams, {
+          audioPlan,
+          subtitlePlan,
+          container: resolveContainer(workingOutput),
+        }),
+        skipQuality:
+          hdrPlan?.action === "tonemap" ? "tone-mapped to SDR" : null,
+        file,
+        transcodeProcessState,
+      };
+      // An output that fails verification is removed below, so it can't be
+      // mistaken for a good transcode.
+      const runVerification = async (input, output) => {
+        if (verifyLevel && verifyLevel !== "basic") {
+          jobEvents.broadcast(
+            "status",
+            `Verifying ${path.basename(output)} (${verifyLevel}).`,
+          );
+        }
+        try {
+          return await verifyTranscodeOutput(input, output, verifyOptions);
+        } catch (error) {
+          rejectedOutput = output;
+          throw error;
+        }
+      };
+      const copiedStreams = streamCopy
+        ? {
+            video: streamCopy.video,
+            audio: audioPlan
+              ? audioPlan.filter((track) => track.codec === "copy").length
+              : streamCopy.allAudio
+                ? 1
+                : 0,
+          }
+        : null;
+      sourceDurationSeconds = await runFfprobeDuration(workingInput).catch(
+        () => null,
+      );
+      const ffmpegCommandPath = getFfmpegCommand();
+      const commandText = passes
+        .map(
+          (args) =>
+            `${ffmpegCommandPath} ${args.map((a) => (typeof a === "string" ? a : JSON.stringify(a))).join(" ")}`,
+        )
+        .join("\n");
+      ffmpegCommand = commandText;
+      jobEvents.broadcast("status", `Processing: ${file}`);
+      jobEvents.emitFile("file-start", {
+        file,
+        fileIndex,
+        totalFiles: files.length,
+      });
+      jobEvents.broadcast("log", commandText);
+      jobEvents.broadcast(
+        "progress",
+        JSON.stringify({
+          file,
+          totalDurationSeconds: sourceDurationSeconds,
+          processedSeconds: 0,
+          percent: 0,
+          etaSeconds: null,
+          elapsedSeconds: 0,
+          speed: null,
+        }),
+      );
+      emitOverallProgress({
+        currentFileIndex: fileIndex,
+        currentProcessedSeconds: 0,
+        currentDurationSeconds: sourceDurationSeconds,
+      });
+      const fileStartedAtMs = Date.now();
+      for (const [passIndex, args] of passes.entries()) {
+        if (
+          transcodeProcessState.isCancelRequested() ||
+          activeFiles.get(file)?.cancelled
+        ) {
+          const cancelError = new Error("Transcode cancelled by user.");
+          cancelError.isCancelled = true;
+          throw cancelError;
+        }
+        if (passIndex > 0) {
+          jobEvents.broadcast(
+            "status",
+            `Pass ${passIndex + 1} of ${passes.length}: ${path.basename(file)}`,
+          );
+        }
+        const runResult = await runFfmpegTranscodeProcess({
+          args,
+          file,
+          fileIndex,
+          sourceDurationSeconds,
+          passIndex,
+          passCount: passes.length,
+          startedAtMs: fileStartedAtMs,
+          pauseBatteryThreshold,
+          pauseOnBattery: normalizePauseOnBattery(pauseOnBattery),
+          throttleOptions: { throttleTempC, throttleLoad, throttleAction },
+          priorityOptions: { niceLevel, ioClass, ioLevel, cpuAffinity },
+          transcodeProcessState,
+          broadcastTranscodeEvent: jobEvents.broadcast,
+          emitOverallProgress,
+        });
+        ffmpegStdout += runResult.ffmpegStdout;
+        ffmpegStderr += runResult.ffmpegStderr;
+      }
+      // Kept with the result for the savings history and estimates.
+      const encodeSeconds =
+        Math.round((Date.now() - fileStartedAtMs) / 100) / 10;
+      const codecStats = {
+        sourceVideoCodec: sourceVideo?.codec_name || null,
+        videoCodec: fileOutputOptions.templateValues.codec || null,
+      };
+      let fileResult = null;
+      // If transcodeLocation, copy result back to original folder
+      if (safeTranscodeLocation && tempOutput) {
+        let origOutput = verificationOutput;
+        await fs.copyFile(tempOutput, origOutput);
+        finalOutputPath = origOutput;
+        verification = await runVerification(verificationInput, origOutput);
+        let subtitleSidecars = [];
+        for (const sidecar of subtitlePlan?.sidecars || []) {
+          const sidecarOutput = buildSubtitleSidecarPath(origOutput, sidecar);
+          await fs.copyFile(
+            buildSubtitleSidecarPath(tempOutput, sidecar),
+            sidecarOutput,
+          );
+          subtitleSidecars.push(sidecarOutput);
+        }
+        // Clean up temp files
+        await fs.unlink(tempInput);
+        await fs.unlink(tempOutput);
+        await Promise.all(workingSidecarPaths.map(unlinkIfExists));
+        let retired = null;
+        let deleteWarning = null;
+        if (deleteOriginal || replaceOriginal) {
+          try {
+            retired = await retireSource(file, origOutput, subtitleSidecars, {
+              replace: replaceSource,
+              jobId: job.id,
+            });
+            origOutput = retired.output;
+            subtitleSidecars = retired.sidecars;
+            finalOutputPath = origOutput;
+          } catch (retireErr) {
+            deleteWarning = `Transcoded, but failed to ${replaceSource ? "replace" : "quarantine"} original: ${retireErr.message}`;
+          }
+        }
+        fileResult = {
+          file,
+          output: origOutput,
+          ok: true,
+          ...(subtitleSidecars.length ? { subtitleSidecars } : {}),
+          ...(copiedStreams ? { copiedStreams } : {}),
+          verification,
+          ...codecStats,
+          sourceDurationSeconds,
+          encodeSeconds,
+          ...(retired
+            ? {
+                ...(retired.replaced ? { replacedOriginal: true } : {}),
+                sourceSizeBytes: retired.sourceSizeBytes,
+                quarantineId: retired.quarantineId,
+              }
+            : {}),
+          ...(deleteWarning ? { warning: deleteWarning } : {}),
+          logPath: perFileLogPath,
+        };
+        jobEvents.emitFile("file-complete", {
+          file,
+          output: origOutput,
+          ok: true,
+          ...(subtitleSidecars.length ? { subtitleSidecars } : {}),
+          verification,
+          deletedOriginal: !!retired,
+          ...(retired?.replaced ? { replacedOriginal: true } : {}),
+          ...(retired ? { quarantineId: retired.quarantineId } : {}),
+          ...(deleteWarning ? { warning: deleteWarning } : {}),
+          logPath: perFileLogPath,
+        });
+      } else {
+        finalOutputPath = verificationOutput;
+        verification = await runVerification(
+          verificationInput,
+          verificationOutput,
+        );
+        // No transcodeLocation, just handle output in place
+        let outputPath = workingOutput;
+        let sidecarPaths = workingSidecarPaths;
+        let retired = null;
+        let deleteWarning = null;
+        if (deleteOriginal || replaceOriginal) {
+          try {
+            retired = await retireSource(file, outputPath, sidecarPaths, {
+              replace: replaceSource,
+              jobId: job.id,
+            });
+            outputPath = retired.output;
+            sidecarPaths = retired.sidecars;
+            finalOutputPath = outputPath;
+          } catch (retireErr) {
+            deleteWarning = `Transcoded, but failed to ${replaceSource ? "replace" : "quarantine"} original: ${retireErr.message}`;
+          }
+        }
+        fileResult = {
+          file,
+          output: outputPath,
+          ok: true,
+          ...(sidecarPaths.length ? { subtitleSidecars: sidecarPaths } : {}),
+          ...(copiedStreams ? { copiedStreams } : {}),
+          verification,
+          ...codecStats,
+          sourceDurationSeconds,
+          encodeSeconds,
+          ...(retired
+            ? {
+                ...(retired.replaced ? { replacedOriginal: true } : {}),
+                sourceSizeBytes: retired.sourceSizeBytes,
+                quarantineId: retired.quarantineId,
+              }
+            : {}),
+          ...(deleteWarning ? { warning: deleteWarning } : {}),
+          logPath: perFileLogPath,
+        };
+        jobEvents.emitFile("file-complete", {
+          file,
+          output: outputPath,
+          ok: true,
+          ...(sidecarPaths.length ? { subtitleSidecars: sidecarPaths } : {}),
+          verification,
+          deletedOriginal: !!retired,
+          ...(retired?.replaced ? { replacedOriginal: true } : {}),
+          ...(retired ? { quarantineId: retired.quarantineId } : {}),
+          ...(deleteWarning ? { warning: deleteWarning } : {}),
+          logPath: perFileLogPath,
+        });
+      }
+      results.push(fileResult);
+
+      if (saveTranscodeLog === true || saveTranscodeLog === "true") {
+        const targetLogPath = buildLogPathFromOutput(
+          finalOutputPath || buildOutputPath(file, fileOutputOptions),
+        );
+        perFileLogPath = targetLogPath;
+        await writePerFileTranscodeLog({
+          logPath: targetLogPath,
+          sourcePath: file,
+          outputPath: finalOutputPath,
+          ffmpegCommand,
+          ffmpegStdout,
+          ffmpegStderr,
+          status: "success",
+        });
+        fileResult.logPath = perFileLogPath;
+      }
+      await finishFile(fileIndex, "success", fileResult);
+
+      if (Number.isFinite(sourceDurationSeconds) && sourceDurationSeconds > 0) {
+        jobEvents.broadcast(
+          "progress",
+          JSON.stringify({
+            file,
+            totalDurationSeconds: sourceDurationSeconds,
+            processedSeconds: sourceDurationSeconds,
+            percent: 100,
+            etaSeconds: 0,
+            elapsedSeconds: null,
+            speed: null,
+          }),
+        );
+      }
+      markFileDone(fileIndex);
+
+      fileAttempts.push({
+        file,
+        status: "success",
+        ffmpegCommand,
+        ffmpegStdout,
+        ffmpegStderr,
+        outputPath: finalOutputPath || workingOutput || null,
+        perFileLogPath,
+      });
+    } catch (err) {
+      if (err?.isCancelled || transcodeProcessState.isCancelRequested()) {
+        // Cancelling a single file lets the other files carry on.
+        const stopRun = transcodeProcessState.isCancelRequested();
+        const cancelMessage = stopRun
+          ? "Transcode cancelled by user."
+          : `Transcode of ${path.basename(file)} cancelled by user.`;
+        const cancelResult = {
+          file,
+          output: workingOutput,
+          ok: false,
+          cancelled: true,
+          error: cancelMessage,
+          logPath: perFileLogPath,
+        };
+        results.push(cancelResult);
+        await cleanupInterruptedFile({
+          file,
+          tempInput,
+          tempOutput,
+          workingOutput,
+          sidecarPaths: workingSidecarPaths,
+        });
+        await finishFile(fileIndex, "cancelled", cancelResult);
+        jobEvents.emitFile("file-failed", {
+          file,
+          output: workingOutput || null,
+          ok: false,
+          error: cancelMessage,
+          logPath: perFileLogPath,
+        });
+        jobEvents.broadcast(
+          "status",
+          stopRun
+            ? "Cancellation requested. Stopping remaining transcode queue."
+            : cancelMessage,
+        );
+
+        markFileDone(fileIndex);
+
+        fileAttempts.push({
+          file,
+          status: "cancelled",
+          error: cancelMessage,
+          ffmpegCommand,
+          ffmpegStdout,
+          ffmpegStderr,
+          outputPath: finalOutputPath || workingOutput || null,
+          perFileLogPath,
+        });
+        if (stopRun) {
+          cancelled = true;
+        }
+        return;
+      }
+
+      verification = err.verification || verification;
+      let errorMessage = err.message;
+      if (rejectedOutput) {
+        await unlinkIfExists(rejectedOutput);
+        await Promise.all(
+          (subtitlePlan?.sidecars || []).map((sidecar) =>
+            unlinkIfExists(buildSubtitleSidecarPath(rejectedOutput, sidecar)),
+          ),
+        );
+        errorMessage = `${err.message} Removed the rejected output ${rejectedOutput}.`;
+      }
+      const failedResult = {
+        file,
+        output: rejectedOutput ? null : workingOutput,
+        ok: false,
+        error: errorMessage,
+        ...(verification ? { verification } : {}),
+        logPath: perFileLogPath,
+      };
+      results.push(failedResult);
+      jobEvents.emitFile("file-failed", {
+        file,
+        output: rejectedOutput ? null : workingOutput || null,
+        ok: false,
+        error: errorMessage,
+        ...(verification ? { verification } : {}),
+        logPath: perFileLogPath,
+      });
+      jobEvents.broadcast("log", `ERROR ${file}: ${errorMessage}`);
+
+      const fallbackOutput =
+        rejectedOutput ||
+        finalOutputPath ||
+        workingOutput ||
+        buildOutputPath(file, fileOutputOptions);
+      const targetFailLogPath = buildFailLogPathFromOutput(fallbackOutput);
+      perFileLogPath = targetFailLogPath;
+      try {
+        await writePerFileTranscodeLog({
+          logPath: targetFailLogPath,
+          sourcePath: file,
+          outputPath: rejectedOutput || finalOutputPath,
+          ffmpegCommand,
+          ffmpegStdout,
+          ffmpegStderr,
+          status: "failed",
+          errorMessage,
+        });
+        failedResult.logPath = perFileLogPath;
+      } catch (logError) {
+        jobEvents.broadcast(
+          "log",
+          `ERROR writing fail log for ${file}: ${logError.message || "unknown error"}`,
+        );
+      }
+
+      // Clean up temp files if error
+      await unlinkIfExists(tempInput);
+      await unlinkIfExists(tempOutput);
+      await Promise.all(workingSidecarPaths.map(unlinkIfExists));
+      await finishFile(fileIndex, "failed", failedResult);
+      markFileDone(fileIndex);
+
+      fileAttempts.push({
+        file,
+        status: "failed",
+        error: err.message,
+        ffmpegCommand,
+        ffmpegStdout,
+        ffmpegStderr,
+        outputPath: finalOutputPath || workingOutput || null,
+        perFileLogPath,
+      });
+    } finally {
+      activeFiles.delete(file);
+      // The output may have been renamed over the source, failed and been
+      // removed, or kept; either way the watchers now see its final state.
+      if (
+        verificationOutput &&
+        writtenOutputs.has(path.resolve(verificationOutput))
+      ) {
+        await settleWrittenOutput(verificationOutput);
+      }
+      if (finalOutputPath) {
+        await settleWrittenOutput(finalOutputPath);
+      }
+      if (tempInput) {
+        activeTempInputs.delete(path.basename(tempInput));
+      }
+      if (videoQualityMode === "twopass") {
+        await removePassLogFiles(passLogFile);
+      }
+    }
+  };
+
+  let nextFileIndex = 0;
+  const takeNextFileIndex = () => {
+    while (nextFileIndex < files.length) {
+      const fileIndex = nextFileIndex;
+      nextFileIndex += 1;
+      if (job.files[fileIndex].status === "pending") {
+        activeFiles.set(files[fileIndex], {
+          entry: job.files[fileIndex],
+          cancelled: false,
+        });
+        return fileIndex;
+      }
+      // Cancelled through the API while it was still waiting.
+      if (!completedFileIndexes.has(fileIndex)) {
+        markFileDone(fileIndex);
+      }
+    }
+    return null;
+  };
+
+  // Files are taken only once the window is open, so a closed window holds
+  // nothing but the queue itself.
+  const runWorker = async () => {
+    while (!cancelled) {
+      await scheduleGate.waitForWindow();
+      if (cancelled) {
+        return;
+      }
+      const fileIndex = takeNextFileIndex();
+      if (fileIndex === null) {
+        return;
+      }
+      await transcodeFile(fileIndex);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, pendingCount));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  stopScheduleGate();
+
+  if (cancelled) {
+    for (let fileIndex = 0; fileIndex < files.length; fileIndex += 1) {
+      if (job.files[fileIndex].status === "pending") {
+        transcodeJobStore.updateJobFile(job.id, fileIndex, {
+          status: "cancelled",
+          finishedAt: new Date().toISOString(),
+        });
+      }
+    }
+  }
+
+  emitOverallProgress({
+    currentFileIndex: null,
+    currentProcessedSeconds: 0,
+    currentDurationSeconds: null,
+  });
+
+  const enrichedResults = await attachSizeStats(results);
+  job.files.forEach((entry, fileIndex) => {
+    const enriched = enrichedResults.find((item) => item.file === entry.file);
+    if (enriched && entry.result) {
+      transcodeJobStore.updateJobFile(job.id, fileIndex, { result: enriched });
+    }
+  });
+  await recordTranscodeHistory(enrichedResults, {
+    jobId: job.id,
+    options: job.options,
+  }).catch((error) => {
+    jobEvents.broadcast("log", `ERROR ${error.message}`);
+  });
+  const savingsSummary = await summarizeTranscodeHistory();
+
+  await writeTranscodeRunLog({
+    logPath: runLogPath,
+    startedAtMs: runStartedAtMs,
+    requestPayload: {
+      jobId: job.id,
+      files,
+      ...job.options,
+    },
+    queuedDurations,
+    fileDiagnostics,
+    fileAttempts,
+    results: enrichedResults,
+    savingsSummary,
+  }).catch((error) => {
+    jobEvents.broadcast(
+      "log",
+      `ERROR writing transcode run log: ${error.message}`,
+    );
+  });
+
+  transcodeProcessState.finishRun();
+  transcodeStreamState.clearProgressSnapshots();
+
+  const outcome = buildJobOutcome({
+    results: enrichedResults,
+    completedFiles: completedFileIndexes.size,
+    totalFiles: files.length,
+    cancelled,
+    savingsSummary,
+    runLogPath,
+  });
+
+  const { results: _results, ...outcomeSummary } = outcome.body;
+  transcodeJobStore.updateJob(job.id, {
+    status: cancelled
+      ? "cancelled"
+      : outcome.body.ok
+        ? "completed"
+        : "failed",
+    finishedAt: new Date().toISOString(),
+    outcome: outcomeSummary,
+  });
+  await persistJobProgress();
+
+  if (cancelled) {
+    jobEvents.broadcast("done", "Transcode cancelled.");
+  } else if (!outcome.body.ok) {
+    jobEvents.broadcast("done", "Transcode finished with errors.");
+  } else {
+    jobEvents.broadcast("done", "Transcode finished successfully.");
+  }
+
+  return outcome;
+}
+
+function stopScheduleGate() {
+  scheduleGate?.stop();
+  scheduleGate = null;
+}
+
+async function processTranscodeQueue() {
+  if (queueActive) {
+    return;
+  }
+  queueActive = true;
+  try {
+    let job = transcodeJobStore.findNextQueuedJob();
+    while (job) {
+      activeJobId = job.id;
+      let outcome;
+      try {
+        outcome = await runTranscodeJob(job);
+      } catch (error) {
+        stopScheduleGate();
+        transcodeProcessState.finishRun();
+        transcodeStreamState.clearProgressSnapshots();
+        transcodeJobStore.updateJob(job.id, {
+          status: "failed",
+          finishedAt: new Date().toISOString(),
+          error: error.message,
+          outcome: { ok: false, error: error.message },
+        });
+        await persistJobProgress();
+        createJobEvents(job.id).broadcast(
+          "done",
+          "Transcode finished with errors.",
+        );
+        outcome = {
+          statusCode: 500,
+          body: { ok: false, error: error.message },
+        };
+      }
+      activeJobId = null;
+      settleJobWaiters(job.id, outcome);
+      job = transcodeJobStore.findNextQueuedJob();
+    }
+  } finally {
+    queueActive = false;
+    activeJobId = null;
+  }
+}
+
+export async function enqueueTranscodeJob({ files, options }) {
+  await ensureJobStoreLoaded();
+  const job = transcodeJobStore.createJob({ files, options });
+  try {
+    await transcodeJobStore.persist();
+  } catch (error) {
+    // A job that isn't saved would vanish on a restart, so it isn't queued.
+    transcodeJobStore.removeJob(job.id);
+    throw error;
+  }
+  processTranscodeQueue().catch((error) => {
+    console.error(`Transcode queue stopped: ${error.message}`);
+  });
+  return job;
+}
+
+export function waitForTranscodeJob(jobId) {
+  return new Promise((resolve) => {
+    const waiters = jobWaiters.get(jobId) || [];
+    waiters.push(resolve);
+    jobWaiters.set(jobId, waiters);
+  });
+}
+
+function markQueuedJobCancelled(job) {
+  const nowIso = new Date().toISOString();
+  job.files.forEach((entry, fileIndex) => {
+    if (entry.status === "pending") {
+      transcodeJobStore.updateJobFile(job.id, fileIndex, {
+        status: "cancelled",
+        finishedAt: nowIso,
+      });
+    }
+  });
+  const body = {
+    ok: true,
+    cancelled: true,
+    message: "Transcode cancelled before it started.",
+  };
+  transcodeJobStore.updateJob(job.id, {
+    status: "cancelled",
+    finishedAt: nowIso,
+    outcome: body,
+  });
+  createJobEvents(job.id).broadcast("done", body.message);
+  settleJobWaiters(job.id, {
+    statusCode: 200,
+    body: { ...body, results: [] },
+  });
+}
+
+export async function cancelQueuedTranscodeJobs() {
+  let cancelledJobs = 0;
+  for (const job of transcodeJobStore.listJobs()) {
+    if (job.status !== "queued") {
+      continue;
+    }
+    markQueuedJobCancelled(job);
+    cancelledJobs += 1;
+  }
+  if (cancelledJobs) {
+    await transcodeJobStore.persist();
+  }
+  return cancelledJobs;
+}
+
+// Cancels a single job: a queued job is dropped before it starts, the running
+// job has its ffmpeg process terminated. Returns null for unknown ids.
+export async function cancelTranscodeJob(jobId) {
+  await ensureJobStoreLoaded();
+  const job = transcodeJobStore.getJob(jobId);
+  if (!job) {
+    return null;
+  }
+  if (isFinishedJobStatus(job.status)) {
+    return { cancelled: false, job: toJobView(job) };
+  }
+
+  if (job.id !== activeJobId) {
+    markQueuedJobCancelled(job);
+    await transcodeJobStore.persist();
+    return { cancelled: true, job: toJobView(job) };
+  }
+
+  transcodeProcessState.requestCancel();
+  createJobEvents(job.id).broadcast(
+    "status",
+    "Cancellation requested. Current transcode will stop.",
+  );
+  if (transcodeProcessState.terminateProcesses()) {
+    console.log(`Transcode job ${job.id} cancelled by user.`);
+  }
+  return { cancelled: true, job: toJobView(job) };
+}
+
+// Cancels one file: stops its ffmpeg process if it is encoding, otherwise
+// drops it from whichever unfinished job is still waiting to run it.
+export async function cancelTranscodeFile(file) {
+  await ensureJobStoreLoaded();
+  const active = activeFiles.get(file);
+  if (active) {
+    active.cancelled = true;
+  }
+  if (transcodeProcessState.terminateProcesses(file)) {
+    return { cancelled: true, running: true };
+  }
+  // Started, but between ffmpeg processes; the worker stops before the next.
+  if (active?.entry.status === "running") {
+    return { cancelled: true, running: true };
+  }
+
+  const nowIso = new Date().toISOString();
+  for (const job of transcodeJobStore.listJobs()) {
+    if (isFinishedJobStatus(job.status)) {
+      continue;
+    }
+    const fileIndex = job.files.findIndex(
+      (entry) => entry.file === file && entry.status === "pending",
+    );
+    if (fileIndex === -1) {
+      continue;
+    }
+    transcodeJobStore.updateJobFile(job.id, fileIndex, {
+      status: "cancelled",
+      finishedAt: nowIso,
+    });
+    if (
+      job.status === "queued" &&
+      !job.files.some((entry) => entry.status === "pending")
+    ) {
+      markQueuedJobCancelled(job);
+    }
+    await transcodeJobStore.persist();
+    return { cancelled: true, running: false, jobId: job.id };
+  }
+  return { cancelled: false };
+}
+
+function countFileStatuses(files) {
+  const counts = {
+    pending: 0,
+    running: 0,
+    success: 0,
+    failed: 0,
+    cancelled: 0,
+    skipped: 0,
+  };
+  for (const entry of files) {
+    counts[entry.status] = (counts[entry.status] || 0) + 1;
+  }
+  return counts;
+}
+
+// Public shape of a job: temp paths used for crash recovery stay internal.
+function toJobView(job, { includeFiles = true } = {}) {
+  const view = {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    options: job.options,
+    runLogPath: job.runLogPath,
+    error: job.error || null,
+    outcome: job.outcome || null,
+    totalFiles: job.files.length,
+    fileCounts: countFileStatuses(job.files),
+  };
+  if (includeFiles) {
+    view.files = job.files.map((entry) => ({
+      file: entry.file,
+      status: entry.status,
+      attempts: entry.attempts,
+      queuedAt: entry.queuedAt,
+      startedAt: entry.startedAt,
+      finishedAt: entry.finishedAt,
+      error: entry.error,
+      result: entry.result,
+    }));
+    view.results = job.files.map((entry) => entry.result).filter(Boolean);
+  }
+  return view;
+}
+
+export async function getTranscodeJob(jobId) {
+  await ensureJobStoreLoaded();
+  const job = transcodeJobStore.getJob(jobId);
+  return job ? toJobView(job) : null;
+}
+
+export async function listTranscodeJobs({ status = null, limit = null } = {}) {
+  await ensureJobStoreLoaded();
+  const jobs = transcodeJobStore
+    .listJobs()
+    .filter((job) => !status || job.status === status)
+    .reverse();
+  const limited =
+    Number.isInteger(limit) && limit > 0 ? jobs.slice(0, limit) : jobs;
+  return limited.map((job) => toJobView(job, { includeFiles: false }));
+}
+
+// True for a file this process wrote that hasn't changed since. A file saved
+// over one of those paths later no longer matches and is forgotten.
+export function isTranscodeOutputPath(filePath, { size, mtimeMs } = {}) {
+  const key = path.resolve(filePath);
+  if (!writtenOutputs.has(key)) {
+    return false;
+  }
+  const written = writtenOutputs.get(key);
+  if (written === null || written === fileSignature({ size, mtimeMs })) {
+    return true;
+  }
+  writtenOutputs.delete(key);
+  return false;
+}
+
+export function getActiveTranscodeJobId() {
+  return activeJobId;
+}
+
+// Whether the running job is held back by the transcode schedule.
+export function getScheduleHoldState() {
+  return scheduleGate
+    ? scheduleGate.getState()
+    : { waiting: false, pausedFiles: [] };
+}
+
+export function hasQueuedTranscodeJobs() {
+  return !!transcodeJobStore.findNextQueuedJob();
+}
+
+// Called once on boot: reloads the job store, cleans up after files that were
+// mid-transcode when the previous process stopped, and restarts the queue.
+export async function resumeTranscodeQueue() {
+  await ensureJobStoreLoaded();
+  let resumedJobs = 0;
+
+  for (const job of transcodeJobStore.listJobs()) {
+    if (job.status !== "running" && job.status !== "queued") {
+      continue;
+    }
+
+    for (let fileIndex = 0; fileIndex < job.files.length; fileIndex += 1) {
+      const entry = job.files[fileIndex];
+      if (entry.status !== "running") {
+        continue;
+      }
+      const removed = await cleanupInterruptedFile(entry);
+      for (const removedPath of removed) {
+        console.log(`Removed orphaned transcode file: ${removedPath}`);
+      }
+      if ((entry.attempts || 0) >= MAX_FILE_ATTEMPTS) {
+        const errorText = `Transcode interrupted ${entry.attempts} time(s); giving up.`;
+        transcodeJobStore.updateJobFile(job.id, fileIndex, {
+          status: "failed",
+          finishedAt: new Date().toISOString(),
+          error: errorText,
+          result: {
+            file: entry.file,
+            output: null,
+            ok: false,
+            error: errorText,
+            logPath: null,
+          },
+        });
+      } else {
+        transcodeJobStore.updateJobFile(job.id, fileIndex, {
+          status: "pending",
+        });
+      }
+    }
+
+    transcodeJobStore.updateJob(job.id, { status: "queued" });
+    resumedJobs += 1;
+  }
+
+  if (!resumedJobs) {
+    return 0;
+  }
+
+  await transcodeJobStore.persist();
+  console.log(`Resuming ${resumedJobs} interrupted transcode job(s).`);
+  processTranscodeQueue().catch((error) => {
+    console.error(`Transcode queue stopped: ${error.message}`);
+  });
+  return resumedJobs;
+}
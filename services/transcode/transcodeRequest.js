@@ -0,0 +1,130 @@
+import fs from "fs/promises";
+import path from "path";
+import {
+  normalizePauseBatteryPct,
+  normalizePauseOnBattery,
+  normalizeStartBatteryPct,
+} from "./transcodeBattery.js";
+import { normalizeThrottleOptions } from "./transcodeThrottle.js";
+import {
+  normalizeAudioTrackOptions,
+  normalizeOutputContainer,
+  normalizeOutputNamingOptions,
+  normalizeProcessPriorityOptions,
+  normalizeTranscodeConcurrency,
+  normalizeVideoFilterOptions,
+  normalizeVideoQualityOptions,
+  resolveTranscodeLocation,
+} from "./transcodePolicy.js";
+import { normalizeSubtitleOptions } from "./transcodeSubtitles.js";
+import { normalizeHdrOptions } from "./transcodeHdr.js";
+import {
+  normalizeStreamCopyOptions,
+  validateContainerCodecs,
+} from "./transcodeStreamCopy.js";
+import { normalizeVerificationOptions } from "./transcodeVerification.js";
+
+// Validates a transcode request body (with any preset already applied) and
+// turns it into the { files, options } a queued job stores. Throws on bad
+// input; output folders are created here so a job never starts without them.
+export async function prepareTranscodeJob(body = {}) {
+  const {
+    files,
+    videoCodec,
+    audioCodec,
+    audioBitrate,
+    videoBitrate,
+    audioChannels,
+    deleteOriginal,
+    transcodeLocation,
+    pauseBatteryPct,
+    pauseOnBattery,
+    startBatteryPct,
+    saveTranscodeLog,
+    capBitrateToSource,
+    concurrency,
+    presetId,
+  } = body;
+  if (!Array.isArray(files) || !files.length) {
+    throw new Error("No files provided.");
+  }
+
+  const pauseBatteryThreshold = normalizePauseBatteryPct(pauseBatteryPct);
+  const startBatteryThreshold = normalizeStartBatteryPct(startBatteryPct);
+  const safeConcurrency = normalizeTranscodeConcurrency(concurrency);
+  const videoQualityOptions = normalizeVideoQualityOptions(body);
+  const videoFilterOptions = normalizeVideoFilterOptions(body);
+  const audioTrackOptions = normalizeAudioTrackOptions(body);
+  const subtitleOptions = normalizeSubtitleOptions(body);
+  const hdrOptions = normalizeHdrOptions(body);
+  const streamCopyOptions = normalizeStreamCopyOptions(body);
+  const containerOptions = normalizeOutputContainer(body);
+  validateContainerCodecs({ ...containerOptions, videoCodec, audioCodec });
+  const outputNamingOptions = normalizeOutputNamingOptions(body);
+  const verificationOptions = normalizeVerificationOptions(body);
+  const throttleOptions = normalizeThrottleOptions(body);
+  const priorityOptions = normalizeProcessPriorityOptions(body);
+
+  if (
+    Number.isFinite(startBatteryThreshold) &&
+    Number.isFinite(pauseBatteryThreshold) &&
+    startBatteryThreshold <= pauseBatteryThreshold
+  ) {
+    throw new Error(
+      "Start battery percent must be greater than pause battery percent.",
+    );
+  }
+
+  const { outputRoot, sourceRoot } = outputNamingOptions;
+  if (outputRoot && sourceRoot) {
+    const outside = files.filter((file) => {
+      const relative = path.relative(sourceRoot, path.resolve(String(file)));
+      return relative.startsWith("..") || path.isAbsolute(relative);
+    });
+    if (outside.length) {
+      throw new Error(
+        `Files outside the source root ${sourceRoot}: ${outside.join(", ")}`,
+      );
+    }
+  }
+
+  const safeTranscodeLocation = resolveTranscodeLocation(transcodeLocation);
+  if (safeTranscodeLocation) {
+    await fs.mkdir(safeTranscodeLocation, { recursive: true });
+  }
+  if (outputRoot) {
+    await fs.mkdir(outputRoot, { recursive: true });
+  }
+
+  return {
+    files,
+    options: {
+      presetId: presetId || null,
+      videoCodec,
+      audioCodec,
+      audioBitrate,
+      videoBitrate,
+      audioChannels,
+      deleteOriginal,
+      transcodeLocation: safeTranscodeLocation,
+      pauseBatteryPct,
+      pauseOnBattery: normalizePauseOnBattery(pauseOnBattery),
+      startBatteryPct,
+      saveTranscodeLog,
+      capBitrateToSource:
+        capBitrateToSource !== false && capBitrateToSource !== "false",
+      concurrency: safeConcurrency,
+      ...videoQualityOptions,
+      ...videoFilterOptions,
+      ...audioTrackOptions,
+      ...subtitleOptions,
+      ...hdrOptions,
+      ...streamCopyOptions,
+      ...containerOptions,
+      ...outputNamingOptions,
+      ...verificationOptions,
+      ...throttleOptions,
+      ...priorityOptions,
+    },
+  };
+}
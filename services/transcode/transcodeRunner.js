@@ -1,33 +1,75 @@
 import { spawn } from "child_process";
 import { getFfmpegCommand } from "../options/optionsService.js";
+import {
+  buildPriorityCommand,
+  setProcessNiceness,
+} from "../system/processPriority.js";
 import { createBatteryPauseMonitor } from "./transcodeBattery.js";
+import { createThrottleMonitor } from "./transcodeThrottle.js";
 import { extractProgressFromChunk } from "./transcodeUtils.js";
 
-export function runFfmpegTranscodeProcess({
+export async function runFfmpegTranscodeProcess({
   args,
   file,
   fileIndex,
   sourceDurationSeconds,
+  passIndex = 0,
+  passCount = 1,
+  startedAtMs = Date.now(),
   pauseBatteryThreshold,
+  pauseOnBattery,
+  throttleOptions = {},
+  priorityOptions = {},
   transcodeProcessState,
   broadcastTranscodeEvent,
   emitOverallProgress,
 }) {
+  const niceLevel = Number.parseInt(priorityOptions.niceLevel, 10);
+  const ioLevel = Number.parseInt(priorityOptions.ioLevel, 10);
+  const command = await buildPriorityCommand(getFfmpegCommand(), args, {
+    niceLevel: Number.isInteger(niceLevel) ? niceLevel : null,
+    ioClass: priorityOptions.ioClass || "",
+    ioLevel: Number.isInteger(ioLevel) ? ioLevel : null,
+    cpuAffinity: priorityOptions.cpuAffinity || "",
+  });
   return new Promise((resolve, reject) => {
-    const ff = spawn(getFfmpegCommand(), args);
-    transcodeProcessState.setProcess(ff);
+    for (const warning of command.warnings) {
+      broadcastTranscodeEvent("log", `${warning}\n`);
+    }
+    const ff = spawn(command.command, command.args);
+    transcodeProcessState.addProcess(ff, file);
+    // Windows has no nice wrapper; its priority is per process, so it can
+    // be set after the fact.
+    if (process.platform === "win32" && Number.isInteger(niceLevel) && ff.pid) {
+      try {
+        setProcessNiceness(ff.pid, niceLevel);
+      } catch (error) {
+        broadcastTranscodeEvent("log", `Could not set ffmpeg priority: ${error.message}\n`);
+      }
+    }
 
-    const startedAtMs = Date.now();
     let lastProgressEmitMs = 0;
     let ffmpegStdout = "";
     let ffmpegStderr = "";
 
     const stopBatteryMonitor = createBatteryPauseMonitor({
-      ffmpegProcess: ff,
       pauseBatteryThreshold,
-      isCurrentProcess: () => transcodeProcessState.isCurrentProcess(ff),
-      getPaused: () => transcodeProcessState.isPaused(),
-      setPaused: (paused) => transcodeProcessState.setPaused(paused),
+      pauseOnBattery,
+      isCurrentProcess: () => transcodeProcessState.hasProcess(ff),
+      isHeld: () => transcodeProcessState.hasPauseReason(ff, "battery"),
+      hold: () => transcodeProcessState.holdProcess(ff, "battery"),
+      release: () => transcodeProcessState.releaseProcess(ff, "battery"),
+      onStatus: (message) => {
+        broadcastTranscodeEvent("status", message);
+      },
+    });
+    const stopThrottleMonitor = createThrottleMonitor({
+      ffmpegProcess: ff,
+      ...throttleOptions,
+      isCurrentProcess: () => transcodeProcessState.hasProcess(ff),
+      isHeld: () => transcodeProcessState.hasPauseReason(ff, "throttle"),
+      hold: () => transcodeProcessState.holdProcess(ff, "throttle"),
+      release: () => transcodeProcessState.releaseProcess(ff, "throttle"),
       onStatus: (message) => {
         broadcastTranscodeEvent("status", message);
       },
@@ -49,14 +91,21 @@ export function runFfmpegTranscodeProcess({
       }
       lastProgressEmitMs = nowMs;
 
-      const processedSeconds = Math.max(0, progress.processedSeconds);
+      const passSeconds = Math.max(0, progress.processedSeconds);
       const elapsedSeconds = Math.max(0, (nowMs - startedAtMs) / 1000);
       const totalDuration =
         Number.isFinite(sourceDurationSeconds) && sourceDurationSeconds > 0
           ? sourceDurationSeconds
           : null;
+      // Each pass reads the whole source, so a two-pass encode covers the
+      // duration twice. Report against the combined work so the file
+      // percentage keeps climbing through the second pass.
+      const processedSeconds = totalDuration
+        ? (passIndex * totalDuration + Math.min(passSeconds, totalDuration)) /
+          passCount
+        : passSeconds;
       const remainingSeconds = totalDuration
-        ? Math.max(0, totalDuration - processedSeconds)
+        ? Math.max(0, totalDuration - processedSeconds) * passCount
         : null;
 
       let etaSeconds = null;
@@ -64,7 +113,8 @@ export function runFfmpegTranscodeProcess({
         if (Number.isFinite(progress.speed) && progress.speed > 0) {
           etaSeconds = remainingSeconds / progress.speed;
         } else if (processedSeconds > 0 && elapsedSeconds > 0) {
-          etaSeconds = remainingSeconds * (elapsedSeconds / processedSeconds);
+          etaSeconds =
+            remainingSeconds * (elapsedSeconds / (processedSeconds * passCount));
         }
       }
 
@@ -82,6 +132,7 @@ export function runFfmpegTranscodeProcess({
           etaSeconds,
           elapsedSeconds,
           speed: progress.speed,
+          ...(passCount > 1 ? { pass: passIndex + 1, passCount } : {}),
         }),
       );
 
@@ -99,18 +150,29 @@ export function runFfmpegTranscodeProcess({
         broadcastTranscodeEvent("log", msg);
       });
 
+    // A missing ffmpeg or wrapper fails this file rather than the server.
+    ff.on("error", (error) => {
+      stopBatteryMonitor?.();
+      stopThrottleMonitor?.();
+      transcodeProcessState.removeProcess(ff);
+      reject(new Error(`Could not start ${command.command}: ${error.message}`));
+    });
+
     ff.on("close", (code) => {
       if (stopBatteryMonitor) {
         stopBatteryMonitor();
       }
-      transcodeProcessState.clearProcess();
+      if (stopThrottleMonitor) {
+        stopThrottleMonitor();
+      }
+      const child = transcodeProcessState.removeProcess(ff);
 
       if (code === 0) {
         resolve({ ffmpegStdout, ffmpegStderr });
         return;
       }
 
-      if (transcodeProcessState.isCancelRequested()) {
+      if (child?.cancelled || transcodeProcessState.isCancelRequested()) {
         const cancelError = new Error("Transcode cancelled by user.");
         cancelError.isCancelled = true;
         reject(cancelError);
@@ -0,0 +1,352 @@
+import {
+  createSerializedWriter,
+  readJsonFileSafe,
+  resolveDataPath,
+} from "../storage/dataStore.js";
+
+// Indexed like Date#getDay().
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const WEEK_ORDER = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+const DAY_SHORTHANDS = {
+  daily: WEEK_ORDER,
+  weekdays: ["mon", "tue", "wed", "thu", "fri"],
+  weekends: ["sat", "sun"],
+  weekend: ["sat", "sun"],
+};
+export const OUTSIDE_WINDOW_ACTIONS = ["pause", "stop"];
+const MAX_SCHEDULE_WINDOWS = 28;
+const SCHEDULE_POLL_MS = 5000;
+const MINUTES_PER_DAY = 24 * 60;
+
+const schedulePath = resolveDataPath("transcode-schedule.json");
+const writeSchedule = createSerializedWriter(schedulePath, "transcode schedule");
+let schedule = null;
+let scheduleLoaded = null;
+
+async function ensureScheduleLoaded() {
+  if (!scheduleLoaded) {
+    scheduleLoaded = readJsonFileSafe(schedulePath, null).then((parsed) => {
+      try {
+        schedule = normalizeTranscodeSchedule(parsed || {});
+      } catch {
+        schedule = normalizeTranscodeSchedule({});
+      }
+    });
+  }
+  await scheduleLoaded;
+}
+
+function parseDays(input) {
+  const parts = Array.isArray(input)
+    ? input
+    : String(input ?? "").split(",");
+  const days = new Set();
+  for (const part of parts) {
+    const text = String(part).trim().toLowerCase();
+    if (!text) {
+      continue;
+    }
+    if (DAY_SHORTHANDS[text]) {
+      DAY_SHORTHANDS[text].forEach((day) => days.add(day));
+      continue;
+    }
+    // mon-fri, fri-mon
+    const range = text.match(/^([a-z]{3})[a-z]*\s*-\s*([a-z]{3})[a-z]*$/);
+    if (range && WEEK_ORDER.includes(range[1]) && WEEK_ORDER.includes(range[2])) {
+      let index = WEEK_ORDER.indexOf(range[1]);
+      const last = WEEK_ORDER.indexOf(range[2]);
+      days.add(WEEK_ORDER[index]);
+      while (index !== last) {
+        index = (index + 1) % WEEK_ORDER.length;
+        days.add(WEEK_ORDER[index]);
+      }
+      continue;
+    }
+    const name = /^[0-6]$/.test(text)
+      ? DAY_NAMES[Number(text)]
+      : text.match(/^(sun|mon|tue|wed|thu|fri|sat)[a-z]*$/)?.[1];
+    if (!name) {
+      throw new Error(
+        `Unknown schedule day "${part}". Use names such as mon, mon-fri, weekdays or weekends.`,
+      );
+    }
+    days.add(name);
+  }
+  if (!days.size) {
+    throw new Error("Each schedule window needs at least one day.");
+  }
+  return WEEK_ORDER.filter((day) => days.has(day));
+}
+
+function parseTimeOfDay(input, label, allowEndOfDay = false) {
+  const match = String(input ?? "").trim().match(/^(\d{1,2}):(\d{2})$/);
+  const minutes = match
+    ? Number.parseInt(match[1], 10) * 60 + Number.parseInt(match[2], 10)
+    : NaN;
+  const max = allowEndOfDay ? MINUTES_PER_DAY : MINUTES_PER_DAY - 1;
+  if (!match || Number.parseInt(match[2], 10) > 59 || minutes > max) {
+    throw new Error(
+      `Schedule ${label} time must be HH:MM, such as 01:00${allowEndOfDay ? " (24:00 for midnight)" : ""}.`,
+    );
+  }
+  return minutes;
+}
+
+function formatTimeOfDay(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+// A window that ends at or before it starts runs past midnight and belongs
+// to the day it starts on: fri 22:00-06:00 ends Saturday morning.
+function normalizeWindow(input = {}) {
+  const start = parseTimeOfDay(input.start, "start");
+  const end = parseTimeOfDay(input.end, "end", true);
+  if (start === end) {
+    throw new Error(
+      "Schedule window start and end must differ; use 00:00-24:00 for a whole day.",
+    );
+  }
+  return {
+    days: parseDays(input.days),
+    start: formatTimeOfDay(start),
+    end: formatTimeOfDay(end),
+  };
+}
+
+export function normalizeTranscodeSchedule(input = {}) {
+  const windows = Array.isArray(input.windows) ? input.windows : [];
+  if (windows.length > MAX_SCHEDULE_WINDOWS) {
+    throw new Error(`A schedule can have at most ${MAX_SCHEDULE_WINDOWS} windows.`);
+  }
+  const outsideWindow = String(input.outsideWindow || "pause").trim().toLowerCase();
+  if (!OUTSIDE_WINDOW_ACTIONS.includes(outsideWindow)) {
+    throw new Error(
+      `Outside-window action must be one of ${OUTSIDE_WINDOW_ACTIONS.join(", ")}.`,
+    );
+  }
+  const enabled = input.enabled === true || input.enabled === "true";
+  const normalizedWindows = windows.map(normalizeWindow);
+  if (enabled && !normalizedWindows.length) {
+    throw new Error("Add at least one window before enabling the schedule.");
+  }
+  return { enabled, outsideWindow, windows: normalizedWindows };
+}
+
+function minutesOf(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+export function isWithinSchedule(settings, date = new Date()) {
+  if (!settings.enabled) {
+    return true;
+  }
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const today = DAY_NAMES[date.getDay()];
+  const yesterday = DAY_NAMES[(date.getDay() + 6) % 7];
+  return settings.windows.some((window) => {
+    const start = minutesOf(window.start);
+    const end = minutesOf(window.end);
+    if (start < end) {
+      return window.days.includes(today) && minutes >= start && minutes < end;
+    }
+    return (
+      (window.days.includes(today) && minutes >= start) ||
+      (window.days.includes(yesterday) && minutes < end)
+    );
+  });
+}
+
+// The next window start or end that actually flips open/closed, looking a
+// week ahead. Null when the schedule never changes state.
+export function findNextScheduleChange(settings, date = new Date()) {
+  if (!settings.enabled) {
+    return null;
+  }
+  const open = isWithinSchedule(settings, date);
+  const candidates = [];
+  for (let offset = -1; offset <= 8; offset += 1) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    day.setDate(day.getDate() + offset);
+    for (const window of settings.windows) {
+      if (!window.days.includes(DAY_NAMES[day.getDay()])) {
+        continue;
+      }
+      const start = minutesOf(window.start);
+      let end = minutesOf(window.end);
+      if (end <= start) {
+        end += MINUTES_PER_DAY;
+      }
+      for (const minutes of [start, end]) {
+        const boundary = new Date(day);
+        boundary.setMinutes(minutes);
+        if (boundary > date) {
+          candidates.push(boundary);
+        }
+      }
+    }
+  }
+  candidates.sort((a, b) => a - b);
+  return (
+    candidates.find((candidate) => isWithinSchedule(settings, candidate) !== open) ||
+    null
+  );
+}
+
+export function formatScheduleTime(date) {
+  if (!date) {
+    return "";
+  }
+  return `${DAY_LABELS[date.getDay()]} ${formatTimeOfDay(date.getHours() * 60 + date.getMinutes())}`;
+}
+
+export async function getTranscodeSchedule() {
+  await ensureScheduleLoaded();
+  return schedule;
+}
+
+// Saved settings plus whether the queue may run right now.
+export async function getTranscodeScheduleState(date = new Date()) {
+  await ensureScheduleLoaded();
+  const nextChange = findNextScheduleChange(schedule, date);
+  return {
+    ...schedule,
+    open: isWithinSchedule(schedule, date),
+    nextChangeAt: nextChange ? nextChange.toISOString() : null,
+  };
+}
+
+export async function updateTranscodeSchedule(input = {}) {
+  await ensureScheduleLoaded();
+  const next = normalizeTranscodeSchedule({ ...schedule, ...input });
+  schedule = next;
+  await writeSchedule(schedule);
+  return getTranscodeScheduleState();
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Holds a running job to the schedule. Files wait for an open window before
+// they start; when a window closes mid-file, "pause" stops the running ffmpeg
+// processes until the next window opens and "stop" lets them finish.
+export function createScheduleGate({
+  processState,
+  isCancelled,
+  onStatus,
+  pollMs = SCHEDULE_POLL_MS,
+}) {
+  let windowWait = null;
+  let lastOpen = null;
+  let pausedFiles = [];
+  let timer = null;
+  let checkInFlight = false;
+
+  let waiting = false;
+
+  async function holdUntilOpen() {
+    const settings = await getTranscodeSchedule();
+    if (isWithinSchedule(settings) || isCancelled()) {
+      return;
+    }
+    waiting = true;
+    const nextChange = findNextScheduleChange(settings);
+    onStatus(
+      nextChange
+        ? `Waiting: outside the transcode schedule until ${formatScheduleTime(nextChange)}.`
+        : "Waiting: outside the transcode schedule.",
+    );
+    try {
+      while (!isCancelled() && !isWithinSchedule(await getTranscodeSchedule())) {
+        await sleep(pollMs);
+      }
+    } finally {
+      waiting = false;
+    }
+    if (!isCancelled()) {
+      onStatus("Schedule window open: continuing transcode.");
+    }
+  }
+
+  // Parallel workers share one wait, so the status is only sent once.
+  function waitForWindow() {
+    if (!windowWait) {
+      windowWait = holdUntilOpen().finally(() => {
+        windowWait = null;
+      });
+    }
+    return windowWait;
+  }
+
+  async function checkRunningFiles() {
+    if (checkInFlight) {
+      return;
+    }
+    checkInFlight = true;
+    try {
+      const settings = await getTranscodeSchedule();
+      const open = isWithinSchedule(settings);
+      const wasOpen = lastOpen;
+      lastOpen = open;
+      // Only act when the window opens or closes, so a file the user resumes
+      // by hand outside the window is left running.
+      if (wasOpen === null || wasOpen === open) {
+        return;
+      }
+      if (!open && settings.outsideWindow === "pause") {
+        // Files already paused for another reason get the schedule's hold
+        // too, so that reason ending doesn't restart them outside the window.
+        const running = processState.listProcesses();
+        for (const child of running) {
+          processState.pauseProcesses(child.file, "schedule");
+        }
+        pausedFiles = running.map((child) => child.file);
+        if (running.length) {
+          const nextChange = findNextScheduleChange(settings);
+          onStatus(
+            `Paused: outside the transcode schedule${nextChange ? ` until ${formatScheduleTime(nextChange)}` : ""}.`,
+          );
+        }
+      } else if (!open && processState.listProcesses().length) {
+        onStatus(
+          "Transcode schedule window closed: finishing the current file(s) before waiting.",
+        );
+      } else if (open && pausedFiles.length) {
+        for (const file of pausedFiles) {
+          processState.resumeProcesses(file, "schedule");
+        }
+        const stillPaused = processState
+          .listProcesses()
+          .filter((child) => pausedFiles.includes(child.file) && child.paused);
+        pausedFiles = [];
+        onStatus(
+          stillPaused.length
+            ? `Transcode schedule window opened; ${stillPaused.length} file(s) stay paused (${[...new Set(stillPaused.flatMap((child) => child.pausedBy))].join(", ")}).`
+            : "Resumed: transcode schedule window opened.",
+        );
+      }
+    } catch {
+    } finally {
+      checkInFlight = false;
+    }
+  }
+
+  function start() {
+    checkRunningFiles();
+    timer = setInterval(checkRunningFiles, pollMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function getState() {
+    return { waiting, pausedFiles: [...pausedFiles] };
+  }
+
+  return { waitForWindow, start, stop, getState };
+}
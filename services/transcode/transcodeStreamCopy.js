@@ -0,0 +1,180 @@
+// Codec names (as ffprobe reports them) for the encoders the UI offers.
+const ENCODER_CODECS = [
+  [/^(libx265|hevc_)/, "hevc"],
+  [/^(libx264|h264_)/, "h264"],
+  [/^(libsvtav1|libaom-av1|librav1e|libdav1d|av1_)/, "av1"],
+  [/^(libvpx-vp9|vp9_)/, "vp9"],
+  [/^libvpx$/, "vp8"],
+  [/^(libxvid|mpeg4)$/, "mpeg4"],
+  [/^(aac|libfdk_aac|aac_at)$/, "aac"],
+  [/^(libopus|opus)$/, "opus"],
+  [/^(libvorbis|vorbis)$/, "vorbis"],
+  [/^libmp3lame$/, "mp3"],
+];
+
+// What each container can carry without re-encoding. Matroska takes
+// anything, so it has no entry.
+const CONTAINER_CODECS = {
+  mp4: new Set([
+    "h264",
+    "hevc",
+    "av1",
+    "vp9",
+    "mpeg4",
+    "aac",
+    "ac3",
+    "eac3",
+    "mp3",
+    "opus",
+    "flac",
+    "alac",
+  ]),
+  mov: new Set([
+    "h264",
+    "hevc",
+    "mpeg4",
+    "prores",
+    "aac",
+    "ac3",
+    "eac3",
+    "mp3",
+    "alac",
+  ]),
+  webm: new Set(["vp8", "vp9", "av1", "opus", "vorbis"]),
+};
+
+export function normalizeStreamCopyOptions(input = {}) {
+  return {
+    smartCopy: input.smartCopy === true || input.smartCopy === "true",
+  };
+}
+
+export function resolveEncoderCodec(encoder) {
+  const value = String(encoder || "").trim().toLowerCase();
+  if (!value) {
+    return "";
+  }
+  const match = ENCODER_CODECS.find(([pattern]) => pattern.test(value));
+  return match ? match[1] : value;
+}
+
+export function containerCanHold(container, codec) {
+  const codecs = CONTAINER_CODECS[container];
+  return !codecs || codecs.has(codec);
+}
+
+// Rejects target encoders the output container can't hold, such as HEVC in
+// WebM.
+export function validateContainerCodecs({ container, videoCodec, audioCodec }) {
+  if (!container) {
+    return;
+  }
+  for (const encoder of [videoCodec, audioCodec]) {
+    const codec = resolveEncoderCodec(encoder);
+    if (codec && codec !== "copy" && !containerCanHold(container, codec)) {
+      throw new Error(`${container} can't hold ${codec} (${encoder}).`);
+    }
+  }
+}
+
+function exceedsKbps(actualBps, limitKbps) {
+  const limit = Number.parseFloat(limitKbps);
+  if (!(limit > 0)) {
+    return false;
+  }
+  // Unknown bitrates can't be shown to be under the target.
+  return !Number.isFinite(actualBps) || actualBps / 1000 > limit;
+}
+
+// Why the source video has to be re-encoded, or null when it can be copied
+// as-is: same codec as the target, fits the container, within the bitrate
+// target and with no filter that has to touch the picture.
+function findVideoEncodeReason(actual, opts) {
+  const sourceCodec = actual.videoCodec || "";
+  const targetCodec = resolveEncoderCodec(opts.videoCodec);
+  if (!sourceCodec) {
+    return "no video stream found";
+  }
+  if (targetCodec && targetCodec !== sourceCodec) {
+    return `${sourceCodec} is not ${targetCodec}`;
+  }
+  if (!containerCanHold(opts.container, sourceCodec)) {
+    return `${opts.container} can't hold ${sourceCodec}`;
+  }
+  const bitrateLimit =
+    opts.videoQualityMode === "crf" ? opts.videoMaxrate : opts.videoBitrate;
+  if (exceedsKbps(actual.videoBitrate, bitrateLimit)) {
+    return `bitrate is above ${bitrateLimit}k`;
+  }
+  const bitsPerPixel = Number.parseFloat(opts.bitsPerPixel);
+  if (bitsPerPixel > 0 && actual.bitsPerPixel > bitsPerPixel) {
+    return `bits per pixel is above ${bitsPerPixel}`;
+  }
+  if (opts.deinterlace) {
+    return "deinterlacing";
+  }
+  if (opts.burnForcedSubtitles) {
+    return "burning in subtitles";
+  }
+  if (opts.hdrPolicy === "tonemap" && actual.hdr?.isHdr) {
+    return "tone-mapping";
+  }
+  const maxWidth = Number.parseInt(opts.maxWidth, 10);
+  const maxHeight = Number.parseInt(opts.maxHeight, 10);
+  if (
+    (maxWidth > 0 && !(actual.width <= maxWidth)) ||
+    (maxHeight > 0 && !(actual.height <= maxHeight))
+  ) {
+    return "scaling";
+  }
+  const maxFps = Number.parseFloat(opts.maxFps);
+  if (maxFps > 0 && !(actual.frameRate <= maxFps)) {
+    return "frame rate cap";
+  }
+  return null;
+}
+
+function canCopyAudioStream(stream, opts) {
+  const targetCodec = resolveEncoderCodec(opts.audioCodec);
+  if (!stream.codec || (targetCodec && targetCodec !== stream.codec)) {
+    return false;
+  }
+  if (!containerCanHold(opts.container, stream.codec)) {
+    return false;
+  }
+  const channels = Number.parseInt(opts.audioChannels, 10);
+  if (channels > 0 && stream.channels > channels) {
+    return false;
+  }
+  // Audio bitrates are often missing from Matroska, so only a known
+  // bitrate above the target forces a re-encode.
+  const bitrate = Number.parseFloat(opts.audioBitrate);
+  return !(bitrate > 0 && stream.bitrate / 1000 > bitrate);
+}
+
+// Compares an inspectOne result with the transcode target and decides which
+// streams can be copied. audioIndexes are positions among the source audio
+// streams, matching selectAudioStreams. Without explicit track mapping
+// ffmpeg picks the audio stream itself, so allAudio says whether any pick
+// can be copied.
+export function planStreamCopy(actual, opts) {
+  const videoEncodeReason = findVideoEncodeReason(actual || {}, opts);
+  const audioStreams = Array.isArray(actual?.audioStreams)
+    ? actual.audioStreams
+    : [];
+  const audioIndexes = new Set(
+    audioStreams
+      .map((stream, audioIndex) =>
+        canCopyAudioStream(stream, opts) ? audioIndex : null,
+      )
+      .filter((audioIndex) => audioIndex !== null),
+  );
+  return {
+    video: !videoEncodeReason,
+    videoEncodeReason,
+    videoCodec: actual?.videoCodec || "",
+    audioIndexes,
+    allAudio:
+      audioStreams.length > 0 && audioIndexes.size === audioStreams.length,
+  };
+}
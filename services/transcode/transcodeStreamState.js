@@ -9,6 +9,31 @@ function parseJsonSafe(payloadText) {
   }
 }
 
+const JSON_PAYLOAD_EVENTS = new Set(['queue', 'overall', 'progress', 'file-start', 'file-complete', 'file-failed']);
+
+// Events published for a job carry its id: JSON payloads gain a jobId field and
+// plain-text payloads (status, log, done) become { jobId, message }.
+export function tagEventPayload(event, payload, jobId) {
+  if (!jobId) {
+    return payload;
+  }
+  if (JSON_PAYLOAD_EVENTS.has(event)) {
+    const parsed = typeof payload === 'string' ? parseJsonSafe(payload) : payload;
+    if (parsed && typeof parsed === 'object') {
+      return JSON.stringify({ ...parsed, jobId });
+    }
+  }
+  return JSON.stringify({ jobId, message: String(payload ?? '') });
+}
+
+export function readEventMessage(payloadText) {
+  const parsed = parseJsonSafe(payloadText);
+  if (parsed && typeof parsed.message === 'string') {
+    return parsed.message;
+  }
+  return payloadText;
+}
+
 function writeSseEvent(res, event, payload) {
   res.write(`event: ${event}\n`);
   const text = String(payload ?? '');
@@ -25,21 +50,21 @@ export function createTranscodeStreamState() {
   let latestQueuePayloadText = null;
   let latestOverallPayloadText = null;
   let latestProgressPayloadText = null;
-  let latestFileStartPayload = null;
+  // Keyed by file path: parallel workers keep one entry per running file.
+  const fileStartPayloads = new Map();
+  const progressPayloadTexts = new Map();
 
   function resetAllSnapshots() {
     latestTranscodeStatusText = null;
-    latestQueuePayloadText = null;
-    latestOverallPayloadText = null;
-    latestProgressPayloadText = null;
-    latestFileStartPayload = null;
+    clearProgressSnapshots();
   }
 
   function clearProgressSnapshots() {
     latestQueuePayloadText = null;
     latestOverallPayloadText = null;
     latestProgressPayloadText = null;
-    latestFileStartPayload = null;
+    fileStartPayloads.clear();
+    progressPayloadTexts.clear();
   }
 
   function broadcastEvent(event, payload) {
@@ -51,6 +76,10 @@ export function createTranscodeStreamState() {
       latestOverallPayloadText = String(payload ?? '');
     } else if (event === 'progress') {
       latestProgressPayloadText = String(payload ?? '');
+      const file = parseJsonSafe(latestProgressPayloadText)?.file;
+      if (file && fileStartPayloads.has(file)) {
+        progressPayloadTexts.set(file, latestProgressPayloadText);
+      }
     }
 
     for (const client of clients) {
@@ -60,9 +89,10 @@ export function createTranscodeStreamState() {
 
   function emitFileEvent(event, payload) {
     if (event === 'file-start') {
-      latestFileStartPayload = payload;
-    } else if ((event === 'file-complete' || event === 'file-failed') && latestFileStartPayload?.file === payload?.file) {
-      latestFileStartPayload = null;
+      fileStartPayloads.set(payload?.file, payload);
+    } else if (event === 'file-complete' || event === 'file-failed') {
+      fileStartPayloads.delete(payload?.file);
+      progressPayloadTexts.delete(payload?.file);
     }
     broadcastEvent(event, JSON.stringify(payload));
   }
@@ -70,11 +100,13 @@ export function createTranscodeStreamState() {
   function getLiveState(inProgress) {
     return {
       inProgress,
-      status: latestTranscodeStatusText,
+      status: latestTranscodeStatusText === null ? null : readEventMessage(latestTranscodeStatusText),
       queue: parseJsonSafe(latestQueuePayloadText),
       overall: parseJsonSafe(latestOverallPayloadText),
       progress: parseJsonSafe(latestProgressPayloadText),
-      activeFile: latestFileStartPayload
+      activeFile: fileStartPayloads.values().next().value || null,
+      activeFiles: Array.from(fileStartPayloads.values()),
+      activeProgress: Array.from(progressPayloadTexts.values(), parseJsonSafe).filter(Boolean)
     };
   }
 
@@ -85,11 +117,15 @@ export function createTranscodeStreamState() {
     if (latestOverallPayloadText) {
       writeSseEvent(res, 'overall', latestOverallPayloadText);
     }
-    if (latestProgressPayloadText) {
-      writeSseEvent(res, 'progress', latestProgressPayloadText);
+    for (const payload of fileStartPayloads.values()) {
+      writeSseEvent(res, 'file-start', JSON.stringify(payload));
     }
-    if (latestFileStartPayload) {
-      writeSseEvent(res, 'file-start', JSON.stringify(latestFileStartPayload));
+    if (progressPayloadTexts.size) {
+      for (const payloadText of progressPayloadTexts.values()) {
+        writeSseEvent(res, 'progress', payloadText);
+      }
+    } else if (latestProgressPayloadText) {
+      writeSseEvent(res, 'progress', latestProgressPayloadText);
     }
   }
 
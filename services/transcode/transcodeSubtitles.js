@@ -0,0 +1,198 @@
+import path from "path";
+
+export const SUBTITLE_MODES = ["default", "keep", "sidecar", "none"];
+
+const TEXT_SUBTITLE_CODECS = new Set([
+  "subrip",
+  "srt",
+  "ass",
+  "ssa",
+  "mov_text",
+  "webvtt",
+  "text",
+  "microdvd",
+  "subviewer",
+]);
+
+// PGS can be written to a .sup file; the other bitmap formats only survive
+// in Matroska, so their sidecars are .mks files.
+const IMAGE_SUBTITLE_CODECS = new Set([
+  "hdmv_pgs_subtitle",
+  "dvd_subtitle",
+  "dvb_subtitle",
+  "xsub",
+]);
+
+export function resolveContainer(filePath) {
+  const ext = path.extname(String(filePath || "")).toLowerCase();
+  if (ext === ".m4v") return "mp4";
+  return ext.replace(/^\./, "");
+}
+
+// Codec to write an embedded subtitle stream with, or null when the
+// container can't hold it.
+export function resolveEmbeddedSubtitleCodec(codec, container) {
+  if (container === "mkv") {
+    return "copy";
+  }
+  if (!TEXT_SUBTITLE_CODECS.has(codec)) {
+    return null;
+  }
+  if (container === "mp4" || container === "mov") {
+    return codec === "mov_text" ? "copy" : "mov_text";
+  }
+  if (container === "webm") {
+    return codec === "webvtt" ? "copy" : "webvtt";
+  }
+  return null;
+}
+
+export function listSubtitleStreams(streams) {
+  return (Array.isArray(streams) ? streams : [])
+    .filter((stream) => stream?.codec_type === "subtitle")
+    .map((stream, subIndex) => {
+      const codec = String(stream.codec_name || "").toLowerCase();
+      return {
+        subIndex,
+        index: stream.index,
+        codec,
+        language: stream.tags?.language || undefined,
+        title: stream.tags?.title || undefined,
+        forced: stream.disposition?.forced === 1,
+        isText: TEXT_SUBTITLE_CODECS.has(codec),
+        isImage: IMAGE_SUBTITLE_CODECS.has(codec),
+      };
+    });
+}
+
+export function normalizeSubtitleOptions(input = {}) {
+  const subtitleMode = String(input.subtitleMode || "").trim() || "default";
+  if (!SUBTITLE_MODES.includes(subtitleMode)) {
+    throw new Error(
+      `Subtitle mode must be one of ${SUBTITLE_MODES.join(", ")}.`,
+    );
+  }
+  return {
+    subtitleMode,
+    burnForcedSubtitles:
+      input.burnForcedSubtitles === true ||
+      input.burnForcedSubtitles === "true",
+  };
+}
+
+function buildSidecar(subtitle) {
+  if (subtitle.isText) {
+    return { ...subtitle, codec: "srt", ext: ".srt" };
+  }
+  if (subtitle.codec === "hdmv_pgs_subtitle") {
+    return { ...subtitle, codec: "copy", ext: ".sup" };
+  }
+  if (subtitle.isImage) {
+    return { ...subtitle, codec: "copy", ext: ".mks" };
+  }
+  return null;
+}
+
+// Decides, per source subtitle stream, whether it is embedded (copied or
+// converted), written to a sidecar next to the output, burned into the
+// picture or dropped. Returns null for the "default" mode, which leaves
+// subtitle selection to ffmpeg.
+export function planSubtitleTracks(streams, { subtitleMode, burnForcedSubtitles, container }) {
+  const subtitles = listSubtitleStreams(streams);
+  const forced = burnForcedSubtitles
+    ? subtitles.find(
+        (subtitle) => subtitle.forced && (subtitle.isText || subtitle.isImage),
+      )
+    : null;
+  const burn = forced
+    ? { subIndex: forced.subIndex, image: forced.isImage }
+    : null;
+  if (subtitleMode === "default" || !subtitleMode) {
+    return burn ? { embed: null, sidecars: [], dropped: [], burn } : null;
+  }
+
+  const plan = { embed: [], sidecars: [], dropped: [], burn };
+  for (const subtitle of subtitles) {
+    if (forced && subtitle.subIndex === forced.subIndex) {
+      continue;
+    }
+    if (subtitleMode === "none") {
+      plan.dropped.push(subtitle);
+      continue;
+    }
+    const embeddedCodec =
+      subtitleMode === "keep"
+        ? resolveEmbeddedSubtitleCodec(subtitle.codec, container)
+        : null;
+    if (embeddedCodec) {
+      plan.embed.push({ ...subtitle, outputCodec: embeddedCodec });
+      continue;
+    }
+    const sidecar = buildSidecar(subtitle);
+    if (sidecar) {
+      plan.sidecars.push(sidecar);
+    } else {
+      plan.dropped.push(subtitle);
+    }
+  }
+
+  // Plex-style names: movie.eng.srt, movie.eng.forced.srt. Repeats of the
+  // same language get the stream number so they don't overwrite each other.
+  const usedSuffixes = new Set();
+  for (const sidecar of plan.sidecars) {
+    const base = `.${sidecar.language || "und"}${sidecar.forced ? ".forced" : ""}`;
+    let suffix = `${base}${sidecar.ext}`;
+    if (usedSuffixes.has(suffix)) {
+      suffix = `${base}.${sidecar.subIndex + 1}${sidecar.ext}`;
+    }
+    usedSuffixes.add(suffix);
+    sidecar.suffix = suffix;
+  }
+  return plan;
+}
+
+export function buildSubtitleSidecarPath(outputPath, sidecar) {
+  const ext = path.extname(outputPath);
+  return path.join(
+    path.dirname(outputPath),
+    `${path.basename(outputPath, ext)}${sidecar.suffix}`,
+  );
+}
+
+// ffmpeg parses a filter argument twice (filter options, then the graph), so
+// special characters in a file name need escaping at both levels.
+function escapeFilterValue(value) {
+  const optionLevel = String(value).replace(/[\\':]/g, "\\$&");
+  return optionLevel.replace(/[\\'[\],;]/g, "\\$&");
+}
+
+export function buildSubtitleBurnFilter(input, burn) {
+  return `subtitles=filename=${escapeFilterValue(input)}:si=${burn.subIndex}`;
+}
+
+export function buildSubtitleStreamArgs(plan) {
+  const args = [];
+  for (const subtitle of plan.embed || []) {
+    args.push("-map", `0:s:${subtitle.subIndex}`);
+  }
+  (plan.embed || []).forEach((subtitle, outputIndex) => {
+    args.push(`-c:s:${outputIndex}`, subtitle.outputCodec);
+  });
+  return args;
+}
+
+// Sidecars are extra outputs on the same ffmpeg command, so the source is
+// read once.
+export function buildSubtitleSidecarArgs(plan, outputPath) {
+  const args = [];
+  for (const sidecar of plan.sidecars || []) {
+    args.push(
+      "-map",
+      `0:s:${sidecar.subIndex}`,
+      "-c:s",
+      sidecar.codec,
+      buildSubtitleSidecarPath(outputPath, sidecar),
+    );
+  }
+  return args;
+}
@@ -0,0 +1,180 @@
+import os from "os";
+import { setProcessNiceness } from "../system/processPriority.js";
+import { readCpuTempC, readLoadPerCore } from "../system/systemLoad.js";
+
+export const THROTTLE_ACTIONS = ["pause", "nice"];
+const THROTTLED_NICENESS = 19;
+// Resume once the reading is comfortably back under the limit, so a file
+// doesn't stop and start around it.
+const TEMP_RECOVERY_C = 5;
+const LOAD_RECOVERY_RATIO = 0.8;
+
+export function normalizeThrottleOptions(input = {}) {
+  const { throttleTempC, throttleLoad, throttleAction } = input;
+  let tempC = null;
+  if (throttleTempC !== undefined && throttleTempC !== null && throttleTempC !== "") {
+    tempC = Number.parseInt(String(throttleTempC), 10);
+    if (!Number.isFinite(tempC) || tempC < 30 || tempC > 110) {
+      throw new Error("Throttle temperature must be between 30 and 110 °C.");
+    }
+  }
+
+  let load = null;
+  if (throttleLoad !== undefined && throttleLoad !== null && throttleLoad !== "") {
+    load = Number.parseFloat(String(throttleLoad));
+    if (!Number.isFinite(load) || load < 0.1 || load > 16) {
+      throw new Error(
+        "Throttle load must be a load average per CPU core between 0.1 and 16.",
+      );
+    }
+  }
+
+  const action = String(throttleAction || "pause").trim().toLowerCase();
+  if (!THROTTLE_ACTIONS.includes(action)) {
+    throw new Error(`Throttle action must be one of ${THROTTLE_ACTIONS.join(", ")}.`);
+  }
+
+  return { throttleTempC: tempC, throttleLoad: load, throttleAction: action };
+}
+
+function formatTemp(tempC) {
+  return `${tempC}°C`;
+}
+
+// Why the file should be (or stay) throttled, or null.
+function resolveThrottleReason({ tempC, load }, { throttleTempC, throttleLoad, throttled }) {
+  if (Number.isFinite(throttleTempC) && Number.isFinite(tempC)) {
+    const hot = throttled
+      ? tempC > throttleTempC - TEMP_RECOVERY_C
+      : tempC >= throttleTempC;
+    if (hot) {
+      return `CPU at ${formatTemp(tempC)} (limit ${formatTemp(throttleTempC)})`;
+    }
+  }
+  if (Number.isFinite(throttleLoad) && Number.isFinite(load)) {
+    const busy = throttled
+      ? load > throttleLoad * LOAD_RECOVERY_RATIO
+      : load >= throttleLoad;
+    if (busy) {
+      return `load ${load} per core (limit ${throttleLoad})`;
+    }
+  }
+  return null;
+}
+
+function describeReadings({ tempC, load }, { throttleTempC, throttleLoad }) {
+  const parts = [];
+  if (Number.isFinite(throttleTempC) && Number.isFinite(tempC)) {
+    parts.push(`CPU at ${formatTemp(tempC)}`);
+  }
+  if (Number.isFinite(throttleLoad) && Number.isFinite(load)) {
+    parts.push(`load ${load} per core`);
+  }
+  return parts.join(", ");
+}
+
+// Watches CPU temperature and load while one ffmpeg process runs. "pause"
+// stops the process until things recover; "nice" drops it to the lowest
+// priority so other work gets the CPU first.
+export function createThrottleMonitor({
+  ffmpegProcess,
+  throttleTempC = null,
+  throttleLoad = null,
+  throttleAction = "pause",
+  isCurrentProcess,
+  isHeld,
+  hold,
+  release,
+  onStatus,
+  readTemperature = readCpuTempC,
+  readLoad = readLoadPerCore,
+  intervalMs = 10000,
+}) {
+  if (!Number.isFinite(throttleTempC) && !Number.isFinite(throttleLoad)) {
+    return null;
+  }
+
+  let checkInFlight = false;
+  let throttled = false;
+  let originalNiceness = null;
+
+  const throttle = (reason) => {
+    if (throttleAction === "nice") {
+      try {
+        originalNiceness = os.getPriority(ffmpegProcess.pid);
+        setProcessNiceness(ffmpegProcess.pid, THROTTLED_NICENESS);
+      } catch (error) {
+        onStatus?.(`Throttle failed: could not lower ffmpeg priority (${error.message}).`);
+        return;
+      }
+      throttled = true;
+      onStatus?.(`Throttled: ${reason}; ffmpeg lowered to niceness ${THROTTLED_NICENESS}.`);
+      return;
+    }
+    // Added to any pause already in place, so the file stays stopped until
+    // every party that paused it has let go.
+    hold();
+    throttled = true;
+    onStatus?.(`Paused: ${reason}.`);
+  };
+
+  const recover = (readings) => {
+    throttled = false;
+    const recovered = describeReadings(readings, { throttleTempC, throttleLoad });
+    if (throttleAction === "nice") {
+      try {
+        setProcessNiceness(ffmpegProcess.pid, originalNiceness ?? 0);
+        onStatus?.(`Restored: ${recovered}; ffmpeg back to niceness ${originalNiceness ?? 0}.`);
+      } catch {
+        // Unprivileged processes can't raise priority again, so the rest of
+        // this file runs at the lower priority.
+        onStatus?.(`Recovered: ${recovered}, but ffmpeg stays at niceness ${THROTTLED_NICENESS} (raising priority needs more privileges).`);
+      }
+      return;
+    }
+    const remaining = release();
+    onStatus?.(remaining.length
+      ? `Recovered: ${recovered}, but the file stays paused (${remaining.join(", ")}).`
+      : `Resumed: ${recovered}.`);
+  };
+
+  const check = async () => {
+    if (checkInFlight || !isCurrentProcess()) {
+      return;
+    }
+    checkInFlight = true;
+    try {
+      // A manual resume drops every hold, this one included.
+      if (throttled && throttleAction === "pause" && !isHeld()) {
+        throttled = false;
+      }
+      const readings = {
+        tempC: Number.isFinite(throttleTempC) ? await readTemperature() : null,
+        load: Number.isFinite(throttleLoad) ? readLoad() : null,
+      };
+      if (!Number.isFinite(readings.tempC) && !Number.isFinite(readings.load)) {
+        return;
+      }
+      const reason = resolveThrottleReason(readings, {
+        throttleTempC,
+        throttleLoad,
+        throttled,
+      });
+      if (reason && !throttled) {
+        throttle(reason);
+      } else if (!reason && throttled) {
+        recover(readings);
+      }
+    } catch {
+    } finally {
+      checkInFlight = false;
+    }
+  };
+
+  check();
+  const timer = setInterval(check, intervalMs);
+
+  return () => {
+    clearInterval(timer);
+  };
+}
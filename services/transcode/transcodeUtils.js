@@ -1,6 +1,8 @@
 import path from 'path';
 import { spawn } from 'child_process';
 import { getFfprobeCommand } from '../options/optionsService.js';
+import { parseFrameRate } from '../audit/auditCore.js';
+import { DEFAULT_OUTPUT_TEMPLATE } from './transcodePolicy.js';
 
 function isWebmCompatible(videoCodec, audioCodec) {
   const normalizedVideo = (videoCodec || '').toLowerCase();
@@ -40,14 +42,45 @@ function parseTimestampToSeconds(value) {
   return (hours * 3600) + (minutes * 60) + seconds;
 }
 
+function resolveOutputDir(inputPath, opts) {
+  if (!opts.outputRoot) {
+    return path.dirname(inputPath);
+  }
+  const sourceDir = path.dirname(path.resolve(inputPath));
+  const relativeDir = opts.sourceRoot ? path.relative(opts.sourceRoot, sourceDir) : '';
+  if (relativeDir.startsWith('..') || path.isAbsolute(relativeDir)) {
+    throw new Error(`${inputPath} is outside the source root ${opts.sourceRoot}`);
+  }
+  return path.join(opts.outputRoot, relativeDir);
+}
+
+// Fills {token} placeholders. Values can't add path separators, so only the
+// template itself decides the folder layout.
+function renderOutputTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (_match, token) => {
+    const value = values[token];
+    const text = value === undefined || value === null || value === '' ? 'unknown' : String(value);
+    return text.replace(/[\\/:*?"<>|]/g, '-');
+  });
+}
+
+// opts.templateValues fills {codec}, {audio}, {width}, {height} and {date}
+// in opts.outputTemplate; call once per file so {date} stays stable.
 export function buildOutputPath(inputPath, opts = {}) {
   const inputExt = path.extname(inputPath).toLowerCase();
-  const ext = inputExt === '.webm' && !isWebmCompatible(opts.videoCodec, opts.audioCodec)
-    ? '.mkv'
-    : inputExt;
-  const base = path.basename(inputPath, inputExt);
-  const dir = path.dirname(inputPath);
-  return path.join(dir, `${base}.transcoded${ext}`);
+  let ext = inputExt;
+  if (opts.container) {
+    ext = `.${opts.container}`;
+  } else if (inputExt === '.webm' && !isWebmCompatible(opts.videoCodec, opts.audioCodec)) {
+    ext = '.mkv';
+  }
+  const name = renderOutputTemplate(opts.outputTemplate || DEFAULT_OUTPUT_TEMPLATE, {
+    date: new Date().toISOString().slice(0, 10),
+    ...opts.templateValues,
+    name: path.basename(inputPath, inputExt),
+    container: ext.replace(/^\./, '')
+  });
+  return path.join(resolveOutputDir(inputPath, opts), `${name}${ext}`);
 }
 
 export function buildLogPathFromOutput(outputPath) {
@@ -259,4 +292,42 @@ export function runFfprobeAudioBitrateKbps(filePath) {
       }
     });
   });
-}
\ No newline at end of file
+}
+
+// Frame rate of the first video stream in runFfprobeStreams output.
+export function findVideoFrameRate(streams) {
+  const videoStream = streams.find((stream) => String(stream?.codec_type || '').toLowerCase() === 'video');
+  return parseFrameRate(videoStream?.avg_frame_rate) ?? parseFrameRate(videoStream?.r_frame_rate) ?? null;
+}
+
+export function runFfprobeStreams(filePath) {
+  return new Promise((resolve) => {
+    const args = ['-v', 'error', '-print_format', 'json', '-show_streams', filePath];
+    const ffprobeCommand = getFfprobeCommand();
+
+    const child = spawn(ffprobeCommand, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk.toString();
+    });
+
+    child.on('error', () => {
+      resolve([]);
+    });
+
+    child.on('close', (code) => {
+      if (code !== 0) {
+        resolve([]);
+        return;
+      }
+
+      try {
+        const parsed = JSON.parse(stdout || '{}');
+        resolve(Array.isArray(parsed?.streams) ? parsed.streams : []);
+      } catch {
+        resolve([]);
+      }
+    });
+  });
+}
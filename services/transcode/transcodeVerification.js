@@ -1,10 +1,303 @@
 import fs from "fs/promises";
-import { runFfprobeDuration } from "./transcodeUtils.js";
+import { spawn } from "child_process";
+import { getFfmpegCommand } from "../options/optionsService.js";
+import { runFfprobeDuration, runFfprobeStreams } from "./transcodeUtils.js";
 
-export async function verifyTranscodeOutput(inputPath, outputPath) {
+// Each level runs the checks of the levels before it.
+export const VERIFY_LEVELS = ["basic", "streams", "decode", "quality"];
+export const QUALITY_METRICS = ["ssim", "psnr", "vmaf"];
+
+// Valid threshold range per metric: SSIM is 0-1, PSNR is in dB, VMAF 0-100.
+const QUALITY_RANGES = {
+  ssim: [0, 1],
+  psnr: [0, 100],
+  vmaf: [0, 100],
+};
+
+// Scoring a whole film takes as long as encoding it, so longer files are
+// scored on a few evenly spaced clips.
+const QUALITY_SAMPLE_COUNT = 3;
+const QUALITY_SAMPLE_SECONDS = 10;
+
+export function normalizeVerificationOptions(input = {}) {
+  const verifyLevel = String(input.verifyLevel || "").trim() || "basic";
+  if (!VERIFY_LEVELS.includes(verifyLevel)) {
+    throw new Error(
+      `Verification level must be one of ${VERIFY_LEVELS.join(", ")}.`,
+    );
+  }
+  const qualityMetric =
+    String(input.qualityMetric || "")
+      .trim()
+      .toLowerCase() || "ssim";
+  if (!QUALITY_METRICS.includes(qualityMetric)) {
+    throw new Error(
+      `Quality metric must be one of ${QUALITY_METRICS.join(", ")}.`,
+    );
+  }
+  const minQualityText = String(input.minQuality ?? "").trim();
+  let minQuality = "";
+  if (minQualityText) {
+    const value = Number.parseFloat(minQualityText);
+    const [low, high] = QUALITY_RANGES[qualityMetric];
+    if (!Number.isFinite(value) || value < low || value > high) {
+      throw new Error(
+        `Minimum ${qualityMetric.toUpperCase()} must be between ${low} and ${high}.`,
+      );
+    }
+    minQuality = minQualityText;
+  }
+  return { verifyLevel, qualityMetric, minQuality };
+}
+
+function levelIncludes(level, check) {
+  return VERIFY_LEVELS.indexOf(level) >= VERIFY_LEVELS.indexOf(check);
+}
+
+function verificationError(message, report) {
+  const error = new Error(message);
+  error.verification = report;
+  return error;
+}
+
+// Runs a checking ffmpeg through the process state, so pause and cancel
+// reach it like the encode itself.
+function runFfmpegCheck(args, { file, transcodeProcessState }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(getFfmpegCommand(), args, {
+      stdio: ["ignore", "ignore", "pipe"],
+    });
+    transcodeProcessState?.addProcess(child, file);
+    let stderr = "";
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk.toString();
+    });
+    child.on("error", (error) => {
+      transcodeProcessState?.removeProcess(child);
+      reject(new Error(`Failed to start ffmpeg: ${error.message}`));
+    });
+    child.on("close", (code) => {
+      const tracked = transcodeProcessState?.removeProcess(child);
+      if (tracked?.cancelled || transcodeProcessState?.isCancelRequested()) {
+        const cancelError = new Error("Transcode cancelled by user.");
+        cancelError.isCancelled = true;
+        reject(cancelError);
+        return;
+      }
+      resolve({ code, stderr });
+    });
+  });
+}
+
+function countStreams(streams) {
+  const counts = { video: 0, audio: 0, subtitle: 0 };
+  for (const stream of streams) {
+    // Cover art shows up as a video stream but isn't one.
+    if (stream.codec_type === "video" && stream.disposition?.attached_pic) {
+      continue;
+    }
+    if (stream.codec_type in counts) {
+      counts[stream.codec_type] += 1;
+    }
+  }
+  return counts;
+}
+
+// Stream counts the transcode plan should produce. Without explicit mapping
+// ffmpeg keeps one video and one audio stream and picks subtitles itself, so
+// those aren't checked.
+export function buildExpectedStreams(
+  sourceStreams,
+  { audioPlan = null, subtitlePlan = null, container = "" } = {},
+) {
+  const source = countStreams(sourceStreams);
+  let subtitle = null;
+  if (Array.isArray(subtitlePlan?.embed)) {
+    subtitle = subtitlePlan.embed.length;
+  } else if (audioPlan && container === "mkv") {
+    subtitle = source.subtitle;
+  }
+  return {
+    video: Math.min(source.video, 1),
+    audio: audioPlan ? audioPlan.length : Math.min(source.audio, 1),
+    subtitle,
+  };
+}
+
+// expectedStreams holds the count the transcode plan should produce per
+// stream type; types set to null aren't checked.
+async function checkStreamParity(outputPath, expectedStreams, report) {
+  const actual = countStreams(await runFfprobeStreams(outputPath));
+  report.streams = {};
+  const mismatches = [];
+  for (const [type, expected] of Object.entries(expectedStreams || {})) {
+    if (!Number.isInteger(expected)) {
+      continue;
+    }
+    report.streams[type] = { expected, actual: actual[type] };
+    if (actual[type] !== expected) {
+      mismatches.push(`${actual[type]} ${type} (expected ${expected})`);
+    }
+  }
+  if (mismatches.length) {
+    throw verificationError(
+      `Output stream mismatch: ${mismatches.join(", ")}.`,
+      report,
+    );
+  }
+}
+
+async function checkFullDecode(outputPath, context, report) {
+  const { code, stderr } = await runFfmpegCheck(
+    [
+      "-hide_banner",
+      "-nostats",
+      "-v",
+      "error",
+      "-i",
+      outputPath,
+      "-map",
+      "0:v?",
+      "-map",
+      "0:a?",
+      "-f",
+      "null",
+      "-",
+    ],
+    context,
+  );
+  const errors = stderr.split(/\r?\n/).filter((line) => line.trim());
+  report.decode = { ok: code === 0 && !errors.length, errors: errors.length };
+  if (!report.decode.ok) {
+    throw verificationError(
+      `Output failed to decode cleanly: ${errors.slice(0, 3).join(" | ") || `ffmpeg exited with code ${code}`}`,
+      report,
+    );
+  }
+}
+
+function buildQualityFilter(metric, sourceVideo) {
+  const scale =
+    sourceVideo?.width > 0 && sourceVideo?.height > 0
+      ? `,scale=${sourceVideo.width}:${sourceVideo.height}:flags=bicubic`
+      : "";
+  const compare = metric === "vmaf" ? "libvmaf" : metric;
+  return `[0:v]setpts=PTS-STARTPTS${scale},format=yuv420p[dist];[1:v]setpts=PTS-STARTPTS,format=yuv420p[ref];[dist][ref]${compare}`;
+}
+
+// A lossless match reports PSNR as "inf", which is scored as the 100 dB cap.
+function parseQualityScore(metric, stderr) {
+  const patterns = {
+    ssim: /SSIM .*All:([\d.]+)/,
+    psnr: /PSNR .*average:([\d.]+|inf)/,
+    vmaf: /VMAF score[:=]\s*([\d.]+)/,
+  };
+  const match = stderr.match(patterns[metric]);
+  if (!match) {
+    return null;
+  }
+  return match[1] === "inf" ? 100 : Number.parseFloat(match[1]);
+}
+
+function buildSampleStarts(durationSeconds) {
+  if (
+    !Number.isFinite(durationSeconds) ||
+    durationSeconds <= QUALITY_SAMPLE_COUNT * QUALITY_SAMPLE_SECONDS * 2
+  ) {
+    return [null];
+  }
+  return Array.from({ length: QUALITY_SAMPLE_COUNT }, (_, index) =>
+    Math.max(
+      0,
+      (durationSeconds * (index + 1)) / (QUALITY_SAMPLE_COUNT + 1) -
+        QUALITY_SAMPLE_SECONDS / 2,
+    ),
+  );
+}
+
+async function scoreQuality(inputPath, outputPath, options, report) {
+  const { qualityMetric, minQuality, durationSeconds, context } = options;
+  const sourceVideo = (await runFfprobeStreams(inputPath)).find(
+    (stream) =>
+      stream.codec_type === "video" && !stream.disposition?.attached_pic,
+  );
+  const filter = buildQualityFilter(qualityMetric, sourceVideo);
+  const samples = [];
+  for (const start of buildSampleStarts(durationSeconds)) {
+    const window =
+      start === null
+        ? []
+        : ["-ss", start.toFixed(2), "-t", String(QUALITY_SAMPLE_SECONDS)];
+    const { code, stderr } = await runFfmpegCheck(
+      [
+        "-hide_banner",
+        "-nostats",
+        ...window,
+        "-i",
+        outputPath,
+        ...window,
+        "-i",
+        inputPath,
+        "-lavfi",
+        filter,
+        "-f",
+        "null",
+        "-",
+      ],
+      context,
+    );
+    const score = parseQualityScore(qualityMetric, stderr);
+    if (code !== 0 || score === null) {
+      throw verificationError(
+        `Unable to score ${qualityMetric.toUpperCase()}: ${stderr.trim().split(/\r?\n/).pop() || `ffmpeg exited with code ${code}`}`,
+        report,
+      );
+    }
+    samples.push({ startSeconds: start ?? 0, score });
+  }
+
+  const score =
+    samples.reduce((total, sample) => total + sample.score, 0) /
+    samples.length;
+  const minimum = minQuality ? Number.parseFloat(minQuality) : null;
+  report.quality = {
+    metric: qualityMetric,
+    score: Number(score.toFixed(4)),
+    minimum,
+    samples,
+  };
+  if (minimum !== null && score < minimum) {
+    throw verificationError(
+      `Output ${qualityMetric.toUpperCase()} ${report.quality.score} is below the minimum of ${minimum}; the original was kept.`,
+      report,
+    );
+  }
+}
+
+// Checks a finished output and returns what was checked. Failures throw an
+// error whose .verification holds the partial report, so scores reach the
+// job result either way. options.skipQuality names a reason the output
+// can't be compared with its source, such as a tone-mapped HDR file.
+export async function verifyTranscodeOutput(
+  inputPath,
+  outputPath,
+  {
+    verifyLevel = "basic",
+    qualityMetric = "ssim",
+    minQuality = "",
+    expectedStreams = null,
+    skipQuality = null,
+    file = inputPath,
+    transcodeProcessState = null,
+  } = {},
+) {
+  const report = { level: verifyLevel };
   const outputStat = await fs.stat(outputPath);
   if (!outputStat.isFile() || outputStat.size <= 0) {
-    throw new Error("Output file missing or empty after transcode.");
+    throw verificationError(
+      "Output file missing or empty after transcode.",
+      report,
+    );
   }
 
   const [inputDuration, outputDuration] = await Promise.all([
@@ -12,15 +305,36 @@ export async function verifyTranscodeOutput(inputPath, outputPath) {
     runFfprobeDuration(outputPath),
   ]);
 
-  if (!Number.isFinite(inputDuration) || !Number.isFinite(outputDuration)) {
-    return;
+  if (Number.isFinite(inputDuration) && Number.isFinite(outputDuration)) {
+    report.duration = { input: inputDuration, output: outputDuration };
+    const durationDiff = Math.abs(inputDuration - outputDuration);
+    const toleranceSeconds = Math.max(2, inputDuration * 0.05);
+    if (durationDiff > toleranceSeconds) {
+      throw verificationError(
+        `Output duration differs too much from input (input=${inputDuration.toFixed(2)}s output=${outputDuration.toFixed(2)}s).`,
+        report,
+      );
+    }
   }
 
-  const durationDiff = Math.abs(inputDuration - outputDuration);
-  const toleranceSeconds = Math.max(2, inputDuration * 0.05);
-  if (durationDiff > toleranceSeconds) {
-    throw new Error(
-      `Output duration differs too much from input (input=${inputDuration.toFixed(2)}s output=${outputDuration.toFixed(2)}s).`,
-    );
+  const context = { file, transcodeProcessState };
+  if (levelIncludes(verifyLevel, "streams")) {
+    await checkStreamParity(outputPath, expectedStreams, report);
+  }
+  if (levelIncludes(verifyLevel, "decode")) {
+    await checkFullDecode(outputPath, context, report);
+  }
+  if (levelIncludes(verifyLevel, "quality")) {
+    if (skipQuality) {
+      report.quality = { metric: qualityMetric, skipped: skipQuality };
+    } else {
+      await scoreQuality(
+        inputPath,
+        outputPath,
+        { qualityMetric, minQuality, durationSeconds: inputDuration, context },
+        report,
+      );
+    }
   }
-}
\ No newline at end of file
+  return report;
+}
@@ -0,0 +1,193 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { VIDEO_EXTENSIONS, collectVideoFiles } from '../audit/auditCore.js';
+
+export const WATCH_MODES = ['watch', 'poll'];
+const MAX_STABLE_CHECK_MS = 2000;
+
+function fileSignature(file) {
+  return `${file.size}:${file.mtimeMs}`;
+}
+
+async function statVideoFile(filePath) {
+  if (!VIDEO_EXTENSIONS.has(path.extname(filePath).toLowerCase())) {
+    return null;
+  }
+  try {
+    const stat = await fs.promises.stat(filePath);
+    return stat.isFile()
+      ? { path: filePath, size: stat.size, mtimeMs: stat.mtimeMs, ctimeMs: stat.ctimeMs }
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+// Reports video files under root that are new or changed since the watcher
+// started, once their size and mtime have held still for stableSeconds (so a
+// copy in progress isn't picked up half-written). Files already there at
+// start are the baseline and are left alone.
+//
+// "watch" uses fs.watch and drops to polling if the platform or mount can't
+// deliver events; "poll" rescans every pollIntervalSeconds, which is what
+// network mounts need since changes made by other machines raise no events.
+export function createFolderWatcher({
+  root,
+  mode = 'watch',
+  pollIntervalSeconds,
+  stableSeconds,
+  onFilesReady,
+  onError
+}) {
+  const known = new Map();
+  const pending = new Map();
+  let fsWatcher = null;
+  let pollTimer = null;
+  let stableTimer = null;
+  let scanInFlight = false;
+  let checkInFlight = false;
+  let stopped = false;
+  let activeMode = null;
+  let lastEventAt = null;
+  const stableMs = stableSeconds * 1000;
+
+  function noteCandidate(file) {
+    if (!file || known.get(file.path) === fileSignature(file)) {
+      return;
+    }
+    lastEventAt = new Date().toISOString();
+    const entry = pending.get(file.path);
+    if (!entry || fileSignature(entry) !== fileSignature(file)) {
+      pending.set(file.path, { ...file, since: Date.now() });
+    }
+    if (!stableTimer) {
+      stableTimer = setInterval(checkPending, Math.min(MAX_STABLE_CHECK_MS, stableMs));
+    }
+  }
+
+  async function checkPending() {
+    if (checkInFlight) {
+      return;
+    }
+    checkInFlight = true;
+    const ready = [];
+    try {
+      await collectStableFiles(ready);
+    } finally {
+      checkInFlight = false;
+    }
+    if (ready.length && !stopped) {
+      onFilesReady(ready);
+    }
+  }
+
+  async function collectStableFiles(ready) {
+    for (const [filePath, entry] of pending) {
+      const file = await statVideoFile(filePath);
+      if (!file) {
+        pending.delete(filePath);
+      } else if (fileSignature(file) !== fileSignature(entry)) {
+        pending.set(filePath, { ...file, since: Date.now() });
+      } else if (Date.now() - entry.since >= stableMs) {
+        pending.delete(filePath);
+        known.set(filePath, fileSignature(file));
+        ready.push(file);
+      }
+    }
+    if (!pending.size) {
+      clearInterval(stableTimer);
+      stableTimer = null;
+    }
+  }
+
+  async function scan({ baseline = false } = {}) {
+    if (scanInFlight) {
+      return;
+    }
+    scanInFlight = true;
+    try {
+      const files = await collectVideoFiles(root, [...VIDEO_EXTENSIONS]);
+      const seen = new Set(files.map((file) => file.path));
+      for (const filePath of known.keys()) {
+        if (!seen.has(filePath)) {
+          known.delete(filePath);
+        }
+      }
+      for (const file of files) {
+        if (baseline) {
+          known.set(file.path, fileSignature(file));
+        } else {
+          noteCandidate(file);
+        }
+      }
+    } catch (error) {
+      onError?.(error);
+    } finally {
+      scanInFlight = false;
+    }
+  }
+
+  function startPolling() {
+    activeMode = 'poll';
+    pollTimer = setInterval(() => scan(), pollIntervalSeconds * 1000);
+  }
+
+  function startWatching() {
+    try {
+      fsWatcher = fs.watch(root, { recursive: true }, (_eventType, filename) => {
+        if (!filename) {
+          // The OS dropped the name, so look at everything.
+          scan();
+          return;
+        }
+        statVideoFile(path.join(root, filename.toString())).then(noteCandidate);
+      });
+    } catch (error) {
+      onError?.(new Error(`fs.watch unavailable (${error.message}); polling instead.`));
+      startPolling();
+      return;
+    }
+    activeMode = 'watch';
+    fsWatcher.on('error', (error) => {
+      fsWatcher.close();
+      fsWatcher = null;
+      if (!stopped) {
+        onError?.(new Error(`fs.watch failed (${error.message}); polling instead.`));
+        startPolling();
+      }
+    });
+  }
+
+  async function start() {
+    await scan({ baseline: true });
+    if (stopped) {
+      return;
+    }
+    if (mode === 'poll') {
+      startPolling();
+    } else {
+      startWatching();
+    }
+  }
+
+  function stop() {
+    stopped = true;
+    fsWatcher?.close();
+    clearInterval(pollTimer);
+    clearInterval(stableTimer);
+    fsWatcher = null;
+    pollTimer = null;
+    stableTimer = null;
+    pending.clear();
+  }
+
+  function getState() {
+    return {
+      activeMode,
+      pendingFiles: [...pending.keys()],
+      lastEventAt
+    };
+  }
+
+  return { start, stop, getState };
+}
@@ -0,0 +1,330 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import {
+  createSerializedWriter,
+  readJsonFileSafe,
+  resolveDataPath
+} from '../storage/dataStore.js';
+import { inspectOne } from '../audit/auditCore.js';
+import { buildAuditInput, buildCriteria } from '../audit/auditService.js';
+import { resolveAuditPerformance } from '../audit/auditRootSettings.js';
+import { listRuleSets } from '../audit/auditRules.js';
+import { createProbeCache, loadProbeCacheEntries, saveProbeCacheUpdates } from '../audit/probeCache.js';
+import { applyPresetToRequest, getPreset } from '../presets/presetService.js';
+import { prepareTranscodeJob } from '../transcode/transcodeRequest.js';
+import { enqueueTranscodeJob, isTranscodeOutputPath } from '../transcode/transcodeQueue.js';
+import { WATCH_MODES, createFolderWatcher } from './folderWatcher.js';
+
+const DEFAULT_POLL_INTERVAL_SECONDS = 60;
+const DEFAULT_STABLE_SECONDS = 30;
+const MAX_WATCH_SECONDS = 3600;
+const QUEUE_RETRY_MS = 60 * 1000;
+
+const watchesPath = resolveDataPath('watch-folders.json');
+const writeWatches = createSerializedWriter(watchesPath, 'watch folders');
+let watches = null;
+let watchesLoaded = null;
+
+// Running watchers and what they have done since the server started, keyed
+// by watch id.
+const runtimes = new Map();
+
+async function ensureWatchesLoaded() {
+  if (!watchesLoaded) {
+    watchesLoaded = readJsonFileSafe(watchesPath, null).then((parsed) => {
+      watches = Array.isArray(parsed?.watches) ? parsed.watches : [];
+    });
+  }
+  await watchesLoaded;
+}
+
+function persistWatches() {
+  return writeWatches({ watches });
+}
+
+function parseSeconds(value, label, fallback, min) {
+  const text = String(value ?? '').trim();
+  if (!text) {
+    return fallback;
+  }
+  const parsed = Number.parseInt(text, 10);
+  if (!/^\d+$/.test(text) || parsed < min || parsed > MAX_WATCH_SECONDS) {
+    throw new Error(`${label} must be a whole number of seconds between ${min} and ${MAX_WATCH_SECONDS}.`);
+  }
+  return parsed;
+}
+
+async function buildWatch(input, existing = null) {
+  const rootText = String(input.root ?? existing?.root ?? '').trim();
+  if (!rootText) {
+    throw new Error('Watch folder is required.');
+  }
+  const root = path.resolve(rootText);
+  let stat = null;
+  try {
+    stat = await fs.stat(root);
+  } catch {
+  }
+  if (!stat?.isDirectory()) {
+    throw new Error(`Watch folder not found: ${root}`);
+  }
+
+  const presetId = String(input.presetId ?? existing?.presetId ?? '').trim();
+  if (!presetId) {
+    throw new Error('Choose the preset new files are checked and transcoded with.');
+  }
+  // Only a newly chosen preset is looked up, so a watch whose preset has gone
+  // can still be disabled or pointed at another one.
+  if (presetId !== existing?.presetId && !(await getPreset(presetId))) {
+    throw new Error(`Preset not found: ${presetId}`);
+  }
+
+  const mode = String(input.mode ?? existing?.mode ?? 'watch').trim().toLowerCase();
+  if (!WATCH_MODES.includes(mode)) {
+    throw new Error(`Watch mode must be one of ${WATCH_MODES.join(', ')}.`);
+  }
+
+  const enabled = input.enabled ?? existing?.enabled ?? true;
+  const nowIso = new Date().toISOString();
+  return {
+    id: existing?.id || randomUUID(),
+    root,
+    presetId,
+    enabled: enabled === true || enabled === 'true',
+    mode,
+    pollIntervalSeconds: parseSeconds(
+      input.pollIntervalSeconds ?? existing?.pollIntervalSeconds,
+      'Poll interval',
+      DEFAULT_POLL_INTERVAL_SECONDS,
+      5
+    ),
+    stableSeconds: parseSeconds(
+      input.stableSeconds ?? existing?.stableSeconds,
+      'Stable time',
+      DEFAULT_STABLE_SECONDS,
+      1
+    ),
+    createdAt: existing?.createdAt || nowIso,
+    updatedAt: nowIso
+  };
+}
+
+function assertUniqueRoot(root, ignoreId = null) {
+  if (watches.some((watch) => watch.id !== ignoreId && watch.root === root)) {
+    throw new Error(`${root} is already watched.`);
+  }
+}
+
+// Probes stable files against the preset's targets, as an audit with that
+// preset would, and queues the ones that don't match. Files the transcoder
+// wrote itself (outputs, replaced originals) are skipped. Mismatched files
+// that couldn't be queued are kept and tried again with the next batch, or
+// after QUEUE_RETRY_MS.
+async function evaluateWatchedFiles(watch, runtime, readyFiles) {
+  const files = readyFiles.filter((file) => !isTranscodeOutputPath(file.path, file));
+  if (!files.length && !runtime.unqueued.size) {
+    return;
+  }
+  const mismatched = new Set(runtime.unqueued);
+  if (files.length) {
+    const auditInput = buildAuditInput(await applyPresetToRequest(
+      { root: watch.root, presetId: watch.presetId },
+      { forAudit: true }
+    ));
+    const criteria = buildCriteria(auditInput, { ruleSets: await listRuleSets() });
+    criteria.probeTimeoutSeconds = (await resolveAuditPerformance(watch.root, auditInput)).probeTimeoutSeconds;
+    const probeCache = createProbeCache(await loadProbeCacheEntries());
+
+    for (const file of files) {
+      try {
+        const result = await inspectOne(file, criteria, { probeCache });
+        runtime.checkedCount += 1;
+        if (!result.matches) {
+          mismatched.add(file.path);
+        }
+      } catch (error) {
+        runtime.lastError = `ffprobe failed for ${file.path}: ${error.message}`;
+      }
+    }
+    await saveProbeCacheUpdates(probeCache.updates());
+  }
+  if (!mismatched.size) {
+    return;
+  }
+
+  try {
+    const request = await prepareTranscodeJob(await applyPresetToRequest({
+      files: [...mismatched],
+      presetId: watch.presetId
+    }));
+    const job = await enqueueTranscodeJob(request);
+    runtime.unqueued.clear();
+    runtime.queuedCount += mismatched.size;
+    runtime.lastJobId = job.id;
+    runtime.lastQueuedAt = new Date().toISOString();
+    console.log(`Watch ${watch.root}: queued ${mismatched.size} file(s) for transcode (job ${job.id}).`);
+  } catch (error) {
+    runtime.unqueued = mismatched;
+    scheduleQueueRetry(watch, runtime);
+    throw new Error(`Could not queue ${mismatched.size} file(s), retrying: ${error.message}`);
+  }
+}
+
+function scheduleEvaluation(watch, runtime, files) {
+  runtime.evaluation = runtime.evaluation
+    .then(() => evaluateWatchedFiles(watch, runtime, files))
+    .catch((error) => {
+      runtime.lastError = error.message;
+      console.error(`Watch ${watch.root}: ${error.message}`);
+    });
+}
+
+function scheduleQueueRetry(watch, runtime) {
+  clearTimeout(runtime.retryTimer);
+  runtime.retryTimer = setTimeout(() => {
+    runtime.retryTimer = null;
+    scheduleEvaluation(watch, runtime, []);
+  }, QUEUE_RETRY_MS);
+}
+
+function startWatchRuntime(watch) {
+  const runtime = {
+    watcher: null,
+    checkedCount: 0,
+    queuedCount: 0,
+    lastJobId: null,
+    lastQueuedAt: null,
+    lastError: null,
+    // Paths that didn't match but couldn't be queued yet.
+    unqueued: new Set(),
+    retryTimer: null,
+    // Evaluations run one at a time so a burst of files can't start
+    // several ffprobe batches at once.
+    evaluation: Promise.resolve()
+  };
+  runtime.watcher = createFolderWatcher({
+    root: watch.root,
+    mode: watch.mode,
+    pollIntervalSeconds: watch.pollIntervalSeconds,
+    stableSeconds: watch.stableSeconds,
+    onFilesReady: (files) => scheduleEvaluation(watch, runtime, files),
+    onError: (error) => {
+      runtime.lastError = error.message;
+      console.error(`Watch ${watch.root}: ${error.message}`);
+    }
+  });
+  runtimes.set(watch.id, runtime);
+  runtime.watcher.start().catch((error) => {
+    runtime.lastError = error.message;
+  });
+}
+
+function stopWatchRuntime(id) {
+  const runtime = runtimes.get(id);
+  runtime?.watcher.stop();
+  clearTimeout(runtime?.retryTimer);
+  runtimes.delete(id);
+}
+
+function syncWatchRuntime(watch) {
+  stopWatchRuntime(watch.id);
+  if (watch.enabled) {
+    startWatchRuntime(watch);
+  }
+}
+
+function toWatchView(watch) {
+  const runtime = runtimes.get(watch.id);
+  return {
+    ...watch,
+    status: runtime
+      ? {
+          active: true,
+          ...runtime.watcher.getState(),
+          checkedCount: runtime.checkedCount,
+          queuedCount: runtime.queuedCount,
+          lastJobId: runtime.lastJobId,
+          lastQueuedAt: runtime.lastQueuedAt,
+          unqueuedFiles: [...runtime.unqueued],
+          lastError: runtime.lastError
+        }
+      : { active: false }
+  };
+}
+
+export async function listWatchFolders() {
+  await ensureWatchesLoaded();
+  return watches.map(toWatchView);
+}
+
+export async function getWatchFolder(id) {
+  await ensureWatchesLoaded();
+  const watch = watches.find((candidate) => candidate.id === id);
+  return watch ? toWatchView(watch) : null;
+}
+
+export async function createWatchFolder(input = {}) {
+  await ensureWatchesLoaded();
+  const watch = await buildWatch(input);
+  assertUniqueRoot(watch.root);
+  watches.push(watch);
+  await persistWatches();
+  syncWatchRuntime(watch);
+  return toWatchView(watch);
+}
+
+export async function updateWatchFolder(id, input = {}) {
+  await ensureWatchesLoaded();
+  const index = watches.findIndex((watch) => watch.id === id);
+  if (index === -1) {
+    return null;
+  }
+  const watch = await buildWatch(input, watches[index]);
+  assertUniqueRoot(watch.root, id);
+  watches[index] = watch;
+  await persistWatches();
+  syncWatchRuntime(watch);
+  return toWatchView(watch);
+}
+
+export async function deleteWatchFolder(id) {
+  await ensureWatchesLoaded();
+  const index = watches.findIndex((watch) => watch.id === id);
+  if (index === -1) {
+    return false;
+  }
+  watches.splice(index, 1);
+  await persistWatches();
+  stopWatchRuntime(id);
+  return true;
+}
+
+// Folders of the watches that check against presetId; presets in use can't be
+// deleted.
+export async function listWatchRootsUsingPreset(presetId) {
+  await ensureWatchesLoaded();
+  return watches.filter((watch) => watch.presetId === presetId).map((watch) => watch.root);
+}
+
+// Called once at startup. A folder that has gone missing (an unmounted share)
+// is reported and skipped; the saved watch is kept, and saving it again once
+// the folder is back starts it.
+export async function startWatchFolders() {
+  await ensureWatchesLoaded();
+  for (const watch of watches.filter((candidate) => candidate.enabled)) {
+    try {
+      const stat = await fs.stat(watch.root);
+      if (!stat.isDirectory()) {
+        throw new Error('not a directory');
+      }
+    } catch (error) {
+      console.error(`Watch ${watch.root} not started: ${error.message}`);
+      continue;
+    }
+    startWatchRuntime(watch);
+  }
+  if (runtimes.size) {
+    console.log(`Watching ${runtimes.size} folder(s) for new videos.`);
+  }
+}
@@ -2,13 +2,21 @@ import { parentPort, workerData } from 'node:worker_threads';
 import { runAudit } from '../services/audit/auditCore.js';
 
 async function main() {
-  const { root, criteria } = workerData || {};
-  const payload = await runAudit({ root, criteria });
-  parentPort.postMessage({ ok: true, payload });
+  const { root, criteria, files, probeConcurrency, probeCacheEntries } = workerData || {};
+  const payload = await runAudit({
+    root,
+    criteria,
+    files,
+    probeConcurrency,
+    probeCacheEntries,
+    onProgress: (progress) => parentPort.postMessage(progress)
+  });
+  parentPort.postMessage({ type: 'done', ok: true, payload });
 }
 
 main().catch((error) => {
   parentPort.postMessage({
+    type: 'done',
     ok: false,
     error: error instanceof Error ? error.message : String(error)
   });